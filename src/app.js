@@ -3,7 +3,7 @@ import cors from 'cors'
 import cookieParser from 'cookie-parser'
 import path from 'path'
 import { fileURLToPath } from 'url'
-import { CORS_ORIGIN } from './constants.js'
+import { CORS_ORIGIN, STORAGE_DRIVER, LOCAL_STORAGE_DIR } from './constants.js'
 import { ApiResponse } from './utils/ApiResponse.js'
 import { generalRateLimit } from './middlewares/rateLimiter.middleware.js'
 
@@ -35,13 +35,6 @@ app.set('views', path.join(__dirname, 'views'))
 // MIDDLEWARE CONFIGURATION
 // ============================================
 
-/**
- * Global Rate Limiting
- * Applied to all routes to prevent abuse
- * 100 requests per 15 minutes per IP
- */
-// app.use(generalRateLimit) // Not implemented yet
-
 /**
  * CORS Configuration
  * - Enables cross-origin requests from specified origins
@@ -67,6 +60,21 @@ app.use(cookieParser())
  */
 app.use(express.static(path.join(__dirname, '../public')))
 
+/**
+ * Local Media Serving
+ * Serves uploaded videos and images when they are stored on the local disk (STORAGE_DRIVER=local)
+ */
+if (STORAGE_DRIVER === 'local') {
+	app.use('/media', express.static(path.resolve(LOCAL_STORAGE_DIR)))
+}
+
+/**
+ * Global Rate Limiting
+ * Applied to all API routes to prevent abuse, after the cookie parser so users are keyed by account
+ * Counts failed requests per user or IP address (RATE_LIMIT_GENERAL_*, default: 100 per 15 minutes)
+ */
+app.use('/api', generalRateLimit)
+
 /**
  * JSON Body Parser
  * Parses incoming JSON requests with size limit
@@ -104,6 +112,14 @@ import { commentRouter } from './routes/comment.routes.js'
 import { likeRouter } from './routes/like.routes.js'
 import { tweetRouter } from './routes/tweet.routes.js'
 import { playlistRouter } from './routes/playlist.routes.js'
+import { searchRouter } from './routes/search.routes.js'
+import { feedRouter } from './routes/feed.routes.js'
+import { notificationRouter } from './routes/notification.routes.js'
+import { eventRouter } from './routes/event.routes.js'
+import { adminRouter } from './routes/admin.routes.js'
+import { reportRouter } from './routes/report.routes.js'
+import { uploadRouter } from './routes/upload.routes.js'
+import { jobRouter } from './routes/job.routes.js'
 
 // ============================================
 // ROUTES DECLARATION
@@ -179,6 +195,54 @@ app.use('/api/v1/tweets', tweetRouter)
  */
 app.use('/api/v1/playlists', playlistRouter)
 
+/**
+ * Search Routes
+ * Full-text search across videos, channels, tweets and playlists
+ */
+app.use('/api/v1/search', searchRouter)
+
+/**
+ * Feed Routes
+ * Subscription feed of videos and tweets
+ */
+app.use('/api/v1/feed', feedRouter)
+
+/**
+ * Notification Routes
+ * Lists notifications and tracks their read state
+ */
+app.use('/api/v1/notifications', notificationRouter)
+
+/**
+ * Event Stream Routes
+ * Real-time notifications and video counters over Server-Sent Events
+ */
+app.use('/api/v1/events', eventRouter)
+
+/**
+ * Admin Routes
+ * User and content moderation for moderators and admins
+ */
+app.use('/api/v1/admin', adminRouter)
+
+/**
+ * Report Routes
+ * Reporting content to the moderators
+ */
+app.use('/api/v1/reports', reportRouter)
+
+/**
+ * Resumable Upload Routes
+ * Chunked video uploads that can be resumed after a dropped connection
+ */
+app.use('/api/v1/uploads', uploadRouter)
+
+/**
+ * Job Routes
+ * Status of uploads and deletions that finish in the background
+ */
+app.use('/api/v1/jobs', jobRouter)
+
 // ============================================
 // ERROR HANDLING & FALLBACK ROUTES
 // ============================================
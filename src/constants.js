@@ -15,6 +15,28 @@ const REFRESH_TOKEN_EXPIRY = String(process.env.REFRESH_TOKEN_EXPIRY)
 const CLOUDINARY_CLOUD_NAME = String(process.env.CLOUDINARY_CLOUD_NAME)
 const CLOUDINARY_API_KEY = String(process.env.CLOUDINARY_API_KEY)
 const CLOUDINARY_API_SECRET = String(process.env.CLOUDINARY_API_SECRET)
+// 'cloudinary' or 'local', the local driver keeps files in LOCAL_STORAGE_DIR and serves them under /media
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'cloudinary'
+const LOCAL_STORAGE_DIR = process.env.LOCAL_STORAGE_DIR || './storage'
+const LOCAL_STORAGE_BASE_URL =
+	process.env.LOCAL_STORAGE_BASE_URL || `http://localhost:${PORT || 8000}/media`
+const ACCOUNT_TOKEN_SECRET = String(process.env.ACCOUNT_TOKEN_SECRET)
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000'
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'console'
+const MAIL_FROM = process.env.MAIL_FROM || 'YouTube Clone <no-reply@localhost>'
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || './logs/mail'
+// How often scheduled videos are checked and published
+const PUBLISH_SCHEDULER_INTERVAL_SECONDS =
+	Number(process.env.PUBLISH_SCHEDULER_INTERVAL_SECONDS) || 60
+
+// Lets the API process run background jobs itself instead of a separate worker (npm run worker)
+const JOB_WORKER_IN_API = process.env.JOB_WORKER_IN_API === 'true'
+const JOB_POLL_INTERVAL_SECONDS = Number(process.env.JOB_POLL_INTERVAL_SECONDS) || 5
+// Comma-separated API keys of trusted clients that are not rate limited
+const RATE_LIMIT_EXEMPT_API_KEYS = (process.env.RATE_LIMIT_EXEMPT_API_KEYS || '')
+	.split(',')
+	.map(key => key.trim())
+	.filter(Boolean)
 
 // Global Constants
 const cookieOptions = {
@@ -38,6 +60,189 @@ const FILE_SIZE_DISPLAY = {
 	DOCUMENT: '10MB',
 }
 
+// Resumable video uploads, sent in chunks and assembled in public/temp before the cloud upload
+const RESUMABLE_UPLOAD = {
+	CHUNK_SIZE: 5 * 1024 * 1024, // Largest chunk accepted, the last chunk may be smaller
+	MAX_ACTIVE_PER_USER: 3, // Unfinished uploads a user can have at the same time
+	EXPIRY_MS: 24 * 60 * 60 * 1000, // Uploads without a new chunk for this long are abandoned
+	CLEANUP_INTERVAL_MS: 60 * 60 * 1000, // How often abandoned uploads are removed from disk
+}
+
+// Background jobs kept in MongoDB, see utils/jobQueue.js
+const JOB_QUEUE = {
+	MAX_ATTEMPTS: 5, // Runs before a failing job is dead-lettered
+	BACKOFF_BASE_MS: 30 * 1000, // Wait before the first retry, doubled for every further retry
+	BACKOFF_MAX_MS: 60 * 60 * 1000, // Longest wait between two attempts
+	LOCK_TIMEOUT_MS: 15 * 60 * 1000, // Running jobs not finished by then are assumed lost and rerun
+	RETENTION_MS: 7 * 24 * 60 * 60 * 1000, // Completed jobs are removed after this long
+}
+
+// Job lifecycle, dead jobs failed every attempt and wait for an admin to retry them
+const JOB_STATUSES = ['queued', 'running', 'completed', 'dead']
+
+const JOB_TYPES = {
+	FINALIZE_UPLOAD: 'video.finalize_upload',
+	CLEANUP_VIDEO: 'video.cleanup',
+	CLEANUP_ACCOUNT: 'user.cleanup',
+}
+
+// Usernames (channel handles) are stored case-folded to lowercase
+const USERNAME_RULES = {
+	MIN_LENGTH: 5,
+	MAX_LENGTH: 20,
+	PATTERN: /^[a-z0-9_]+$/, // Letters, numbers and underscores after case-folding
+	CHANGE_COOLDOWN_MS: 30 * 24 * 60 * 60 * 1000, // Minimum time between two username changes
+	REDIRECT_GRACE_MS: 14 * 24 * 60 * 60 * 1000, // Old handles resolve to the channel and stay reserved
+}
+
+// Handles nobody can register, they could be mistaken for the platform or its routes
+const RESERVED_USERNAMES = [
+	'admin',
+	'administrator',
+	'moderator',
+	'support',
+	'official',
+	'system',
+	'youtube',
+	'settings',
+	'channel',
+	'account',
+	'undefined',
+	'null',
+]
+
+// Limits of the channel "About" section
+const CHANNEL_ABOUT_LIMITS = {
+	DESCRIPTION_MAX_LENGTH: 1000,
+	MAX_LINKS: 5,
+	LINK_TITLE_MAX_LENGTH: 50,
+	LINK_URL_MAX_LENGTH: 300,
+}
+
+// Reaction types a user can leave on a video, comment or tweet
+const REACTION_TYPES = ['like', 'dislike']
+
+// Video visibility levels: listed for everyone, watchable by link only, or owner only
+const VIDEO_VISIBILITIES = ['public', 'unlisted', 'private']
+
+// Videos from resumable uploads are processing until their file is in storage
+const VIDEO_PROCESSING_STATUSES = ['processing', 'ready', 'failed']
+
+// Playlist visibility levels: listed for everyone, readable by link only, or owner only
+const PLAYLIST_VISIBILITIES = ['public', 'unlisted', 'private']
+
+// Built-in playlists every user gets, "Liked videos" is backed by the likes collection
+const SYSTEM_PLAYLISTS = {
+	'watch-later': { name: 'Watch Later', isVirtual: false },
+	'liked-videos': { name: 'Liked videos', isVirtual: true },
+}
+
+// What to do when adding a video that is already in a playlist
+const PLAYLIST_DUPLICATE_POLICIES = ['reject', 'skip', 'allow']
+
+// Kinds of activity a user can be notified about
+const NOTIFICATION_TYPES = [
+	'video_upload',
+	'comment',
+	'comment_reply',
+	'like',
+	'new_subscriber',
+	'report_resolved',
+]
+
+// Subscription bell: every upload, uploads from channels the subscriber watches, or nothing
+const SUBSCRIPTION_NOTIFICATION_PREFERENCES = ['all', 'personalized', 'none']
+
+// Why a session stopped accepting its refresh token
+const SESSION_REVOKE_REASONS = [
+	'logout',
+	'revoked',
+	'logout_all',
+	'password_change',
+	'password_reset',
+	'moderation',
+	'reuse_detected',
+]
+
+// Roles from least to most privileged, moderators and admins can use the admin API
+const USER_ROLES = ['user', 'moderator', 'admin']
+
+// Suspended accounts are locked until a date, banned accounts permanently
+const ACCOUNT_STATUSES = ['active', 'suspended', 'banned']
+
+// Actions recorded in the audit log, grouped by the kind of target they affect
+const AUDIT_ACTIONS = [
+	'user.suspend',
+	'user.ban',
+	'user.reinstate',
+	'user.role_change',
+	'video.unpublish',
+	'video.unlock',
+	'comment.remove',
+	'tweet.remove',
+	'report.resolve',
+	'job.retry',
+]
+
+// Kinds of documents an audit log entry can refer to
+const AUDIT_TARGET_TYPES = ['user', 'video', 'comment', 'tweet', 'job']
+
+// What can be reported, a channel report targets the user account
+const REPORT_TARGET_TYPES = ['video', 'comment', 'tweet', 'channel']
+
+const REPORT_REASONS = [
+	'spam',
+	'harassment',
+	'hate_speech',
+	'violence',
+	'sexual_content',
+	'copyright',
+	'misinformation',
+	'other',
+]
+
+// Moderator decisions: keep the content, hide it, or hide it and strike its owner
+const REPORT_ACTIONS = ['dismiss', 'hide', 'strike']
+
+// Strikes after which an account is banned automatically
+const MAX_STRIKES = 3
+
+// Single-use tokens sent by email, with their lifetime and the minimum delay between two requests
+const ACCOUNT_TOKEN_PURPOSES = {
+	email_verification: { expiresIn: '1d', cooldownMs: 60 * 1000 },
+	password_reset: { expiresIn: '1h', cooldownMs: 60 * 1000 },
+}
+
+/**
+ * Reads a rate limit from RATE_LIMIT_<NAME>_MAX and RATE_LIMIT_<NAME>_WINDOW_MINUTES
+ * @param {string} name - Limiter name used in the variable names
+ * @param {number} max - Default number of requests per window
+ * @param {number} windowMinutes - Default window length in minutes
+ * @returns {Object} Limit and window length in milliseconds
+ */
+const readRateLimit = (name, max, windowMinutes) => ({
+	limit: Number(process.env[`RATE_LIMIT_${name}_MAX`]) || max,
+	windowMs: (Number(process.env[`RATE_LIMIT_${name}_WINDOW_MINUTES`]) || windowMinutes) * 60 * 1000,
+})
+
+// Requests allowed per user (or IP address for anonymous clients) and window
+const RATE_LIMITS = {
+	GENERAL: readRateLimit('GENERAL', 100, 15), // Failed requests on any API route
+	AUTH: readRateLimit('AUTH', 5, 15), // Login, registration and password reset attempts
+	UPLOAD: readRateLimit('UPLOAD', 10, 60), // Video uploads
+	CREATE: readRateLimit('CREATE', 20, 60), // New comments, tweets and reports
+	SEARCH: readRateLimit('SEARCH', 50, 15), // Search queries
+}
+
+// Server-Sent Events stream settings
+const EVENT_STREAM = {
+	HEARTBEAT_INTERVAL_MS: 25 * 1000, // Keeps proxies from closing idle connections
+	RETRY_MS: 5 * 1000, // Reconnection delay suggested to EventSource clients
+	REPLAY_BUFFER_SIZE: 1000, // Events kept for Last-Event-ID replay
+	REPLAY_WINDOW_MS: 5 * 60 * 1000, // Events older than this are not replayed
+	MAX_WATCHED_VIDEOS: 50, // Videos a single connection can follow
+}
+
 export {
 	PORT,
 	DATABASE_NAME,
@@ -50,7 +255,46 @@ export {
 	CLOUDINARY_CLOUD_NAME,
 	CLOUDINARY_API_KEY,
 	CLOUDINARY_API_SECRET,
+	STORAGE_DRIVER,
+	LOCAL_STORAGE_DIR,
+	LOCAL_STORAGE_BASE_URL,
+	ACCOUNT_TOKEN_SECRET,
+	CLIENT_URL,
+	MAIL_TRANSPORT,
+	MAIL_FROM,
+	MAIL_OUTBOX_DIR,
+	RATE_LIMIT_EXEMPT_API_KEYS,
+	PUBLISH_SCHEDULER_INTERVAL_SECONDS,
+	JOB_WORKER_IN_API,
+	JOB_POLL_INTERVAL_SECONDS,
 	cookieOptions,
 	FILE_SIZE_LIMITS,
+	RESUMABLE_UPLOAD,
+	JOB_QUEUE,
+	JOB_STATUSES,
+	JOB_TYPES,
+	USERNAME_RULES,
+	RESERVED_USERNAMES,
+	CHANNEL_ABOUT_LIMITS,
 	FILE_SIZE_DISPLAY,
+	REACTION_TYPES,
+	VIDEO_VISIBILITIES,
+	VIDEO_PROCESSING_STATUSES,
+	PLAYLIST_VISIBILITIES,
+	PLAYLIST_DUPLICATE_POLICIES,
+	SYSTEM_PLAYLISTS,
+	NOTIFICATION_TYPES,
+	SUBSCRIPTION_NOTIFICATION_PREFERENCES,
+	SESSION_REVOKE_REASONS,
+	ACCOUNT_TOKEN_PURPOSES,
+	USER_ROLES,
+	ACCOUNT_STATUSES,
+	AUDIT_ACTIONS,
+	AUDIT_TARGET_TYPES,
+	REPORT_TARGET_TYPES,
+	REPORT_REASONS,
+	REPORT_ACTIONS,
+	MAX_STRIKES,
+	EVENT_STREAM,
+	RATE_LIMITS,
 }
@@ -0,0 +1,1104 @@
+import mongoose, { isValidObjectId } from 'mongoose'
+import {
+	User,
+	Video,
+	Comment,
+	Tweet,
+	Like,
+	Notification,
+	Session,
+	AuditLog,
+	Report,
+	Job,
+} from '../models/index.js'
+import {
+	USER_ROLES,
+	ACCOUNT_STATUSES,
+	AUDIT_ACTIONS,
+	AUDIT_TARGET_TYPES,
+	REPORT_TARGET_TYPES,
+	REPORT_REASONS,
+	REPORT_ACTIONS,
+	MAX_STRIKES,
+	JOB_STATUSES,
+	JOB_TYPES,
+} from '../constants.js'
+import {
+	asyncHandler,
+	ApiError,
+	ApiResponse,
+	paginateAggregate,
+	notifyUsers,
+	publishVideoCounters,
+	recordAuditLog,
+	retryDeadJob,
+} from '../utils/index.js'
+
+// Longest suspension a moderator can issue, longer ones should be bans
+const MAX_SUSPENSION_DAYS = 365
+
+// User fields visible in the admin API
+const USER_ADMIN_PROJECTION = {
+	username: 1,
+	email: 1,
+	fullName: 1,
+	avatar: 1,
+	role: 1,
+	status: 1,
+	suspendedUntil: 1,
+	statusReason: 1,
+	isEmailVerified: 1,
+	createdAt: 1,
+}
+
+/**
+ * Validates the reason given for a moderation action
+ * @param {string} reason - Reason from request body
+ * @returns {string} Trimmed reason
+ * @throws {ApiError} When the reason is missing or too long
+ */
+const parseReason = reason => {
+	if (!reason || typeof reason !== 'string' || !reason.trim()) {
+		throw new ApiError(400, 'A reason is required for moderation actions.')
+	}
+
+	if (reason.trim().length > 500) {
+		throw new ApiError(400, 'Reason cannot exceed 500 characters.')
+	}
+
+	return reason.trim()
+}
+
+/**
+ * Validates pagination query parameters
+ * @param {Object} query - Request query with page and limit
+ * @returns {Object} Parsed page and limit
+ * @throws {ApiError} When the parameters are out of range
+ */
+const parsePagination = ({ page = 1, limit = 20 }) => {
+	const pageNum = parseInt(page)
+	const limitNum = parseInt(limit)
+
+	if (isNaN(pageNum) || isNaN(limitNum) || pageNum < 1 || limitNum < 1 || limitNum > 100) {
+		throw new ApiError(
+			400,
+			'Invalid pagination parameters. Page must be >= 1 and limit must be between 1-100.'
+		)
+	}
+
+	return { page: pageNum, limit: limitNum }
+}
+
+/**
+ * Loads a user the current moderator or admin is allowed to act on
+ * @desc Nobody can act on their own account, and only admins can act on moderators and admins
+ * @param {Object} req - Express request of the acting moderator or admin
+ * @param {string} userId - ID of the target user
+ * @returns {Promise<Object>} Target user document
+ * @throws {ApiError} When the ID is invalid, the user does not exist or cannot be moderated
+ */
+const findManageableUser = async (req, userId) => {
+	if (!isValidObjectId(userId)) {
+		throw new ApiError(400, 'Invalid user ID format.')
+	}
+
+	const user = await User.findById(userId)
+	if (!user) {
+		throw new ApiError(404, 'User not found.')
+	}
+
+	if (user._id.equals(req.user._id)) {
+		throw new ApiError(400, 'You cannot moderate your own account.')
+	}
+
+	if (user.role !== 'user' && req.user.role !== 'admin') {
+		throw new ApiError(403, 'Only admins can moderate moderators and admins.')
+	}
+
+	return user
+}
+
+// Models of the content that can be reported and hidden
+const REPORTABLE_CONTENT_MODELS = {
+	video: Video,
+	comment: Comment,
+	tweet: Tweet,
+}
+
+/**
+ * Builds a lookup that attaches a preview of reported content of one type
+ * @param {string} targetType - Report target type the lookup applies to
+ * @param {string} from - Collection name
+ * @param {Object} projection - Fields to keep
+ * @returns {Object} $lookup stage storing matches in a field named after the target type
+ */
+const buildReportTargetLookup = (targetType, from, projection) => ({
+	$lookup: {
+		from,
+		let: { targetId: '$_id', targetType: '$targetType' },
+		as: targetType,
+		pipeline: [
+			{
+				$match: {
+					$expr: {
+						$and: [{ $eq: ['$$targetType', targetType] }, { $eq: ['$_id', '$$targetId'] }],
+					},
+				},
+			},
+			{ $project: projection },
+		],
+	},
+})
+
+/**
+ * Escapes a string for use inside a regular expression
+ * @param {string} value - Raw search text
+ * @returns {string} Escaped text
+ */
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+/**
+ * List and search users
+ * @route GET /api/v1/admin/users
+ * @access Moderator, Admin
+ */
+const listUsers = asyncHandler(async (req, res) => {
+	const { q, role, status, cursor } = req.query
+	const { page, limit } = parsePagination(req.query)
+
+	// Validate filters
+	if (role && !USER_ROLES.includes(role)) {
+		throw new ApiError(400, `Invalid role. Allowed values: ${USER_ROLES.join(', ')}`)
+	}
+
+	if (status && !ACCOUNT_STATUSES.includes(status)) {
+		throw new ApiError(400, `Invalid status. Allowed values: ${ACCOUNT_STATUSES.join(', ')}`)
+	}
+
+	if (q !== undefined && (typeof q !== 'string' || q.trim().length > 100)) {
+		throw new ApiError(400, 'Search query (q) must be a string of at most 100 characters.')
+	}
+
+	// Partial matches on email are needed here, which the text index does not support
+	const searchRegex = q?.trim() ? new RegExp(escapeRegex(q.trim()), 'i') : null
+
+	try {
+		const users = await paginateAggregate(
+			User,
+			[
+				{
+					$match: {
+						...(role && { role }),
+						...(status && { status }),
+						...(searchRegex && {
+							$or: [{ username: searchRegex }, { email: searchRegex }, { fullName: searchRegex }],
+						}),
+					},
+				},
+			],
+			{
+				page,
+				limit,
+				cursor,
+				label: 'users',
+				pagePipeline: [{ $project: USER_ADMIN_PROJECTION }],
+			}
+		)
+
+		res.status(200).json(new ApiResponse(200, users, 'Users fetched successfully.'))
+	} catch (error) {
+		if (error instanceof ApiError) {
+			throw error
+		}
+		throw new ApiError(500, 'Failed to fetch users. Please try again.')
+	}
+})
+
+/**
+ * Suspend a user account for a number of days
+ * @desc The user is signed out on every device and cannot sign in until the suspension ends
+ * @route PATCH /api/v1/admin/users/:userId/suspend
+ * @access Moderator, Admin
+ */
+const suspendUser = asyncHandler(async (req, res) => {
+	const { userId } = req.params
+	const { days } = req.body
+	const reason = parseReason(req.body.reason)
+
+	// Validate suspension length
+	const daysNum = Number(days)
+	if (!Number.isInteger(daysNum) || daysNum < 1 || daysNum > MAX_SUSPENSION_DAYS) {
+		throw new ApiError(400, `days must be a whole number between 1 and ${MAX_SUSPENSION_DAYS}.`)
+	}
+
+	const user = await findManageableUser(req, userId)
+
+	if (user.status === 'banned') {
+		throw new ApiError(409, 'User is banned. Reinstate the account before suspending it.')
+	}
+
+	try {
+		user.status = 'suspended'
+		user.suspendedUntil = new Date(Date.now() + daysNum * 24 * 60 * 60 * 1000)
+		user.statusReason = reason
+		await user.save({ validateBeforeSave: false })
+
+		await Session.revokeMany({ user: user._id }, 'moderation')
+
+		await recordAuditLog(req, {
+			action: 'user.suspend',
+			targetType: 'user',
+			targetId: user._id,
+			reason,
+			metadata: { days: daysNum, suspendedUntil: user.suspendedUntil },
+		})
+	} catch (error) {
+		throw new ApiError(500, 'Failed to suspend user. Please try again.')
+	}
+
+	res.status(200).json(
+		new ApiResponse(
+			200,
+			{
+				userId: user._id,
+				status: user.status,
+				suspendedUntil: user.suspendedUntil,
+				reason,
+			},
+			'User suspended successfully.'
+		)
+	)
+})
+
+/**
+ * Permanently ban a user account
+ * @desc The user is signed out on every device and cannot sign in anymore
+ * @route PATCH /api/v1/admin/users/:userId/ban
+ * @access Moderator, Admin
+ */
+const banUser = asyncHandler(async (req, res) => {
+	const { userId } = req.params
+	const reason = parseReason(req.body.reason)
+
+	const user = await findManageableUser(req, userId)
+
+	if (user.status === 'banned') {
+		throw new ApiError(409, 'User is already banned.')
+	}
+
+	try {
+		const previousStatus = user.status
+
+		user.status = 'banned'
+		user.suspendedUntil = undefined
+		user.statusReason = reason
+		await user.save({ validateBeforeSave: false })
+
+		await Session.revokeMany({ user: user._id }, 'moderation')
+
+		await recordAuditLog(req, {
+			action: 'user.ban',
+			targetType: 'user',
+			targetId: user._id,
+			reason,
+			metadata: { previousStatus },
+		})
+	} catch (error) {
+		throw new ApiError(500, 'Failed to ban user. Please try again.')
+	}
+
+	res
+		.status(200)
+		.json(
+			new ApiResponse(
+				200,
+				{ userId: user._id, status: user.status, reason },
+				'User banned successfully.'
+			)
+		)
+})
+
+/**
+ * Lift the suspension or ban of a user account
+ * @route PATCH /api/v1/admin/users/:userId/reinstate
+ * @access Moderator, Admin
+ */
+const reinstateUser = asyncHandler(async (req, res) => {
+	const { userId } = req.params
+	const reason = parseReason(req.body.reason)
+
+	const user = await findManageableUser(req, userId)
+
+	if (user.status === 'active') {
+		throw new ApiError(409, 'User account is already active.')
+	}
+
+	try {
+		const previousStatus = user.status
+
+		user.status = 'active'
+		user.suspendedUntil = undefined
+		user.statusReason = undefined
+		await user.save({ validateBeforeSave: false })
+
+		await recordAuditLog(req, {
+			action: 'user.reinstate',
+			targetType: 'user',
+			targetId: user._id,
+			reason,
+			metadata: { previousStatus },
+		})
+	} catch (error) {
+		throw new ApiError(500, 'Failed to reinstate user. Please try again.')
+	}
+
+	res
+		.status(200)
+		.json(
+			new ApiResponse(
+				200,
+				{ userId: user._id, status: user.status },
+				'User reinstated successfully.'
+			)
+		)
+})
+
+/**
+ * Change the role of a user
+ * @route PATCH /api/v1/admin/users/:userId/role
+ * @access Admin
+ */
+const updateUserRole = asyncHandler(async (req, res) => {
+	const { userId } = req.params
+	const { role } = req.body
+	const reason = parseReason(req.body.reason)
+
+	// Validate role
+	if (!USER_ROLES.includes(role)) {
+		throw new ApiError(400, `Invalid role. Allowed values: ${USER_ROLES.join(', ')}`)
+	}
+
+	const user = await findManageableUser(req, userId)
+	const previousRole = user.role
+
+	if (previousRole === role) {
+		throw new ApiError(409, `User already has the ${role} role.`)
+	}
+
+	try {
+		user.role = role
+		await user.save({ validateBeforeSave: false })
+
+		await recordAuditLog(req, {
+			action: 'user.role_change',
+			targetType: 'user',
+			targetId: user._id,
+			reason,
+			metadata: { previousRole, role },
+		})
+	} catch (error) {
+		throw new ApiError(500, 'Failed to update user role. Please try again.')
+	}
+
+	res
+		.status(200)
+		.json(
+			new ApiResponse(
+				200,
+				{ userId: user._id, role, previousRole },
+				'User role updated successfully.'
+			)
+		)
+})
+
+/**
+ * Force-unpublish a video
+ * @desc The owner cannot publish the video again until it is unlocked
+ * @route PATCH /api/v1/admin/videos/:videoId/unpublish
+ * @access Moderator, Admin
+ */
+const forceUnpublishVideo = asyncHandler(async (req, res) => {
+	const { videoId } = req.params
+	const reason = parseReason(req.body.reason)
+
+	// Validate video ID format
+	if (!isValidObjectId(videoId)) {
+		throw new ApiError(400, 'Invalid video ID format.')
+	}
+
+	const video = await Video.findById(videoId)
+	if (!video) {
+		throw new ApiError(404, 'Video not found.')
+	}
+
+	if (video.isPublishLocked) {
+		throw new ApiError(409, 'Video has already been unpublished by a moderator.')
+	}
+
+	try {
+		const previousVisibility = video.visibility
+
+		video.visibility = 'private'
+		video.isPublishLocked = true
+		// A scheduled release would undo the moderator's decision
+		video.publishAt = undefined
+		await video.save({ validateBeforeSave: false })
+
+		await recordAuditLog(req, {
+			action: 'video.unpublish',
+			targetType: 'video',
+			targetId: video._id,
+			reason,
+			metadata: { owner: video.owner, title: video.title, previousVisibility },
+		})
+	} catch (error) {
+		throw new ApiError(500, 'Failed to unpublish video. Please try again.')
+	}
+
+	res
+		.status(200)
+		.json(
+			new ApiResponse(
+				200,
+				{ videoId: video._id, visibility: 'private', isPublishLocked: true },
+				'Video unpublished successfully.'
+			)
+		)
+})
+
+/**
+ * Allow the owner to publish a force-unpublished video again
+ * @desc The video stays unpublished until its owner publishes it
+ * @route PATCH /api/v1/admin/videos/:videoId/unlock
+ * @access Moderator, Admin
+ */
+const unlockVideo = asyncHandler(async (req, res) => {
+	const { videoId } = req.params
+	const reason = parseReason(req.body.reason)
+
+	// Validate video ID format
+	if (!isValidObjectId(videoId)) {
+		throw new ApiError(400, 'Invalid video ID format.')
+	}
+
+	const video = await Video.findById(videoId)
+	if (!video) {
+		throw new ApiError(404, 'Video not found.')
+	}
+
+	if (!video.isPublishLocked) {
+		throw new ApiError(409, 'Video is not locked.')
+	}
+
+	try {
+		video.isPublishLocked = false
+		await video.save({ validateBeforeSave: false })
+
+		await recordAuditLog(req, {
+			action: 'video.unlock',
+			targetType: 'video',
+			targetId: video._id,
+			reason,
+			metadata: { owner: video.owner, title: video.title },
+		})
+	} catch (error) {
+		throw new ApiError(500, 'Failed to unlock video. Please try again.')
+	}
+
+	res
+		.status(200)
+		.json(
+			new ApiResponse(
+				200,
+				{ videoId: video._id, isPublishLocked: false },
+				'Video unlocked successfully.'
+			)
+		)
+})
+
+/**
+ * Remove a comment
+ * @desc Like an author deletion, a top-level comment with replies is kept as a "[deleted]" placeholder
+ * @route DELETE /api/v1/admin/comments/:commentId
+ * @access Moderator, Admin
+ */
+const removeComment = asyncHandler(async (req, res) => {
+	const { commentId } = req.params
+	const reason = parseReason(req.body?.reason)
+
+	// Validate comment ID format
+	if (!isValidObjectId(commentId)) {
+		throw new ApiError(400, 'Invalid comment ID format.')
+	}
+
+	const comment = await Comment.findById(commentId)
+	if (!comment || comment.isDeleted) {
+		throw new ApiError(404, 'Comment not found.')
+	}
+
+	let isPlaceholder
+
+	try {
+		const { deletedIds, placeholderIds } = await Comment.deleteWithReplyPolicy({
+			_id: comment._id,
+		})
+		await Like.deleteMany({ comment: { $in: [...deletedIds, ...placeholderIds] } })
+		await Notification.deleteMany({ comment: { $in: deletedIds } })
+		isPlaceholder = placeholderIds.length > 0
+
+		// Keep the snapshot so the removal can be reviewed later
+		await recordAuditLog(req, {
+			action: 'comment.remove',
+			targetType: 'comment',
+			targetId: comment._id,
+			reason,
+			metadata: {
+				owner: comment.owner,
+				content: comment.content,
+				video: comment.video,
+				tweet: comment.tweet,
+			},
+		})
+
+		if (comment.video) {
+			const commentsCount = await Comment.countDocuments({
+				video: comment.video,
+				isDeleted: false,
+				isHidden: { $ne: true },
+			})
+			publishVideoCounters(comment.video, { commentsCount })
+		}
+	} catch (error) {
+		throw new ApiError(500, 'Failed to remove comment. Please try again.')
+	}
+
+	res
+		.status(200)
+		.json(
+			new ApiResponse(
+				200,
+				{ commentId: comment._id, isPlaceholder },
+				'Comment removed successfully.'
+			)
+		)
+})
+
+/**
+ * Remove a tweet with its comments and reactions
+ * @route DELETE /api/v1/admin/tweets/:tweetId
+ * @access Moderator, Admin
+ */
+const removeTweet = asyncHandler(async (req, res) => {
+	const { tweetId } = req.params
+	const reason = parseReason(req.body?.reason)
+
+	// Validate tweet ID format
+	if (!isValidObjectId(tweetId)) {
+		throw new ApiError(400, 'Invalid tweet ID format.')
+	}
+
+	const tweet = await Tweet.findById(tweetId)
+	if (!tweet) {
+		throw new ApiError(404, 'Tweet not found.')
+	}
+
+	try {
+		const commentIds = await Comment.find({ tweet: tweet._id }).distinct('_id')
+
+		await Tweet.deleteOne({ _id: tweet._id })
+		await Like.deleteMany({ $or: [{ tweet: tweet._id }, { comment: { $in: commentIds } }] })
+		await Comment.deleteMany({ tweet: tweet._id })
+		await Notification.deleteMany({ tweet: tweet._id })
+
+		await recordAuditLog(req, {
+			action: 'tweet.remove',
+			targetType: 'tweet',
+			targetId: tweet._id,
+			reason,
+			metadata: { owner: tweet.owner, content: tweet.content, commentsCount: commentIds.length },
+		})
+	} catch (error) {
+		throw new ApiError(500, 'Failed to remove tweet. Please try again.')
+	}
+
+	res.status(200).json(new ApiResponse(200, { tweetId: tweet._id }, 'Tweet removed successfully.'))
+})
+
+/**
+ * Get the audit log, newest first
+ * @route GET /api/v1/admin/audit-logs
+ * @access Admin
+ */
+const getAuditLogs = asyncHandler(async (req, res) => {
+	const { actor, action, targetType, targetId, cursor } = req.query
+	const { page, limit } = parsePagination(req.query)
+
+	// Validate filters
+	if (actor && !isValidObjectId(actor)) {
+		throw new ApiError(400, 'Invalid actor ID format.')
+	}
+
+	if (targetId && !isValidObjectId(targetId)) {
+		throw new ApiError(400, 'Invalid target ID format.')
+	}
+
+	if (action && !AUDIT_ACTIONS.includes(action)) {
+		throw new ApiError(400, `Invalid action. Allowed values: ${AUDIT_ACTIONS.join(', ')}`)
+	}
+
+	if (targetType && !AUDIT_TARGET_TYPES.includes(targetType)) {
+		throw new ApiError(400, `Invalid targetType. Allowed values: ${AUDIT_TARGET_TYPES.join(', ')}`)
+	}
+
+	try {
+		const auditLogs = await paginateAggregate(
+			AuditLog,
+			[
+				{
+					$match: {
+						...(actor && { actor: new mongoose.Types.ObjectId(actor) }),
+						...(action && { action }),
+						...(targetType && { targetType }),
+						...(targetId && { targetId: new mongoose.Types.ObjectId(targetId) }),
+					},
+				},
+			],
+			{
+				page,
+				limit,
+				cursor,
+				label: 'auditLogs',
+				pagePipeline: [
+					{
+						$lookup: {
+							from: 'users',
+							localField: 'actor',
+							foreignField: '_id',
+							as: 'actor',
+							pipeline: [{ $project: { username: 1, fullName: 1, role: 1 } }],
+						},
+					},
+					{ $addFields: { actor: { $ifNull: [{ $first: '$actor' }, null] } } },
+				],
+			}
+		)
+
+		res.status(200).json(new ApiResponse(200, auditLogs, 'Audit logs fetched successfully.'))
+	} catch (error) {
+		if (error instanceof ApiError) {
+			throw error
+		}
+		throw new ApiError(500, 'Failed to fetch audit logs. Please try again.')
+	}
+})
+
+/**
+ * Get the moderation queue of reported content
+ * @desc Reports are grouped by target so each piece of content is reviewed once
+ * @route GET /api/v1/admin/reports
+ * @access Moderator, Admin
+ */
+const getReportQueue = asyncHandler(async (req, res) => {
+	const {
+		status = 'open',
+		targetType,
+		reason,
+		sortBy = 'createdAt',
+		sortType = 'desc',
+		cursor,
+	} = req.query
+	const { page, limit } = parsePagination(req.query)
+
+	// Validate filters
+	if (!['open', 'resolved'].includes(status)) {
+		throw new ApiError(400, "Invalid status. Allowed values: 'open', 'resolved'")
+	}
+
+	if (targetType && !REPORT_TARGET_TYPES.includes(targetType)) {
+		throw new ApiError(400, `Invalid targetType. Allowed values: ${REPORT_TARGET_TYPES.join(', ')}`)
+	}
+
+	if (reason && !REPORT_REASONS.includes(reason)) {
+		throw new ApiError(400, `Invalid reason. Allowed values: ${REPORT_REASONS.join(', ')}`)
+	}
+
+	if (!['createdAt', 'reportsCount'].includes(sortBy)) {
+		throw new ApiError(400, "Invalid sortBy field. Valid fields are: 'createdAt', 'reportsCount'")
+	}
+
+	if (!['asc', 'desc'].includes(sortType)) {
+		throw new ApiError(400, "Invalid sortType. Must be 'asc' or 'desc'.")
+	}
+
+	try {
+		const queue = await paginateAggregate(
+			Report,
+			[
+				{
+					$match: {
+						status,
+						...(targetType && { targetType }),
+						...(reason && { reason }),
+					},
+				},
+				{
+					// One queue entry per reported target, createdAt is the latest report
+					$group: {
+						_id: '$target',
+						targetType: { $first: '$targetType' },
+						targetOwner: { $first: '$targetOwner' },
+						reportsCount: { $sum: 1 },
+						reasons: { $push: '$reason' },
+						reportIds: { $push: '$_id' },
+						firstReportedAt: { $min: '$createdAt' },
+						createdAt: { $max: '$createdAt' },
+					},
+				},
+			],
+			{
+				page,
+				limit,
+				sortBy,
+				sortType,
+				cursor,
+				label: 'reports',
+				pagePipeline: [
+					// Count reports per reason, e.g. { spam: 3, harassment: 1 }
+					{
+						$addFields: {
+							reasons: {
+								$arrayToObject: {
+									$map: {
+										input: { $setUnion: ['$reasons'] },
+										as: 'reason',
+										in: {
+											k: '$$reason',
+											v: {
+												$size: {
+													$filter: { input: '$reasons', cond: { $eq: ['$$this', '$$reason'] } },
+												},
+											},
+										},
+									},
+								},
+							},
+						},
+					},
+					buildReportTargetLookup('video', 'videos', {
+						title: 1,
+						thumbnail: 1,
+						visibility: 1,
+						isHidden: 1,
+					}),
+					buildReportTargetLookup('comment', 'comments', {
+						content: 1,
+						video: 1,
+						tweet: 1,
+						isHidden: 1,
+					}),
+					buildReportTargetLookup('tweet', 'tweets', { content: 1, isHidden: 1 }),
+					buildReportTargetLookup('channel', 'users', {
+						username: 1,
+						fullName: 1,
+						avatar: 1,
+						status: 1,
+					}),
+					{
+						$lookup: {
+							from: 'users',
+							localField: 'targetOwner',
+							foreignField: '_id',
+							as: 'targetOwner',
+							pipeline: [
+								{
+									$project: {
+										username: 1,
+										fullName: 1,
+										status: 1,
+										strikesCount: { $size: { $ifNull: ['$strikes', []] } },
+									},
+								},
+							],
+						},
+					},
+					{
+						$addFields: {
+							targetId: '$_id',
+							// Null when the content was deleted after being reported
+							target: {
+								$ifNull: [
+									{ $first: { $concatArrays: ['$video', '$comment', '$tweet', '$channel'] } },
+									null,
+								],
+							},
+							targetOwner: { $ifNull: [{ $first: '$targetOwner' }, null] },
+						},
+					},
+					{ $project: { video: 0, comment: 0, tweet: 0, channel: 0 } },
+				],
+			}
+		)
+
+		res.status(200).json(new ApiResponse(200, queue, 'Report queue fetched successfully.'))
+	} catch (error) {
+		if (error instanceof ApiError) {
+			throw error
+		}
+		throw new ApiError(500, 'Failed to fetch report queue. Please try again.')
+	}
+})
+
+/**
+ * Resolve the open reports of a target
+ * @desc 'dismiss' keeps the content, 'hide' hides it, 'strike' hides it and strikes its owner
+ * @desc Owners reaching MAX_STRIKES are banned, every reporter is notified of the outcome
+ * @route PATCH /api/v1/admin/reports/:targetType/:targetId/resolve
+ * @access Moderator, Admin
+ */
+const resolveReports = asyncHandler(async (req, res) => {
+	const { targetType, targetId } = req.params
+	const { action } = req.body
+	const reason = parseReason(req.body.reason)
+
+	// Validate resolution
+	if (!REPORT_TARGET_TYPES.includes(targetType)) {
+		throw new ApiError(400, `Invalid targetType. Allowed values: ${REPORT_TARGET_TYPES.join(', ')}`)
+	}
+
+	if (!isValidObjectId(targetId)) {
+		throw new ApiError(400, 'Invalid target ID format.')
+	}
+
+	if (!REPORT_ACTIONS.includes(action)) {
+		throw new ApiError(400, `Invalid action. Allowed values: ${REPORT_ACTIONS.join(', ')}`)
+	}
+
+	if (action === 'hide' && targetType === 'channel') {
+		throw new ApiError(
+			400,
+			'Channels cannot be hidden. Strike, suspend or ban the account instead.'
+		)
+	}
+
+	const reports = await Report.find({ targetType, target: targetId, status: 'open' })
+	if (reports.length === 0) {
+		throw new ApiError(404, 'No open reports found for this target.')
+	}
+
+	const ContentModel = REPORTABLE_CONTENT_MODELS[targetType]
+	const content = ContentModel ? await ContentModel.findById(targetId) : null
+
+	// Content deleted since it was reported can still be dismissed or struck, but not hidden
+	if (action === 'hide' && !content) {
+		throw new ApiError(404, 'Reported content no longer exists.')
+	}
+
+	// Strikes follow the same rules as other actions on accounts
+	const owner = action === 'strike' ? await findManageableUser(req, reports[0].targetOwner) : null
+
+	let isOwnerBanned = false
+
+	try {
+		// Hide the content
+		if (action !== 'dismiss' && content && !content.isHidden) {
+			content.isHidden = true
+			await content.save({ validateBeforeSave: false })
+
+			if (targetType === 'comment' && content.video) {
+				const commentsCount = await Comment.countDocuments({
+					video: content.video,
+					isDeleted: false,
+					isHidden: { $ne: true },
+				})
+				publishVideoCounters(content.video, { commentsCount })
+			}
+		}
+
+		// Strike the owner, banning the account once the limit is reached
+		if (owner) {
+			owner.strikes.push({ reason, report: reports[0]._id, issuedBy: req.user._id })
+
+			if (owner.strikes.length >= MAX_STRIKES && owner.status !== 'banned') {
+				const previousStatus = owner.status
+
+				owner.status = 'banned'
+				owner.suspendedUntil = undefined
+				owner.statusReason = `Banned automatically after ${MAX_STRIKES} strikes.`
+				isOwnerBanned = true
+
+				await owner.save({ validateBeforeSave: false })
+				await Session.revokeMany({ user: owner._id }, 'moderation')
+
+				await recordAuditLog(req, {
+					action: 'user.ban',
+					targetType: 'user',
+					targetId: owner._id,
+					reason: owner.statusReason,
+					metadata: { previousStatus, strikesCount: owner.strikes.length },
+				})
+			} else {
+				await owner.save({ validateBeforeSave: false })
+			}
+		}
+
+		const reportIds = reports.map(report => report._id)
+
+		await Report.updateMany(
+			{ _id: { $in: reportIds }, status: 'open' },
+			{
+				$set: {
+					status: 'resolved',
+					action,
+					resolutionNote: reason,
+					resolvedBy: req.user._id,
+					resolvedAt: new Date(),
+				},
+			}
+		)
+
+		await recordAuditLog(req, {
+			action: 'report.resolve',
+			// A channel report is an action on the user account
+			targetType: targetType === 'channel' ? 'user' : targetType,
+			targetId,
+			reason,
+			metadata: {
+				resolution: action,
+				reportIds,
+				owner: reports[0].targetOwner,
+				...(owner && { strikesCount: owner.strikes.length }),
+			},
+		})
+
+		// Moderators stay anonymous, so the notifications have no actor
+		await Promise.all(
+			reports.map(report =>
+				notifyUsers({ recipients: [report.reporter], type: 'report_resolved', report: report._id })
+			)
+		)
+	} catch (error) {
+		throw new ApiError(500, 'Failed to resolve reports. Please try again.')
+	}
+
+	res.status(200).json(
+		new ApiResponse(
+			200,
+			{
+				targetType,
+				targetId,
+				action,
+				resolvedReportsCount: reports.length,
+				...(content && { isHidden: content.isHidden }),
+				...(owner && {
+					ownerStrikesCount: owner.strikes.length,
+					isOwnerBanned,
+				}),
+			},
+			'Reports resolved successfully.'
+		)
+	)
+})
+
+/**
+ * Get background jobs, e.g. the dead-lettered ones, newest first
+ * @route GET /api/v1/admin/jobs
+ * @access Admin
+ */
+const getJobs = asyncHandler(async (req, res) => {
+	const { status, type, owner, cursor } = req.query
+	const { page, limit } = parsePagination(req.query)
+
+	// Validate filters
+	if (status && !JOB_STATUSES.includes(status)) {
+		throw new ApiError(400, `Invalid status. Allowed values: ${JOB_STATUSES.join(', ')}`)
+	}
+
+	const jobTypes = Object.values(JOB_TYPES)
+	if (type && !jobTypes.includes(type)) {
+		throw new ApiError(400, `Invalid type. Allowed values: ${jobTypes.join(', ')}`)
+	}
+
+	if (owner && !isValidObjectId(owner)) {
+		throw new ApiError(400, 'Invalid owner ID format.')
+	}
+
+	try {
+		const jobs = await paginateAggregate(
+			Job,
+			[
+				{
+					$match: {
+						...(status && { status }),
+						...(type && { type }),
+						...(owner && { owner: new mongoose.Types.ObjectId(owner) }),
+					},
+				},
+			],
+			{ page, limit, cursor, label: 'jobs' }
+		)
+
+		res.status(200).json(new ApiResponse(200, jobs, 'Jobs fetched successfully.'))
+	} catch (error) {
+		if (error instanceof ApiError) {
+			throw error
+		}
+		throw new ApiError(500, 'Failed to fetch jobs. Please try again.')
+	}
+})
+
+/**
+ * Queue a dead-lettered job again with a fresh set of attempts
+ * @route POST /api/v1/admin/jobs/:jobId/retry
+ * @access Admin
+ */
+const retryJob = asyncHandler(async (req, res) => {
+	const { jobId } = req.params
+
+	// Validate job ID format
+	if (!isValidObjectId(jobId)) {
+		throw new ApiError(400, 'Invalid job ID format.')
+	}
+
+	const job = await retryDeadJob(jobId)
+	if (!job) {
+		throw new ApiError(404, 'Dead-lettered job not found.')
+	}
+
+	try {
+		await recordAuditLog(req, {
+			action: 'job.retry',
+			targetType: 'job',
+			targetId: job._id,
+			metadata: { type: job.type, lastError: job.lastError },
+		})
+	} catch (error) {
+		throw new ApiError(500, 'Job was queued again but the action could not be recorded.')
+	}
+
+	res
+		.status(200)
+		.json(
+			new ApiResponse(
+				200,
+				{ jobId: job._id, status: job.status, runAt: job.runAt },
+				'Job queued again successfully.'
+			)
+		)
+})
+
+export {
+	listUsers,
+	suspendUser,
+	banUser,
+	reinstateUser,
+	updateUserRole,
+	forceUnpublishVideo,
+	unlockVideo,
+	removeComment,
+	removeTweet,
+	getAuditLogs,
+	getReportQueue,
+	resolveReports,
+	getJobs,
+	retryJob,
+}
@@ -1,26 +1,127 @@
 import mongoose from 'mongoose'
-import { Video, Comment, Like } from '../models/index.js'
-import { asyncHandler, ApiError, ApiResponse, paginateArray } from '../utils/index.js'
+import { Video, Tweet, Comment, Like, Notification } from '../models/index.js'
+import {
+	asyncHandler,
+	ApiError,
+	ApiResponse,
+	paginateAggregate,
+	buildReactionStages,
+	buildLikeCountStages,
+	notifyUsers,
+	publishVideoCounters,
+	canWatchVideo,
+} from '../utils/index.js'
 
 /**
- * Get paginated comments for a specific video with user details and like counts
- * @route GET /api/v1/comments/:videoId
- * @access Public
+ * Announces the current comment count of a video to the clients watching it
+ * @desc Replies are counted, "[deleted]" placeholders and hidden comments are not
+ * @param {Object} videoId - Video ID
+ * @returns {Promise<void>}
  */
-const getVideoComments = asyncHandler(async (req, res) => {
-	const { videoId } = req.params
-	const { page = 1, limit = 10, sortBy = 'createdAt', sortType = 'desc' } = req.query
+const publishCommentCount = async videoId => {
+	try {
+		const commentsCount = await Comment.countDocuments({
+			video: videoId,
+			isDeleted: false,
+			isHidden: { $ne: true },
+		})
+		publishVideoCounters(videoId, { commentsCount })
+	} catch (error) {
+		console.warn(`Failed to publish comment count of video ${videoId}:`, error)
+	}
+}
 
-	// Validate video ID format
-	if (!mongoose.Types.ObjectId.isValid(videoId)) {
-		throw new ApiError(400, 'Invalid video id format.')
+/**
+ * Builds the page stages shared by comment and reply listings
+ * Attaches owner details, reaction counts, the viewer's reaction and the reply count
+ * @param {Object} viewerId - ObjectId of the current user (optional)
+ * @returns {Array} Aggregation stages
+ */
+const buildCommentPageStages = viewerId => [
+	{
+		// Lookup user details for comment owner
+		$lookup: {
+			from: 'users',
+			localField: 'owner',
+			foreignField: '_id',
+			as: 'owner',
+			pipeline: [
+				{
+					$project: {
+						_id: 1,
+						username: 1,
+						fullName: 1,
+						avatar: 1,
+					},
+				},
+			],
+		},
+	},
+	{
+		// Convert owner array to object, placeholders of deleted comments have no owner
+		$addFields: { owner: { $ifNull: [{ $first: '$owner' }, null] } },
+	},
+	// Per-type reaction counts and the viewer's reaction
+	...buildReactionStages('comment', viewerId),
+	{
+		// Count visible replies of top-level comments
+		$lookup: {
+			from: 'comments',
+			localField: '_id',
+			foreignField: 'parentComment',
+			as: 'replyCount',
+			pipeline: [{ $match: { isHidden: { $ne: true } } }, { $count: 'count' }],
+		},
+	},
+	{
+		$addFields: {
+			likeCount: '$reactionCounts.like',
+			dislikeCount: '$reactionCounts.dislike',
+			replyCount: { $ifNull: [{ $arrayElemAt: ['$replyCount.count', 0] }, 0] },
+		},
+	},
+]
+
+/**
+ * Validates and trims comment content from the request body
+ * @param {string} content - Raw comment content
+ * @returns {string} Trimmed content
+ * @throws {ApiError} When the content is missing, empty or too long
+ */
+const validateCommentContent = content => {
+	if (!content || typeof content !== 'string') {
+		throw new ApiError(400, 'Content is required and must be a string.')
+	}
+
+	const trimmedContent = content.trim()
+
+	if (!trimmedContent) {
+		throw new ApiError(400, 'Content cannot be empty.')
+	}
+
+	if (trimmedContent.length > 1000) {
+		throw new ApiError(400, 'Comment content cannot exceed 1000 characters.')
 	}
 
+	return trimmedContent
+}
+
+/**
+ * Paginates the top-level comments of a video or tweet
+ * @param {Object} target - Target filter, e.g. { video: ObjectId }
+ * @param {Object} query - Pagination and sort query parameters
+ * @param {Object} viewerId - ObjectId of the current user (optional)
+ * @returns {Promise<Object>} Paginated comments with user details, reaction and reply counts
+ * @throws {ApiError} When pagination or sort parameters are invalid
+ */
+const paginateTopLevelComments = async (target, query, viewerId) => {
+	const { page = 1, limit = 10, sortBy = 'createdAt', sortType = 'desc', cursor } = query
+
 	// Validate pagination parameters
 	const pageNum = parseInt(page)
 	const limitNum = parseInt(limit)
 
-	if (pageNum < 1 || limitNum < 1 || limitNum > 100) {
+	if (isNaN(pageNum) || isNaN(limitNum) || pageNum < 1 || limitNum < 1 || limitNum > 100) {
 		throw new ApiError(
 			400,
 			'Invalid pagination parameters. Page must be >= 1 and limit must be between 1-100.'
@@ -39,75 +140,55 @@ const getVideoComments = asyncHandler(async (req, res) => {
 		throw new ApiError(400, `Invalid sort type. Allowed types: ${allowedSortTypes.join(', ')}`)
 	}
 
-	// Verify video exists
-	const videoExists = await Video.findById(videoId).select('_id')
-	if (!videoExists) {
-		throw new ApiError(404, 'Video not found.')
-	}
-
-	// Aggregate pipeline to fetch comments with user details and like counts
-	const comments = await Comment.aggregate([
-		{
-			// Match comments for the specific video
-			$match: {
-				video: new mongoose.Types.ObjectId(videoId),
-			},
-		},
-		{
-			// Lookup user details for comment owner
-			$lookup: {
-				from: 'users',
-				localField: 'owner',
-				foreignField: '_id',
-				as: 'owner',
-				pipeline: [
-					{
-						$project: {
-							_id: 1,
-							username: 1,
-							fullName: 1,
-							avatar: 1,
-						},
-					},
-				],
+	// Like counts are needed before pagination only when sorting by them
+	const likeCountStages = buildLikeCountStages('comment', 'likeCount')
+	const sortsByLikes = sortBy === 'likeCount'
+
+	// Paginate comments in the database and attach user details, reaction and reply counts to the page
+	return paginateAggregate(
+		Comment,
+		[
+			{
+				// Match top-level comments of the target, leaving out comments hidden by moderators
+				$match: { ...target, parentComment: null, isHidden: { $ne: true } },
 			},
-		},
-		{
-			// Convert owner array to object
-			$unwind: '$owner',
-		},
-		{
-			// Lookup like count for each comment
-			$lookup: {
-				from: 'likes',
-				localField: '_id',
-				foreignField: 'comment',
-				as: 'likeCount',
-				pipeline: [
-					{
-						$count: 'count',
-					},
-				],
-			},
-		},
+			...(sortsByLikes ? likeCountStages : []),
+		],
 		{
-			// Add likeCount field with default value 0
-			$addFields: {
-				likeCount: {
-					$ifNull: [{ $arrayElemAt: ['$likeCount.count', 0] }, 0],
-				},
-			},
-		},
-		{
-			// Sort comments based on provided parameters
-			$sort: {
-				[sortBy]: sortType === 'asc' ? 1 : -1,
-			},
-		},
-	])
+			page: pageNum,
+			limit: limitNum,
+			sortBy,
+			sortType,
+			cursor,
+			pagePipeline: buildCommentPageStages(viewerId),
+		}
+	)
+}
 
-	// Apply pagination to the results
-	const paginatedComments = paginateArray(comments, pageNum, limitNum)
+/**
+ * Get paginated top-level comments for a specific video with user details, reaction and reply counts
+ * @route GET /api/v1/comments/:videoId
+ * @access Public
+ */
+const getVideoComments = asyncHandler(async (req, res) => {
+	const { videoId } = req.params
+
+	// Validate video ID format
+	if (!mongoose.Types.ObjectId.isValid(videoId)) {
+		throw new ApiError(400, 'Invalid video id format.')
+	}
+
+	// Verify video exists and is watchable by the viewer
+	const video = await Video.findById(videoId).select('_id owner visibility isHidden')
+	if (!video || !canWatchVideo(video, req.user?._id)) {
+		throw new ApiError(404, 'Video not found.')
+	}
+
+	const paginatedComments = await paginateTopLevelComments(
+		{ video: video._id },
+		req.query,
+		req.user?._id
+	)
 
 	return res
 		.status(200)
@@ -130,34 +211,19 @@ const addComment = asyncHandler(async (req, res) => {
 	}
 
 	// Validate and sanitize content
-	if (!content || typeof content !== 'string') {
-		throw new ApiError(400, 'Content is required and must be a string.')
-	}
-
-	const trimmedContent = content.trim()
-
-	if (!trimmedContent) {
-		throw new ApiError(400, 'Content cannot be empty.')
-	}
-
-	if (trimmedContent.length > 1000) {
-		throw new ApiError(400, 'Comment content cannot exceed 1000 characters.')
-	}
+	const trimmedContent = validateCommentContent(content)
 
 	// Verify video exists and is not deleted
-	const video = await Video.findById(videoId).select('_id isPublished')
-	if (!video) {
+	const video = await Video.findById(videoId).select('_id owner visibility isHidden')
+	if (!video || !canWatchVideo(video, userId)) {
 		throw new ApiError(404, 'Video not found.')
 	}
 
-	if (!video.isPublished) {
-		throw new ApiError(403, 'Cannot comment on unpublished video.')
-	}
-
 	// Check if user has already commented (if business logic requires unique comments per user)
 	const alreadyCommented = await Comment.findOne({
 		owner: userId,
 		video: videoId,
+		parentComment: null,
 	})
 
 	if (alreadyCommented) {
@@ -171,6 +237,16 @@ const addComment = asyncHandler(async (req, res) => {
 		video: videoId,
 	})
 
+	// Notify the video creator
+	await notifyUsers({
+		recipients: [video.owner],
+		actor: userId,
+		type: 'comment',
+		video: video._id,
+		comment: comment._id,
+	})
+	await publishCommentCount(video._id)
+
 	// Populate owner details for response
 	await comment.populate('owner', 'username fullName avatar')
 
@@ -178,11 +254,155 @@ const addComment = asyncHandler(async (req, res) => {
 })
 
 /**
- * Update an existing comment
- * @route PATCH /api/v1/comments/:commentId
+ * Get paginated top-level comments for a specific tweet with user details, reaction and reply counts
+ * @route GET /api/v1/comments/tweet/:tweetId
+ * @access Public
+ */
+const getTweetComments = asyncHandler(async (req, res) => {
+	const { tweetId } = req.params
+
+	// Validate tweet ID format
+	if (!mongoose.Types.ObjectId.isValid(tweetId)) {
+		throw new ApiError(400, 'Invalid tweet id format.')
+	}
+
+	// Verify tweet exists, comments of a hidden tweet are hidden with it
+	const tweet = await Tweet.findById(tweetId).select('_id isHidden')
+	if (!tweet || tweet.isHidden) {
+		throw new ApiError(404, 'Tweet not found.')
+	}
+
+	const paginatedComments = await paginateTopLevelComments(
+		{ tweet: tweet._id },
+		req.query,
+		req.user?._id
+	)
+
+	return res
+		.status(200)
+		.json(new ApiResponse(200, paginatedComments, 'Comments fetched successfully.'))
+})
+
+/**
+ * Add a new comment to a tweet
+ * @route POST /api/v1/comments/tweet/:tweetId
  * @access Private
  */
-const updateComment = asyncHandler(async (req, res) => {
+const addTweetComment = asyncHandler(async (req, res) => {
+	const { tweetId } = req.params
+	const { content } = req.body
+	const userId = req.user._id
+
+	// Validate tweet ID format
+	if (!mongoose.Types.ObjectId.isValid(tweetId)) {
+		throw new ApiError(400, 'Invalid tweet id format.')
+	}
+
+	// Validate and sanitize content
+	const trimmedContent = validateCommentContent(content)
+
+	// Verify tweet exists and is not hidden
+	const tweet = await Tweet.findById(tweetId).select('_id owner isHidden')
+	if (!tweet || tweet.isHidden) {
+		throw new ApiError(404, 'Tweet not found.')
+	}
+
+	// Create new comment
+	const comment = await Comment.create({
+		content: trimmedContent,
+		owner: userId,
+		tweet: tweet._id,
+	})
+
+	// Notify the tweet author
+	await notifyUsers({
+		recipients: [tweet.owner],
+		actor: userId,
+		type: 'comment',
+		tweet: tweet._id,
+		comment: comment._id,
+	})
+
+	// Populate owner details for response
+	await comment.populate('owner', 'username fullName avatar')
+
+	return res.status(201).json(new ApiResponse(201, comment, 'Comment added successfully.'))
+})
+
+/**
+ * Get paginated replies of a comment with user details and reaction counts
+ * @route GET /api/v1/comments/id/:commentId/replies
+ * @access Public
+ */
+const getCommentReplies = asyncHandler(async (req, res) => {
+	const { commentId } = req.params
+	const { page = 1, limit = 10, sortType = 'asc', cursor } = req.query
+
+	// Validate comment ID format
+	if (!mongoose.Types.ObjectId.isValid(commentId)) {
+		throw new ApiError(400, 'Invalid comment id format.')
+	}
+
+	// Validate pagination parameters
+	const pageNum = parseInt(page)
+	const limitNum = parseInt(limit)
+
+	if (isNaN(pageNum) || isNaN(limitNum) || pageNum < 1 || limitNum < 1 || limitNum > 100) {
+		throw new ApiError(
+			400,
+			'Invalid pagination parameters. Page must be >= 1 and limit must be between 1-100.'
+		)
+	}
+
+	// Validate sort type
+	const allowedSortTypes = ['asc', 'desc']
+
+	if (!allowedSortTypes.includes(sortType)) {
+		throw new ApiError(400, `Invalid sort type. Allowed types: ${allowedSortTypes.join(', ')}`)
+	}
+
+	// Verify parent comment exists, replies of a hidden comment are hidden with it
+	const parentComment = await Comment.findById(commentId).select('_id video isHidden')
+	if (!parentComment || parentComment.isHidden) {
+		throw new ApiError(404, 'Comment not found.')
+	}
+
+	// Replies on a video are only readable by viewers who may watch it
+	if (parentComment.video) {
+		const video = await Video.findById(parentComment.video).select('owner visibility isHidden')
+		if (!video || !canWatchVideo(video, req.user?._id)) {
+			throw new ApiError(404, 'Comment not found.')
+		}
+	}
+
+	// Replies are listed oldest first by default so conversations read top to bottom
+	const paginatedReplies = await paginateAggregate(
+		Comment,
+		[{ $match: { parentComment: parentComment._id, isHidden: { $ne: true } } }],
+		{
+			page: pageNum,
+			limit: limitNum,
+			sortBy: 'createdAt',
+			sortType,
+			cursor,
+			label: 'replies',
+			pagePipeline: buildCommentPageStages(req.user?._id),
+		}
+	)
+
+	return res
+		.status(200)
+		.json(new ApiResponse(200, paginatedReplies, 'Replies fetched successfully.'))
+})
+
+/**
+ * Reply to a comment
+ * @desc Replies to a reply are attached to its top-level comment, so threads are one level deep
+ * @desc The author of the parent comment and the creator of the video or tweet are notified
+ * @route POST /api/v1/comments/id/:commentId/replies
+ * @access Private
+ */
+const addCommentReply = asyncHandler(async (req, res) => {
 	const { commentId } = req.params
 	const { content } = req.body
 	const userId = req.user._id
@@ -193,23 +413,92 @@ const updateComment = asyncHandler(async (req, res) => {
 	}
 
 	// Validate and sanitize content
-	if (!content || typeof content !== 'string') {
-		throw new ApiError(400, 'Content is required and must be a string.')
+	const trimmedContent = validateCommentContent(content)
+
+	// Verify the replied-to comment exists and still accepts replies
+	const repliedTo = await Comment.findById(commentId).select(
+		'owner video tweet parentComment isDeleted isHidden'
+	)
+	if (!repliedTo || repliedTo.isHidden) {
+		throw new ApiError(404, 'Comment not found.')
 	}
 
-	const trimmedContent = content.trim()
+	if (repliedTo.isDeleted) {
+		throw new ApiError(400, 'Cannot reply to a deleted comment.')
+	}
 
-	if (!trimmedContent) {
-		throw new ApiError(400, 'Content cannot be empty.')
+	// Verify the commented video or tweet still exists
+	let target
+	let creatorId
+
+	if (repliedTo.tweet) {
+		const tweet = await Tweet.findById(repliedTo.tweet).select('_id owner isHidden')
+		if (!tweet || tweet.isHidden) {
+			throw new ApiError(404, 'Tweet not found.')
+		}
+
+		target = { tweet: tweet._id }
+		creatorId = tweet.owner
+	} else {
+		const video = await Video.findById(repliedTo.video).select('_id owner visibility isHidden')
+		if (!video || !canWatchVideo(video, req.user._id)) {
+			throw new ApiError(404, 'Video not found.')
+		}
+
+		target = { video: video._id }
+		creatorId = video.owner
 	}
 
-	if (trimmedContent.length > 1000) {
-		throw new ApiError(400, 'Comment content cannot exceed 1000 characters.')
+	const parentCommentId = repliedTo.parentComment || repliedTo._id
+
+	// Create the reply
+	const reply = await Comment.create({
+		content: trimmedContent,
+		owner: userId,
+		...target,
+		parentComment: parentCommentId,
+	})
+
+	// Notify the replied-to author and the creator of the video or tweet
+	await notifyUsers({
+		recipients: [repliedTo.owner, creatorId],
+		actor: userId,
+		type: 'comment_reply',
+		...target,
+		comment: reply._id,
+	})
+
+	if (target.video) {
+		await publishCommentCount(target.video)
 	}
 
+	// Populate owner details for response
+	await reply.populate('owner', 'username fullName avatar')
+
+	return res.status(201).json(new ApiResponse(201, reply, 'Reply added successfully.'))
+})
+
+/**
+ * Update an existing comment
+ * @route PATCH /api/v1/comments/:commentId
+ * @access Private
+ */
+const updateComment = asyncHandler(async (req, res) => {
+	const { commentId } = req.params
+	const { content } = req.body
+	const userId = req.user._id
+
+	// Validate comment ID format
+	if (!mongoose.Types.ObjectId.isValid(commentId)) {
+		throw new ApiError(400, 'Invalid comment id format.')
+	}
+
+	// Validate and sanitize content
+	const trimmedContent = validateCommentContent(content)
+
 	// Find comment and verify ownership
 	const comment = await Comment.findById(commentId)
-	if (!comment) {
+	if (!comment || comment.isDeleted) {
 		throw new ApiError(404, 'Comment not found.')
 	}
 
@@ -242,43 +531,81 @@ const deleteComment = asyncHandler(async (req, res) => {
 		throw new ApiError(400, 'Invalid comment id format.')
 	}
 
-	// Find comment with video details
-	const comment = await Comment.findById(commentId).populate('video', 'owner')
-	if (!comment) {
+	// Find comment with video or tweet details
+	const comment = await Comment.findById(commentId)
+		.populate('video', 'owner')
+		.populate('tweet', 'owner')
+	if (!comment || comment.isDeleted) {
 		throw new ApiError(404, 'Comment not found.')
 	}
 
-	// Verify video still exists
-	if (!comment.video) {
+	// A populated target is null when its document no longer exists, an unset target stays undefined
+	const commentedContent = comment.video || comment.tweet
+	const contentLabel = comment.tweet !== undefined ? 'tweet' : 'video'
+
+	// Verify video or tweet still exists
+	if (!commentedContent) {
 		console.warn(`Orphaned comment found: ${comment._id}`)
 		if (comment.owner.toString() !== userId.toString()) {
 			throw new ApiError(403, 'You are not authorized to delete this comment.')
 		}
-		await Comment.findByIdAndDelete(comment._id)
+		await Comment.deleteMany({ $or: [{ _id: comment._id }, { parentComment: comment._id }] })
 		return res
 			.status(200)
-			.json(new ApiResponse(200, null, 'Associated video not found. Comment has been removed.'))
+			.json(
+				new ApiResponse(
+					200,
+					null,
+					`Associated ${contentLabel} not found. Comment has been removed.`
+				)
+			)
 	}
 
-	const videoOwnerId = comment.video.owner
+	const contentOwnerId = commentedContent.owner
 	const commentOwnerId = comment.owner
 
-	// Check authorization - comment owner or video owner can delete
+	// Check authorization - comment owner or video/tweet owner can delete
 	const isCommentOwner = commentOwnerId.toString() === userId.toString()
-	const isVideoOwner = videoOwnerId.toString() === userId.toString()
+	const isContentOwner = contentOwnerId.toString() === userId.toString()
 
-	if (!isCommentOwner && !isVideoOwner) {
+	if (!isCommentOwner && !isContentOwner) {
 		throw new ApiError(
 			403,
-			'You are not authorized to delete this comment. Only the comment author or video owner can delete comments.'
+			`You are not authorized to delete this comment. Only the comment author or ${contentLabel} owner can delete comments.`
 		)
 	}
 
-	// Delete the comment
-	await Comment.deleteOne({ _id: commentId })
-	await Like.deleteMany({ comment: commentId })
+	// Delete the comment, a top-level comment with replies is kept as a "[deleted]" placeholder
+	const { deletedIds, placeholderIds } = await Comment.deleteWithReplyPolicy({ _id: comment._id })
+	await Like.deleteMany({ comment: { $in: [...deletedIds, ...placeholderIds] } })
+	await Notification.deleteMany({ comment: { $in: deletedIds } })
 
-	return res.status(200).json(new ApiResponse(200, null, 'Comment deleted successfully.'))
+	if (comment.video) {
+		await publishCommentCount(comment.video._id)
+	}
+
+	const isPlaceholder = placeholderIds.length > 0
+
+	return res
+		.status(200)
+		.json(
+			new ApiResponse(
+				200,
+				{ commentId: comment._id, isPlaceholder },
+				isPlaceholder
+					? 'Comment deleted successfully. A placeholder is kept for its replies.'
+					: 'Comment deleted successfully.'
+			)
+		)
 })
 
-export { getVideoComments, addComment, updateComment, deleteComment }
+export {
+	getVideoComments,
+	addComment,
+	getTweetComments,
+	addTweetComment,
+	getCommentReplies,
+	addCommentReply,
+	updateComment,
+	deleteComment,
+}
@@ -1,9 +1,16 @@
 import mongoose from 'mongoose'
 import { Video, Subscription, Like } from '../models/index.js'
-import { asyncHandler, ApiError, ApiResponse } from '../utils/index.js'
+import {
+	asyncHandler,
+	ApiError,
+	ApiResponse,
+	paginateAggregate,
+	buildLikeCountStages,
+} from '../utils/index.js'
+import { VIDEO_VISIBILITIES } from '../constants.js'
 
 /**
- * Get channel statistics including total views, subscribers, videos, and likes
+ * Get channel statistics including total views, subscribers, videos, likes and dislikes
  * @route GET /api/v1/dashboard/stats
  * @access Private
  */
@@ -38,11 +45,20 @@ const getChannelStats = asyncHandler(async (req, res) => {
 		// Get all video IDs for like count calculation
 		const videoIds = videos.map(video => video._id)
 
-		// Count total likes across all videos of the channel
+		// Count total likes and dislikes across all videos of the channel
 		const totalLikes =
 			videoIds.length > 0
 				? await Like.countDocuments({
 						video: { $in: videoIds },
+						type: 'like',
+				  })
+				: 0
+
+		const totalDislikes =
+			videoIds.length > 0
+				? await Like.countDocuments({
+						video: { $in: videoIds },
+						type: 'dislike',
 				  })
 				: 0
 
@@ -52,6 +68,7 @@ const getChannelStats = asyncHandler(async (req, res) => {
 			totalSubscribers,
 			totalVideos,
 			totalLikes,
+			totalDislikes,
 		}
 
 		// Return successful response
@@ -68,11 +85,21 @@ const getChannelStats = asyncHandler(async (req, res) => {
 })
 
 /**
- * Get all ONLY PUBLISHED videos uploaded by the channel with details
+ * Get paginated videos uploaded by the channel with details
+ * Public, unlisted and scheduled videos by default, other private videos on request
  * @route GET /api/v1/dashboard/videos
  * @access Private
  */
 const getChannelVideos = asyncHandler(async (req, res) => {
+	const {
+		page = 1,
+		limit = 10,
+		sortBy = 'createdAt',
+		sortType = 'desc',
+		cursor,
+		visibility,
+	} = req.query
+
 	// Validate user authentication
 	if (!req.user?._id) {
 		throw new ApiError(401, 'User not authenticated')
@@ -85,22 +112,86 @@ const getChannelVideos = asyncHandler(async (req, res) => {
 		throw new ApiError(400, 'Invalid user ID format')
 	}
 
-	try {
-		// Fetch all videos belonging to the channel with populated owner details
-		const videos = await Video.find({ owner, isPublished: true })
-			.populate('owner', 'username avatar fullName') // Added fullName for better user info
-			.sort({ createdAt: -1 }) // Sort by newest first
-			.lean() // Use lean() for better performance when no document modification needed
-
-		// Check if any videos exist
-		if (!videos || videos.length === 0) {
-			return res.status(200).json(new ApiResponse(200, [], 'No videos found for this channel'))
+	// Validate pagination parameters
+	const pageNum = parseInt(page)
+	const limitNum = parseInt(limit)
+
+	if (isNaN(pageNum) || isNaN(limitNum) || pageNum < 1 || limitNum < 1 || limitNum > 100) {
+		throw new ApiError(
+			400,
+			'Invalid pagination parameters. Page must be >= 1 and limit must be between 1-100'
+		)
+	}
+
+	// Validate sort parameters
+	const allowedSortFields = ['createdAt', 'views', 'likesCount', 'publishAt']
+	if (!allowedSortFields.includes(sortBy)) {
+		throw new ApiError(400, `Invalid sort field. Allowed fields: ${allowedSortFields.join(', ')}`)
+	}
+
+	if (!['asc', 'desc'].includes(sortType)) {
+		throw new ApiError(400, 'sortType must be either "asc" or "desc"')
+	}
+
+	// Validate visibility filter, 'scheduled' lists private videos waiting for their publishAt
+	const allowedVisibilities = [...VIDEO_VISIBILITIES, 'scheduled', 'all']
+	if (visibility && !allowedVisibilities.includes(visibility)) {
+		throw new ApiError(400, `Invalid visibility. Allowed values: ${allowedVisibilities.join(', ')}`)
+	}
+
+	let visibilityMatch = { visibility }
+	if (visibility === 'all') {
+		visibilityMatch = {}
+	} else if (visibility === 'scheduled') {
+		visibilityMatch = { publishAt: { $exists: true } }
+	} else if (!visibility) {
+		visibilityMatch = {
+			$or: [{ visibility: { $ne: 'private' } }, { publishAt: { $exists: true } }],
 		}
+	}
+
+	// Like counts are needed before pagination only when sorting by them
+	const likesCountStages = buildLikeCountStages('video', 'likesCount')
+	const sortsByLikes = sortBy === 'likesCount'
+
+	try {
+		// Paginate videos belonging to the channel with populated owner details
+		const paginatedVideos = await paginateAggregate(
+			Video,
+			[
+				{ $match: { owner: new mongoose.Types.ObjectId(owner), ...visibilityMatch } },
+				...(sortsByLikes ? likesCountStages : []),
+			],
+			{
+				page: pageNum,
+				limit: limitNum,
+				sortBy,
+				sortType,
+				cursor,
+				label: 'videos',
+				pagePipeline: [
+					...(sortsByLikes ? [] : likesCountStages),
+					{
+						$lookup: {
+							from: 'users',
+							localField: 'owner',
+							foreignField: '_id',
+							as: 'owner',
+							pipeline: [{ $project: { username: 1, avatar: 1, fullName: 1 } }],
+						},
+					},
+					{ $addFields: { owner: { $first: '$owner' } } },
+				],
+			}
+		)
+
+		const message =
+			paginatedVideos.videos.length === 0
+				? 'No videos found for this channel'
+				: `${paginatedVideos.videos.length} video(s) fetched successfully`
 
 		// Return successful response with videos
-		res
-			.status(200)
-			.json(new ApiResponse(200, videos, `${videos.length} video(s) fetched successfully`))
+		res.status(200).json(new ApiResponse(200, paginatedVideos, message))
 	} catch (error) {
 		// Handle database errors
 		if (error instanceof ApiError) {
@@ -0,0 +1,123 @@
+import { isValidObjectId } from 'mongoose'
+import { Video } from '../models/index.js'
+import { EVENT_STREAM } from '../constants.js'
+import {
+	asyncHandler,
+	ApiError,
+	getEventBus,
+	userChannel,
+	videoChannel,
+	buildWatchableVideoMatch,
+} from '../utils/index.js'
+
+/**
+ * Parses the IDs of the videos whose counters the client wants to follow
+ * @param {string|Array} videoIds - Comma-separated IDs or repeated query parameter
+ * @returns {Array} Unique video IDs
+ * @throws {ApiError} When an ID is invalid or too many videos are requested
+ */
+const parseWatchedVideoIds = (videoIds = []) => {
+	const ids = [
+		...new Set(
+			[videoIds]
+				.flat()
+				.flatMap(value => String(value).split(','))
+				.map(id => id.trim())
+				.filter(Boolean)
+		),
+	]
+
+	if (ids.some(id => !isValidObjectId(id))) {
+		throw new ApiError(400, 'Invalid video ID format in videoIds.')
+	}
+
+	if (ids.length > EVENT_STREAM.MAX_WATCHED_VIDEOS) {
+		throw new ApiError(
+			400,
+			`Cannot watch more than ${EVENT_STREAM.MAX_WATCHED_VIDEOS} videos on one stream.`
+		)
+	}
+
+	return ids
+}
+
+/**
+ * Formats an event in the Server-Sent Events wire format
+ * @param {Object} event - Event with type, data and an optional ID
+ * @returns {string} Serialized event
+ */
+const formatEvent = ({ id, type, data }) =>
+	`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`
+
+/**
+ * Open a real-time event stream for the current user
+ * @desc Pushes 'notification' events for new notifications of the user
+ * @desc Pushes 'counters' events when like, dislike, comment or view counts of watched videos change
+ * @desc Reconnecting clients sending Last-Event-ID receive the events they missed, or a 'resync'
+ * event when the ID is outside the replay window and state must be refetched
+ * @route GET /api/v1/events
+ * @access Private
+ */
+const streamEvents = asyncHandler(async (req, res) => {
+	const userId = req.user._id
+	const requestedVideoIds = parseWatchedVideoIds(req.query.videoIds)
+	// EventSource sends the header on reconnect, the query parameter helps clients that cannot
+	const lastEventId = req.header('Last-Event-ID') || req.query.lastEventId
+
+	// Private and hidden videos can only be watched by their owner
+	let videoIds = []
+
+	if (requestedVideoIds.length > 0) {
+		try {
+			videoIds = await Video.find({
+				_id: { $in: requestedVideoIds },
+				...buildWatchableVideoMatch(userId),
+			}).distinct('_id')
+		} catch (error) {
+			throw new ApiError(500, 'Failed to open event stream. Please try again.')
+		}
+	}
+
+	const channels = [userChannel(userId), ...videoIds.map(videoId => videoChannel(videoId))]
+	const eventBus = getEventBus()
+
+	res.status(200).set({
+		'Content-Type': 'text/event-stream',
+		'Cache-Control': 'no-cache',
+		Connection: 'keep-alive',
+		'X-Accel-Buffering': 'no', // Disable proxy buffering (nginx)
+	})
+	res.flushHeaders()
+	res.write(`retry: ${EVENT_STREAM.RETRY_MS}\n\n`)
+
+	const send = event => res.write(formatEvent(event))
+	const unsubscribe = eventBus.subscribe(channels, send)
+
+	// Replay missed events before anything new is written
+	if (lastEventId) {
+		const missedEvents = eventBus.replaySince(channels, lastEventId)
+
+		if (missedEvents) {
+			missedEvents.forEach(send)
+		} else {
+			send({ type: 'resync', data: { reason: 'Last-Event-ID is outside the replay window.' } })
+		}
+	}
+
+	send({
+		type: 'ready',
+		data: { userId, videoIds, heartbeatIntervalMs: EVENT_STREAM.HEARTBEAT_INTERVAL_MS },
+	})
+
+	// Comment lines keep the connection alive without triggering client event handlers
+	const heartbeat = setInterval(() => {
+		res.write(': heartbeat\n\n')
+	}, EVENT_STREAM.HEARTBEAT_INTERVAL_MS)
+
+	req.on('close', () => {
+		clearInterval(heartbeat)
+		unsubscribe()
+	})
+})
+
+export { streamEvents }
@@ -0,0 +1,111 @@
+import { Video, Tweet, Subscription } from '../models/index.js'
+import {
+	asyncHandler,
+	ApiError,
+	ApiResponse,
+	paginateAggregate,
+	buildMixedReactionStages,
+	buildListedVideoMatch,
+} from '../utils/index.js'
+
+const FEED_TYPES = ['all', 'videos', 'tweets']
+
+/**
+ * Get the subscription feed of the current user
+ * @desc Reverse-chronological mix of public videos and tweets from subscribed channels
+ * @desc Each item carries its kind ('video' or 'tweet'), owner details and the viewer's reaction
+ * @route GET /api/v1/feed/subscriptions
+ * @access Private
+ */
+const getSubscriptionFeed = asyncHandler(async (req, res) => {
+	const { type = 'all', page = 1, limit = 20, cursor } = req.query
+
+	// Validate feed type
+	if (!FEED_TYPES.includes(type)) {
+		throw new ApiError(400, `Invalid feed type. Allowed types: ${FEED_TYPES.join(', ')}`)
+	}
+
+	// Validate pagination parameters
+	const pageNum = parseInt(page)
+	const limitNum = parseInt(limit)
+
+	if (isNaN(pageNum) || isNaN(limitNum) || pageNum < 1 || limitNum < 1 || limitNum > 50) {
+		throw new ApiError(
+			400,
+			'Invalid pagination parameters. Page must be >= 1 and limit must be between 1-50.'
+		)
+	}
+
+	try {
+		const channelIds = await Subscription.find({ subscriber: req.user._id }).distinct('channel')
+
+		const videoStages = [
+			{ $match: { owner: { $in: channelIds }, ...buildListedVideoMatch() } },
+			{ $addFields: { kind: 'video' } },
+		]
+		const tweetStages = [
+			{ $match: { owner: { $in: channelIds }, isHidden: { $ne: true } } },
+			{ $addFields: { kind: 'tweet' } },
+		]
+
+		// Videos and tweets are merged into one stream before sorting and pagination
+		let model = Video
+		let pipeline = [...videoStages, { $unionWith: { coll: 'tweets', pipeline: tweetStages } }]
+
+		if (type === 'videos') {
+			pipeline = videoStages
+		} else if (type === 'tweets') {
+			model = Tweet
+			pipeline = tweetStages
+		}
+
+		const feed = await paginateAggregate(model, pipeline, {
+			page: pageNum,
+			limit: limitNum,
+			sortBy: 'createdAt',
+			sortType: 'desc',
+			cursor,
+			label: 'items',
+			pagePipeline: [
+				{
+					$lookup: {
+						from: 'users',
+						localField: 'owner',
+						foreignField: '_id',
+						as: 'owner',
+						pipeline: [{ $project: { _id: 1, username: 1, fullName: 1, avatar: 1 } }],
+					},
+				},
+				{ $addFields: { owner: { $first: '$owner' } } },
+				// Per-type reaction counts and the viewer's reaction
+				...buildMixedReactionStages('kind', req.user._id),
+				{ $addFields: { isLiked: { $eq: ['$userReaction', 'like'] } } },
+				{
+					$project: {
+						kind: 1,
+						title: 1,
+						description: 1,
+						thumbnail: 1,
+						duration: 1,
+						views: 1,
+						content: 1,
+						createdAt: 1,
+						owner: 1,
+						reactionCounts: 1,
+						userReaction: 1,
+						isLiked: 1,
+					},
+				},
+			],
+		})
+
+		res.status(200).json(new ApiResponse(200, feed, 'Subscription feed fetched successfully.'))
+	} catch (error) {
+		if (error instanceof ApiError) {
+			throw error
+		}
+		throw new ApiError(500, 'Failed to fetch subscription feed. Please try again.')
+	}
+})
+
+export { getSubscriptionFeed }
@@ -0,0 +1,130 @@
+import mongoose, { isValidObjectId } from 'mongoose'
+import { Job } from '../models/index.js'
+import { JOB_STATUSES } from '../constants.js'
+import {
+	asyncHandler,
+	ApiError,
+	ApiResponse,
+	paginateAggregate,
+	buildJobStatusTokenFilter,
+} from '../utils/index.js'
+
+// Job fields visible to the user who started the job, payloads and errors are internal
+const JOB_OWNER_PROJECTION = {
+	type: 1,
+	status: 1,
+	attempts: 1,
+	maxAttempts: 1,
+	runAt: 1,
+	result: 1,
+	completedAt: 1,
+	createdAt: 1,
+	updatedAt: 1,
+}
+
+/**
+ * Get background jobs started by the current user, newest first
+ * @route GET /api/v1/jobs
+ * @access Private
+ */
+const getMyJobs = asyncHandler(async (req, res) => {
+	const { page = 1, limit = 20, cursor, status } = req.query
+
+	// Validate pagination parameters
+	const pageNum = parseInt(page)
+	const limitNum = parseInt(limit)
+
+	if (isNaN(pageNum) || isNaN(limitNum) || pageNum < 1 || limitNum < 1 || limitNum > 50) {
+		throw new ApiError(
+			400,
+			'Invalid pagination parameters. Page must be >= 1 and limit must be between 1-50.'
+		)
+	}
+
+	if (status && !JOB_STATUSES.includes(status)) {
+		throw new ApiError(400, `Invalid status. Allowed values: ${JOB_STATUSES.join(', ')}`)
+	}
+
+	try {
+		const jobs = await paginateAggregate(
+			Job,
+			[
+				{
+					$match: {
+						owner: new mongoose.Types.ObjectId(req.user._id),
+						...(status && { status }),
+					},
+				},
+			],
+			{
+				page: pageNum,
+				limit: limitNum,
+				cursor,
+				label: 'jobs',
+				pagePipeline: [{ $project: JOB_OWNER_PROJECTION }],
+			}
+		)
+
+		res.status(200).json(new ApiResponse(200, jobs, 'Jobs fetched successfully.'))
+	} catch (error) {
+		if (error instanceof ApiError) {
+			throw error
+		}
+		throw new ApiError(500, 'Failed to fetch jobs. Please try again.')
+	}
+})
+
+/**
+ * Get the status of a background job started by the current user
+ * @desc Completed jobs are removed after 7 days and respond 404 afterwards
+ * @route GET /api/v1/jobs/:jobId
+ * @access Private (owner only)
+ */
+const getJobById = asyncHandler(async (req, res) => {
+	const { jobId } = req.params
+
+	// Validate job ID format
+	if (!isValidObjectId(jobId)) {
+		throw new ApiError(400, 'Invalid job ID format.')
+	}
+
+	const job = await Job.findOne({ _id: jobId, owner: req.user._id }).select(JOB_OWNER_PROJECTION)
+
+	if (!job) {
+		throw new ApiError(404, 'Job not found.')
+	}
+
+	res.status(200).json(new ApiResponse(200, job, 'Job fetched successfully.'))
+})
+
+/**
+ * Get the status of a background job with the status token returned by the request that started it
+ * @desc Lets jobs be followed once their owner is gone, e.g. the cleanup of a deleted account
+ * @route GET /api/v1/jobs/:jobId/status
+ * @access Public (status token holder only)
+ */
+const getJobStatusByToken = asyncHandler(async (req, res) => {
+	const { jobId } = req.params
+	const statusToken = req.header('Job-Status-Token')
+
+	// Validate job ID format
+	if (!isValidObjectId(jobId)) {
+		throw new ApiError(400, 'Invalid job ID format.')
+	}
+
+	if (!statusToken) {
+		throw new ApiError(401, 'Job-Status-Token header is required.')
+	}
+
+	const job = await Job.findOne(buildJobStatusTokenFilter(jobId, statusToken)).select(
+		JOB_OWNER_PROJECTION
+	)
+
+	if (!job) {
+		throw new ApiError(404, 'Job not found.')
+	}
+
+	res.status(200).json(new ApiResponse(200, job, 'Job fetched successfully.'))
+})
+
+export { getMyJobs, getJobById, getJobStatusByToken }
@@ -1,132 +1,222 @@
-import { isValidObjectId } from 'mongoose'
+import mongoose, { isValidObjectId } from 'mongoose'
 import { Video, Comment, Tweet, Like } from '../models/index.js'
-import { asyncHandler, ApiError, ApiResponse, paginateArray } from '../utils/index.js'
+import { REACTION_TYPES } from '../constants.js'
+import {
+	asyncHandler,
+	ApiError,
+	ApiResponse,
+	paginateAggregate,
+	notifyUsers,
+	retractNotifications,
+	publishVideoCounters,
+	canWatchVideo,
+	buildWatchableVideoFilterStages,
+} from '../utils/index.js'
 
 /**
- * Toggle like/dislike on a video
- * @desc If user already liked the video, it removes the like (dislike)
- * @desc If user hasn't liked the video, it adds a like
- * @route POST /api/v1/likes/toggle/v/:videoId
- * @access Private
+ * Validates the requested reaction type
+ * @param {string} type - Reaction type from request body (defaults to 'like')
+ * @returns {string} Validated reaction type
+ * @throws {ApiError} When the reaction type is not supported
  */
-const toggleVideoLike = asyncHandler(async (req, res) => {
-	const { videoId } = req.params
+const parseReactionType = (type = 'like') => {
+	if (!REACTION_TYPES.includes(type)) {
+		throw new ApiError(400, `Invalid reaction type. Allowed types: ${REACTION_TYPES.join(', ')}`)
+	}
+	return type
+}
 
-	// Validate video ID format
-	if (!videoId || !isValidObjectId(videoId)) {
-		throw new ApiError(400, 'Invalid or missing video ID.')
+/**
+ * Applies a user's reaction on a video, comment or tweet
+ * Reacting with the current type removes the reaction, a different type replaces it
+ * Changes are conditional on the reaction read first, a concurrent change makes the toggle start over
+ * The target owner is notified about new likes, and the notification is retracted when the like goes away
+ * Clients watching a video receive its new like and dislike counts
+ * @param {Object} target - Target filter, e.g. { video: ObjectId }
+ * @param {Object} likedBy - ID of the reacting user
+ * @param {string} type - Reaction type
+ * @param {Object} ownerId - ID of the owner of the target
+ * @returns {Object} Current and previous reaction of the user and per-type counts of the target
+ */
+const applyReaction = async (target, likedBy, type, ownerId) => {
+	const existingReaction = await Like.findOne({ likedBy, ...target })
+	const previousReaction = existingReaction?.type || null
+	let reaction = type
+
+	if (existingReaction && previousReaction === type) {
+		// Same reaction again removes it
+		const { deletedCount } = await Like.deleteOne({ _id: existingReaction._id, type })
+		if (!deletedCount) {
+			return applyReaction(target, likedBy, type, ownerId)
+		}
+		reaction = null
+	} else if (existingReaction) {
+		// Liking clears a dislike and vice versa
+		const { matchedCount } = await Like.updateOne(
+			{ _id: existingReaction._id, type: previousReaction },
+			{ $set: { type } }
+		)
+		if (!matchedCount) {
+			return applyReaction(target, likedBy, type, ownerId)
+		}
+	} else {
+		try {
+			await Like.create({ likedBy, ...target, type })
+		} catch (error) {
+			// A concurrent request created the reaction first, the unique index rejects a second one
+			if (error.code === 11000) {
+				return applyReaction(target, likedBy, type, ownerId)
+			}
+			throw error
+		}
 	}
 
-	// Check if video exists and is published
-	const video = await Video.findById(videoId)
-	if (!video) {
-		throw new ApiError(404, 'Video not found.')
+	// Dislikes are never announced
+	if (reaction === 'like' && previousReaction !== 'like') {
+		await notifyUsers({ recipients: [ownerId], actor: likedBy, type: 'like', ...target })
+	} else if (previousReaction === 'like') {
+		await retractNotifications({ type: 'like', actor: likedBy, ...target })
 	}
 
-	if (video.isPublished === false) {
-		throw new ApiError(403, 'Cannot like an unpublished video.')
+	const reactionCounts = await Like.countReactions(target)
+
+	if (target.video) {
+		publishVideoCounters(target.video, {
+			likesCount: reactionCounts.like,
+			dislikesCount: reactionCounts.dislike,
+		})
 	}
 
-	const likedBy = req.user._id
+	return { reaction, previousReaction, reactionCounts }
+}
 
-	// Check if user has already liked this video
-	const existingLike = await Like.findOne({ likedBy, video: videoId })
+/**
+ * Builds the response message for a reaction change
+ * @param {string} label - Target label, e.g. 'Video'
+ * @param {string|null} reaction - Current reaction after the change
+ * @returns {string} Response message
+ */
+const reactionMessage = (label, reaction) => {
+	if (reaction === 'like') return `${label} liked successfully.`
+	if (reaction === 'dislike') return `${label} disliked successfully.`
+	return `${label} reaction removed successfully.`
+}
+
+/**
+ * Toggle like/dislike on a video
+ * @desc Reacting with the same type again removes the reaction
+ * @desc Reacting with the other type switches the reaction (like <-> dislike)
+ * @route POST /api/v1/likes/toggle/video/:videoId
+ * @access Private
+ */
+const toggleVideoLike = asyncHandler(async (req, res) => {
+	const { videoId } = req.params
+	const type = parseReactionType(req.body?.type)
 
-	if (existingLike) {
-		// Remove like (dislike action)
-		await Like.deleteOne({ _id: existingLike._id })
-		return res.status(200).json(new ApiResponse(200, null, 'Video disliked successfully.'))
+	// Validate video ID format
+	if (!videoId || !isValidObjectId(videoId)) {
+		throw new ApiError(400, 'Invalid or missing video ID.')
 	}
 
-	// Add like
-	const newLike = await Like.create({ likedBy, video: videoId })
-	if (!newLike) {
-		throw new ApiError(500, 'Failed to like video. Please try again.')
+	// Check if video exists and is watchable
+	const video = await Video.findById(videoId).select('owner visibility isHidden')
+	if (!video || !canWatchVideo(video, req.user._id)) {
+		throw new ApiError(404, 'Video not found.')
 	}
 
-	res.status(201).json(new ApiResponse(201, null, 'Video liked successfully.'))
+	const result = await applyReaction(
+		{ video: new mongoose.Types.ObjectId(videoId) },
+		req.user._id,
+		type,
+		video.owner
+	)
+	const statusCode = result.reaction && !result.previousReaction ? 201 : 200
+
+	res
+		.status(statusCode)
+		.json(new ApiResponse(statusCode, result, reactionMessage('Video', result.reaction)))
 })
 
 /**
  * Toggle like/dislike on a comment
- * @desc If user already liked the comment, it removes the like (dislike)
- * @desc If user hasn't liked the comment, it adds a like
- * @route POST /api/v1/likes/toggle/c/:commentId
+ * @desc Reacting with the same type again removes the reaction
+ * @desc Reacting with the other type switches the reaction (like <-> dislike)
+ * @route POST /api/v1/likes/toggle/comment/:commentId
  * @access Private
  */
 const toggleCommentLike = asyncHandler(async (req, res) => {
 	const { commentId } = req.params
+	const type = parseReactionType(req.body?.type)
 
 	// Validate comment ID format
 	if (!commentId || !isValidObjectId(commentId)) {
 		throw new ApiError(400, 'Invalid or missing comment ID.')
 	}
 
-	// Check if comment exists
+	// Check if comment exists and is not hidden
 	const comment = await Comment.findById(commentId)
-	if (!comment) {
+	if (!comment || comment.isHidden) {
 		throw new ApiError(404, 'Comment not found.')
 	}
 
-	const likedBy = req.user._id
-
-	// Check if user has already liked this comment
-	const existingLike = await Like.findOne({ likedBy, comment: commentId })
-
-	if (existingLike) {
-		// Remove like (dislike action)
-		await Like.deleteOne({ _id: existingLike._id })
-		return res.status(200).json(new ApiResponse(200, null, 'Comment disliked successfully.'))
+	// Comments on a video can only be reacted to by users who may watch it
+	if (comment.video) {
+		const video = await Video.findById(comment.video).select('owner visibility isHidden')
+		if (!video || !canWatchVideo(video, req.user._id)) {
+			throw new ApiError(404, 'Comment not found.')
+		}
 	}
 
-	// Add like
-	const newLike = await Like.create({ likedBy, comment: commentId })
-	if (!newLike) {
-		throw new ApiError(500, 'Failed to like comment. Please try again.')
+	if (comment.isDeleted) {
+		throw new ApiError(400, 'Cannot react to a deleted comment.')
 	}
 
-	res.status(201).json(new ApiResponse(201, null, 'Comment liked successfully.'))
+	const result = await applyReaction(
+		{ comment: new mongoose.Types.ObjectId(commentId) },
+		req.user._id,
+		type,
+		comment.owner
+	)
+	const statusCode = result.reaction && !result.previousReaction ? 201 : 200
+
+	res
+		.status(statusCode)
+		.json(new ApiResponse(statusCode, result, reactionMessage('Comment', result.reaction)))
 })
 
 /**
  * Toggle like/dislike on a tweet
- * @desc If user already liked the tweet, it removes the like (dislike)
- * @desc If user hasn't liked the tweet, it adds a like
- * @route POST /api/v1/likes/toggle/t/:tweetId
+ * @desc Reacting with the same type again removes the reaction
+ * @desc Reacting with the other type switches the reaction (like <-> dislike)
+ * @route POST /api/v1/likes/toggle/tweet/:tweetId
  * @access Private
  */
 const toggleTweetLike = asyncHandler(async (req, res) => {
 	const { tweetId } = req.params
+	const type = parseReactionType(req.body?.type)
 
 	// Validate tweet ID format
 	if (!tweetId || !isValidObjectId(tweetId)) {
 		throw new ApiError(400, 'Invalid or missing tweet ID.')
 	}
 
-	// Check if tweet exists
+	// Check if tweet exists and is not hidden
 	const tweet = await Tweet.findById(tweetId)
-	if (!tweet) {
+	if (!tweet || tweet.isHidden) {
 		throw new ApiError(404, 'Tweet not found.')
 	}
 
-	const likedBy = req.user._id
-
-	// Check if user has already liked this tweet
-	const existingLike = await Like.findOne({ likedBy, tweet: tweetId })
-
-	if (existingLike) {
-		// Remove like (dislike action)
-		await Like.deleteOne({ _id: existingLike._id })
-		return res.status(200).json(new ApiResponse(200, null, 'Tweet disliked successfully.'))
-	}
-
-	// Add like
-	const newLike = await Like.create({ likedBy, tweet: tweetId })
-	if (!newLike) {
-		throw new ApiError(500, 'Failed to like tweet. Please try again.')
-	}
-
-	res.status(201).json(new ApiResponse(201, null, 'Tweet liked successfully.'))
+	const result = await applyReaction(
+		{ tweet: new mongoose.Types.ObjectId(tweetId) },
+		req.user._id,
+		type,
+		tweet.owner
+	)
+	const statusCode = result.reaction && !result.previousReaction ? 201 : 200
+
+	res
+		.status(statusCode)
+		.json(new ApiResponse(statusCode, result, reactionMessage('Tweet', result.reaction)))
 })
 
 /**
@@ -136,14 +226,14 @@ const toggleTweetLike = asyncHandler(async (req, res) => {
  * @access Private
  */
 const getLikedVideos = asyncHandler(async (req, res) => {
-	const { page = 1, limit = 10 } = req.query
+	const { page = 1, limit = 10, cursor } = req.query
 	const likedBy = req.user._id
 
 	// Validate pagination parameters
 	const pageNum = parseInt(page)
 	const limitNum = parseInt(limit)
 
-	if (pageNum < 1 || limitNum < 1) {
+	if (isNaN(pageNum) || isNaN(limitNum) || pageNum < 1 || limitNum < 1) {
 		throw new ApiError(400, 'Page and limit must be positive numbers.')
 	}
 
@@ -151,52 +241,80 @@ const getLikedVideos = asyncHandler(async (req, res) => {
 		throw new ApiError(400, 'Limit cannot exceed 50 items per page.')
 	}
 
-	// Find all video likes by the user and populate video data
-	const likes = await Like.find({
-		likedBy,
-		video: { $exists: true },
-	})
-		.populate({
-			path: 'video',
-			select: 'title description thumbnail duration views createdAt owner',
-			populate: {
-				path: 'owner',
-				select: 'username fullName avatar',
+	// Paginate video likes in the database, most recently liked first
+	const paginatedVideos = await paginateAggregate(
+		Like,
+		[
+			{
+				$match: {
+					likedBy,
+					type: 'like',
+					video: { $exists: true },
+				},
 			},
-		})
-		.sort({ createdAt: -1 })
-
-	// Filter out likes where video might have been deleted
-	const validLikes = likes.filter(like => like.video !== null)
-
-	// Extract video data from likes
-	const videos = validLikes.map(like => like.video)
-
-	// Apply pagination
-	const paginatedVideos = paginateArray(videos, pageNum, limitNum, 'videos')
-
-	// Check if any videos were found
-	if (!paginatedVideos.videos || paginatedVideos.videos.length === 0) {
-		return res.status(200).json(
-			new ApiResponse(
-				200,
+			// Videos made private since they were liked are only listed for their owner
+			...buildWatchableVideoFilterStages('video', likedBy),
+		],
+		{
+			page: pageNum,
+			limit: limitNum,
+			cursor,
+			label: 'videos',
+			pagePipeline: [
 				{
-					data: [],
-					pagination: {
-						page: pageNum,
-						limit: limitNum,
-						total: 0,
-						pages: 0,
+					// Lookup liked video details
+					$lookup: {
+						from: 'videos',
+						localField: 'video',
+						foreignField: '_id',
+						as: 'video',
+						pipeline: [
+							{
+								$project: {
+									title: 1,
+									description: 1,
+									thumbnail: 1,
+									duration: 1,
+									views: 1,
+									createdAt: 1,
+									owner: 1,
+								},
+							},
+						],
 					},
 				},
-				'No liked videos found.'
-			)
-		)
-	}
+				{
+					$unwind: '$video',
+				},
+				{
+					// Extract video data from likes
+					$replaceRoot: { newRoot: '$video' },
+				},
+				{
+					// Lookup video owner details
+					$lookup: {
+						from: 'users',
+						localField: 'owner',
+						foreignField: '_id',
+						as: 'owner',
+						pipeline: [{ $project: { username: 1, fullName: 1, avatar: 1 } }],
+					},
+				},
+				{
+					$addFields: {
+						owner: { $first: '$owner' },
+					},
+				},
+			],
+		}
+	)
+
+	const message =
+		paginatedVideos.videos.length === 0
+			? 'No liked videos found.'
+			: 'Liked videos fetched successfully.'
 
-	return res
-		.status(200)
-		.json(new ApiResponse(200, paginatedVideos, 'Liked videos fetched successfully.'))
+	return res.status(200).json(new ApiResponse(200, paginatedVideos, message))
 })
 
 export { toggleCommentLike, toggleTweetLike, toggleVideoLike, getLikedVideos }
@@ -0,0 +1,164 @@
+import mongoose, { isValidObjectId } from 'mongoose'
+import { Notification } from '../models/index.js'
+import { asyncHandler, ApiError, ApiResponse, paginateAggregate } from '../utils/index.js'
+
+/**
+ * Builds a lookup that attaches selected fields of a referenced document
+ * @param {string} from - Collection name
+ * @param {string} field - Notification field holding the reference
+ * @param {Object} projection - Fields to keep
+ * @returns {Array} Aggregation stages
+ */
+const buildReferenceStages = (from, field, projection) => [
+	{
+		$lookup: {
+			from,
+			localField: field,
+			foreignField: '_id',
+			as: field,
+			pipeline: [{ $project: projection }],
+		},
+	},
+	{ $addFields: { [field]: { $ifNull: [{ $first: `$${field}` }, null] } } },
+]
+
+/**
+ * Get paginated notifications of the current user, newest first
+ * @route GET /api/v1/notifications
+ * @access Private
+ */
+const getNotifications = asyncHandler(async (req, res) => {
+	const { page = 1, limit = 20, cursor, unread } = req.query
+
+	// Validate pagination parameters
+	const pageNum = parseInt(page)
+	const limitNum = parseInt(limit)
+
+	if (isNaN(pageNum) || isNaN(limitNum) || pageNum < 1 || limitNum < 1 || limitNum > 50) {
+		throw new ApiError(
+			400,
+			'Invalid pagination parameters. Page must be >= 1 and limit must be between 1-50.'
+		)
+	}
+
+	// Validate unread filter
+	if (unread !== undefined && !['true', 'false'].includes(unread)) {
+		throw new ApiError(400, 'unread must be a boolean value (true or false).')
+	}
+
+	try {
+		const notifications = await paginateAggregate(
+			Notification,
+			[
+				{
+					$match: {
+						recipient: new mongoose.Types.ObjectId(req.user._id),
+						...(unread === 'true' && { isRead: false }),
+					},
+				},
+			],
+			{
+				page: pageNum,
+				limit: limitNum,
+				sortBy: 'createdAt',
+				sortType: 'desc',
+				cursor,
+				label: 'notifications',
+				pagePipeline: [
+					...buildReferenceStages('users', 'actor', { username: 1, fullName: 1, avatar: 1 }),
+					...buildReferenceStages('videos', 'video', { title: 1, thumbnail: 1 }),
+					...buildReferenceStages('comments', 'comment', { content: 1 }),
+					...buildReferenceStages('tweets', 'tweet', { content: 1 }),
+					...buildReferenceStages('reports', 'report', {
+						targetType: 1,
+						target: 1,
+						reason: 1,
+						action: 1,
+					}),
+					{ $project: { recipient: 0 } },
+				],
+			}
+		)
+
+		res.status(200).json(new ApiResponse(200, notifications, 'Notifications fetched successfully.'))
+	} catch (error) {
+		if (error instanceof ApiError) {
+			throw error
+		}
+		throw new ApiError(500, 'Failed to fetch notifications. Please try again.')
+	}
+})
+
+/**
+ * Get the number of unread notifications of the current user
+ * @route GET /api/v1/notifications/unread-count
+ * @access Private
+ */
+const getUnreadNotificationCount = asyncHandler(async (req, res) => {
+	const unreadCount = await Notification.countDocuments({
+		recipient: req.user._id,
+		isRead: false,
+	})
+
+	res
+		.status(200)
+		.json(new ApiResponse(200, { unreadCount }, 'Unread notification count fetched successfully.'))
+})
+
+/**
+ * Mark a single notification as read
+ * @route PATCH /api/v1/notifications/:notificationId/read
+ * @access Private (recipient only)
+ */
+const markNotificationRead = asyncHandler(async (req, res) => {
+	const { notificationId } = req.params
+
+	// Validate notification ID format
+	if (!isValidObjectId(notificationId)) {
+		throw new ApiError(400, 'Invalid notification ID format.')
+	}
+
+	// Only the recipient can mark a notification as read
+	const notification = await Notification.findOneAndUpdate(
+		{ _id: notificationId, recipient: req.user._id },
+		{ $set: { isRead: true } },
+		{ new: true }
+	)
+
+	if (!notification) {
+		throw new ApiError(404, 'Notification not found.')
+	}
+
+	res
+		.status(200)
+		.json(new ApiResponse(200, notification, 'Notification marked as read successfully.'))
+})
+
+/**
+ * Mark all notifications of the current user as read
+ * @route PATCH /api/v1/notifications/read-all
+ * @access Private
+ */
+const markAllNotificationsRead = asyncHandler(async (req, res) => {
+	const { modifiedCount } = await Notification.updateMany(
+		{ recipient: req.user._id, isRead: false },
+		{ $set: { isRead: true } }
+	)
+
+	res
+		.status(200)
+		.json(
+			new ApiResponse(
+				200,
+				{ markedCount: modifiedCount },
+				'All notifications marked as read successfully.'
+			)
+		)
+})
+
+export {
+	getNotifications,
+	getUnreadNotificationCount,
+	markNotificationRead,
+	markAllNotificationsRead,
+}
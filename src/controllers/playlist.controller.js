@@ -1,6 +1,253 @@
 import mongoose, { isValidObjectId } from 'mongoose'
-import { Video, Playlist } from '../models/index.js'
-import { asyncHandler, ApiError, ApiResponse } from '../utils/index.js'
+import { Video, Playlist, Like } from '../models/index.js'
+import {
+	PLAYLIST_VISIBILITIES,
+	PLAYLIST_DUPLICATE_POLICIES,
+	SYSTEM_PLAYLISTS,
+} from '../constants.js'
+import {
+	asyncHandler,
+	ApiError,
+	ApiResponse,
+	notifyUsers,
+	retractNotifications,
+	publishVideoCounters,
+	canWatchVideo,
+	buildWatchableVideoMatch,
+} from '../utils/index.js'
+
+/**
+ * Resolves the requested playlist visibility
+ * @desc Accepts the legacy isPublic flag, which maps to 'public' or 'private'
+ * @param {Object} body - Request body with visibility or isPublic
+ * @returns {string|undefined} Visibility level or undefined if none was requested
+ * @throws {ApiError} When the visibility value is invalid
+ */
+const parseVisibility = ({ visibility, isPublic }) => {
+	if (visibility !== undefined) {
+		if (!PLAYLIST_VISIBILITIES.includes(visibility)) {
+			throw new ApiError(
+				400,
+				`Invalid visibility. Allowed values: ${PLAYLIST_VISIBILITIES.join(', ')}`
+			)
+		}
+		return visibility
+	}
+
+	if (isPublic !== undefined) {
+		if (![true, false, 'true', 'false'].includes(isPublic)) {
+			throw new ApiError(400, 'isPublic must be a boolean value (true or false).')
+		}
+		return isPublic === true || isPublic === 'true' ? 'public' : 'private'
+	}
+
+	return undefined
+}
+
+// Maximum number of videos per bulk add or remove request
+const MAX_BULK_VIDEOS = 100
+
+/**
+ * Validates the duplicate handling policy for adding videos
+ * @param {string} onDuplicate - Requested policy
+ * @param {string} defaultPolicy - Policy used when none is requested
+ * @returns {string} Validated policy
+ * @throws {ApiError} When the policy is not supported
+ */
+const parseDuplicatePolicy = (onDuplicate, defaultPolicy) => {
+	const policy = onDuplicate ?? defaultPolicy
+
+	if (!PLAYLIST_DUPLICATE_POLICIES.includes(policy)) {
+		throw new ApiError(
+			400,
+			`Invalid onDuplicate value. Allowed values: ${PLAYLIST_DUPLICATE_POLICIES.join(', ')}`
+		)
+	}
+
+	return policy
+}
+
+/**
+ * Validates an optional insert or move position within a playlist
+ * @param {*} position - Requested zero-based position
+ * @param {number} maxPosition - Highest allowed position
+ * @returns {number|undefined} Validated position or undefined if none was requested
+ * @throws {ApiError} When the position is not an integer within range
+ */
+const parsePosition = (position, maxPosition) => {
+	if (position === undefined || position === null || position === '') {
+		return undefined
+	}
+
+	const positionNum = Number(position)
+
+	if (!Number.isInteger(positionNum) || positionNum < 0 || positionNum > maxPosition) {
+		throw new ApiError(400, `Position must be an integer between 0 and ${maxPosition}.`)
+	}
+
+	return positionNum
+}
+
+/**
+ * Finds a playlist the current user is allowed to modify
+ * @param {string} playlistId - Playlist ID
+ * @param {Object} user - Current user
+ * @returns {Promise<Object>} Playlist document
+ * @throws {ApiError} When the playlist does not exist or belongs to another user
+ */
+const findOwnedPlaylist = async (playlistId, user) => {
+	const playlist = await Playlist.findById(playlistId)
+	if (!playlist) {
+		throw new ApiError(404, 'Playlist not found.')
+	}
+
+	// Check ownership authorization
+	if (playlist.owner.toString() !== user._id.toString()) {
+		throw new ApiError(403, 'You are not authorized to modify this playlist.')
+	}
+
+	return playlist
+}
+
+/**
+ * Checks whether a playlist already contains a video
+ * @param {Object} playlist - Playlist document
+ * @param {string} videoId - Video ID
+ * @returns {boolean} True if the video is in the playlist
+ */
+const hasVideo = (playlist, videoId) =>
+	playlist.videos.some(entry => entry.video.toString() === videoId.toString())
+
+/**
+ * Rejects direct video changes on virtual system playlists
+ * @param {Object} playlist - Playlist document
+ * @throws {ApiError} When the playlist content is derived from other collections
+ */
+const assertVideosEditable = playlist => {
+	if (SYSTEM_PLAYLISTS[playlist.systemType]?.isVirtual) {
+		throw new ApiError(
+			400,
+			`${playlist.name} cannot be edited directly. Like or unlike videos instead.`
+		)
+	}
+}
+
+/**
+ * Creates the missing system playlists of a user
+ * @desc System playlists are created lazily the first time they are needed and are private by default
+ * @param {Object} ownerId - ID of the user
+ * @returns {Promise<void>}
+ */
+const ensureSystemPlaylists = async ownerId => {
+	try {
+		await Playlist.bulkWrite(
+			Object.entries(SYSTEM_PLAYLISTS).map(([systemType, { name }]) => ({
+				updateOne: {
+					filter: { owner: ownerId, systemType },
+					update: {
+						$setOnInsert: { name, description: '', visibility: 'private', videos: [] },
+					},
+					upsert: true,
+				},
+			})),
+			{ ordered: false }
+		)
+	} catch (error) {
+		// A concurrent request already created the playlist
+		if (error.code !== 11000) {
+			throw error
+		}
+	}
+}
+
+/**
+ * Finds a system playlist of a user, creating it if needed
+ * @param {Object} ownerId - ID of the user
+ * @param {string} systemType - One of the SYSTEM_PLAYLISTS keys
+ * @returns {Promise<Object>} Playlist document
+ * @throws {ApiError} When the system type is unknown
+ */
+const findSystemPlaylist = async (ownerId, systemType) => {
+	if (!SYSTEM_PLAYLISTS[systemType]) {
+		throw new ApiError(
+			400,
+			`Invalid system playlist. Allowed values: ${Object.keys(SYSTEM_PLAYLISTS).join(', ')}`
+		)
+	}
+
+	await ensureSystemPlaylists(ownerId)
+	return Playlist.findOne({ owner: ownerId, systemType })
+}
+
+// Video fields shown on the playlist page
+const playlistVideoPopulate = {
+	select: 'title description thumbnail duration views visibility isHidden createdAt owner',
+	populate: {
+		path: 'owner',
+		select: 'username avatar',
+	},
+}
+
+/**
+ * Builds the response details of a playlist with its visible videos
+ * @desc Deleted videos and other users' private or hidden videos are left out and reported in
+ * hiddenVideosCount
+ * @desc "Liked videos" is read from the likes collection, newest like first, like getLikedVideos
+ * @param {Object} playlist - Playlist document with populated owner
+ * @param {Object} viewerId - ObjectId of the current user, whose own videos are shown (optional)
+ * @returns {Promise<Object>} Playlist details
+ */
+const buildPlaylistDetails = async (playlist, viewerId) => {
+	let entries = playlist.videos
+
+	if (playlist.systemType === 'liked-videos') {
+		const likes = await Like.find({
+			likedBy: playlist.owner._id,
+			type: 'like',
+			video: { $ne: null },
+		})
+			.sort({ createdAt: -1 })
+			.populate({ path: 'video', ...playlistVideoPopulate })
+
+		entries = likes.map(like => ({ video: like.video, addedAt: like.createdAt }))
+	} else {
+		await playlist.populate({ path: 'videos.video', ...playlistVideoPopulate })
+	}
+
+	// Deleted videos populate as null, private videos are owner only, unlisted videos are shown
+	// Positions count hidden entries so they can be passed to the move endpoint as-is
+	const visibleVideos = entries
+		.map((entry, position) => ({ entry, position }))
+		.filter(({ entry }) => canWatchVideo(entry.video, viewerId))
+		.map(({ entry, position }) => {
+			const { visibility, isHidden, ...videoDetails } = entry.video.toObject()
+			return { ...videoDetails, addedAt: entry.addedAt, position }
+		})
+
+	return {
+		...playlist.toObject({ depopulate: true }),
+		owner: playlist.owner,
+		videos: visibleVideos,
+		totalVideos: visibleVideos.length,
+		hiddenVideosCount: entries.length - visibleVideos.length,
+	}
+}
+
+/**
+ * Checks whether a user may read a playlist
+ * @desc Public and unlisted playlists are readable by anyone with the link, private ones by the owner only
+ * @param {Object} playlist - Playlist document
+ * @param {Object} user - Current user (optional)
+ * @returns {boolean} True if the playlist is readable
+ */
+const canViewPlaylist = (playlist, user) => {
+	if (playlist.visibility !== 'private') {
+		return true
+	}
+
+	const ownerId = playlist.owner._id || playlist.owner
+	return Boolean(user) && ownerId.toString() === user._id.toString()
+}
 
 /**
  * Create a new playlist
@@ -8,7 +255,7 @@ import { asyncHandler, ApiError, ApiResponse } from '../utils/index.js'
  * @access Private
  */
 const createPlaylist = asyncHandler(async (req, res) => {
-	const { name, description, isPublic } = req.body
+	const { name, description } = req.body
 
 	// Validate required fields
 	if (!name || name.trim().length === 0) {
@@ -25,12 +272,15 @@ const createPlaylist = asyncHandler(async (req, res) => {
 		throw new ApiError(400, 'Description cannot exceed 500 characters.')
 	}
 
+	// Validate visibility, playlists are private unless requested otherwise
+	const visibility = parseVisibility(req.body) || 'private'
+
 	// Create new playlist with validated data
 	const newPlaylist = await Playlist.create({
 		name: name.trim(),
 		description: description?.trim() || '',
 		owner: req.user._id,
-		isPublic: Boolean(isPublic),
+		visibility,
 	})
 
 	return res.status(201).json(new ApiResponse(201, newPlaylist, 'Playlist created successfully.'))
@@ -38,8 +288,10 @@ const createPlaylist = asyncHandler(async (req, res) => {
 
 /**
  * Get playlist details with populated videos by playlist ID
+ * @desc Deleted videos and other users' private or hidden videos are left out and reported in
+ * hiddenVideosCount
  * @route GET /api/v1/playlist/:playlistId
- * @access Public
+ * @access Public (private playlists are owner only)
  */
 const getPlaylistVideosById = asyncHandler(async (req, res) => {
 	const { playlistId } = req.params
@@ -49,31 +301,23 @@ const getPlaylistVideosById = asyncHandler(async (req, res) => {
 		throw new ApiError(400, 'Invalid playlist ID format.')
 	}
 
-	// Find playlist and populate videos with essential fields
-	const playlist = await Playlist.findById(playlistId)
-		.populate({
-			path: 'videos',
-			select: 'title description thumbnail duration views createdAt owner',
-			populate: {
-				path: 'owner',
-				select: 'username avatar',
-			},
-		})
-		.populate('owner', 'username avatar')
+	// Find playlist with owner details
+	const playlist = await Playlist.findById(playlistId).populate('owner', 'username avatar')
 
 	if (!playlist) {
 		throw new ApiError(404, 'Playlist not found.')
 	}
 
 	// Check if playlist is private and user is not the owner
-	if (
-		!playlist.isPublic &&
-		(!req.user || playlist.owner._id.toString() !== req.user._id.toString())
-	) {
+	if (!canViewPlaylist(playlist, req.user)) {
 		throw new ApiError(403, 'This playlist is private.')
 	}
 
-	return res.status(200).json(new ApiResponse(200, playlist, 'Playlist retrieved successfully.'))
+	const playlistDetails = await buildPlaylistDetails(playlist, req.user?._id)
+
+	return res
+		.status(200)
+		.json(new ApiResponse(200, playlistDetails, 'Playlist retrieved successfully.'))
 })
 
 /**
@@ -83,8 +327,7 @@ const getPlaylistVideosById = asyncHandler(async (req, res) => {
  */
 const updatePlaylist = asyncHandler(async (req, res) => {
 	const { playlistId } = req.params
-	const { name, description } = req.body
-	let { isPublic } = req.body
+	const { name, description, visibility, isPublic } = req.body
 
 	// Validate playlist ID format
 	if (!isValidObjectId(playlistId)) {
@@ -92,7 +335,7 @@ const updatePlaylist = asyncHandler(async (req, res) => {
 	}
 
 	// Check if at least one field is provided for update
-	if (!name && !description && isPublic === undefined) {
+	if (!name && !description && visibility === undefined && isPublic === undefined) {
 		throw new ApiError(
 			400,
 			'At least one field (name, description, or visibility) is required for update.'
@@ -109,10 +352,8 @@ const updatePlaylist = asyncHandler(async (req, res) => {
 		throw new ApiError(400, 'Description cannot exceed 500 characters.')
 	}
 
-	// Validate isPublic if provided
-	if (isPublic && !['true', 'false'].includes(isPublic)) {
-		throw new ApiError(400, 'isPublic must be a boolean value (true or false).')
-	}
+	// Validate visibility if provided
+	const newVisibility = parseVisibility(req.body)
 
 	// Find playlist
 	const playlist = await Playlist.findById(playlistId)
@@ -125,10 +366,14 @@ const updatePlaylist = asyncHandler(async (req, res) => {
 		throw new ApiError(403, 'You are not authorized to update this playlist.')
 	}
 
+	if (playlist.systemType && name) {
+		throw new ApiError(400, 'System playlists cannot be renamed.')
+	}
+
 	// Update fields conditionally
 	if (name) playlist.name = name.trim()
 	if (description !== undefined) playlist.description = description.trim()
-	if (isPublic !== undefined) playlist.isPublic = isPublic === 'true'
+	if (newVisibility) playlist.visibility = newVisibility
 
 	// Save updated playlist
 	await playlist.save()
@@ -160,6 +405,10 @@ const deletePlaylist = asyncHandler(async (req, res) => {
 		throw new ApiError(403, 'You are not authorized to delete this playlist.')
 	}
 
+	if (playlist.systemType) {
+		throw new ApiError(403, 'System playlists cannot be deleted.')
+	}
+
 	// Delete playlist
 	await Playlist.deleteOne({ _id: playlistId })
 
@@ -168,7 +417,8 @@ const deletePlaylist = asyncHandler(async (req, res) => {
 
 /**
  * Add a video to an existing playlist
- * @route POST /api/v1/playlist/:playlistId/video/:videoId
+ * @desc Duplicates are rejected unless onDuplicate is 'skip' or 'allow'
+ * @route PATCH /api/v1/playlists/add/:videoId/:playlistId
  * @access Private
  */
 const addVideoToPlaylist = asyncHandler(async (req, res) => {
@@ -179,35 +429,34 @@ const addVideoToPlaylist = asyncHandler(async (req, res) => {
 		throw new ApiError(400, 'Invalid playlist or video ID format.')
 	}
 
-	// Check if video exists and is published
-	const video = await Video.findById(videoId).select('isPublished owner')
+	// Validate duplicate handling
+	const onDuplicate = parseDuplicatePolicy(req.body?.onDuplicate, 'reject')
+
+	// Check if video exists and is watchable
+	const video = await Video.findById(videoId).select('visibility isHidden owner')
 	if (!video) {
 		throw new ApiError(404, 'Video not found.')
 	}
 
-	if (!video.isPublished) {
-		throw new ApiError(400, 'Cannot add unpublished video to playlist.')
-	}
-
-	// Find playlist
-	const playlist = await Playlist.findById(playlistId)
-	if (!playlist) {
-		throw new ApiError(404, 'Playlist not found.')
+	if (!canWatchVideo(video, req.user._id)) {
+		throw new ApiError(400, 'Cannot add private video to playlist.')
 	}
 
-	// Check ownership authorization
-	if (playlist.owner.toString() !== req.user._id.toString()) {
-		throw new ApiError(403, 'You are not authorized to modify this playlist.')
-	}
+	// Find playlist and verify ownership
+	const playlist = await findOwnedPlaylist(playlistId, req.user)
+	assertVideosEditable(playlist)
 
 	// Check if video already exists in playlist
-	const videoExists = playlist.videos.some(v => v.toString() === videoId.toString())
-	if (videoExists) {
-		throw new ApiError(409, 'Video already exists in playlist.')
+	if (hasVideo(playlist, videoId) && onDuplicate !== 'allow') {
+		if (onDuplicate === 'reject') {
+			throw new ApiError(409, 'Video already exists in playlist.')
+		}
+
+		return res.status(200).json(new ApiResponse(200, playlist, 'Video already exists in playlist.'))
 	}
 
-	// Add video to playlist
-	playlist.videos.push(videoId)
+	// Add video to the end of the playlist
+	playlist.videos.push({ video: video._id })
 	await playlist.save()
 
 	return res
@@ -217,7 +466,8 @@ const addVideoToPlaylist = asyncHandler(async (req, res) => {
 
 /**
  * Remove a video from a playlist
- * @route DELETE /api/v1/playlist/:playlistId/video/:videoId
+ * @desc Removes every entry of the video when it was added more than once
+ * @route PATCH /api/v1/playlists/remove/:videoId/:playlistId
  * @access Private
  */
 const removeVideoFromPlaylist = asyncHandler(async (req, res) => {
@@ -228,25 +478,16 @@ const removeVideoFromPlaylist = asyncHandler(async (req, res) => {
 		throw new ApiError(400, 'Invalid playlist or video ID format.')
 	}
 
-	// Find playlist
-	const playlist = await Playlist.findById(playlistId)
-	if (!playlist) {
-		throw new ApiError(404, 'Playlist not found.')
-	}
-
-	// Check ownership authorization
-	if (playlist.owner.toString() !== req.user._id.toString()) {
-		throw new ApiError(403, 'You are not authorized to modify this playlist.')
-	}
+	// Find playlist and verify ownership
+	const playlist = await findOwnedPlaylist(playlistId, req.user)
+	assertVideosEditable(playlist)
 
-	// Find video index in playlist
-	const videoIndex = playlist.videos.findIndex(v => v.toString() === videoId.toString())
-	if (videoIndex === -1) {
+	if (!hasVideo(playlist, videoId)) {
 		throw new ApiError(404, 'Video not found in playlist.')
 	}
 
 	// Remove video from playlist
-	playlist.videos.splice(videoIndex, 1)
+	playlist.videos = playlist.videos.filter(entry => entry.video.toString() !== videoId)
 	await playlist.save()
 
 	return res
@@ -254,8 +495,366 @@ const removeVideoFromPlaylist = asyncHandler(async (req, res) => {
 		.json(new ApiResponse(200, playlist, 'Video removed from playlist successfully.'))
 })
 
+/**
+ * Move a video to a new position in a playlist
+ * @desc Positions are zero-based, the first entry of the video is moved
+ * @route PATCH /api/v1/playlists/:playlistId/move/:videoId
+ * @access Private
+ */
+const moveVideoInPlaylist = asyncHandler(async (req, res) => {
+	const { playlistId, videoId } = req.params
+
+	// Validate both IDs format
+	if (!isValidObjectId(playlistId) || !isValidObjectId(videoId)) {
+		throw new ApiError(400, 'Invalid playlist or video ID format.')
+	}
+
+	if (req.body?.position === undefined) {
+		throw new ApiError(400, 'Position is required.')
+	}
+
+	// Find playlist and verify ownership
+	const playlist = await findOwnedPlaylist(playlistId, req.user)
+	assertVideosEditable(playlist)
+
+	const currentPosition = playlist.videos.findIndex(entry => entry.video.toString() === videoId)
+	if (currentPosition === -1) {
+		throw new ApiError(404, 'Video not found in playlist.')
+	}
+
+	// Validate target position
+	const position = parsePosition(req.body.position, playlist.videos.length - 1)
+
+	if (position !== currentPosition) {
+		const [entry] = playlist.videos.splice(currentPosition, 1)
+		playlist.videos.splice(position, 0, entry.toObject())
+		await playlist.save()
+	}
+
+	return res
+		.status(200)
+		.json(new ApiResponse(200, playlist, 'Video moved in playlist successfully.'))
+})
+
+/**
+ * Add many videos to a playlist in one request
+ * @desc Every video gets its own result, invalid or private videos do not fail the whole request
+ * @desc Duplicates are skipped unless onDuplicate is 'reject' or 'allow'
+ * @route PATCH /api/v1/playlists/:playlistId/videos/add
+ * @access Private
+ */
+const addVideosToPlaylist = asyncHandler(async (req, res) => {
+	const { playlistId } = req.params
+	const { videoIds } = req.body
+
+	// Validate playlist ID format
+	if (!isValidObjectId(playlistId)) {
+		throw new ApiError(400, 'Invalid playlist ID format.')
+	}
+
+	// Validate video ID list
+	if (!Array.isArray(videoIds) || videoIds.length === 0) {
+		throw new ApiError(400, 'videoIds must be a non-empty array.')
+	}
+
+	if (videoIds.length > MAX_BULK_VIDEOS) {
+		throw new ApiError(400, `Cannot add more than ${MAX_BULK_VIDEOS} videos at once.`)
+	}
+
+	// Validate duplicate handling
+	const onDuplicate = parseDuplicatePolicy(req.body.onDuplicate, 'skip')
+
+	// Find playlist and verify ownership
+	const playlist = await findOwnedPlaylist(playlistId, req.user)
+	assertVideosEditable(playlist)
+
+	// Validate insert position, new videos are appended by default
+	const position = parsePosition(req.body.position, playlist.videos.length)
+
+	// Fetch all requested videos at once
+	const validIds = videoIds.filter(videoId => isValidObjectId(videoId))
+	const videos = await Video.find({ _id: { $in: validIds } }).select('visibility isHidden owner')
+	const videosById = new Map(videos.map(video => [video._id.toString(), video]))
+
+	const addedIds = new Set()
+	const newEntries = []
+
+	const results = videoIds.map(videoId => {
+		if (!isValidObjectId(videoId)) {
+			return { videoId, status: 'failed', reason: 'Invalid video ID format.' }
+		}
+
+		const video = videosById.get(videoId.toString())
+		if (!video) {
+			return { videoId, status: 'failed', reason: 'Video not found.' }
+		}
+
+		if (!canWatchVideo(video, req.user._id)) {
+			return { videoId, status: 'failed', reason: 'Cannot add private video to playlist.' }
+		}
+
+		// Videos repeated within the request count as duplicates as well
+		const isDuplicate = hasVideo(playlist, videoId) || addedIds.has(videoId.toString())
+		if (isDuplicate && onDuplicate !== 'allow') {
+			return {
+				videoId,
+				status: onDuplicate === 'reject' ? 'failed' : 'skipped',
+				reason: 'Video already exists in playlist.',
+			}
+		}
+
+		addedIds.add(videoId.toString())
+		newEntries.push({ video: video._id, addedAt: new Date() })
+		return { videoId, status: 'added' }
+	})
+
+	if (newEntries.length > 0) {
+		playlist.videos.splice(position ?? playlist.videos.length, 0, ...newEntries)
+		await playlist.save()
+	}
+
+	const summary = {
+		added: results.filter(result => result.status === 'added').length,
+		skipped: results.filter(result => result.status === 'skipped').length,
+		failed: results.filter(result => result.status === 'failed').length,
+	}
+
+	return res
+		.status(200)
+		.json(
+			new ApiResponse(
+				200,
+				{ playlist, results, summary },
+				`${summary.added} of ${videoIds.length} videos added to playlist.`
+			)
+		)
+})
+
+/**
+ * Remove many videos from a playlist in one request
+ * @desc Every video gets its own result, videos that are not in the playlist are reported as failed
+ * @route PATCH /api/v1/playlists/:playlistId/videos/remove
+ * @access Private
+ */
+const removeVideosFromPlaylist = asyncHandler(async (req, res) => {
+	const { playlistId } = req.params
+	const { videoIds } = req.body
+
+	// Validate playlist ID format
+	if (!isValidObjectId(playlistId)) {
+		throw new ApiError(400, 'Invalid playlist ID format.')
+	}
+
+	// Validate video ID list
+	if (!Array.isArray(videoIds) || videoIds.length === 0) {
+		throw new ApiError(400, 'videoIds must be a non-empty array.')
+	}
+
+	if (videoIds.length > MAX_BULK_VIDEOS) {
+		throw new ApiError(400, `Cannot remove more than ${MAX_BULK_VIDEOS} videos at once.`)
+	}
+
+	// Find playlist and verify ownership
+	const playlist = await findOwnedPlaylist(playlistId, req.user)
+	assertVideosEditable(playlist)
+
+	const removedIds = new Set()
+
+	const results = videoIds.map(videoId => {
+		if (!isValidObjectId(videoId)) {
+			return { videoId, status: 'failed', reason: 'Invalid video ID format.' }
+		}
+
+		if (removedIds.has(videoId.toString())) {
+			return { videoId, status: 'skipped', reason: 'Video already removed in this request.' }
+		}
+
+		if (!hasVideo(playlist, videoId)) {
+			return { videoId, status: 'failed', reason: 'Video not found in playlist.' }
+		}
+
+		removedIds.add(videoId.toString())
+		return { videoId, status: 'removed' }
+	})
+
+	if (removedIds.size > 0) {
+		playlist.videos = playlist.videos.filter(entry => !removedIds.has(entry.video.toString()))
+		await playlist.save()
+	}
+
+	const summary = {
+		removed: removedIds.size,
+		skipped: results.filter(result => result.status === 'skipped').length,
+		failed: results.filter(result => result.status === 'failed').length,
+	}
+
+	return res
+		.status(200)
+		.json(
+			new ApiResponse(
+				200,
+				{ playlist, results, summary },
+				`${summary.removed} of ${videoIds.length} videos removed from playlist.`
+			)
+		)
+})
+
+/**
+ * Get a system playlist of the current user
+ * @route GET /api/v1/playlists/system/:systemType
+ * @access Private
+ */
+const getSystemPlaylist = asyncHandler(async (req, res) => {
+	const { systemType } = req.params
+
+	const playlist = await findSystemPlaylist(req.user._id, systemType)
+	await playlist.populate('owner', 'username avatar')
+
+	const playlistDetails = await buildPlaylistDetails(playlist, req.user._id)
+
+	return res
+		.status(200)
+		.json(new ApiResponse(200, playlistDetails, 'Playlist retrieved successfully.'))
+})
+
+/**
+ * Quickly add a video to a system playlist of the current user
+ * @desc Adding to "Liked videos" likes the video, replacing a dislike
+ * @desc Adding a video that is already in the playlist leaves it unchanged
+ * @route PATCH /api/v1/playlists/system/:systemType/add/:videoId
+ * @access Private
+ */
+const addVideoToSystemPlaylist = asyncHandler(async (req, res) => {
+	const { systemType, videoId } = req.params
+
+	// Validate video ID format
+	if (!isValidObjectId(videoId)) {
+		throw new ApiError(400, 'Invalid video ID format.')
+	}
+
+	// Check if video exists and is watchable
+	const video = await Video.findById(videoId).select('visibility isHidden owner')
+	if (!video) {
+		throw new ApiError(404, 'Video not found.')
+	}
+
+	if (!canWatchVideo(video, req.user._id)) {
+		throw new ApiError(400, 'Cannot add private video to playlist.')
+	}
+
+	const playlist = await findSystemPlaylist(req.user._id, systemType)
+
+	if (systemType === 'liked-videos') {
+		const likeVideo = () =>
+			Like.findOneAndUpdate(
+				{ likedBy: req.user._id, video: video._id },
+				{ $set: { type: 'like' } },
+				{ upsert: true }
+			)
+
+		let previousReaction
+		try {
+			previousReaction = await likeVideo()
+		} catch (error) {
+			// A concurrent request created the reaction first, the unique index rejects a second one
+			// and the retry updates the existing reaction instead
+			if (error.code !== 11000) {
+				throw error
+			}
+			previousReaction = await likeVideo()
+		}
+
+		// Same notification as liking through the like endpoints
+		if (previousReaction?.type !== 'like') {
+			await notifyUsers({
+				recipients: [video.owner],
+				actor: req.user._id,
+				type: 'like',
+				video: video._id,
+			})
+
+			const reactionCounts = await Like.countReactions({ video: video._id })
+			publishVideoCounters(video._id, {
+				likesCount: reactionCounts.like,
+				dislikesCount: reactionCounts.dislike,
+			})
+		}
+	} else if (!hasVideo(playlist, videoId)) {
+		playlist.videos.push({ video: video._id })
+		await playlist.save()
+	}
+
+	return res
+		.status(200)
+		.json(
+			new ApiResponse(
+				200,
+				{ playlistId: playlist._id, systemType, videoId: video._id },
+				`Video added to ${playlist.name} successfully.`
+			)
+		)
+})
+
+/**
+ * Quickly remove a video from a system playlist of the current user
+ * @desc Removing from "Liked videos" removes the like
+ * @route PATCH /api/v1/playlists/system/:systemType/remove/:videoId
+ * @access Private
+ */
+const removeVideoFromSystemPlaylist = asyncHandler(async (req, res) => {
+	const { systemType, videoId } = req.params
+
+	// Validate video ID format
+	if (!isValidObjectId(videoId)) {
+		throw new ApiError(400, 'Invalid video ID format.')
+	}
+
+	const playlist = await findSystemPlaylist(req.user._id, systemType)
+
+	if (systemType === 'liked-videos') {
+		const { deletedCount } = await Like.deleteOne({
+			likedBy: req.user._id,
+			video: videoId,
+			type: 'like',
+		})
+
+		if (deletedCount === 0) {
+			throw new ApiError(404, 'Video not found in playlist.')
+		}
+
+		await retractNotifications({ type: 'like', actor: req.user._id, video: videoId })
+
+		const reactionCounts = await Like.countReactions({
+			video: new mongoose.Types.ObjectId(videoId),
+		})
+		publishVideoCounters(videoId, {
+			likesCount: reactionCounts.like,
+			dislikesCount: reactionCounts.dislike,
+		})
+	} else {
+		if (!hasVideo(playlist, videoId)) {
+			throw new ApiError(404, 'Video not found in playlist.')
+		}
+
+		playlist.videos = playlist.videos.filter(entry => entry.video.toString() !== videoId)
+		await playlist.save()
+	}
+
+	return res
+		.status(200)
+		.json(
+			new ApiResponse(
+				200,
+				{ playlistId: playlist._id, systemType, videoId },
+				`Video removed from ${playlist.name} successfully.`
+			)
+		)
+})
+
 /**
  * Get all playlists created by a specific user
+ * @desc Each playlist includes its watchable video count and the thumbnail of its first watchable video
+ * @desc The owner's system playlists are created on first access and listed first
  * @route GET /api/v1/playlist/user/:userId
  * @access Public
  */
@@ -268,22 +867,105 @@ const getUserPlaylists = asyncHandler(async (req, res) => {
 	}
 
 	// Build query based on user authentication
-	let query = { owner: userId }
+	let query = { owner: new mongoose.Types.ObjectId(userId) }
 
-	// If requesting user is not the playlist owner, only show public playlists
-	if (!req.user || req.user._id.toString() !== userId.toString()) {
-		query.isPublic = true
+	// If requesting user is not the playlist owner, only list public playlists
+	// Unlisted playlists stay readable by link but are never listed
+	const isOwner = Boolean(req.user) && req.user._id.toString() === userId.toString()
+
+	if (isOwner) {
+		await ensureSystemPlaylists(query.owner)
+	} else {
+		query.visibility = 'public'
 	}
 
-	// Find playlists with basic video info
-	const playlists = await Playlist.find(query)
-		.populate('owner', 'username avatar')
-		.populate({
-			path: 'videos',
-			select: ' thumbnail',
-			options: { limit: 1 }, // Only show first video for preview
-		})
-		.sort({ createdAt: -1 }) // Sort by newest first
+	// Find playlists with owner details, watchable video count and a preview thumbnail
+	const playlists = await Playlist.aggregate([
+		{ $match: query },
+		{ $sort: { systemType: -1, createdAt: -1 } }, // System playlists first, then newest first
+		{
+			$lookup: {
+				from: 'users',
+				localField: 'owner',
+				foreignField: '_id',
+				as: 'owner',
+				pipeline: [{ $project: { username: 1, avatar: 1 } }],
+			},
+		},
+		{
+			// Never count or preview private videos
+			$lookup: {
+				from: 'videos',
+				localField: 'videos.video',
+				foreignField: '_id',
+				as: 'publishedVideos',
+				pipeline: [{ $match: buildWatchableVideoMatch() }, { $project: { thumbnail: 1 } }],
+			},
+		},
+		{
+			$addFields: {
+				owner: { $first: '$owner' },
+				videoCount: { $size: '$publishedVideos' },
+				// First watchable video in playlist order
+				previewVideoId: {
+					$first: {
+						$filter: {
+							input: '$videos.video',
+							cond: { $in: ['$$this', '$publishedVideos._id'] },
+						},
+					},
+				},
+			},
+		},
+		{
+			$addFields: {
+				thumbnail: {
+					$first: {
+						$map: {
+							input: {
+								$filter: {
+									input: '$publishedVideos',
+									cond: { $eq: ['$$this._id', '$previewVideoId'] },
+								},
+							},
+							in: '$$this.thumbnail',
+						},
+					},
+				},
+			},
+		},
+		{ $project: { videos: 0, publishedVideos: 0, previewVideoId: 0 } },
+	])
+
+	// "Liked videos" has no stored entries, its count and preview come from the likes collection
+	const likedPlaylist = playlists.find(playlist => playlist.systemType === 'liked-videos')
+
+	if (likedPlaylist) {
+		const [likedSummary] = await Like.aggregate([
+			{ $match: { likedBy: query.owner, type: 'like', video: { $ne: null } } },
+			{ $sort: { createdAt: -1 } },
+			{
+				$lookup: {
+					from: 'videos',
+					localField: 'video',
+					foreignField: '_id',
+					as: 'video',
+					pipeline: [{ $match: buildWatchableVideoMatch() }, { $project: { thumbnail: 1 } }],
+				},
+			},
+			{ $unwind: '$video' },
+			{
+				$group: {
+					_id: null,
+					videoCount: { $sum: 1 },
+					thumbnail: { $first: '$video.thumbnail' },
+				},
+			},
+		])
+
+		likedPlaylist.videoCount = likedSummary?.videoCount || 0
+		likedPlaylist.thumbnail = likedSummary?.thumbnail
+	}
 
 	return res.status(200).json(new ApiResponse(200, playlists, 'Playlists retrieved successfully.'))
 })
@@ -296,4 +978,10 @@ export {
 	getPlaylistVideosById,
 	addVideoToPlaylist,
 	removeVideoFromPlaylist,
+	moveVideoInPlaylist,
+	addVideosToPlaylist,
+	removeVideosFromPlaylist,
+	getSystemPlaylist,
+	addVideoToSystemPlaylist,
+	removeVideoFromSystemPlaylist,
 }
@@ -0,0 +1,122 @@
+import { isValidObjectId } from 'mongoose'
+import { Report, Video, Comment, Tweet, User } from '../models/index.js'
+import { REPORT_TARGET_TYPES, REPORT_REASONS } from '../constants.js'
+import { asyncHandler, ApiError, ApiResponse } from '../utils/index.js'
+
+/**
+ * Finds the user responsible for a reportable target
+ * @param {string} targetType - One of REPORT_TARGET_TYPES
+ * @param {string} targetId - ID of the video, comment, tweet or channel
+ * @returns {Promise<Object|null>} Owner ID, or null when the target does not exist
+ */
+const findTargetOwner = async (targetType, targetId) => {
+	switch (targetType) {
+		case 'video': {
+			// Private videos cannot be seen, so they cannot be reported either
+			const video = await Video.findOne({ _id: targetId, visibility: { $ne: 'private' } }).select(
+				'owner'
+			)
+			return video?.owner || null
+		}
+		case 'comment': {
+			const comment = await Comment.findOne({ _id: targetId, isDeleted: false }).select('owner')
+			return comment?.owner || null
+		}
+		case 'tweet': {
+			const tweet = await Tweet.findById(targetId).select('owner')
+			return tweet?.owner || null
+		}
+		case 'channel': {
+			const user = await User.findById(targetId).select('_id')
+			return user?._id || null
+		}
+	}
+}
+
+/**
+ * Report a video, comment, tweet or channel to the moderators
+ * @desc Repeat reports of the same target by the same user are merged into the open report
+ * @route POST /api/v1/reports
+ * @access Private
+ */
+const fileReport = asyncHandler(async (req, res) => {
+	const { targetType, targetId, reason, details } = req.body
+
+	// Validate report
+	if (!REPORT_TARGET_TYPES.includes(targetType)) {
+		throw new ApiError(400, `Invalid targetType. Allowed values: ${REPORT_TARGET_TYPES.join(', ')}`)
+	}
+
+	if (!isValidObjectId(targetId)) {
+		throw new ApiError(400, 'Invalid target ID format.')
+	}
+
+	if (!REPORT_REASONS.includes(reason)) {
+		throw new ApiError(400, `Invalid reason. Allowed values: ${REPORT_REASONS.join(', ')}`)
+	}
+
+	if (details !== undefined && (typeof details !== 'string' || details.trim().length > 1000)) {
+		throw new ApiError(400, 'Details must be a string of at most 1000 characters.')
+	}
+
+	try {
+		const targetOwner = await findTargetOwner(targetType, targetId)
+
+		if (!targetOwner) {
+			throw new ApiError(404, `${targetType[0].toUpperCase()}${targetType.slice(1)} not found.`)
+		}
+
+		if (targetOwner.equals(req.user._id)) {
+			throw new ApiError(400, 'You cannot report your own content.')
+		}
+
+		const openReportFilter = {
+			reporter: req.user._id,
+			targetType,
+			target: targetId,
+			status: 'open',
+		}
+
+		let report = await Report.findOne(openReportFilter)
+		let isDuplicate = Boolean(report)
+
+		if (!report) {
+			try {
+				report = await Report.create({
+					...openReportFilter,
+					targetOwner,
+					reason,
+					details: details?.trim() || undefined,
+				})
+			} catch (error) {
+				// A concurrent request filed the same report first
+				if (error.code !== 11000) {
+					throw error
+				}
+				report = await Report.findOne(openReportFilter)
+				isDuplicate = true
+			}
+		}
+
+		const statusCode = isDuplicate ? 200 : 201
+
+		res
+			.status(statusCode)
+			.json(
+				new ApiResponse(
+					statusCode,
+					{ report, isDuplicate },
+					isDuplicate
+						? 'You have already reported this content. It is awaiting review.'
+						: 'Report filed successfully.'
+				)
+			)
+	} catch (error) {
+		if (error instanceof ApiError) {
+			throw error
+		}
+		throw new ApiError(500, 'Failed to file report. Please try again.')
+	}
+})
+
+export { fileReport }
@@ -0,0 +1,298 @@
+import mongoose, { isValidObjectId } from 'mongoose'
+import { Video, User, Tweet, Playlist } from '../models/index.js'
+import {
+	asyncHandler,
+	ApiError,
+	ApiResponse,
+	paginateAggregate,
+	buildListedVideoMatch,
+	buildWatchableVideoMatch,
+} from '../utils/index.js'
+
+// Duration buckets in seconds
+const DURATION_BUCKETS = {
+	short: { $lt: 4 * 60 }, // Under 4 minutes
+	medium: { $gte: 4 * 60, $lte: 20 * 60 }, // 4 to 20 minutes
+	long: { $gt: 20 * 60 }, // Over 20 minutes
+}
+
+// Sort options mapped to document fields
+const SORT_FIELDS = {
+	relevance: 'score',
+	views: 'views',
+	date: 'createdAt',
+}
+
+const SEARCH_TYPES = ['all', 'videos', 'channels', 'tweets', 'playlists']
+
+// Owner details attached to video and tweet results
+const ownerLookupStages = [
+	{
+		$lookup: {
+			from: 'users',
+			localField: 'owner',
+			foreignField: '_id',
+			as: 'owner',
+			pipeline: [{ $project: { _id: 1, username: 1, fullName: 1, avatar: 1 } }],
+		},
+	},
+	{ $addFields: { owner: { $first: '$owner' } } },
+]
+
+/**
+ * Parses an optional ISO date query parameter
+ * @param {string} value - Date string from query
+ * @param {string} name - Parameter name for error messages
+ * @returns {Date|null} Parsed date or null if not provided
+ * @throws {ApiError} When the date is invalid
+ */
+const parseDateParam = (value, name) => {
+	if (value === undefined || value === '') {
+		return null
+	}
+
+	const date = new Date(value)
+	if (isNaN(date.getTime())) {
+		throw new ApiError(400, `${name} must be a valid date.`)
+	}
+
+	return date
+}
+
+/**
+ * Search videos, channels, tweets and public playlists with relevance ranking and filters
+ * @route GET /api/v1/search
+ * @access Public
+ */
+const search = asyncHandler(async (req, res) => {
+	const {
+		q,
+		type = 'all',
+		sortBy = 'relevance',
+		duration,
+		owner,
+		uploadedAfter,
+		uploadedBefore,
+		page = 1,
+		limit = 10,
+	} = req.query
+
+	// Validate search query
+	if (!q || typeof q !== 'string' || !q.trim()) {
+		throw new ApiError(400, 'Search query (q) is required.')
+	}
+
+	const searchQuery = q.trim()
+
+	if (searchQuery.length > 100) {
+		throw new ApiError(400, 'Search query cannot exceed 100 characters.')
+	}
+
+	// Validate search type
+	if (!SEARCH_TYPES.includes(type)) {
+		throw new ApiError(400, `Invalid search type. Allowed types: ${SEARCH_TYPES.join(', ')}`)
+	}
+
+	// Validate sort option
+	if (!Object.keys(SORT_FIELDS).includes(sortBy)) {
+		throw new ApiError(
+			400,
+			`Invalid sortBy field. Valid fields are: ${Object.keys(SORT_FIELDS).join(', ')}`
+		)
+	}
+
+	// Validate duration bucket
+	if (duration && !Object.keys(DURATION_BUCKETS).includes(duration)) {
+		throw new ApiError(
+			400,
+			`Invalid duration. Allowed values: ${Object.keys(DURATION_BUCKETS).join(', ')}`
+		)
+	}
+
+	// Validate owner filter
+	if (owner && !isValidObjectId(owner)) {
+		throw new ApiError(400, 'Invalid owner ID format.')
+	}
+
+	// Validate upload date range
+	const uploadedAfterDate = parseDateParam(uploadedAfter, 'uploadedAfter')
+	const uploadedBeforeDate = parseDateParam(uploadedBefore, 'uploadedBefore')
+
+	if (uploadedAfterDate && uploadedBeforeDate && uploadedAfterDate > uploadedBeforeDate) {
+		throw new ApiError(400, 'uploadedAfter must be earlier than uploadedBefore.')
+	}
+
+	// Validate pagination parameters
+	const pageNum = parseInt(page)
+	const limitNum = parseInt(limit)
+
+	if (isNaN(pageNum) || isNaN(limitNum) || pageNum < 1 || limitNum < 1 || limitNum > 50) {
+		throw new ApiError(
+			400,
+			'Invalid pagination parameters. Page must be >= 1 and limit must be between 1-50.'
+		)
+	}
+
+	// Filters shared by videos and tweets
+	const sharedFilters = {}
+
+	if (owner) {
+		sharedFilters.owner = new mongoose.Types.ObjectId(owner)
+	}
+
+	if (uploadedAfterDate || uploadedBeforeDate) {
+		sharedFilters.createdAt = {
+			...(uploadedAfterDate && { $gte: uploadedAfterDate }),
+			...(uploadedBeforeDate && { $lte: uploadedBeforeDate }),
+		}
+	}
+
+	// $text must be part of the first $match stage
+	const textMatch = { $text: { $search: searchQuery } }
+	const scoreStage = { $addFields: { score: { $meta: 'textScore' } } }
+	const paginationOptions = { page: pageNum, limit: limitNum, label: 'docs' }
+
+	const results = {}
+
+	try {
+		if (type === 'all' || type === 'videos') {
+			results.videos = await paginateAggregate(
+				Video,
+				[
+					{
+						$match: {
+							...textMatch,
+							...buildListedVideoMatch(),
+							...sharedFilters,
+							...(duration && { duration: DURATION_BUCKETS[duration] }),
+						},
+					},
+					scoreStage,
+				],
+				{
+					...paginationOptions,
+					sortBy: SORT_FIELDS[sortBy],
+					pagePipeline: [
+						...ownerLookupStages,
+						{
+							$project: {
+								title: 1,
+								description: 1,
+								thumbnail: 1,
+								duration: 1,
+								views: 1,
+								createdAt: 1,
+								owner: 1,
+								score: 1,
+							},
+						},
+					],
+				}
+			)
+		}
+
+		// Channels have no views or upload date, so they are always ranked by relevance
+		if ((type === 'all' || type === 'channels') && !owner) {
+			results.channels = await paginateAggregate(User, [{ $match: textMatch }, scoreStage], {
+				...paginationOptions,
+				sortBy: 'score',
+				pagePipeline: [
+					{
+						$lookup: {
+							from: 'subscriptions',
+							localField: '_id',
+							foreignField: 'channel',
+							as: 'subscribersCount',
+							pipeline: [{ $count: 'count' }],
+						},
+					},
+					{
+						$project: {
+							username: 1,
+							fullName: 1,
+							avatar: 1,
+							score: 1,
+							subscribersCount: {
+								$ifNull: [{ $arrayElemAt: ['$subscribersCount.count', 0] }, 0],
+							},
+						},
+					},
+				],
+			})
+		}
+
+		// Tweets have no duration or views
+		if ((type === 'all' || type === 'tweets') && !duration) {
+			results.tweets = await paginateAggregate(
+				Tweet,
+				[{ $match: { ...textMatch, isHidden: { $ne: true }, ...sharedFilters } }, scoreStage],
+				{
+					...paginationOptions,
+					sortBy: sortBy === 'date' ? 'createdAt' : 'score',
+					pagePipeline: [
+						...ownerLookupStages,
+						{ $project: { content: 1, createdAt: 1, owner: 1, score: 1 } },
+					],
+				}
+			)
+		}
+
+		// Only public playlists are searchable, unlisted and private ones are never listed
+		if ((type === 'all' || type === 'playlists') && !duration) {
+			results.playlists = await paginateAggregate(
+				Playlist,
+				[
+					{
+						// System playlists like "Watch Later" are personal and never searchable
+						$match: { ...textMatch, visibility: 'public', systemType: null, ...sharedFilters },
+					},
+					scoreStage,
+				],
+				{
+					...paginationOptions,
+					sortBy: sortBy === 'date' ? 'createdAt' : 'score',
+					pagePipeline: [
+						...ownerLookupStages,
+						{
+							// Count watchable videos only, matching what the playlist page shows
+							$lookup: {
+								from: 'videos',
+								localField: 'videos.video',
+								foreignField: '_id',
+								as: 'videoCount',
+								pipeline: [{ $match: buildWatchableVideoMatch() }, { $count: 'count' }],
+							},
+						},
+						{
+							$project: {
+								name: 1,
+								description: 1,
+								createdAt: 1,
+								owner: 1,
+								score: 1,
+								videoCount: { $ifNull: [{ $arrayElemAt: ['$videoCount.count', 0] }, 0] },
+							},
+						},
+					],
+				}
+			)
+		}
+	} catch (error) {
+		if (error instanceof ApiError) {
+			throw error
+		}
+		throw new ApiError(500, 'Failed to perform search. Please try again.')
+	}
+
+	res
+		.status(200)
+		.json(
+			new ApiResponse(
+				200,
+				{ query: searchQuery, ...results },
+				'Search results fetched successfully.'
+			)
+		)
+})
+
+export { search }
@@ -1,6 +1,14 @@
 import mongoose, { isValidObjectId } from 'mongoose'
 import { Subscription } from '../models/index.js'
-import { asyncHandler, ApiError, ApiResponse, paginateArray } from '../utils/index.js'
+import { SUBSCRIPTION_NOTIFICATION_PREFERENCES } from '../constants.js'
+import {
+	asyncHandler,
+	ApiError,
+	ApiResponse,
+	paginateAggregate,
+	notifyUsers,
+	retractNotifications,
+} from '../utils/index.js'
 
 /**
  * Get all channels that the current user is subscribed to
@@ -8,7 +16,7 @@ import { asyncHandler, ApiError, ApiResponse, paginateArray } from '../utils/ind
  * @access Private
  */
 const getSubscribedChannels = asyncHandler(async (req, res) => {
-	const { page = 1, limit = 10 } = req.query
+	const { page = 1, limit = 10, cursor } = req.query
 
 	// Validate user authentication
 	if (!req.user?._id) {
@@ -19,32 +27,57 @@ const getSubscribedChannels = asyncHandler(async (req, res) => {
 	const pageNumber = parseInt(page)
 	const limitNumber = parseInt(limit)
 
-	if (pageNumber < 1) {
+	if (isNaN(pageNumber) || pageNumber < 1) {
 		throw new ApiError(400, 'Page number must be greater than 0.')
 	}
 
-	if (limitNumber < 1 || limitNumber > 100) {
+	if (isNaN(limitNumber) || limitNumber < 1 || limitNumber > 100) {
 		throw new ApiError(400, 'Limit must be between 1 and 100.')
 	}
 
 	try {
-		// Find all subscribed channels and populate channel details
-		const subscriptions = await Subscription.find({
-			subscriber: new mongoose.Types.ObjectId(req.user._id),
-		})
-			.populate('channel', '_id username fullName avatar')
-			.sort({ createdAt: -1 }) // Most recent subscriptions first
-
-		// Extract channel data from subscriptions
-		const channels = subscriptions.map(subscription => subscription.channel)
-
-		// Use paginateArray utility for pagination
-		const paginationInfo = paginateArray(channels, pageNumber, limitNumber, 'channels')
+		// Paginate subscriptions in the database, most recent subscriptions first
+		const paginationInfo = await paginateAggregate(
+			Subscription,
+			[{ $match: { subscriber: new mongoose.Types.ObjectId(req.user._id) } }],
+			{
+				page: pageNumber,
+				limit: limitNumber,
+				cursor,
+				label: 'channels',
+				pagePipeline: [
+					{
+						// Lookup channel details
+						$lookup: {
+							from: 'users',
+							localField: 'channel',
+							foreignField: '_id',
+							as: 'channel',
+							pipeline: [{ $project: { _id: 1, username: 1, fullName: 1, avatar: 1 } }],
+						},
+					},
+					{
+						// Extract channel data from subscriptions, keeping the bell preference
+						$replaceRoot: {
+							newRoot: {
+								$mergeObjects: [
+									{ $ifNull: [{ $first: '$channel' }, {}] },
+									{ notificationPreference: { $ifNull: ['$notificationPreference', 'all'] } },
+								],
+							},
+						},
+					},
+				],
+			}
+		)
 
 		res
 			.status(200)
 			.json(new ApiResponse(200, paginationInfo, 'Subscribed channels list fetched successfully.'))
 	} catch (error) {
+		if (error instanceof ApiError) {
+			throw error
+		}
 		throw new ApiError(500, 'Failed to fetch subscribed channels.')
 	}
 })
@@ -105,16 +138,34 @@ const toggleSubscription = asyncHandler(async (req, res) => {
 		if (existingSubscription) {
 			// Unsubscribe: Remove existing subscription
 			await Subscription.findByIdAndDelete(existingSubscription._id)
+			await retractNotifications({
+				type: 'new_subscriber',
+				actor: req.user._id,
+				recipient: existingSubscription.channel,
+			})
 			res
 				.status(200)
 				.json(new ApiResponse(200, { isSubscribed: false }, 'Unsubscribed successfully.'))
 		} else {
 			// Subscribe: Create new subscription
-			await Subscription.create({
+			const subscription = await Subscription.create({
 				channel: channelId,
 				subscriber: req.user._id,
 			})
-			res.status(201).json(new ApiResponse(201, { isSubscribed: true }, 'Subscribed successfully.'))
+			await notifyUsers({
+				recipients: [subscription.channel],
+				actor: req.user._id,
+				type: 'new_subscriber',
+			})
+			res
+				.status(201)
+				.json(
+					new ApiResponse(
+						201,
+						{ isSubscribed: true, notificationPreference: subscription.notificationPreference },
+						'Subscribed successfully.'
+					)
+				)
 		}
 	} catch (error) {
 		// Handle potential database errors
@@ -132,7 +183,7 @@ const toggleSubscription = asyncHandler(async (req, res) => {
  */
 const getUserChannelSubscribers = asyncHandler(async (req, res) => {
 	const { channelId } = req.params
-	const { page = 1, limit = 10 } = req.query
+	const { page = 1, limit = 10, cursor } = req.query
 
 	// Validate user authentication
 	if (!req.user?._id) {
@@ -153,34 +204,105 @@ const getUserChannelSubscribers = asyncHandler(async (req, res) => {
 	const pageNumber = parseInt(page)
 	const limitNumber = parseInt(limit)
 
-	if (pageNumber < 1) {
+	if (isNaN(pageNumber) || pageNumber < 1) {
 		throw new ApiError(400, 'Page number must be greater than 0.')
 	}
 
-	if (limitNumber < 1 || limitNumber > 100) {
+	if (isNaN(limitNumber) || limitNumber < 1 || limitNumber > 100) {
 		throw new ApiError(400, 'Limit must be between 1 and 100.')
 	}
 
 	try {
-		// Find all subscribers and populate subscriber details
-		const subscriptions = await Subscription.find({
-			channel: channelId,
-		})
-			.populate('subscriber', '_id username fullName avatar')
-			.sort({ createdAt: -1 }) // Most recent subscribers first
-
-		// Extract subscriber data from subscriptions
-		const subscribers = subscriptions.map(subscription => subscription.subscriber)
-
-		// Use paginateArray utility for pagination
-		const paginationInfo = paginateArray(subscribers, pageNumber, limitNumber, 'subscribers')
+		// Paginate subscribers in the database, most recent subscribers first
+		const paginationInfo = await paginateAggregate(
+			Subscription,
+			[{ $match: { channel: new mongoose.Types.ObjectId(channelId) } }],
+			{
+				page: pageNumber,
+				limit: limitNumber,
+				cursor,
+				label: 'subscribers',
+				pagePipeline: [
+					{
+						// Lookup subscriber details
+						$lookup: {
+							from: 'users',
+							localField: 'subscriber',
+							foreignField: '_id',
+							as: 'subscriber',
+							pipeline: [{ $project: { _id: 1, username: 1, fullName: 1, avatar: 1 } }],
+						},
+					},
+					{
+						// Extract subscriber data from subscriptions
+						$replaceRoot: { newRoot: { $ifNull: [{ $first: '$subscriber' }, {}] } },
+					},
+				],
+			}
+		)
 
 		res
 			.status(200)
 			.json(new ApiResponse(200, paginationInfo, 'Subscribers list fetched successfully.'))
 	} catch (error) {
+		if (error instanceof ApiError) {
+			throw error
+		}
 		throw new ApiError(500, 'Failed to fetch subscribers list.')
 	}
 })
 
-export { toggleSubscription, getUserChannelSubscribers, getSubscribedChannels, getSubscriberCount }
+/**
+ * Update the bell preference of a subscription
+ * @desc 'all' notifies about every upload, 'personalized' only when the subscriber watched the channel recently, 'none' never
+ * @route PATCH /api/v1/subscriptions/channel/:channelId/notifications
+ * @access Private
+ */
+const updateNotificationPreference = asyncHandler(async (req, res) => {
+	const { channelId } = req.params
+	const { preference } = req.body
+
+	// Validate channel ID format
+	if (!channelId || !isValidObjectId(channelId)) {
+		throw new ApiError(400, 'Invalid or missing channel ID.')
+	}
+
+	// Validate preference
+	if (!SUBSCRIPTION_NOTIFICATION_PREFERENCES.includes(preference)) {
+		throw new ApiError(
+			400,
+			`Invalid notification preference. Allowed values: ${SUBSCRIPTION_NOTIFICATION_PREFERENCES.join(
+				', '
+			)}`
+		)
+	}
+
+	const subscription = await Subscription.findOneAndUpdate(
+		{ channel: channelId, subscriber: req.user._id },
+		{ $set: { notificationPreference: preference } },
+		{ new: true }
+	)
+
+	if (!subscription) {
+		throw new ApiError(404, 'You are not subscribed to this channel.')
+	}
+
+	res.status(200).json(
+		new ApiResponse(
+			200,
+			{
+				channel: subscription.channel,
+				notificationPreference: subscription.notificationPreference,
+			},
+			'Notification preference updated successfully.'
+		)
+	)
+})
+
+export {
+	toggleSubscription,
+	getUserChannelSubscribers,
+	getSubscribedChannels,
+	getSubscriberCount,
+	updateNotificationPreference,
+}
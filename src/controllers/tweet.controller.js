@@ -1,6 +1,12 @@
-import { Like, Tweet, User } from '../models/index.js'
+import { Like, Tweet, User, Comment, Notification } from '../models/index.js'
 import mongoose, { isValidObjectId } from 'mongoose'
-import { asyncHandler, ApiError, ApiResponse, paginateArray } from '../utils/index.js'
+import {
+	asyncHandler,
+	ApiError,
+	ApiResponse,
+	paginateAggregate,
+	buildReactionStages,
+} from '../utils/index.js'
 
 /**
  * Create a new tweet
@@ -44,13 +50,13 @@ const createTweet = asyncHandler(async (req, res) => {
 
 /**
  * Get all tweets for a specific user
- * @desc Fetches paginated tweets for a user with like counts
+ * @desc Fetches paginated tweets for a user with reaction and comment counts and the viewer's reaction
  * @route GET /api/v1/tweets/user/:userId
  * @access Public
  */
 const getUserTweets = asyncHandler(async (req, res) => {
 	const { userId } = req.params
-	const { page = 1, limit = 10 } = req.query
+	const { page = 1, limit = 10, cursor } = req.query
 
 	// Validate user ID format
 	if (!isValidObjectId(userId)) {
@@ -61,7 +67,7 @@ const getUserTweets = asyncHandler(async (req, res) => {
 	const pageNum = parseInt(page)
 	const limitNum = parseInt(limit)
 
-	if (pageNum < 1 || limitNum < 1) {
+	if (isNaN(pageNum) || isNaN(limitNum) || pageNum < 1 || limitNum < 1) {
 		throw new ApiError(400, 'Page and limit must be positive numbers.')
 	}
 
@@ -76,46 +82,65 @@ const getUserTweets = asyncHandler(async (req, res) => {
 			throw new ApiError(404, 'User not found.')
 		}
 
-		// Aggregate tweets with like counts
-		const tweets = await Tweet.aggregate([
-			{
-				// Match tweets by user ID
-				$match: { owner: new mongoose.Types.ObjectId(userId) },
-			},
-			{
-				// Lookup likes for each tweet
-				$lookup: {
-					from: 'likes',
-					localField: '_id',
-					foreignField: 'tweet',
-					as: 'likes',
-				},
-			},
-			{
-				// Add computed fields
-				$addFields: {
-					totalLikes: { $size: '$likes' },
-					isLiked: false, // This would need current user context to determine
+		// Paginate tweets in the database and attach like counts to the page
+		const paginatedTweets = await paginateAggregate(
+			Tweet,
+			[
+				{
+					// Match tweets by user ID, leaving out tweets hidden by moderators
+					$match: { owner: new mongoose.Types.ObjectId(userId), isHidden: { $ne: true } },
 				},
-			},
+			],
 			{
-				// Project only necessary fields
-				$project: {
-					content: 1,
-					totalLikes: 1,
-					createdAt: 1,
-					updatedAt: 1,
-					owner: 1,
-				},
-			},
-			{
-				// Sort by creation date (newest first)
-				$sort: { createdAt: -1 },
-			},
-		])
-
-		// Apply pagination
-		const paginatedTweets = paginateArray(tweets, pageNum, limitNum, 'tweets')
+				page: pageNum,
+				limit: limitNum,
+				cursor,
+				label: 'tweets',
+				pagePipeline: [
+					// Per-type reaction counts and the viewer's reaction
+					...buildReactionStages('tweet', req.user?._id),
+					{
+						// Count comments and replies on each tweet
+						$lookup: {
+							from: 'comments',
+							localField: '_id',
+							foreignField: 'tweet',
+							as: 'totalComments',
+							pipeline: [
+								{ $match: { isDeleted: { $ne: true }, isHidden: { $ne: true } } },
+								{ $count: 'count' },
+							],
+						},
+					},
+					{
+						// Add computed fields
+						$addFields: {
+							totalLikes: '$reactionCounts.like',
+							totalDislikes: '$reactionCounts.dislike',
+							totalComments: {
+								$ifNull: [{ $arrayElemAt: ['$totalComments.count', 0] }, 0],
+							},
+							isLiked: { $eq: ['$userReaction', 'like'] },
+						},
+					},
+					{
+						// Project only necessary fields
+						$project: {
+							content: 1,
+							totalLikes: 1,
+							totalDislikes: 1,
+							totalComments: 1,
+							reactionCounts: 1,
+							userReaction: 1,
+							isLiked: 1,
+							createdAt: 1,
+							updatedAt: 1,
+							owner: 1,
+						},
+					},
+				],
+			}
+		)
 
 		res.status(200).json(new ApiResponse(200, paginatedTweets, 'Tweets fetched successfully.'))
 	} catch (error) {
@@ -224,9 +249,13 @@ const deleteTweet = asyncHandler(async (req, res) => {
 		)
 	}
 
-	// Delete the tweet
+	// Delete the tweet with its comments and reactions
+	const commentIds = await Comment.find({ tweet: tweetId }).distinct('_id')
+
 	await Tweet.deleteOne({ _id: tweetId })
-	await Like.deleteMany({ tweet: tweetId })
+	await Like.deleteMany({ $or: [{ tweet: tweetId }, { comment: { $in: commentIds } }] })
+	await Comment.deleteMany({ tweet: tweetId })
+	await Notification.deleteMany({ tweet: tweetId })
 
 	return res.status(200).json(new ApiResponse(200, null, 'Tweet deleted successfully.'))
 })
@@ -0,0 +1,219 @@
+import crypto from 'crypto'
+import { isValidObjectId } from 'mongoose'
+import { UploadSession } from '../models/index.js'
+import { FILE_SIZE_LIMITS, FILE_SIZE_DISPLAY, RESUMABLE_UPLOAD } from '../constants.js'
+import { asyncHandler, ApiError, ApiResponse, storeChunk, discardUpload } from '../utils/index.js'
+
+/**
+ * Builds the response details of an upload session
+ * @param {Object} session - Upload session document
+ * @returns {Object} Upload ID, offset and limits
+ */
+const buildUploadDetails = session => ({
+	uploadId: session._id,
+	fileName: session.fileName,
+	totalSize: session.totalSize,
+	chunkSize: session.chunkSize,
+	offset: session.receivedBytes,
+	isComplete: session.receivedBytes === session.totalSize,
+	expiresAt: session.expiresAt,
+	videoId: session.video || null,
+})
+
+/**
+ * Finds an upload session of the current user
+ * @param {string} uploadId - Upload session ID
+ * @param {Object} ownerId - ID of the current user
+ * @returns {Promise<Object>} Upload session document
+ * @throws {ApiError} When the ID is invalid or the upload does not exist or has expired
+ */
+const findUploadSession = async (uploadId, ownerId) => {
+	if (!isValidObjectId(uploadId)) {
+		throw new ApiError(400, 'Invalid upload ID format.')
+	}
+
+	const session = await UploadSession.findOne({
+		_id: uploadId,
+		owner: ownerId,
+		expiresAt: { $gt: new Date() },
+	})
+
+	if (!session) {
+		throw new ApiError(404, 'Upload not found or expired.')
+	}
+
+	return session
+}
+
+/**
+ * Start a resumable video upload
+ * @route POST /api/v1/uploads
+ * @access Private
+ */
+const initUpload = asyncHandler(async (req, res) => {
+	const { fileName, mimeType, totalSize, checksum } = req.body
+
+	if (typeof fileName !== 'string' || !fileName.trim() || fileName.trim().length > 255) {
+		throw new ApiError(400, 'File name is required and cannot exceed 255 characters.')
+	}
+
+	if (mimeType !== 'video/mp4') {
+		throw new ApiError(400, 'Video must be in MP4 format.')
+	}
+
+	if (!Number.isInteger(totalSize) || totalSize < 1) {
+		throw new ApiError(400, 'Total size must be a positive number of bytes.')
+	}
+
+	if (totalSize > FILE_SIZE_LIMITS.VIDEO) {
+		throw new ApiError(400, `Video file size cannot exceed ${FILE_SIZE_DISPLAY.VIDEO}.`)
+	}
+
+	if (checksum !== undefined && !/^[a-f0-9]{64}$/i.test(checksum)) {
+		throw new ApiError(400, 'Checksum must be a hex encoded SHA-256 digest.')
+	}
+
+	// Unfinished uploads take up disk space until they expire
+	const activeUploads = await UploadSession.countDocuments({
+		owner: req.user._id,
+		expiresAt: { $gt: new Date() },
+	})
+
+	if (activeUploads >= RESUMABLE_UPLOAD.MAX_ACTIVE_PER_USER) {
+		throw new ApiError(
+			429,
+			`You can have at most ${RESUMABLE_UPLOAD.MAX_ACTIVE_PER_USER} unfinished uploads. Finish or cancel one first.`
+		)
+	}
+
+	let session
+	try {
+		session = await UploadSession.create({
+			owner: req.user._id,
+			fileName: fileName.trim(),
+			mimeType,
+			totalSize,
+			chunkSize: RESUMABLE_UPLOAD.CHUNK_SIZE,
+			checksum,
+			expiresAt: new Date(Date.now() + RESUMABLE_UPLOAD.EXPIRY_MS),
+		})
+	} catch (error) {
+		throw new ApiError(500, 'Failed to start upload. Please try again.')
+	}
+
+	res
+		.status(201)
+		.set('Upload-Offset', '0')
+		.json(new ApiResponse(201, buildUploadDetails(session), 'Upload started successfully.'))
+})
+
+/**
+ * Get the offset a resumable upload continues from
+ * @route GET /api/v1/uploads/:uploadId
+ * @access Private (owner only)
+ */
+const getUploadStatus = asyncHandler(async (req, res) => {
+	const session = await findUploadSession(req.params.uploadId, req.user._id)
+
+	res
+		.status(200)
+		.set('Upload-Offset', String(session.receivedBytes))
+		.json(new ApiResponse(200, buildUploadDetails(session), 'Upload status fetched successfully.'))
+})
+
+/**
+ * Append a chunk to a resumable upload
+ * @desc The chunk must start at the current offset and match the SHA-256 in Upload-Checksum
+ * @route PATCH /api/v1/uploads/:uploadId
+ * @access Private (owner only)
+ */
+const uploadChunk = asyncHandler(async (req, res) => {
+	const session = await findUploadSession(req.params.uploadId, req.user._id)
+	const offset = Number(req.header('Upload-Offset'))
+	const chunk = req.body
+
+	// Lets clients that lost track of the upload resume from the right place
+	res.set('Upload-Offset', String(session.receivedBytes))
+
+	if (!Number.isInteger(offset) || offset !== session.receivedBytes) {
+		throw new ApiError(
+			409,
+			`Upload-Offset does not match the upload, continue from offset ${session.receivedBytes}.`
+		)
+	}
+
+	if (!Buffer.isBuffer(chunk) || chunk.length === 0) {
+		throw new ApiError(400, 'Chunk is required as an application/offset+octet-stream body.')
+	}
+
+	if (chunk.length > session.chunkSize) {
+		throw new ApiError(413, `Chunk cannot exceed ${session.chunkSize} bytes.`)
+	}
+
+	if (offset + chunk.length > session.totalSize) {
+		throw new ApiError(400, 'Chunk exceeds the total size of the upload.')
+	}
+
+	const [algorithm, expectedDigest] = (req.header('Upload-Checksum') || '').split(' ')
+	if (algorithm !== 'sha256' || !expectedDigest) {
+		throw new ApiError(400, "Upload-Checksum header is required as 'sha256 <base64 digest>'.")
+	}
+
+	const digest = crypto.createHash('sha256').update(chunk).digest('base64')
+	if (digest !== expectedDigest) {
+		throw new ApiError(400, 'Chunk checksum mismatch, the chunk was not stored.')
+	}
+
+	let updatedSession
+	try {
+		updatedSession = await storeChunk(session, offset, chunk)
+	} catch (error) {
+		throw new ApiError(500, 'Failed to store chunk. Please try again.')
+	}
+
+	// Another request stored a chunk for this offset first
+	if (!updatedSession) {
+		const { receivedBytes } = await UploadSession.findById(session._id).select('receivedBytes')
+		res.set('Upload-Offset', String(receivedBytes))
+		throw new ApiError(409, `Chunk was already received, continue from offset ${receivedBytes}.`)
+	}
+
+	const details = buildUploadDetails(updatedSession)
+
+	res
+		.status(200)
+		.set('Upload-Offset', String(details.offset))
+		.json(
+			new ApiResponse(
+				200,
+				details,
+				details.isComplete ? 'Upload complete.' : 'Chunk received successfully.'
+			)
+		)
+})
+
+/**
+ * Cancel a resumable upload and remove its chunks
+ * @route DELETE /api/v1/uploads/:uploadId
+ * @access Private (owner only)
+ */
+const cancelUpload = asyncHandler(async (req, res) => {
+	const session = await findUploadSession(req.params.uploadId, req.user._id)
+
+	// The finalize job still needs the chunks, deleting the video cancels it instead
+	if (session.video) {
+		throw new ApiError(409, 'Upload is already being turned into a video.')
+	}
+
+	try {
+		await discardUpload(session._id)
+	} catch (error) {
+		throw new ApiError(500, 'Failed to cancel upload. Please try again.')
+	}
+
+	res
+		.status(200)
+		.json(new ApiResponse(200, { uploadId: session._id }, 'Upload cancelled successfully.'))
+})
+
+export { initUpload, getUploadStatus, uploadChunk, cancelUpload }
@@ -1,17 +1,44 @@
 import jwt from 'jsonwebtoken'
-import mongoose from 'mongoose'
-import { User, Video, Comment, Like, Tweet, Playlist, Subscription } from '../models/index.js'
-import { deleteImageFromCloudinary } from '../utils/cloudinary.js'
-import { REFRESH_TOKEN_SECRET, cookieOptions } from '../constants.js'
-import { asyncHandler, ApiError, ApiResponse, uploadOnCloudinary } from '../utils/index.js'
+import mongoose, { isValidObjectId } from 'mongoose'
+import { User, Video, Tweet, Comment, Playlist, WatchHistory, Session } from '../models/index.js'
+import { deleteAsset } from '../utils/cloudinary.js'
+import {
+	REFRESH_TOKEN_SECRET,
+	CLIENT_URL,
+	USERNAME_RULES,
+	CHANNEL_ABOUT_LIMITS,
+	JOB_TYPES,
+	cookieOptions,
+} from '../constants.js'
+import {
+	asyncHandler,
+	ApiError,
+	ApiResponse,
+	uploadOnCloudinary,
+	paginateAggregate,
+	sendMail,
+	issueAccountToken,
+	consumeAccountToken,
+	normalizeUsername,
+	validateUsername,
+	isUsernameTaken,
+	buildListedVideoMatch,
+	buildWatchableVideoFilterStages,
+	canWatchVideo,
+	createJobStatusToken,
+	enqueueJob,
+	cancelJob,
+} from '../utils/index.js'
 
 /**
- * Generates access token and refresh token for a user
+ * Generates access token and refresh token for a session of a user
+ * @desc Only the hash of the refresh token is stored, the caller saves it on the session
  * @param {Object} user - User object from database
- * @returns {Object} Object containing accessToken and refreshToken
+ * @param {Object} sessionId - ID of the session the tokens belong to
+ * @returns {Object} Object containing accessToken, refreshToken, tokenHash and expiresAt
  * @throws {ApiError} When token generation fails
  */
-const generateAccessTokenAndRefreshToken = async user => {
+const generateAccessTokenAndRefreshToken = async (user, sessionId) => {
 	try {
 		// Validate user object
 		if (!user || !user._id) {
@@ -19,19 +46,20 @@ const generateAccessTokenAndRefreshToken = async user => {
 		}
 
 		// Generate tokens
-		const accessToken = await user.generateAccessToken()
-		const refreshToken = await user.generateRefreshToken()
+		const accessToken = await user.generateAccessToken(sessionId)
+		const refreshToken = await user.generateRefreshToken(sessionId)
 
 		// Validate token generation
 		if (!accessToken || !refreshToken) {
 			throw new ApiError(500, 'Failed to generate tokens.')
 		}
 
-		// Save refresh token to database
-		user.refreshToken = refreshToken
-		await user.save({ validateBeforeSave: false })
-
-		return { accessToken, refreshToken }
+		return {
+			accessToken,
+			refreshToken,
+			tokenHash: Session.hashToken(refreshToken),
+			expiresAt: new Date(jwt.decode(refreshToken).exp * 1000),
+		}
 	} catch (error) {
 		// Handle specific error types
 		if (error instanceof ApiError) {
@@ -41,6 +69,63 @@ const generateAccessTokenAndRefreshToken = async user => {
 	}
 }
 
+/**
+ * Describes the device a request comes from
+ * @param {Object} req - Express request object
+ * @returns {Object} User agent and IP address
+ */
+const getDeviceInfo = req => ({
+	userAgent: req.get('User-Agent') || 'Unknown',
+	ip: req.ip,
+})
+
+/**
+ * Emails a link to verify the user's email address
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ * @throws {ApiError} When a verification email was requested too recently
+ */
+const sendVerificationEmail = async user => {
+	const token = await issueAccountToken(user, 'email_verification')
+
+	await sendMail({
+		to: user.email,
+		subject: 'Verify your email address',
+		text: [
+			`Hi ${user.fullName},`,
+			'',
+			'Please confirm your email address to start uploading videos:',
+			`${CLIENT_URL}/verify-email?token=${token}`,
+			'',
+			'This link expires in 24 hours. If you did not create an account, you can ignore this email.',
+		].join('\n'),
+	})
+}
+
+/**
+ * Emails a link to choose a new password
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ * @throws {ApiError} When a reset email was requested too recently
+ */
+const sendPasswordResetEmail = async user => {
+	const token = await issueAccountToken(user, 'password_reset')
+
+	await sendMail({
+		to: user.email,
+		subject: 'Reset your password',
+		text: [
+			`Hi ${user.fullName},`,
+			'',
+			'Use this link to choose a new password:',
+			`${CLIENT_URL}/reset-password?token=${token}`,
+			'',
+			'This link expires in 1 hour and signs you out on all devices once used.',
+			'If you did not request a password reset, you can ignore this email.',
+		].join('\n'),
+	})
+}
+
 /**
  * Registers a new user with avatar and optional cover image
  * @route POST /api/v1/users/register
@@ -61,21 +146,18 @@ const userRegister = asyncHandler(async (req, res) => {
 		throw new ApiError(400, 'Please provide a valid email address.')
 	}
 
-	// Validate username format (alphanumeric and underscore only)
-	const usernameRegex = /^[a-zA-Z0-9_]+$/
-	if (!usernameRegex.test(username)) {
-		throw new ApiError(400, 'Username can only contain letters, numbers, and underscores.')
-	}
+	// Validate username length, charset and reserved names
+	const normalizedUsername = validateUsername(username)
 
 	// Validate password strength
 	if (password.length < 6) {
 		throw new ApiError(400, 'Password must be at least 6 characters long.')
 	}
 
-	// Check if user already exists
-	const doesUserExist = await User.findOne({
-		$or: [{ username: username.toLowerCase() }, { email: email.toLowerCase() }],
-	})
+	// Check if user already exists, old handles still redirecting to a channel are taken too
+	const doesUserExist =
+		(await User.exists({ email: email.toLowerCase() })) ||
+		(await isUsernameTaken(normalizedUsername))
 
 	if (doesUserExist) {
 		throw new ApiError(409, 'User with same username or email already exists.')
@@ -91,11 +173,11 @@ const userRegister = asyncHandler(async (req, res) => {
 	) {
 		const avatarLocalPath = req.files.avatar[0].path
 		if (avatarLocalPath) {
-			avatar = await uploadOnCloudinary(avatarLocalPath)
+			avatar = await uploadOnCloudinary(avatarLocalPath, 'image')
 			if (!avatar?.url) {
 				// Clean up failed upload
-				if (avatar?.public_id) {
-					await deleteImageFromCloudinary(avatar.public_id)
+				if (avatar?.publicId) {
+					await deleteAsset(avatar)
 				}
 				throw new ApiError(500, 'Error uploading avatar.')
 			}
@@ -111,12 +193,14 @@ const userRegister = asyncHandler(async (req, res) => {
 	) {
 		const coverImageLocalPath = req.files.coverImage[0].path
 		if (coverImageLocalPath) {
-			coverImage = await uploadOnCloudinary(coverImageLocalPath)
+			coverImage = await uploadOnCloudinary(coverImageLocalPath, 'image')
 			if (!coverImage?.url) {
 				// Clean up failed uploads
-				await deleteImageFromCloudinary(avatar.public_id)
-				if (coverImage?.public_id) {
-					await deleteImageFromCloudinary(coverImage.public_id)
+				if (avatar?.publicId) {
+					await deleteAsset(avatar)
+				}
+				if (coverImage?.publicId) {
+					await deleteAsset(coverImage)
 				}
 				throw new ApiError(500, 'Error uploading cover image.')
 			}
@@ -125,30 +209,37 @@ const userRegister = asyncHandler(async (req, res) => {
 
 	// Create user in database
 	const user = await User.create({
-		username: username.toLowerCase(),
+		username: normalizedUsername,
 		email: email.toLowerCase(),
 		fullName,
-		avatar: avatar?.url || '',
-		coverImage: coverImage?.url || '',
+		avatar,
+		coverImage,
 		password,
 	})
 
 	// Retrieve created user without sensitive information
-	const createdUser = await User.findById(user._id).select('-password -refreshToken')
+	const createdUser = await User.findById(user._id).select('-password')
 
 	// Validate user creation
 	if (!createdUser) {
 		// Clean up on failure
 		await User.findByIdAndDelete(user._id)
-		if (avatar?.public_id) {
-			await deleteImageFromCloudinary(avatar.public_id)
+		if (avatar?.publicId) {
+			await deleteAsset(avatar)
 		}
-		if (coverImage?.public_id) {
-			await deleteImageFromCloudinary(coverImage.public_id)
+		if (coverImage?.publicId) {
+			await deleteAsset(coverImage)
 		}
 		throw new ApiError(500, 'Something went wrong while registering. Please try again.')
 	}
 
+	// The account works without a verified email, so a mail failure must not fail registration
+	try {
+		await sendVerificationEmail(createdUser)
+	} catch (error) {
+		console.warn(`Failed to send verification email to user ${createdUser._id}:`, error)
+	}
+
 	return res.status(201).json(new ApiResponse(201, createdUser, 'User registered successfully'))
 })
 
@@ -167,7 +258,7 @@ const userLogin = asyncHandler(async (req, res) => {
 
 	// Find user by username or email (case-insensitive)
 	const user = await User.findOne({
-		$or: [{ username: usernameEmail.toLowerCase() }, { email: usernameEmail.toLowerCase() }],
+		$or: [{ username: normalizeUsername(usernameEmail) }, { email: usernameEmail.toLowerCase() }],
 	})
 
 	if (!user) {
@@ -181,11 +272,27 @@ const userLogin = asyncHandler(async (req, res) => {
 		throw new ApiError(401, 'Invalid user credentials.')
 	}
 
-	// Generate tokens
-	const { accessToken, refreshToken } = await generateAccessTokenAndRefreshToken(user)
+	// Suspended and banned accounts cannot sign in
+	const restrictionMessage = user.getRestrictionMessage()
+	if (restrictionMessage) {
+		throw new ApiError(403, restrictionMessage)
+	}
+
+	// Start a new session for this device, other devices stay signed in
+	const sessionId = new mongoose.Types.ObjectId()
+	const { accessToken, refreshToken, tokenHash, expiresAt } =
+		await generateAccessTokenAndRefreshToken(user, sessionId)
+
+	await Session.create({
+		_id: sessionId,
+		user: user._id,
+		tokenHash,
+		expiresAt,
+		...getDeviceInfo(req),
+	})
 
 	// Remove sensitive data before sending response
-	const loggedInUser = await User.findById(user._id).select('-password -refreshToken')
+	const loggedInUser = await User.findById(user._id).select('-password')
 
 	return res
 		.status(200)
@@ -205,7 +312,7 @@ const userLogin = asyncHandler(async (req, res) => {
 })
 
 /**
- * Logs out user and clears refresh token
+ * Logs out user by revoking the current session
  * @route DELETE /api/v1/users/logout
  * @access Private
  */
@@ -217,18 +324,10 @@ const userLogout = asyncHandler(async (req, res) => {
 		throw new ApiError(401, 'Unauthorized access.')
 	}
 
-	// Clear refresh token from database
-	await User.findByIdAndUpdate(
-		req.user._id,
-		{
-			$unset: {
-				refreshToken: 1,
-			},
-		},
-		{
-			new: true,
-		}
-	)
+	// Revoke the session of this device, other devices stay signed in
+	if (req.sessionId) {
+		await Session.revokeMany({ _id: req.sessionId, user: req.user._id }, 'logout')
+	}
 
 	return res
 		.status(200)
@@ -239,6 +338,8 @@ const userLogout = asyncHandler(async (req, res) => {
 
 /**
  * Refreshes access token using valid refresh token
+ * @desc The refresh token rotates on every use, presenting an already rotated token is treated
+ * as theft and revokes the whole session
  * @route POST /api/v1/users/refresh-token
  * @access Public
  */
@@ -263,14 +364,58 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
 			throw new ApiError(401, 'Invalid refresh token.')
 		}
 
-		// Find user and validate refresh token
+		// Refresh tokens issued before sessions existed cannot be rotated
+		if (!decodedRefreshToken.sessionId) {
+			throw new ApiError(401, 'Refresh token is no longer valid. Please log in again.')
+		}
+
 		const user = await User.findById(decodedRefreshToken._id)
-		if (!user || !user.refreshToken || user.refreshToken !== incomingRefreshToken) {
-			throw new ApiError(401, 'Refresh token is expired or used.')
+		if (!user) {
+			throw new ApiError(401, 'Invalid refresh token.')
+		}
+
+		const restrictionMessage = user.getRestrictionMessage()
+		if (restrictionMessage) {
+			throw new ApiError(403, restrictionMessage)
 		}
 
 		// Generate new tokens
-		const { accessToken, refreshToken } = await generateAccessTokenAndRefreshToken(user)
+		const { accessToken, refreshToken, tokenHash, expiresAt } =
+			await generateAccessTokenAndRefreshToken(user, decodedRefreshToken.sessionId)
+
+		// Swap in the new token only while the presented one is current, so each token rotates once
+		const session = await Session.findOneAndUpdate(
+			{
+				_id: decodedRefreshToken.sessionId,
+				user: user._id,
+				tokenHash: Session.hashToken(incomingRefreshToken),
+				revokedAt: null,
+			},
+			{ $set: { tokenHash, expiresAt, lastUsedAt: new Date(), ...getDeviceInfo(req) } }
+		)
+
+		if (!session) {
+			res.clearCookie('accessToken', cookieOptions)
+			res.clearCookie('refreshToken', cookieOptions)
+
+			// A validly signed token that is no longer current was already rotated
+			const reusedSessionsCount = await Session.revokeMany(
+				{ _id: decodedRefreshToken.sessionId, user: user._id },
+				'reuse_detected'
+			)
+
+			if (reusedSessionsCount > 0) {
+				console.warn(
+					`Refresh token reuse detected, revoked session ${decodedRefreshToken.sessionId} of user ${user._id}`
+				)
+				throw new ApiError(
+					401,
+					'Refresh token has already been used. The session has been revoked, please log in again.'
+				)
+			}
+
+			throw new ApiError(401, 'Session has expired or was revoked. Please log in again.')
+		}
 
 		return res
 			.status(200)
@@ -298,6 +443,231 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
 	}
 })
 
+/**
+ * Lists the signed-in devices of the current user, most recently used first
+ * @route GET /api/v1/users/sessions
+ * @access Private
+ */
+const getUserSessions = asyncHandler(async (req, res) => {
+	try {
+		const sessions = await Session.find({
+			user: req.user._id,
+			revokedAt: null,
+			expiresAt: { $gt: new Date() },
+		})
+			.select('userAgent ip lastUsedAt expiresAt createdAt')
+			.sort({ lastUsedAt: -1 })
+			.lean()
+
+		const sessionsWithCurrent = sessions.map(session => ({
+			...session,
+			isCurrent: session._id.toString() === req.sessionId?.toString(),
+		}))
+
+		return res
+			.status(200)
+			.json(new ApiResponse(200, sessionsWithCurrent, 'Sessions fetched successfully.'))
+	} catch (error) {
+		throw new ApiError(500, 'Failed to fetch sessions. Please try again.')
+	}
+})
+
+/**
+ * Signs out one device of the current user
+ * @desc Revoking the current session also clears the auth cookies
+ * @route DELETE /api/v1/users/sessions/:sessionId
+ * @access Private
+ */
+const revokeSession = asyncHandler(async (req, res) => {
+	const { sessionId } = req.params
+
+	// Validate session ID format
+	if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+		throw new ApiError(400, 'Invalid session ID format.')
+	}
+
+	const revokedCount = await Session.revokeMany({ _id: sessionId, user: req.user._id }, 'revoked')
+	if (revokedCount === 0) {
+		throw new ApiError(404, 'Session not found or already revoked.')
+	}
+
+	const isCurrent = sessionId === req.sessionId?.toString()
+
+	if (isCurrent) {
+		res.clearCookie('accessToken', cookieOptions).clearCookie('refreshToken', cookieOptions)
+	}
+
+	return res
+		.status(200)
+		.json(new ApiResponse(200, { sessionId, isCurrent }, 'Session revoked successfully.'))
+})
+
+/**
+ * Logs out the current user on every device
+ * @route DELETE /api/v1/users/logout-all
+ * @access Private
+ */
+const userLogoutAll = asyncHandler(async (req, res) => {
+	const revokedSessionsCount = await Session.revokeMany({ user: req.user._id }, 'logout_all')
+
+	return res
+		.status(200)
+		.clearCookie('accessToken', cookieOptions)
+		.clearCookie('refreshToken', cookieOptions)
+		.json(
+			new ApiResponse(200, { revokedSessionsCount }, 'Logged out from all devices successfully.')
+		)
+})
+
+/**
+ * Sends a new email verification link to the current user
+ * @route POST /api/v1/users/verify-email/request
+ * @access Private
+ */
+const requestEmailVerification = asyncHandler(async (req, res) => {
+	if (req.user.isEmailVerified) {
+		throw new ApiError(400, 'Email address is already verified.')
+	}
+
+	try {
+		await sendVerificationEmail(req.user)
+	} catch (error) {
+		if (error instanceof ApiError) {
+			throw error
+		}
+		throw new ApiError(500, 'Failed to send verification email. Please try again.')
+	}
+
+	return res
+		.status(200)
+		.json(new ApiResponse(200, { email: req.user.email }, 'Verification email sent.'))
+})
+
+/**
+ * Verifies an email address using the emailed token
+ * @route POST /api/v1/users/verify-email/confirm
+ * @access Public
+ */
+const confirmEmailVerification = asyncHandler(async (req, res) => {
+	const { token } = req.body
+
+	// Validate token
+	if (!token || typeof token !== 'string') {
+		throw new ApiError(400, 'Verification token is required.')
+	}
+
+	const userId = await consumeAccountToken(token, 'email_verification')
+
+	const user = await User.findById(userId)
+	if (!user) {
+		throw new ApiError(404, 'User not found.')
+	}
+
+	if (!user.isEmailVerified) {
+		user.isEmailVerified = true
+		user.emailVerifiedAt = new Date()
+		await user.save({ validateBeforeSave: false })
+	}
+
+	return res
+		.status(200)
+		.json(
+			new ApiResponse(
+				200,
+				{ email: user.email, isEmailVerified: true },
+				'Email address verified successfully.'
+			)
+		)
+})
+
+/**
+ * Sends a password reset link to the account with the given email
+ * @desc Always answers the same way so the endpoint cannot reveal which emails are registered
+ * @route POST /api/v1/users/password-reset/request
+ * @access Public
+ */
+const requestPasswordReset = asyncHandler(async (req, res) => {
+	const { email } = req.body
+
+	// Validate email format
+	const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+	if (!email || typeof email !== 'string' || !emailRegex.test(email.trim())) {
+		throw new ApiError(400, 'Please provide a valid email address.')
+	}
+
+	const user = await User.findOne({ email: email.trim().toLowerCase() })
+
+	if (user) {
+		try {
+			await sendPasswordResetEmail(user)
+		} catch (error) {
+			// A recent request already sent a link, anything else is only logged
+			if (!(error instanceof ApiError)) {
+				console.warn(`Failed to send password reset email to user ${user._id}:`, error)
+			}
+		}
+	}
+
+	return res
+		.status(200)
+		.json(
+			new ApiResponse(
+				200,
+				{},
+				'If an account exists for this email, a password reset link has been sent.'
+			)
+		)
+})
+
+/**
+ * Sets a new password using the emailed reset token
+ * @desc Signs the user out on every device
+ * @route POST /api/v1/users/password-reset/confirm
+ * @access Public
+ */
+const confirmPasswordReset = asyncHandler(async (req, res) => {
+	const { token, newPassword } = req.body
+
+	// Validate token
+	if (!token || typeof token !== 'string') {
+		throw new ApiError(400, 'Reset token is required.')
+	}
+
+	// Validate new password before the token is used up
+	if (!newPassword || typeof newPassword !== 'string' || newPassword.length < 6) {
+		throw new ApiError(400, 'New password must be at least 6 characters long.')
+	}
+
+	const userId = await consumeAccountToken(token, 'password_reset')
+
+	const user = await User.findById(userId)
+	if (!user) {
+		throw new ApiError(404, 'User not found.')
+	}
+
+	user.password = newPassword
+
+	// Receiving the reset link proves the user owns the email address
+	if (!user.isEmailVerified) {
+		user.isEmailVerified = true
+		user.emailVerifiedAt = new Date()
+	}
+
+	await user.save({ validateBeforeSave: false })
+
+	const revokedSessionsCount = await Session.revokeMany({ user: user._id }, 'password_reset')
+
+	return res
+		.status(200)
+		.json(
+			new ApiResponse(
+				200,
+				{ revokedSessionsCount },
+				'Password reset successfully. Please log in with your new password.'
+			)
+		)
+})
+
 /**
  * Changes user's current password
  * @route PATCH /api/v1/users/change-password
@@ -331,7 +701,15 @@ const changeCurrentPassword = asyncHandler(async (req, res) => {
 	req.user.password = newPassword
 	await req.user.save({ validateBeforeSave: false })
 
-	return res.status(200).json(new ApiResponse(200, {}, 'Password changed successfully.'))
+	// Sign out every other device, the current one stays signed in
+	const revokedSessionsCount = await Session.revokeMany(
+		{ user: req.user._id, ...(req.sessionId && { _id: { $ne: req.sessionId } }) },
+		'password_change'
+	)
+
+	return res
+		.status(200)
+		.json(new ApiResponse(200, { revokedSessionsCount }, 'Password changed successfully.'))
 })
 
 /**
@@ -346,7 +724,7 @@ const getCurrentUser = asyncHandler(async (req, res) => {
 	}
 
 	// Create clean user object without sensitive data
-	const currentUser = await User.findById(req.user._id).select('-password -refreshToken')
+	const currentUser = await User.findById(req.user._id).select('-password')
 
 	if (!currentUser) {
 		throw new ApiError(404, 'User not found.')
@@ -358,52 +736,230 @@ const getCurrentUser = asyncHandler(async (req, res) => {
 })
 
 /**
- * Updates user's account details (username and fullName)
- * @route PATCH /api/v1/users/update-account
+ * Updates user's account details (fullName)
+ * @desc Usernames are changed through updateUsername, which enforces the change cooldown
+ * @route PATCH /api/v1/users/update-account-details
  * @access Private
  */
 const updateAccountDetails = asyncHandler(async (req, res) => {
 	const { username, fullName } = req.body
 
-	// Validate at least one field is provided
-	if (!username && !fullName) {
-		throw new ApiError(400, 'At least one field (username or fullName) is required.')
+	if (username !== undefined) {
+		throw new ApiError(400, 'Use PATCH /api/v1/users/username to change your username.')
 	}
 
-	// Validate username format if provided
-	if (username) {
-		const usernameRegex = /^[a-zA-Z0-9_]+$/
-		if (!usernameRegex.test(username)) {
-			throw new ApiError(400, 'Username can only contain letters, numbers, and underscores.')
-		}
+	// Validate fullName is provided
+	if (!fullName?.trim()) {
+		throw new ApiError(400, 'fullName is required.')
+	}
 
-		// Check if username is already taken
-		const existingUser = await User.findOne({
-			username: username.toLowerCase(),
-			_id: { $ne: req.user._id },
-		})
+	req.user.fullName = fullName.trim()
+
+	// Save changes
+	await req.user.save({ validateBeforeSave: false })
+
+	// Get updated user without sensitive data
+	const updatedUser = await User.findById(req.user._id).select('-password')
+
+	return res
+		.status(200)
+		.json(new ApiResponse(200, updatedUser, 'Account details updated successfully.'))
+})
+
+/**
+ * Changes the username (channel handle) of the current user
+ * @desc The old handle keeps resolving to the channel and cannot be taken by others for a grace period
+ * @route PATCH /api/v1/users/username
+ * @access Private
+ */
+const updateUsername = asyncHandler(async (req, res) => {
+	const username = validateUsername(req.body.username)
+	const user = req.user
+
+	if (username === user.username) {
+		throw new ApiError(400, 'This is already your username.')
+	}
 
-		if (existingUser) {
+	// Enforce the cooldown between two changes
+	const nextChangeAt = user.usernameChangedAt
+		? new Date(user.usernameChangedAt.getTime() + USERNAME_RULES.CHANGE_COOLDOWN_MS)
+		: null
+
+	if (nextChangeAt && nextChangeAt > new Date()) {
+		throw new ApiError(
+			429,
+			`Username was changed recently. You can change it again after ${nextChangeAt.toISOString()}.`
+		)
+	}
+
+	if (await isUsernameTaken(username, user._id)) {
+		throw new ApiError(409, 'Username is already taken.')
+	}
+
+	const previousUsername = user.username
+	const changedAt = new Date()
+
+	try {
+		user.usernameHistory.push({ username: previousUsername, changedAt })
+		user.username = username
+		user.usernameChangedAt = changedAt
+		await user.save({ validateBeforeSave: false })
+	} catch (error) {
+		// Another user took the username between the check and the save
+		if (error.code === 11000) {
 			throw new ApiError(409, 'Username is already taken.')
 		}
+		throw new ApiError(500, 'Failed to change username. Please try again.')
+	}
 
-		req.user.username = username.toLowerCase()
+	return res.status(200).json(
+		new ApiResponse(
+			200,
+			{
+				username,
+				previousUsername,
+				previousUsernameRedirectsUntil: new Date(
+					changedAt.getTime() + USERNAME_RULES.REDIRECT_GRACE_MS
+				),
+				nextChangeAllowedAt: new Date(changedAt.getTime() + USERNAME_RULES.CHANGE_COOLDOWN_MS),
+			},
+			'Username changed successfully.'
+		)
+	)
+})
+
+// Region names used to validate country codes
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region' })
+
+/**
+ * Validates an ISO 3166-1 alpha-2 country code
+ * @param {string} country - Country code from request body
+ * @returns {string} Uppercase country code
+ * @throws {ApiError} When the code is not a known country
+ */
+const parseCountry = country => {
+	const code = typeof country === 'string' ? country.trim().toUpperCase() : ''
+
+	// Unknown codes are echoed back or named "Unknown Region"
+	const name = /^[A-Z]{2}$/.test(code) ? regionNames.of(code) : null
+	if (!name || name === code || name === 'Unknown Region') {
+		throw new ApiError(400, 'Country must be an ISO 3166-1 alpha-2 code, e.g. "IN".')
 	}
 
-	// Update fullName if provided
-	if (fullName && fullName.trim()) {
-		req.user.fullName = fullName.trim()
+	return code
+}
+
+/**
+ * Validates the external links of a channel
+ * @param {Array} links - Links from request body, each with a title and an http(s) URL
+ * @returns {Array} Trimmed links
+ * @throws {ApiError} When there are too many links or a link is invalid
+ */
+const parseChannelLinks = links => {
+	const { MAX_LINKS, LINK_TITLE_MAX_LENGTH, LINK_URL_MAX_LENGTH } = CHANNEL_ABOUT_LIMITS
+
+	if (!Array.isArray(links) || links.length > MAX_LINKS) {
+		throw new ApiError(400, `Links must be an array of at most ${MAX_LINKS} links.`)
 	}
 
-	// Save changes
-	await req.user.save({ validateBeforeSave: false })
+	return links.map(link => {
+		const title = typeof link?.title === 'string' ? link.title.trim() : ''
+		const url = typeof link?.url === 'string' ? link.url.trim() : ''
 
-	// Get updated user without sensitive data
-	const updatedUser = await User.findById(req.user._id).select('-password -refreshToken')
+		if (!title || title.length > LINK_TITLE_MAX_LENGTH) {
+			throw new ApiError(
+				400,
+				`Each link needs a title of at most ${LINK_TITLE_MAX_LENGTH} characters.`
+			)
+		}
+
+		let protocol
+		try {
+			protocol = new URL(url).protocol
+		} catch (error) {
+			protocol = null
+		}
+
+		if (!['http:', 'https:'].includes(protocol) || url.length > LINK_URL_MAX_LENGTH) {
+			throw new ApiError(
+				400,
+				`Each link needs a valid http(s) URL of at most ${LINK_URL_MAX_LENGTH} characters.`
+			)
+		}
+
+		return { title, url }
+	})
+}
+
+/**
+ * Updates the "About" section of the current user's channel
+ * @desc Omitted fields are kept, null or an empty value clears a field
+ * @route PATCH /api/v1/users/channel-about
+ * @access Private
+ */
+const updateChannelAbout = asyncHandler(async (req, res) => {
+	const { description, country, links, contactEmail } = req.body
+
+	if ([description, country, links, contactEmail].every(field => field === undefined)) {
+		throw new ApiError(
+			400,
+			'At least one field (description, country, links or contactEmail) is required.'
+		)
+	}
+
+	const isCleared = value => value === null || value === ''
+	const updates = {}
+
+	// Validate description
+	if (description !== undefined) {
+		if (!isCleared(description) && typeof description !== 'string') {
+			throw new ApiError(400, 'Description must be a string.')
+		}
+
+		const trimmedDescription = description?.trim() || ''
+		if (trimmedDescription.length > CHANNEL_ABOUT_LIMITS.DESCRIPTION_MAX_LENGTH) {
+			throw new ApiError(
+				400,
+				`Description cannot exceed ${CHANNEL_ABOUT_LIMITS.DESCRIPTION_MAX_LENGTH} characters.`
+			)
+		}
+
+		updates['about.description'] = trimmedDescription || undefined
+	}
+
+	// Validate country
+	if (country !== undefined) {
+		updates['about.country'] = isCleared(country) ? undefined : parseCountry(country)
+	}
+
+	// Validate links
+	if (links !== undefined) {
+		updates['about.links'] = isCleared(links) ? [] : parseChannelLinks(links)
+	}
+
+	// Validate contact email
+	if (contactEmail !== undefined) {
+		if (isCleared(contactEmail)) {
+			updates['about.contactEmail'] = undefined
+		} else {
+			const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+			if (typeof contactEmail !== 'string' || !emailRegex.test(contactEmail.trim())) {
+				throw new ApiError(400, 'Please provide a valid contact email address.')
+			}
+			updates['about.contactEmail'] = contactEmail.trim().toLowerCase()
+		}
+	}
+
+	try {
+		Object.entries(updates).forEach(([path, value]) => req.user.set(path, value))
+		await req.user.save({ validateBeforeSave: false })
+	} catch (error) {
+		throw new ApiError(500, 'Failed to update channel details. Please try again.')
+	}
 
 	return res
 		.status(200)
-		.json(new ApiResponse(200, updatedUser, 'Account details updated successfully.'))
+		.json(new ApiResponse(200, req.user.about, 'Channel details updated successfully.'))
 })
 
 /**
@@ -418,22 +974,22 @@ const updateUserAvatar = asyncHandler(async (req, res) => {
 	}
 
 	// Upload new avatar
-	const avatar = await uploadOnCloudinary(req.file.path)
+	const avatar = await uploadOnCloudinary(req.file.path, 'image')
 	if (!avatar?.url) {
 		throw new ApiError(500, 'Error uploading avatar.')
 	}
 
-	// Store old avatar URL for cleanup
-	const oldAvatarUrl = req.user.avatar
+	// Store old avatar for cleanup, copied since assigning a new one replaces the sub-document
+	const oldAvatar = req.user.avatar?.toObject()
 
 	// Update user avatar
-	req.user.avatar = avatar.url
+	req.user.avatar = avatar
 	await req.user.save({ validateBeforeSave: false })
 
-	// Delete old avatar from cloudinary (if exists)
-	if (oldAvatarUrl) {
+	// Delete old avatar from storage (if exists)
+	if (oldAvatar) {
 		try {
-			await deleteImageFromCloudinary(oldAvatarUrl)
+			await deleteAsset(oldAvatar)
 		} catch (error) {
 			// Log error but don't fail the request
 			console.error('Failed to delete old avatar:', error)
@@ -441,7 +997,7 @@ const updateUserAvatar = asyncHandler(async (req, res) => {
 	}
 
 	// Get updated user without sensitive data
-	const updatedUser = await User.findById(req.user._id).select('-password -refreshToken')
+	const updatedUser = await User.findById(req.user._id).select('-password')
 
 	return res.status(200).json(new ApiResponse(200, updatedUser, 'Avatar updated successfully.'))
 })
@@ -458,22 +1014,22 @@ const updateUserCoverImage = asyncHandler(async (req, res) => {
 	}
 
 	// Upload new cover image
-	const coverImage = await uploadOnCloudinary(req.file.path)
+	const coverImage = await uploadOnCloudinary(req.file.path, 'image')
 	if (!coverImage?.url) {
 		throw new ApiError(500, 'Error uploading cover image.')
 	}
 
-	// Store old cover image URL for cleanup
-	const oldCoverImageUrl = req.user.coverImage
+	// Store old cover image for cleanup, copied since assigning a new one replaces the sub-document
+	const oldCoverImage = req.user.coverImage?.toObject()
 
 	// Update user cover image
-	req.user.coverImage = coverImage.url
+	req.user.coverImage = coverImage
 	await req.user.save({ validateBeforeSave: false })
 
-	// Delete old cover image from cloudinary (if exists)
-	if (oldCoverImageUrl) {
+	// Delete old cover image from storage (if exists)
+	if (oldCoverImage) {
 		try {
-			await deleteImageFromCloudinary(oldCoverImageUrl)
+			await deleteAsset(oldCoverImage)
 		} catch (error) {
 			// Log error but don't fail the request
 			console.error('Failed to delete old cover image:', error)
@@ -481,30 +1037,81 @@ const updateUserCoverImage = asyncHandler(async (req, res) => {
 	}
 
 	// Get updated user without sensitive data
-	const updatedUser = await User.findById(req.user._id).select('-password -refreshToken')
+	const updatedUser = await User.findById(req.user._id).select('-password')
 
 	return res
 		.status(200)
 		.json(new ApiResponse(200, updatedUser, 'Cover image updated successfully.'))
 })
 
+/**
+ * Finds the channel a handle refers to, following old handles within their grace period
+ * @param {string} username - Current or previous username
+ * @returns {Promise<Object|null>} Channel ID and redirect details, or null when not found
+ */
+const resolveChannelHandle = async username => {
+	const handle = normalizeUsername(username)
+
+	const currentHolder = await User.findOne({ username: handle }).select('_id')
+	if (currentHolder) {
+		return { channelId: currentHolder._id, redirect: null }
+	}
+
+	const changedAfter = new Date(Date.now() - USERNAME_RULES.REDIRECT_GRACE_MS)
+	const previousHolder = await User.findOne({
+		usernameHistory: { $elemMatch: { username: handle, changedAt: { $gte: changedAfter } } },
+	}).select('username usernameHistory')
+
+	if (!previousHolder) {
+		return null
+	}
+
+	// The most recent change away from the handle decides how long it keeps redirecting
+	const lastChangedAt = previousHolder.usernameHistory
+		.filter(entry => entry.username === handle)
+		.reduce((latest, entry) => (entry.changedAt > latest ? entry.changedAt : latest), changedAfter)
+
+	return {
+		channelId: previousHolder._id,
+		redirect: {
+			from: handle,
+			to: previousHolder.username,
+			expiresAt: new Date(lastChangedAt.getTime() + USERNAME_RULES.REDIRECT_GRACE_MS),
+		},
+	}
+}
+
 /**
  * Gets user channel profile with subscription information
- * @route GET /api/v1/users/c/:username
+ * @desc Channels are addressed by username, a previous username within its grace period, or ID
+ * @route GET /api/v1/users/channel/:username
+ * @route GET /api/v1/users/channel/id/:userId
  * @access Public
  */
 const getUserChannelProfile = asyncHandler(async (req, res) => {
-	const { username } = req.params
+	const { username, userId } = req.params
 
-	// Validate username parameter
-	if (!username?.trim()) {
+	// Validate channel parameter
+	if (userId !== undefined && !isValidObjectId(userId)) {
+		throw new ApiError(400, 'Invalid user ID format.')
+	}
+
+	if (userId === undefined && !username?.trim()) {
 		throw new ApiError(400, 'Username is required.')
 	}
 
 	try {
+		const resolved = userId
+			? { channelId: new mongoose.Types.ObjectId(userId), redirect: null }
+			: await resolveChannelHandle(username)
+
+		if (!resolved) {
+			throw new ApiError(404, 'Channel not found.')
+		}
+
 		// Aggregate pipeline to get channel profile with subscription data
 		const channel = await User.aggregate([
-			{ $match: { username: username.toLowerCase().trim() } },
+			{ $match: { _id: resolved.channelId } },
 			{
 				$lookup: {
 					from: 'subscriptions',
@@ -521,11 +1128,26 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
 					as: 'subscribedTo',
 				},
 			},
+			{
+				// Totals of the videos visitors can see
+				$lookup: {
+					from: 'videos',
+					localField: '_id',
+					foreignField: 'owner',
+					as: 'videoStats',
+					pipeline: [
+						{ $match: buildListedVideoMatch() },
+						{ $group: { _id: null, videosCount: { $sum: 1 }, totalViews: { $sum: '$views' } } },
+					],
+				},
+			},
 			{
 				$addFields: {
 					subscriberCount: { $size: '$subscribers' },
 					subscribedToCount: { $size: '$subscribedTo' },
 					isSubscribed: { $in: [req.user?._id, '$subscribers.subscriber'] },
+					videosCount: { $ifNull: [{ $first: '$videoStats.videosCount' }, 0] },
+					totalViews: { $ifNull: [{ $first: '$videoStats.totalViews' }, 0] },
 				},
 			},
 			{
@@ -535,10 +1157,16 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
 					subscriberCount: 1,
 					subscribedToCount: 1,
 					isSubscribed: 1,
+					videosCount: 1,
+					totalViews: 1,
 					avatar: 1,
 					coverImage: 1,
-					email: 1,
-					createdAt: 1,
+					'about.description': 1,
+					'about.country': 1,
+					'about.links': 1,
+					// The contact email is kept from scrapers by showing it to logged-in users only
+					...(req.user && { 'about.contactEmail': 1 }),
+					createdAt: 1, // Joined date
 				},
 			},
 		])
@@ -548,6 +1176,11 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
 			throw new ApiError(404, 'Channel not found.')
 		}
 
+		// Tells clients requesting an old handle to update their links
+		if (resolved.redirect) {
+			channel[0].handleRedirect = resolved.redirect
+		}
+
 		return res
 			.status(200)
 			.json(new ApiResponse(200, channel[0], 'Channel profile retrieved successfully.'))
@@ -560,97 +1193,123 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
 })
 
 /**
- * Gets user's watch history with video and owner details
- * @route GET /api/v1/users/history
+ * Gets user's watch history with video, owner details and resume positions
+ * @route GET /api/v1/users/get-user-watch-history
  * @access Private
  */
 const getUserWatchHistory = asyncHandler(async (req, res) => {
+	const { page = 1, limit = 10 } = req.query
+
 	// Validate user authentication
 	if (!req.user?._id) {
 		throw new ApiError(401, 'Unauthorized access.')
 	}
 
-	try {
-		// Validate ObjectId format
-		if (!mongoose.Types.ObjectId.isValid(req.user._id)) {
-			throw new ApiError(400, 'Invalid user ID format.')
-		}
+	// Validate pagination parameters
+	const pageNum = parseInt(page)
+	const limitNum = parseInt(limit)
 
-		// Aggregate pipeline to get watch history with video and owner details
-		const userWithWatchHistory = await User.aggregate([
-			{
-				$match: {
-					_id: new mongoose.Types.ObjectId(req.user._id),
+	if (isNaN(pageNum) || isNaN(limitNum) || pageNum < 1 || limitNum < 1 || limitNum > 100) {
+		throw new ApiError(
+			400,
+			'Invalid pagination parameters. Page must be >= 1 and limit must be between 1-100.'
+		)
+	}
+
+	try {
+		// Paginate watch history entries in the database, most recently watched first
+		const paginatedHistory = await paginateAggregate(
+			WatchHistory,
+			[
+				{
+					$match: {
+						user: new mongoose.Types.ObjectId(req.user._id),
+					},
 				},
-			},
+				// Videos made private since they were watched are only listed for their owner
+				...buildWatchableVideoFilterStages('video', req.user._id),
+			],
 			{
-				// Lookup videos in watch history
-				$lookup: {
-					from: 'videos',
-					localField: 'watchHistory',
-					foreignField: '_id',
-					as: 'watchHistory',
-					pipeline: [
-						{
-							// Lookup video owner details
-							$lookup: {
-								from: 'users',
-								localField: 'owner',
-								foreignField: '_id',
-								as: 'owner',
-								pipeline: [
-									{
-										$project: {
-											fullName: 1,
-											username: 1,
-											avatar: 1,
+				page: pageNum,
+				limit: limitNum,
+				sortBy: 'watchedAt',
+				label: 'watchHistory',
+				pagePipeline: [
+					{
+						// Lookup watched video details
+						$lookup: {
+							from: 'videos',
+							localField: 'video',
+							foreignField: '_id',
+							as: 'video',
+							pipeline: [
+								{
+									// Lookup video owner details
+									$lookup: {
+										from: 'users',
+										localField: 'owner',
+										foreignField: '_id',
+										as: 'owner',
+										pipeline: [
+											{
+												$project: {
+													fullName: 1,
+													username: 1,
+													avatar: 1,
+												},
+											},
+										],
+									},
+								},
+								{
+									// Extract owner from array
+									$addFields: {
+										owner: {
+											$first: '$owner',
 										},
 									},
-								],
-							},
-						},
-						{
-							// Extract owner from array
-							$addFields: {
-								owner: {
-									$first: '$owner',
 								},
-							},
+								{
+									// Project required video fields
+									$project: {
+										title: 1,
+										description: 1,
+										thumbnail: 1,
+										videoFile: 1,
+										duration: 1,
+										views: 1,
+										createdAt: 1,
+										owner: 1,
+									},
+								},
+							],
 						},
-						{
-							// Project required video fields
-							$project: {
-								title: 1,
-								description: 1,
-								thumbnail: 1,
-								videoFile: 1,
-								duration: 1,
-								views: 1,
-								createdAt: 1,
-								owner: 1,
-							},
+					},
+					{
+						$unwind: '$video',
+					},
+					{
+						$project: {
+							video: 1,
+							watchedAt: 1,
+							lastPosition: 1,
+							completed: 1,
 						},
-					],
-				},
-			},
-			{
-				// Project only watch history
-				$project: {
-					watchHistory: 1,
-				},
-			},
-		])
-
-		// Validate aggregation result
-		if (!userWithWatchHistory || userWithWatchHistory.length === 0) {
-			return res
-				.status(200)
-				.json(new ApiResponse(200, { watchHistory: [] }, 'Watch history retrieved successfully.'))
-		}
+					},
+				],
+			}
+		)
 
-		return res
-			.status(200)
-			.json(new ApiResponse(200, userWithWatchHistory[0], 'Watch history retrieved successfully.'))
+		return res.status(200).json(
+			new ApiResponse(
+				200,
+				{
+					...paginatedHistory,
+					isWatchHistoryPaused: Boolean(req.user.isWatchHistoryPaused),
+				},
+				'Watch history retrieved successfully.'
+			)
+		)
 	} catch (error) {
 		if (error instanceof ApiError) {
 			throw error
@@ -659,9 +1318,128 @@ const getUserWatchHistory = asyncHandler(async (req, res) => {
 	}
 })
 
+/**
+ * Reports playback progress for a video in the user's watch history
+ * @route PATCH /api/v1/users/watch-history/progress/:videoId
+ * @access Private
+ * @body {number} position - Last playback position in seconds
+ * @body {boolean} completed - Whether the video was watched to the end (optional)
+ */
+const updateWatchProgress = asyncHandler(async (req, res) => {
+	const { videoId } = req.params
+	const { position, completed } = req.body
+
+	// Validate video ID format
+	if (!mongoose.Types.ObjectId.isValid(videoId)) {
+		throw new ApiError(400, 'Invalid video ID format.')
+	}
+
+	// Validate playback position
+	const positionNum = Number(position)
+	if (position === undefined || isNaN(positionNum) || positionNum < 0) {
+		throw new ApiError(400, 'Position must be a non-negative number of seconds.')
+	}
+
+	// Validate completed flag if provided
+	if (completed !== undefined && ![true, false, 'true', 'false'].includes(completed)) {
+		throw new ApiError(400, 'Completed must be a boolean value (true or false).')
+	}
+
+	// Respect paused watch history
+	if (req.user.isWatchHistoryPaused) {
+		throw new ApiError(409, 'Watch history is paused. Resume it to record playback progress.')
+	}
+
+	// Verify video exists and is watchable by the user
+	const video = await Video.findById(videoId).select('_id owner visibility isHidden duration')
+	if (!video || !canWatchVideo(video, req.user._id)) {
+		throw new ApiError(404, 'Video not found.')
+	}
+
+	// Clamp position to the video duration when it is known
+	const lastPosition = video.duration ? Math.min(positionNum, video.duration) : positionNum
+
+	const update = { watchedAt: new Date(), lastPosition }
+	if (completed !== undefined) {
+		update.completed = completed === true || completed === 'true'
+	}
+
+	const historyEntry = await WatchHistory.findOneAndUpdate(
+		{ user: req.user._id, video: videoId },
+		{ $set: update },
+		{ upsert: true, new: true, setDefaultsOnInsert: true }
+	)
+
+	return res
+		.status(200)
+		.json(new ApiResponse(200, historyEntry, 'Playback progress updated successfully.'))
+})
+
+/**
+ * Removes a single video from the user's watch history
+ * @route DELETE /api/v1/users/watch-history/:videoId
+ * @access Private
+ */
+const removeWatchHistoryEntry = asyncHandler(async (req, res) => {
+	const { videoId } = req.params
+
+	// Validate video ID format
+	if (!mongoose.Types.ObjectId.isValid(videoId)) {
+		throw new ApiError(400, 'Invalid video ID format.')
+	}
+
+	const deletedEntry = await WatchHistory.findOneAndDelete({
+		user: req.user._id,
+		video: videoId,
+	})
+
+	if (!deletedEntry) {
+		throw new ApiError(404, 'Video not found in watch history.')
+	}
+
+	return res
+		.status(200)
+		.json(new ApiResponse(200, { removedVideoId: videoId }, 'Video removed from watch history.'))
+})
+
+/**
+ * Clears the user's entire watch history
+ * @route DELETE /api/v1/users/watch-history
+ * @access Private
+ */
+const clearWatchHistory = asyncHandler(async (req, res) => {
+	const { deletedCount } = await WatchHistory.deleteMany({ user: req.user._id })
+
+	return res
+		.status(200)
+		.json(new ApiResponse(200, { deletedCount }, 'Watch history cleared successfully.'))
+})
+
+/**
+ * Pauses or resumes watch history recording for the user
+ * @route PATCH /api/v1/users/watch-history/toggle-pause
+ * @access Private
+ */
+const toggleWatchHistoryPause = asyncHandler(async (req, res) => {
+	req.user.isWatchHistoryPaused = !req.user.isWatchHistoryPaused
+	await req.user.save({ validateBeforeSave: false })
+
+	const statusMessage = req.user.isWatchHistoryPaused
+		? 'Watch history paused successfully.'
+		: 'Watch history resumed successfully.'
+
+	return res
+		.status(200)
+		.json(
+			new ApiResponse(200, { isWatchHistoryPaused: req.user.isWatchHistoryPaused }, statusMessage)
+		)
+})
+
 /**
  * Delete user account and all associated data
  * @desc Permanently deletes user account and all related content including videos, comments, tweets, playlists, likes, and subscriptions
+ * @desc The account and its sessions are deleted and the content is hidden right away, the content
+ * is removed by a background job that can be followed with the returned status token
  * @route DELETE /api/v1/users/delete-account
  * @access Private
  * @body {string} password - Current user password for confirmation
@@ -681,7 +1459,7 @@ const deleteUserAccount = asyncHandler(async (req, res) => {
 	}
 
 	try {
-		// Find the user to get avatar and cover image URLs for deletion
+		// Find the user to get avatar and cover image assets for deletion
 		const user = await User.findById(userId)
 		if (!user) {
 			throw new ApiError(404, 'User not found.')
@@ -693,86 +1471,54 @@ const deleteUserAccount = asyncHandler(async (req, res) => {
 			throw new ApiError(401, 'Invalid password. Account deletion cancelled.')
 		}
 
-		// Get all user's videos to delete from cloudinary
-		const userVideos = await Video.find({ owner: userId })
+		// Content, files and related data are removed in the background, the job is queued first
+		// so a deleted account always has its cleanup scheduled; the status token lets the caller
+		// follow the job once the account is gone
+		const statusToken = createJobStatusToken()
+		const job = await enqueueJob(
+			JOB_TYPES.CLEANUP_ACCOUNT,
+			{
+				userId,
+				avatar: user.avatar?.toObject(),
+				coverImage: user.coverImage?.toObject(),
+			},
+			{ statusToken }
+		)
 
-		// Delete all video files from cloudinary
-		for (const video of userVideos) {
-			if (video.videoFile) {
-				try {
-					await deleteImageFromCloudinary(video.videoFile)
-				} catch (error) {
-					console.warn(`Failed to delete video file: ${video.videoFile}`, error)
-				}
-			}
-			if (video.thumbnail) {
-				try {
-					await deleteImageFromCloudinary(video.thumbnail)
-				} catch (error) {
-					console.warn(`Failed to delete thumbnail: ${video.thumbnail}`, error)
-				}
-			}
+		// Sign the user out everywhere and remove the account, so it is gone right away
+		try {
+			await Session.deleteMany({ user: userId })
+			await User.findByIdAndDelete(userId)
+		} catch (error) {
+			await cancelJob(job._id)
+			throw error
 		}
 
-		// Delete user's avatar and cover image from cloudinary
-		if (user.avatar) {
-			try {
-				await deleteImageFromCloudinary(user.avatar)
-			} catch (error) {
-				console.warn(`Failed to delete avatar: ${user.avatar}`, error)
-			}
-		}
-		if (user.coverImage) {
-			try {
-				await deleteImageFromCloudinary(user.coverImage)
-			} catch (error) {
-				console.warn(`Failed to delete cover image: ${user.coverImage}`, error)
-			}
+		// Take the content out of lists, feeds and search until the job removes it
+		try {
+			await Video.updateMany(
+				{ owner: userId },
+				{ $set: { visibility: 'private' }, $unset: { publishAt: '' } }
+			)
+			await Tweet.updateMany({ owner: userId }, { $set: { isHidden: true } })
+			await Comment.updateMany({ owner: userId }, { $set: { isHidden: true } })
+			await Playlist.updateMany({ owner: userId }, { $set: { visibility: 'private' } })
+		} catch (error) {
+			// The account is already gone, the job removes the content either way
+			console.error(`Failed to hide the content of deleted user ${userId}:`, error)
 		}
 
-		// Delete all user-related data in order of dependencies
-		// 1. Delete likes on user's content
-		await Like.deleteMany({
-			$or: [
-				{ video: { $in: userVideos.map(v => v._id) } },
-				{ comment: { $in: await Comment.find({ owner: userId }).distinct('_id') } },
-				{ tweet: { $in: await Tweet.find({ owner: userId }).distinct('_id') } },
-			],
-		})
-
-		// 2. Delete likes made by user
-		await Like.deleteMany({ likedBy: userId })
-
-		// 3. Delete comments on user's videos
-		await Comment.deleteMany({ video: { $in: userVideos.map(v => v._id) } })
-
-		// 4. Delete user's comments
-		await Comment.deleteMany({ owner: userId })
-
-		// 5. Delete user's tweets
-		await Tweet.deleteMany({ owner: userId })
-
-		// 6. Delete user's playlists
-		await Playlist.deleteMany({ owner: userId })
-
-		// 7. Delete user's videos
-		await Video.deleteMany({ owner: userId })
-
-		// 8. Delete user's subscriptions (both as subscriber and channel)
-		await Subscription.deleteMany({
-			$or: [{ subscriber: userId }, { channel: userId }],
-		})
-
-		// 9. Finally, delete the user account
-		await User.findByIdAndDelete(userId)
-
 		// Clear cookies
 		res
-			.status(200)
+			.status(202)
 			.clearCookie('accessToken', cookieOptions)
 			.clearCookie('refreshToken', cookieOptions)
 			.json(
-				new ApiResponse(200, null, 'User account and all associated data deleted successfully.')
+				new ApiResponse(
+					202,
+					{ jobId: job._id, statusToken },
+					'User account deleted, its content and files are being removed.'
+				)
 			)
 	} catch (error) {
 		if (error instanceof ApiError) {
@@ -787,12 +1533,25 @@ export {
 	userLogin,
 	userLogout,
 	refreshAccessToken,
+	getUserSessions,
+	revokeSession,
+	userLogoutAll,
+	requestEmailVerification,
+	confirmEmailVerification,
+	requestPasswordReset,
+	confirmPasswordReset,
 	changeCurrentPassword,
 	getCurrentUser,
 	updateAccountDetails,
+	updateUsername,
+	updateChannelAbout,
 	updateUserAvatar,
 	updateUserCoverImage,
 	getUserChannelProfile,
 	getUserWatchHistory,
+	updateWatchProgress,
+	removeWatchHistoryEntry,
+	clearWatchHistory,
+	toggleWatchHistoryPause,
 	deleteUserAccount,
 }
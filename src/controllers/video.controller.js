@@ -1,21 +1,51 @@
 import mongoose, { isValidObjectId } from 'mongoose'
-import { Video, Like, Comment } from '../models/index.js'
+import { Video, WatchHistory, UploadSession } from '../models/index.js'
 import {
 	asyncHandler,
 	ApiError,
 	ApiResponse,
 	uploadOnCloudinary,
-	deleteImageFromCloudinary,
-	deleteVideoFromCloudinary,
-	paginateArray,
+	deleteAsset,
+	paginateAggregate,
+	buildReactionStages,
+	buildLikeCountStages,
+	announcePublishedVideo,
+	publishVideoCounters,
+	buildListedVideoMatch,
+	canWatchVideo,
+	enqueueJob,
+	cancelJob,
 } from '../utils/index.js'
+import { VIDEO_VISIBILITIES, JOB_TYPES, RESUMABLE_UPLOAD } from '../constants.js'
 
 /**
- * Get all published videos with pagination, sorting, and filtering
+ * Records a video view in the user's watch history
+ * Repeat views refresh the existing entry instead of creating a new one
+ * @param {Object} user - Authenticated user document
+ * @param {string} videoId - ID of the viewed video
+ * @returns {Object|null} Watch history entry or null if recording is paused
+ */
+const recordWatchHistory = async (user, videoId) => {
+	if (user.isWatchHistoryPaused) {
+		return null
+	}
+
+	return await WatchHistory.findOneAndUpdate(
+		{ user: user._id, video: videoId },
+		{
+			$set: { watchedAt: new Date() },
+			$setOnInsert: { lastPosition: 0, completed: false },
+		},
+		{ upsert: true, new: true }
+	)
+}
+
+/**
+ * Get all public videos with pagination, sorting, and filtering
  * @route GET /api/v1/videos
  * @access Public
  */
-// TODO : GET all isPublished : false videos if user is the owner
+// TODO : GET unlisted and private videos if user is the owner
 const getAllVideos = asyncHandler(async (req, res) => {
 	const {
 		page = 1,
@@ -24,6 +54,7 @@ const getAllVideos = asyncHandler(async (req, res) => {
 		sortBy = 'createdAt',
 		sortType = 'desc',
 		userId,
+		cursor,
 	} = req.query
 
 	// Validate sortBy field against allowed values
@@ -64,9 +95,8 @@ const getAllVideos = asyncHandler(async (req, res) => {
 	}
 
 	// Build match conditions for aggregation pipeline
-	const matchConditions = {
-		isPublished: true, // Only fetch published videos for public access
-	}
+	// Only public videos are listed, unlisted and hidden videos are left out
+	const matchConditions = buildListedVideoMatch()
 
 	// Add user filter if specified
 	if (userId) {
@@ -74,47 +104,206 @@ const getAllVideos = asyncHandler(async (req, res) => {
 	}
 
 	// Add search functionality for title and description
+	// Keyword is escaped so it is matched literally, ranked search lives in GET /api/v1/search
 	if (keyword) {
+		const escapedKeyword = keyword.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
 		matchConditions.$or = [
-			{ title: { $regex: keyword.trim(), $options: 'i' } },
-			{ description: { $regex: keyword.trim(), $options: 'i' } },
+			{ title: { $regex: escapedKeyword, $options: 'i' } },
+			{ description: { $regex: escapedKeyword, $options: 'i' } },
 		]
 	}
 
+	// Like counts are needed before pagination only when sorting by them
+	const likesCountStages = buildLikeCountStages('video', 'likesCount')
+	const sortsByLikes = sortBy === 'likesCount'
+
 	try {
-		// Aggregate videos with owner information and sorting
-		const videos = await Video.aggregate([
-			{ $match: matchConditions },
+		// Paginate videos in the database and attach owner information to the page
+		const paginatedVideos = await paginateAggregate(
+			Video,
+			[{ $match: matchConditions }, ...(sortsByLikes ? likesCountStages : [])],
 			{
-				// Join with users collection to get owner details
-				$lookup: {
-					from: 'users',
-					localField: 'owner',
-					foreignField: '_id',
-					as: 'owner',
-					pipeline: [{ $project: { _id: 1, username: 1, fullName: 1, avatar: 1 } }],
-				},
-			},
-			{ $unwind: '$owner' }, // Convert owner array to object
-			{ $sort: { [sortBy]: sortType === 'desc' ? -1 : 1 } },
-		])
-
-		// Apply pagination to the results
-		const paginatedVideos = paginateArray(videos, pageNum, limitNum, 'videos')
+				page: pageNum,
+				limit: limitNum,
+				sortBy,
+				sortType,
+				cursor,
+				label: 'videos',
+				pagePipeline: [
+					...(sortsByLikes ? [] : likesCountStages),
+					{
+						// Join with users collection to get owner details
+						$lookup: {
+							from: 'users',
+							localField: 'owner',
+							foreignField: '_id',
+							as: 'owner',
+							pipeline: [{ $project: { _id: 1, username: 1, fullName: 1, avatar: 1 } }],
+						},
+					},
+					{ $unwind: '$owner' }, // Convert owner array to object
+				],
+			}
+		)
 
 		res.status(200).json(new ApiResponse(200, paginatedVideos, 'Videos fetched successfully.'))
 	} catch (error) {
+		if (error instanceof ApiError) throw error
 		throw new ApiError(500, 'Failed to fetch videos. Please try again.')
 	}
 })
 
+/**
+ * Parses the time a video should become public
+ * @param {string} publishAt - ISO 8601 date, or an empty string or 'null' to cancel the schedule
+ * @returns {Date|null|undefined} Publish date, null to cancel, undefined when not provided
+ * @throws {ApiError} When the date is invalid or not in the future
+ */
+const parsePublishAt = publishAt => {
+	if (publishAt === undefined) {
+		return undefined
+	}
+
+	// Multipart form fields cannot be null, so an empty value cancels the schedule as well
+	if (publishAt === null || publishAt === '' || publishAt === 'null') {
+		return null
+	}
+
+	const date = new Date(publishAt)
+	if (Number.isNaN(date.getTime())) {
+		throw new ApiError(400, 'publishAt must be a valid date.')
+	}
+
+	if (date <= new Date()) {
+		throw new ApiError(400, 'publishAt must be in the future.')
+	}
+
+	return date
+}
+
+/**
+ * Validates an uploaded thumbnail
+ * @param {Object} thumbnailFile - Multer file of the thumbnail
+ * @throws {ApiError} When the thumbnail is not a JPEG or PNG image or is too large
+ */
+const validateThumbnailFile = thumbnailFile => {
+	// Validate thumbnail file type
+	const validImageTypes = ['image/jpeg', 'image/png', 'image/jpg']
+	if (!validImageTypes.includes(thumbnailFile.mimetype)) {
+		throw new ApiError(400, 'Thumbnail must be a JPEG, JPG, or PNG image.')
+	}
+
+	// Validate thumbnail file size (e.g., max 5MB)
+	if (thumbnailFile.size > 5 * 1024 * 1024) {
+		throw new ApiError(400, 'Thumbnail size cannot exceed 5MB.')
+	}
+}
+
+/**
+ * Creates a processing video from a finished resumable upload
+ * @desc The thumbnail is stored right away, the video file is assembled and stored by a
+ * FINALIZE_UPLOAD job and the video stays private until it is ready
+ * @param {Object} req - Express request with the thumbnail file
+ * @param {Object} details - Validated title, description, publishAt and uploadId
+ * @returns {Promise<Object>} Created video and the job storing its file
+ * @throws {ApiError} When the upload cannot be used or the video cannot be created
+ */
+const createVideoFromUpload = async (req, { title, description, publishAt, uploadId }) => {
+	if (req.files?.videoFile?.length) {
+		throw new ApiError(400, 'Send either a video file or an uploadId, not both.')
+	}
+
+	if (!isValidObjectId(uploadId)) {
+		throw new ApiError(400, 'Invalid upload ID format.')
+	}
+
+	const thumbnailFile = req.files?.thumbnail?.[0]
+	if (!thumbnailFile?.path) {
+		throw new ApiError(400, 'Thumbnail is required.')
+	}
+
+	validateThumbnailFile(thumbnailFile)
+
+	const uploadSession = await UploadSession.findOne({
+		_id: uploadId,
+		owner: req.user._id,
+		expiresAt: { $gt: new Date() },
+	})
+
+	if (!uploadSession) {
+		throw new ApiError(404, 'Upload not found or expired.')
+	}
+
+	if (uploadSession.receivedBytes !== uploadSession.totalSize) {
+		throw new ApiError(409, 'Upload is not complete yet.')
+	}
+
+	// Claimed atomically, so one upload cannot become two videos; the chunks outlive the job retries
+	const videoId = new mongoose.Types.ObjectId()
+	const claimedSession = await UploadSession.findOneAndUpdate(
+		{ _id: uploadSession._id, video: { $exists: false } },
+		{
+			$set: {
+				video: videoId,
+				expiresAt: new Date(Date.now() + RESUMABLE_UPLOAD.EXPIRY_MS),
+			},
+		}
+	)
+
+	if (!claimedSession) {
+		throw new ApiError(409, 'Upload has already been used for a video.')
+	}
+
+	const releaseUpload = () =>
+		UploadSession.updateOne({ _id: uploadSession._id }, { $unset: { video: '' } })
+
+	const thumbnail = await uploadOnCloudinary(thumbnailFile.path, 'image')
+	if (!thumbnail?.url) {
+		await releaseUpload()
+		throw new ApiError(500, 'File upload failed. Please try again.')
+	}
+
+	try {
+		const video = await Video.create({
+			_id: videoId,
+			thumbnail,
+			owner: req.user._id,
+			title: title.trim(),
+			description: description.trim(),
+			duration: 0,
+			visibility: 'private',
+			processingStatus: 'processing',
+			...(publishAt && { publishAt }),
+		})
+
+		const job = await enqueueJob(
+			JOB_TYPES.FINALIZE_UPLOAD,
+			{ videoId: video._id, uploadId: uploadSession._id },
+			{ owner: req.user._id }
+		)
+
+		return { video, job }
+	} catch (error) {
+		await Promise.allSettled([
+			Video.deleteOne({ _id: videoId }),
+			deleteAsset(thumbnail),
+			releaseUpload(),
+		])
+		throw new ApiError(500, 'Failed to save video information. Please try again.')
+	}
+}
+
 /**
  * Upload and publish a new video
+ * The video starts private and becomes public at publishAt when one is given
+ * The video file is either sent directly or as the uploadId of a finished resumable upload,
+ * which responds 202 while a background job stores the file
  * @route POST /api/v1/videos
  * @access Private (requires authentication)
  */
 const publishAVideo = asyncHandler(async (req, res) => {
-	const { title, description } = req.body
+	const { title, description, uploadId } = req.body
+	const publishAt = parsePublishAt(req.body.publishAt)
 
 	// Validate required text fields
 	if (!title?.trim()) {
@@ -134,6 +323,31 @@ const publishAVideo = asyncHandler(async (req, res) => {
 		throw new ApiError(400, 'Video description cannot exceed 1000 characters.')
 	}
 
+	// Large uploads are finished in the background
+	if (uploadId) {
+		const { video, job } = await createVideoFromUpload(req, {
+			title,
+			description,
+			publishAt,
+			uploadId,
+		})
+
+		const processingVideo = await Video.findById(video._id).populate(
+			'owner',
+			'username fullName avatar'
+		)
+
+		return res
+			.status(202)
+			.json(
+				new ApiResponse(
+					202,
+					{ video: processingVideo, jobId: job._id },
+					'Video created, its file is being processed.'
+				)
+			)
+	}
+
 	// Validate file uploads structure
 	if (!req.files || typeof req.files !== 'object') {
 		throw new ApiError(400, 'Video file and thumbnail are required.')
@@ -164,24 +378,15 @@ const publishAVideo = asyncHandler(async (req, res) => {
 		throw new ApiError(400, 'Video file size cannot exceed 100MB.')
 	}
 
-	// Validate thumbnail file type
-	const validImageTypes = ['image/jpeg', 'image/png', 'image/jpg']
-	if (!validImageTypes.includes(req.files.thumbnail[0].mimetype)) {
-		throw new ApiError(400, 'Thumbnail must be a JPEG, JPG, or PNG image.')
-	}
-
-	// Validate thumbnail file size (e.g., max 5MB)
-	if (req.files.thumbnail[0].size > 5 * 1024 * 1024) {
-		throw new ApiError(400, 'Thumbnail size cannot exceed 5MB.')
-	}
+	validateThumbnailFile(req.files.thumbnail[0])
 
 	let videoFile, thumbnail
 
 	try {
-		// Upload files to cloudinary concurrently for better performance
+		// Upload files to storage concurrently for better performance
 		;[videoFile, thumbnail] = await Promise.all([
-			uploadOnCloudinary(videoLocalPath),
-			uploadOnCloudinary(thumbnailLocalPath),
+			uploadOnCloudinary(videoLocalPath, 'video'),
+			uploadOnCloudinary(thumbnailLocalPath, 'image'),
 		])
 	} catch (error) {
 		throw new ApiError(500, 'Failed to upload files to cloud storage.')
@@ -191,8 +396,8 @@ const publishAVideo = asyncHandler(async (req, res) => {
 	if (!videoFile?.url || !thumbnail?.url) {
 		// Cleanup any partially uploaded files
 		await Promise.allSettled([
-			videoFile?.url && deleteVideoFromCloudinary(videoFile.url),
-			thumbnail?.url && deleteImageFromCloudinary(thumbnail.url),
+			videoFile?.publicId && deleteAsset(videoFile),
+			thumbnail?.publicId && deleteAsset(thumbnail),
 		])
 		throw new ApiError(500, 'File upload failed. Please try again.')
 	}
@@ -201,20 +406,18 @@ const publishAVideo = asyncHandler(async (req, res) => {
 	try {
 		// Create video document in database
 		video = await Video.create({
-			videoFile: videoFile.url,
-			thumbnail: thumbnail.url,
+			videoFile,
+			thumbnail,
 			owner: req.user._id,
 			title: title.trim(),
 			description: description.trim(),
 			duration: videoFile.duration || 0,
-			isPublished: false, // Videos start as unpublished
+			visibility: 'private', // Videos start as private
+			...(publishAt && { publishAt }),
 		})
 	} catch (error) {
 		// Cleanup uploaded files if database operation fails
-		await Promise.allSettled([
-			deleteVideoFromCloudinary(videoFile.url),
-			deleteImageFromCloudinary(thumbnail.url),
-		])
+		await Promise.allSettled([deleteAsset(videoFile), deleteAsset(thumbnail)])
 		throw new ApiError(500, 'Failed to save video information. Please try again.')
 	}
 
@@ -226,19 +429,19 @@ const publishAVideo = asyncHandler(async (req, res) => {
 
 	if (!uploadedVideo) {
 		// Cleanup if video retrieval fails
-		await Promise.allSettled([
-			deleteVideoFromCloudinary(videoFile.url),
-			deleteImageFromCloudinary(thumbnail.url),
-		])
+		await Promise.allSettled([deleteAsset(videoFile), deleteAsset(thumbnail)])
 		throw new ApiError(500, 'Failed to retrieve uploaded video information.')
 	}
 
+	// Subscribers hear about the video once it is published
+	await announcePublishedVideo(uploadedVideo)
+
 	res.status(201).json(new ApiResponse(201, uploadedVideo, 'Video uploaded successfully.'))
 })
 
 /**
  * Get a single video by its ID with owner and likes information
- * Can get unpublished videos if the user is the owner
+ * Public and unlisted videos are watchable by anyone with the link, private and hidden videos by the owner only
  * @route GET /api/v1/videos/:videoId
  * @access Public (with view count increment for non-owners)
  */
@@ -252,41 +455,28 @@ const getVideoById = asyncHandler(async (req, res) => {
 
 	// Get current user if authenticated
 	const currentUser = req.user
-	let isPublished = true
 	let shouldIncrementViews = false
 
 	// Handle view count and access permissions
-	if (currentUser) {
-		try {
-			const video = await Video.findById(videoId)
-
-			if (!video) {
-				throw new ApiError(404, 'Video not found.')
-			}
-
-			const isOwner = video.owner.toString() === currentUser._id.toString()
+	try {
+		const video = await Video.findById(videoId).select('owner visibility isHidden')
 
-			// Only increment views for published videos viewed by non-owners
-			if (!isOwner && video.isPublished) {
-				shouldIncrementViews = true
-			}
-			// Allow owners to view their own unpublished videos
-			else if (isOwner) {
-				isPublished = false // This allows fetching unpublished videos for owners
-			}
-		} catch (error) {
-			if (error instanceof ApiError) throw error
-			throw new ApiError(500, 'Failed to process video access.')
+		if (!canWatchVideo(video, currentUser?._id)) {
+			throw new ApiError(404, 'Video not found or access denied.')
 		}
+
+		// Only increment views for videos viewed by logged-in non-owners
+		shouldIncrementViews =
+			Boolean(currentUser) && video.owner.toString() !== currentUser._id.toString()
+	} catch (error) {
+		if (error instanceof ApiError) throw error
+		throw new ApiError(500, 'Failed to process video access.')
 	}
 
 	try {
 		const videoData = await Video.aggregate([
 			{
-				$match: {
-					_id: new mongoose.Types.ObjectId(videoId),
-					...(isPublished ? { isPublished: true } : { isPublished: { $exists: true } }),
-				},
+				$match: { _id: new mongoose.Types.ObjectId(videoId) },
 			},
 			{
 				$lookup: {
@@ -297,22 +487,15 @@ const getVideoById = asyncHandler(async (req, res) => {
 					pipeline: [{ $project: { _id: 1, username: 1, fullName: 1, avatar: 1 } }],
 				},
 			},
-			{
-				$lookup: {
-					from: 'likes',
-					localField: '_id',
-					foreignField: 'video',
-					as: 'likes',
-				},
-			},
+			...buildReactionStages('video', currentUser?._id),
 			{
 				$addFields: {
-					likesCount: { $size: '$likes' },
-					isLikedByUser: currentUser ? { $in: [currentUser._id, '$likes.likedBy'] } : false,
+					likesCount: '$reactionCounts.like',
+					dislikesCount: '$reactionCounts.dislike',
+					isLikedByUser: { $eq: ['$userReaction', 'like'] },
 					owner: { $arrayElemAt: ['$owner', 0] },
 				},
 			},
-			{ $project: { likes: 0 } },
 		])
 
 		if (!videoData || videoData.length === 0) {
@@ -322,18 +505,36 @@ const getVideoById = asyncHandler(async (req, res) => {
 		// Increment view count if applicable
 		if (shouldIncrementViews) {
 			try {
-				await Video.findByIdAndUpdate(
+				const updatedVideo = await Video.findByIdAndUpdate(
 					videoId,
 					{ $inc: { views: 1 } },
-					{ validateBeforeSave: false }
+					{ new: true, projection: { views: 1 }, validateBeforeSave: false }
 				)
 				videoData[0].views += 1 // Update the returned data
+
+				// Let viewers watching the video live see the new count
+				if (updatedVideo) {
+					publishVideoCounters(videoId, { views: updatedVideo.views })
+				}
 			} catch (error) {
 				// Don't fail the request if view increment fails
 				console.error('Failed to increment view count:', error)
 			}
 		}
 
+		// Record the view in the user's watch history and return the resume position
+		if (currentUser) {
+			try {
+				const historyEntry = await recordWatchHistory(currentUser, videoId)
+				videoData[0].watchProgress = historyEntry
+					? { lastPosition: historyEntry.lastPosition, completed: historyEntry.completed }
+					: null
+			} catch (error) {
+				// Don't fail the request if watch history recording fails
+				console.error('Failed to record watch history:', error)
+			}
+		}
+
 		res.status(200).json(new ApiResponse(200, videoData[0], 'Video fetched successfully.'))
 	} catch (error) {
 		if (error instanceof ApiError) throw error
@@ -357,12 +558,13 @@ const updateVideo = asyncHandler(async (req, res) => {
 	let { title, description } = req.body
 	title = title?.trim()
 	description = description?.trim()
+	const publishAt = parsePublishAt(req.body.publishAt)
 
 	// Ensure at least one field is being updated
-	if (!req.file && !title?.trim() && !description?.trim()) {
+	if (!req.file && !title?.trim() && !description?.trim() && publishAt === undefined) {
 		throw new ApiError(
 			400,
-			'At least one field (title, description, or thumbnail) must be provided for update.'
+			'At least one field (title, description, thumbnail, or publishAt) must be provided for update.'
 		)
 	}
 
@@ -385,7 +587,19 @@ const updateVideo = asyncHandler(async (req, res) => {
 		throw new ApiError(404, 'Video not found or you do not have permission to update it.')
 	}
 
-	const oldThumbnailUrl = video.thumbnail
+	if (publishAt) {
+		if (video.visibility === 'public') {
+			throw new ApiError(400, 'Video is already public and cannot be scheduled.')
+		}
+
+		// Videos unpublished by a moderator stay private
+		if (video.isPublishLocked) {
+			throw new ApiError(403, 'This video was unpublished by a moderator and cannot be scheduled.')
+		}
+	}
+
+	// Copied, assigning a new thumbnail replaces the sub-document
+	const oldThumbnail = video.thumbnail.toObject()
 
 	try {
 		// Update text fields if provided
@@ -397,16 +611,21 @@ const updateVideo = asyncHandler(async (req, res) => {
 			video.description = description
 		}
 
+		// A null publishAt cancels the schedule
+		if (publishAt !== undefined) {
+			video.publishAt = publishAt || undefined
+		}
+
 		// Handle thumbnail update if new file provided
 		if (req.file?.path) {
 			try {
-				const newThumbnail = await uploadOnCloudinary(req.file.path)
+				const newThumbnail = await uploadOnCloudinary(req.file.path, 'image')
 
 				if (!newThumbnail?.url) {
 					throw new Error('Failed to upload new thumbnail.')
 				}
 
-				video.thumbnail = newThumbnail.url
+				video.thumbnail = newThumbnail
 			} catch (error) {
 				throw new ApiError(500, 'Failed to upload new thumbnail. Please try again.')
 			}
@@ -416,9 +635,9 @@ const updateVideo = asyncHandler(async (req, res) => {
 		await video.save({ validateBeforeSave: false })
 
 		// Delete old thumbnail if a new one was uploaded successfully
-		if (req.file?.path && oldThumbnailUrl !== video.thumbnail) {
+		if (req.file?.path && oldThumbnail.publicId !== video.thumbnail.publicId) {
 			try {
-				await deleteImageFromCloudinary(oldThumbnailUrl)
+				await deleteAsset(oldThumbnail)
 			} catch (error) {
 				// Log error but don't fail the request
 				console.error('Failed to delete old thumbnail:', error)
@@ -433,7 +652,7 @@ const updateVideo = asyncHandler(async (req, res) => {
 })
 
 /**
- * Delete a video and its associated files
+ * Delete a video, its files and related data are removed by a background job
  * @route DELETE /api/v1/videos/:videoId
  * @access Private (owner only)
  */
@@ -445,43 +664,108 @@ const deleteVideo = asyncHandler(async (req, res) => {
 		throw new ApiError(400, 'Invalid video ID format.')
 	}
 
-	// Find and delete video, verify ownership
-	const video = await Video.findOneAndDelete({
-		_id: videoId,
-		owner: req.user._id,
-	})
-
-	await Like.deleteMany({ video: videoId })
-	await Comment.deleteMany({ video: videoId })
+	// Find video and verify ownership
+	const video = await Video.findOne({ _id: videoId, owner: req.user._id }).select(
+		'videoFile thumbnail'
+	)
 
 	if (!video) {
 		throw new ApiError(404, 'Video not found or you do not have permission to delete it.')
 	}
 
-	// Store file URLs for cleanup
-	const { videoFile: videoFileUrl, thumbnail: thumbnailUrl } = video
+	// Files, likes, comments, history entries and notifications are removed in the background,
+	// the job is queued first so a deleted video always has its cleanup scheduled
+	const job = await enqueueJob(
+		JOB_TYPES.CLEANUP_VIDEO,
+		{
+			videoId: video._id,
+			videoFile: video.videoFile?.toObject(),
+			thumbnail: video.thumbnail?.toObject(),
+		},
+		{ owner: req.user._id }
+	)
 
-	// Delete associated files from cloudinary
+	let deleteResult
 	try {
-		await Promise.allSettled([
-			deleteVideoFromCloudinary(videoFileUrl),
-			deleteImageFromCloudinary(thumbnailUrl),
-		])
+		deleteResult = await Video.deleteOne({ _id: video._id, owner: req.user._id })
 	} catch (error) {
-		// Log error but don't fail the request since video is already deleted from DB
-		console.error('Failed to delete some files from cloud storage:', error)
+		await cancelJob(job._id)
+		throw new ApiError(500, 'Failed to delete video. Please try again.')
 	}
 
-	// TODO: Consider deleting related data (likes, comments, etc.) in a background job
+	// Deleted by another request in the meantime, which scheduled its own cleanup
+	if (!deleteResult.deletedCount) {
+		await cancelJob(job._id)
+		throw new ApiError(404, 'Video not found or you do not have permission to delete it.')
+	}
 
 	res
-		.status(200)
-		.json(new ApiResponse(200, { deletedVideoId: videoId }, 'Video deleted successfully.'))
+		.status(202)
+		.json(
+			new ApiResponse(
+				202,
+				{ deletedVideoId: video._id, jobId: job._id },
+				'Video deleted, its files and related data are being removed.'
+			)
+		)
 })
 
+/**
+ * Finds a video owned by the current user and applies a new visibility
+ * Videos unpublished by a moderator can only stay private
+ * @param {string} videoId - ID of the video
+ * @param {Object} ownerId - ID of the current user
+ * @param {string} visibility - New visibility
+ * @returns {Promise<Object>} Video document and its previous visibility
+ */
+const changeVideoVisibility = async (videoId, ownerId, visibility) => {
+	const video = await Video.findOne({
+		_id: videoId,
+		owner: ownerId,
+	})
+
+	if (!video) {
+		throw new ApiError(404, 'Video not found or you do not have permission to modify it.')
+	}
+
+	// Videos unpublished by a moderator stay private
+	if (visibility !== 'private' && video.isPublishLocked) {
+		throw new ApiError(403, 'This video was unpublished by a moderator and cannot be published.')
+	}
+
+	// Videos from resumable uploads have no file until their finalize job is done
+	if (visibility !== 'private' && video.processingStatus !== 'ready') {
+		throw new ApiError(
+			409,
+			video.processingStatus === 'failed'
+				? 'This video could not be processed. Please upload it again.'
+				: 'This video is still processing and cannot be published yet.'
+		)
+	}
+
+	const previousVisibility = video.visibility
+	video.visibility = visibility
+
+	// Publishing by hand replaces the schedule
+	if (visibility === 'public') {
+		video.publishAt = undefined
+	}
+
+	try {
+		await video.save({ validateBeforeSave: false })
+	} catch (error) {
+		throw new ApiError(500, 'Failed to update video visibility. Please try again.')
+	}
+
+	await announcePublishedVideo(video)
+
+	return { video, previousVisibility }
+}
+
 /**
  * Toggle the publish status of a video
- * @route PATCH /api/v1/videos/:videoId/toggle-publish
+ * Private videos become public, public and unlisted videos become private
+ * @route PATCH /api/v1/videos/toggle/publish/:videoId
  * @access Private (owner only)
  */
 const togglePublishStatus = asyncHandler(async (req, res) => {
@@ -492,41 +776,81 @@ const togglePublishStatus = asyncHandler(async (req, res) => {
 		throw new ApiError(400, 'Invalid video ID format.')
 	}
 
-	// Find video and verify ownership
-	const video = await Video.findOne({
-		_id: videoId,
-		owner: req.user._id,
-	})
+	const currentVideo = await Video.findOne({ _id: videoId, owner: req.user._id }).select(
+		'visibility'
+	)
 
-	if (!video) {
+	if (!currentVideo) {
 		throw new ApiError(404, 'Video not found or you do not have permission to modify it.')
 	}
 
-	// Toggle publish status
-	const previousStatus = video.isPublished
-	video.isPublished = !video.isPublished
+	const { video, previousVisibility } = await changeVideoVisibility(
+		videoId,
+		req.user._id,
+		currentVideo.visibility === 'private' ? 'public' : 'private'
+	)
 
-	try {
-		await video.save({ validateBeforeSave: false })
-	} catch (error) {
-		throw new ApiError(500, 'Failed to update publish status. Please try again.')
+	const statusMessage =
+		video.visibility === 'public'
+			? 'Video published successfully.'
+			: 'Video unpublished successfully.'
+
+	res.status(200).json(
+		new ApiResponse(
+			200,
+			{
+				video,
+				previousVisibility,
+				currentVisibility: video.visibility,
+			},
+			statusMessage
+		)
+	)
+})
+
+/**
+ * Set the visibility of a video to public, unlisted or private
+ * @route PATCH /api/v1/videos/:videoId/visibility
+ * @access Private (owner only)
+ */
+const updateVideoVisibility = asyncHandler(async (req, res) => {
+	const { videoId } = req.params
+	const { visibility } = req.body
+
+	// Validate video ID format
+	if (!isValidObjectId(videoId)) {
+		throw new ApiError(400, 'Invalid video ID format.')
+	}
+
+	if (!VIDEO_VISIBILITIES.includes(visibility)) {
+		throw new ApiError(400, `Visibility must be one of: ${VIDEO_VISIBILITIES.join(', ')}.`)
 	}
 
-	const statusMessage = video.isPublished
-		? 'Video published successfully.'
-		: 'Video unpublished successfully.'
+	const { video, previousVisibility } = await changeVideoVisibility(
+		videoId,
+		req.user._id,
+		visibility
+	)
 
 	res.status(200).json(
 		new ApiResponse(
 			200,
 			{
 				video,
-				previousStatus,
-				currentStatus: video.isPublished,
+				previousVisibility,
+				currentVisibility: video.visibility,
 			},
-			statusMessage
+			`Video is now ${video.visibility}.`
 		)
 	)
 })
 
-export { getAllVideos, publishAVideo, getVideoById, updateVideo, deleteVideo, togglePublishStatus }
+export {
+	getAllVideos,
+	publishAVideo,
+	getVideoById,
+	updateVideo,
+	deleteVideo,
+	togglePublishStatus,
+	updateVideoVisibility,
+}
@@ -1,6 +1,8 @@
 import connectDB from './databases/index.js'
 import { app } from './app.js'
-import { PORT } from './constants.js'
+import { PORT, JOB_WORKER_IN_API } from './constants.js'
+import { startPublishScheduler, startUploadCleanup, startJobWorker } from './utils/index.js'
+import { registerJobHandlers } from './jobs/index.js'
 
 connectDB()
 	.then(() => {
@@ -8,6 +10,15 @@ connectDB()
 			console.error('App Error:', error) // Keep error logging
 			throw error
 		})
+		// Publishes scheduled videos, including any that came due while the server was down
+		startPublishScheduler()
+		// Removes the chunks of resumable uploads that were abandoned
+		startUploadCleanup()
+		// Background jobs normally run in a separate worker (src/worker.js)
+		if (JOB_WORKER_IN_API) {
+			registerJobHandlers()
+			startJobWorker()
+		}
 		app.listen(PORT || 8000, () => {
 			// console.log(`Server is running at: http://localhost:${PORT}`) // Commented for production
 		})
@@ -0,0 +1,111 @@
+import {
+	User,
+	Video,
+	Subscription,
+	Comment,
+	Like,
+	Tweet,
+	Playlist,
+	WatchHistory,
+	Notification,
+	Report,
+	UploadSession,
+} from '../models/index.js'
+import { deleteStoredAsset, discardUpload } from '../utils/index.js'
+
+/**
+ * Removes the content, files and related data of a deleted account
+ * @desc Videos are deleted last, so a retried run still finds the likes, comments and history
+ * entries that belong to them
+ * @param {Object} payload - userId of the deleted account with its avatar and coverImage assets
+ * @returns {Promise<Object>} ID of the user and number of videos removed
+ * @throws {Error} While the account still exists, the job is queued before the account is deleted
+ */
+const cleanupAccount = async ({ userId, avatar, coverImage }) => {
+	if (await User.exists({ _id: userId })) {
+		throw new Error('Account has not been deleted yet.')
+	}
+
+	const userVideos = await Video.find({ owner: userId }).select('videoFile thumbnail')
+	const userVideoIds = userVideos.map(video => video._id)
+
+	// Delete all video files from storage, each asset knows its own resource type
+	for (const video of userVideos) {
+		await deleteStoredAsset(video.videoFile)
+		await deleteStoredAsset(video.thumbnail)
+	}
+
+	// Delete user's avatar and cover image from storage
+	await deleteStoredAsset(avatar)
+	await deleteStoredAsset(coverImage)
+
+	// Uploads turned into videos are discarded by their finalize jobs
+	const pendingUploadIds = await UploadSession.find({
+		owner: userId,
+		video: { $exists: false },
+	}).distinct('_id')
+	for (const uploadId of pendingUploadIds) {
+		await discardUpload(uploadId)
+	}
+
+	// Delete all user-related data in order of dependencies
+	const userTweetIds = await Tweet.find({ owner: userId }).distinct('_id')
+	const relatedCommentIds = await Comment.find({
+		$or: [{ owner: userId }, { video: { $in: userVideoIds } }, { tweet: { $in: userTweetIds } }],
+	}).distinct('_id')
+
+	// 1. Delete likes on user's content and on comments of user's videos and tweets
+	await Like.deleteMany({
+		$or: [
+			{ video: { $in: userVideoIds } },
+			{ tweet: { $in: userTweetIds } },
+			{ comment: { $in: relatedCommentIds } },
+		],
+	})
+
+	// 2. Delete likes made by user
+	await Like.deleteMany({ likedBy: userId })
+
+	// 3. Delete reports filed by or against the user and reports on the content removed below
+	await Report.deleteMany({
+		$or: [
+			{ reporter: userId },
+			{ targetOwner: userId },
+			{ target: { $in: [...userVideoIds, ...userTweetIds, ...relatedCommentIds] } },
+		],
+	})
+
+	// 4. Delete comments on user's videos and tweets
+	await Comment.deleteMany({
+		$or: [{ video: { $in: userVideoIds } }, { tweet: { $in: userTweetIds } }],
+	})
+
+	// 5. Delete user's comments, keeping placeholders for comments others replied to
+	await Comment.deleteWithReplyPolicy({ owner: userId })
+
+	// 6. Delete user's tweets
+	await Tweet.deleteMany({ owner: userId })
+
+	// 7. Delete user's playlists
+	await Playlist.deleteMany({ owner: userId })
+
+	// 8. Delete user's subscriptions (both as subscriber and channel)
+	await Subscription.deleteMany({
+		$or: [{ subscriber: userId }, { channel: userId }],
+	})
+
+	// 9. Delete user's watch history and history entries of user's videos
+	await WatchHistory.deleteMany({
+		$or: [{ user: userId }, { video: { $in: userVideoIds } }],
+	})
+
+	// 10. Delete notifications sent to or caused by the user
+	await Notification.deleteMany({ $or: [{ recipient: userId }, { actor: userId }] })
+
+	// 11. Finally, delete user's videos
+	await Video.deleteMany({ owner: userId })
+
+	return { userId, deletedVideoCount: userVideoIds.length }
+}
+
+export { cleanupAccount }
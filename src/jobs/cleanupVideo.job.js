@@ -0,0 +1,27 @@
+import { Video, Like, Comment, WatchHistory, Notification } from '../models/index.js'
+import { deleteStoredAsset } from '../utils/index.js'
+
+/**
+ * Removes the files and related data of a deleted video
+ * @param {Object} payload - videoId of the deleted video with its videoFile and thumbnail assets
+ * @returns {Promise<Object>} ID of the video
+ * @throws {Error} While the video still exists, the job is queued before the video is deleted
+ */
+const cleanupVideo = async ({ videoId, videoFile, thumbnail }) => {
+	if (await Video.exists({ _id: videoId })) {
+		throw new Error('Video has not been deleted yet.')
+	}
+
+	await Like.deleteMany({ video: videoId })
+	await Comment.deleteMany({ video: videoId })
+	await WatchHistory.deleteMany({ video: videoId })
+	await Notification.deleteMany({ video: videoId })
+
+	// A video deleted while processing has no file yet
+	await deleteStoredAsset(videoFile)
+	await deleteStoredAsset(thumbnail)
+
+	return { videoId }
+}
+
+export { cleanupVideo }
@@ -0,0 +1,78 @@
+import fs from 'fs'
+import { Video, UploadSession } from '../models/index.js'
+import {
+	uploadOnCloudinary,
+	deleteStoredAsset,
+	assembleUpload,
+	discardUpload,
+	PermanentJobError,
+} from '../utils/index.js'
+
+/**
+ * Stores the file of a video created from a resumable upload and marks the video ready
+ * @desc The chunks are only discarded once the video has its file, so failed attempts can be retried
+ * @param {Object} payload - videoId of the processing video and uploadId of its upload
+ * @returns {Promise<Object>} ID of the video and whether the upload was discarded unused
+ * @throws {PermanentJobError} When the upload is gone or does not match its size or checksum
+ */
+const finalizeUpload = async ({ videoId, uploadId }) => {
+	// The video was deleted before its file was stored
+	if (!(await Video.exists({ _id: videoId, processingStatus: 'processing' }))) {
+		await discardUpload(uploadId)
+		return { videoId, isDiscarded: true }
+	}
+
+	const session = await UploadSession.findById(uploadId)
+	if (!session) {
+		throw new PermanentJobError('Upload no longer exists.')
+	}
+
+	let assembledPath
+	try {
+		assembledPath = await assembleUpload(session)
+	} catch (error) {
+		// Missing chunks or a checksum mismatch, only a new upload can fix it
+		throw new PermanentJobError(error.message)
+	}
+
+	let videoFile
+	try {
+		videoFile = await uploadOnCloudinary(assembledPath, 'video')
+	} finally {
+		await fs.promises.rm(assembledPath, { force: true })
+	}
+
+	if (!videoFile?.url) {
+		throw new Error('Failed to upload video file to storage.')
+	}
+
+	const video = await Video.findOneAndUpdate(
+		{ _id: videoId, processingStatus: 'processing' },
+		{ $set: { videoFile, duration: videoFile.duration || 0, processingStatus: 'ready' } },
+		{ new: true }
+	)
+
+	// The video was deleted while its file was being stored
+	if (!video) {
+		await deleteStoredAsset(videoFile)
+	}
+
+	await discardUpload(uploadId)
+
+	return { videoId, isDiscarded: !video }
+}
+
+/**
+ * Marks the video as failed once its file could not be stored on any attempt
+ * @param {Object} payload - videoId of the processing video and uploadId of its upload
+ * @returns {Promise<void>}
+ */
+const failUploadFinalization = async ({ videoId, uploadId }) => {
+	await Video.updateOne(
+		{ _id: videoId, processingStatus: 'processing' },
+		{ $set: { processingStatus: 'failed' } }
+	)
+	await discardUpload(uploadId)
+}
+
+export { finalizeUpload, failUploadFinalization }
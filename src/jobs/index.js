@@ -0,0 +1,19 @@
+import { JOB_TYPES } from '../constants.js'
+import { registerJobHandler } from '../utils/index.js'
+import { finalizeUpload, failUploadFinalization } from './finalizeUpload.job.js'
+import { cleanupVideo } from './cleanupVideo.job.js'
+import { cleanupAccount } from './cleanupAccount.job.js'
+
+/**
+ * Registers the handlers of all JOB_TYPES
+ * @desc Called by the processes that run jobs, before the job worker is started
+ */
+const registerJobHandlers = () => {
+	registerJobHandler(JOB_TYPES.FINALIZE_UPLOAD, finalizeUpload, {
+		onDeadLetter: failUploadFinalization,
+	})
+	registerJobHandler(JOB_TYPES.CLEANUP_VIDEO, cleanupVideo)
+	registerJobHandler(JOB_TYPES.CLEANUP_ACCOUNT, cleanupAccount)
+}
+
+export { registerJobHandlers }
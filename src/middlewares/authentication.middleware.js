@@ -1,10 +1,12 @@
 import jwt from 'jsonwebtoken'
 import { User } from '../models/user.model.js'
+import { Session } from '../models/session.model.js'
 import { ACCESS_TOKEN_SECRET } from '../constants.js'
 import { ApiError, asyncHandler, ApiResponse } from '../utils/index.js'
 
 /**
  * Helper function to extract and verify JWT token
+ * Tokens of revoked sessions are rejected, the session ID is attached as req.sessionId
  * @param {Object} req - Express request object
  * @returns {Object|null} - User object or null if invalid/missing
  */
@@ -22,6 +24,21 @@ const extractAndVerifyToken = async req => {
 			return null
 		}
 
+		// Access tokens issued before sessions existed carry no session ID and expire on their own
+		if (decodedToken.sessionId) {
+			const isSessionActive = await Session.exists({
+				_id: decodedToken.sessionId,
+				user: decodedToken._id,
+				revokedAt: null,
+			})
+
+			if (!isSessionActive) {
+				return null
+			}
+
+			req.sessionId = decodedToken.sessionId
+		}
+
 		const user = await User.findById(decodedToken._id)
 
 		return user
@@ -34,6 +51,7 @@ const extractAndVerifyToken = async req => {
 /**
  * Optional Authentication Middleware
  * Attaches user to request if valid token is provided, but doesn't require it
+ * Suspended and banned users are treated as unauthenticated
  * Used for routes that work for both authenticated and unauthenticated users
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -41,7 +59,7 @@ const extractAndVerifyToken = async req => {
  */
 const authOptional = asyncHandler(async (req, res, next) => {
 	const user = await extractAndVerifyToken(req)
-	if (user) {
+	if (user && !user.getRestrictionMessage()) {
 		req.user = user
 	}
 	next()
@@ -50,7 +68,7 @@ const authOptional = asyncHandler(async (req, res, next) => {
 /**
  * Required Authentication Middleware
  * Requires valid JWT token and attaches user to request object
- * Returns 401 error if token is missing or invalid
+ * Returns 401 error if token is missing or invalid, 403 if the account is suspended or banned
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
@@ -62,6 +80,11 @@ const requireAuth = asyncHandler(async (req, res, next) => {
 		throw new ApiError(401, 'Authentication required. Please log in to access this resource.')
 	}
 
+	const restrictionMessage = user.getRestrictionMessage()
+	if (restrictionMessage) {
+		throw new ApiError(403, restrictionMessage)
+	}
+
 	req.user = user
 	next()
 })
@@ -92,4 +115,44 @@ const requireGuest = asyncHandler(async (req, res, next) => {
 	next()
 })
 
-export { authOptional, requireAuth, requireGuest }
+/**
+ * Verified Email Middleware
+ * Requires the authenticated user to have verified their email address
+ * Must run after requireAuth, and before upload middlewares so rejected requests store no files
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const requireVerifiedEmail = (req, res, next) => {
+	if (!req.user?.isEmailVerified) {
+		throw new ApiError(
+			403,
+			'Please verify your email address first. You can request a new link from your account.'
+		)
+	}
+
+	next()
+}
+
+/**
+ * Role Authorization Middleware Factory
+ * Requires the authenticated user to have one of the given roles
+ * Must run after requireAuth
+ * @param {...string} roles - Allowed roles, e.g. 'moderator', 'admin'
+ * @returns {Function} Express middleware
+ */
+const requireRole =
+	(...roles) =>
+	(req, res, next) => {
+		if (!req.user) {
+			throw new ApiError(401, 'Authentication required. Please log in to access this resource.')
+		}
+
+		if (!roles.includes(req.user.role)) {
+			throw new ApiError(403, 'You do not have permission to access this resource.')
+		}
+
+		next()
+	}
+
+export { authOptional, requireAuth, requireGuest, requireVerifiedEmail, requireRole }
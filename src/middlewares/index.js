@@ -1,5 +1,17 @@
-import { createRateLimit } from './rateLimiter.middleware.js'
-import { authOptional, requireAuth, requireGuest } from './authentication.middleware.js'
+import {
+	generalRateLimit,
+	authRateLimit,
+	uploadRateLimit,
+	createRateLimit,
+	searchRateLimit,
+} from './rateLimiter.middleware.js'
+import {
+	authOptional,
+	requireAuth,
+	requireGuest,
+	requireVerifiedEmail,
+	requireRole,
+} from './authentication.middleware.js'
 import {
 	cleanupTempFiles,
 	autoCleanupTemp,
@@ -11,10 +23,16 @@ import {
 } from './multer.middleware.js'
 
 export {
+	generalRateLimit,
+	authRateLimit,
+	uploadRateLimit,
 	createRateLimit,
+	searchRateLimit,
 	authOptional,
 	requireAuth,
 	requireGuest,
+	requireVerifiedEmail,
+	requireRole,
 	cleanupTempFiles,
 	autoCleanupTemp,
 	uploadImages,
@@ -1,128 +1,142 @@
-/*
-// NOT IMPLEMENTED
-// This file is not currently used in the application
-*/
-
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
 import rateLimit from 'express-rate-limit'
+import { ACCESS_TOKEN_SECRET, RATE_LIMITS, RATE_LIMIT_EXEMPT_API_KEYS } from '../constants.js'
 import { ApiResponse } from '../utils/ApiResponse.js'
+import { createRateLimitStore } from '../utils/rateLimitStore.js'
+
+// Digests of the trusted API keys, compared in constant time
+const exemptApiKeyDigests = RATE_LIMIT_EXEMPT_API_KEYS.map(key =>
+	crypto.createHash('sha256').update(key).digest()
+)
 
 /**
- * Custom rate limit message handler
+ * Checks whether the request carries the API key of a trusted client
+ * @param {Object} req - Express request object
+ * @returns {boolean} True when the X-API-Key header matches an exempt key
+ */
+const isTrustedClient = req => {
+	const apiKey = req.header('X-API-Key')
+
+	if (!apiKey || exemptApiKeyDigests.length === 0) {
+		return false
+	}
+
+	const digest = crypto.createHash('sha256').update(apiKey).digest()
+	return exemptApiKeyDigests.some(exemptDigest => crypto.timingSafeEqual(digest, exemptDigest))
+}
+
+/**
+ * Identifies the client a request is counted against
+ * @desc Authenticated users are limited per account so they keep their quota across networks, and
+ * users behind a shared IP address (offices, mobile carriers) do not exhaust each other's quota
+ * @desc The global limiter runs before authentication, so the access token is decoded here; a
+ * revoked but validly signed token only affects which counter is used
+ * @param {Object} req - Express request object
+ * @returns {string} 'user:<userId>' or 'ip:<address>'
+ */
+const getClientKey = req => {
+	if (req.user?._id) {
+		return `user:${req.user._id}`
+	}
+
+	const token = req.cookies?.accessToken || req.header('Authorization')?.replace('Bearer ', '')
+
+	if (token) {
+		try {
+			const decodedToken = jwt.verify(token, ACCESS_TOKEN_SECRET)
+			if (decodedToken?._id) {
+				return `user:${decodedToken._id}`
+			}
+		} catch (error) {
+			// Invalid or expired tokens fall back to the IP address
+		}
+	}
+
+	return `ip:${req.ip || req.socket.remoteAddress}`
+}
+
+/**
+ * Custom rate limit handler
  * Returns consistent API response format for rate limit exceeded
  */
-const rateLimitHandler = (req, res) => {
-	console.warn(`Rate limit exceeded for IP: ${req.ip} at ${new Date().toISOString()}`)
+const rateLimitHandler = (req, res, next, options) => {
+	console.warn(
+		`Rate limit exceeded for ${getClientKey(req)} on ${req.method} ${
+			req.originalUrl
+		} at ${new Date().toISOString()}`
+	)
+
+	const retryAfterSeconds = req.rateLimit.resetTime
+		? Math.max(Math.ceil((req.rateLimit.resetTime.getTime() - Date.now()) / 1000), 1)
+		: Math.ceil(options.windowMs / 1000)
 
 	res
 		.status(429)
+		.set('Retry-After', String(retryAfterSeconds))
 		.json(
-			new ApiResponse(
-				429,
-				null,
-				'Too many requests from this IP address. Please try again later.',
-				[
-					`Rate limit exceeded. Maximum ${req.rateLimit.limit} requests per ${
-						req.rateLimit.windowMs / 1000 / 60
-					} minutes allowed.`,
-				]
-			)
+			new ApiResponse(429, null, 'Too many requests. Please try again later.', [
+				`Rate limit exceeded. Maximum ${options.limit} requests per ${
+					options.windowMs / 1000 / 60
+				} minutes allowed.`,
+			])
 		)
 }
 
 /**
- * Skip rate limiting for successful requests handler
- * Only count failed requests (4xx, 5xx) towards rate limit
+ * Creates a rate limiter keyed per user with an IP address fallback
+ * @param {string} name - Limiter name, keeps its counters apart from other limiters
+ * @param {Object} config - Limit and windowMs from RATE_LIMITS
+ * @param {Object} options - Additional express-rate-limit options
+ * @returns {Function} Express middleware
  */
-const skipSuccessfulRequests = (req, res) => {
-	return res.statusCode < 400
-}
+const createLimiter = (name, { limit, windowMs }, options = {}) =>
+	rateLimit({
+		windowMs,
+		limit,
+		handler: rateLimitHandler,
+		standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
+		legacyHeaders: false, // Disable the `X-RateLimit-*` headers
+		store: createRateLimitStore(name),
+		skip: isTrustedClient,
+		keyGenerator: getClientKey,
+		...options,
+	})
 
 /**
  * General API Rate Limiter
  * Applied to all API routes
- * Allows 100 requests per 15 minutes per IP
+ * Only failed requests (4xx, 5xx) count, which slows down scanning and credential stuffing
+ * without limiting regular use of the API
  */
-export const generalRateLimit = rateLimit({
-	windowMs: 15 * 60 * 1000, // 15 minutes
-	limit: 100, // Limit each IP to 100 requests per windowMs
-	message: rateLimitHandler,
-	standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
-	legacyHeaders: false, // Disable the `X-RateLimit-*` headers
-	skip: skipSuccessfulRequests, // Don't count successful requests
-	keyGenerator: req => {
-		// Use IP address as the key for rate limiting
-		return req.ip || req.connection.remoteAddress || req.socket.remoteAddress
-	},
+export const generalRateLimit = createLimiter('general', RATE_LIMITS.GENERAL, {
+	skipSuccessfulRequests: true,
 })
 
 /**
  * Authentication Rate Limiter
- * Applied to login/register routes
- * Stricter limits to prevent brute force attacks
- * Allows 5 attempts per 15 minutes per IP
+ * Applied to login, register and password reset routes
+ * Stricter limits to prevent brute force attacks, every attempt counts
  */
-export const authRateLimit = rateLimit({
-	windowMs: 15 * 60 * 1000, // 15 minutes
-	limit: 5, // Limit each IP to 5 requests per windowMs
-	message: rateLimitHandler,
-	standardHeaders: true,
-	legacyHeaders: false,
-	skipSuccessfulRequests: false, // Count all requests for auth endpoints
-	keyGenerator: req => {
-		return req.ip || req.connection.remoteAddress || req.socket.remoteAddress
-	},
-})
+export const authRateLimit = createLimiter('auth', RATE_LIMITS.AUTH)
 
 /**
  * Upload Rate Limiter
- * Applied to file upload routes
+ * Applied to video upload routes, after authentication and before files are received
  * Moderate limits to prevent spam uploads
- * Allows 10 uploads per hour per IP
  */
-export const uploadRateLimit = rateLimit({
-	windowMs: 60 * 60 * 1000, // 1 hour
-	limit: 10, // Limit each IP to 10 uploads per hour
-	message: rateLimitHandler,
-	standardHeaders: true,
-	legacyHeaders: false,
-	skip: skipSuccessfulRequests,
-	keyGenerator: req => {
-		return req.ip || req.connection.remoteAddress || req.socket.remoteAddress
-	},
-})
+export const uploadRateLimit = createLimiter('upload', RATE_LIMITS.UPLOAD)
 
 /**
  * API Creation Rate Limiter
  * Applied to POST routes for creating resources
- * Prevents spam creation of comments, tweets, etc.
- * Allows 20 creations per hour per IP
+ * Prevents spam creation of comments, tweets, reports, etc.
  */
-export const createRateLimit = rateLimit({
-	windowMs: 60 * 60 * 1000, // 1 hour
-	limit: 20, // Limit each IP to 20 creations per hour
-	message: rateLimitHandler,
-	standardHeaders: true,
-	legacyHeaders: false,
-	skip: skipSuccessfulRequests,
-	keyGenerator: req => {
-		return req.ip || req.connection.remoteAddress || req.socket.remoteAddress
-	},
-})
+export const createRateLimit = createLimiter('create', RATE_LIMITS.CREATE)
 
 /**
  * Search Rate Limiter
  * Applied to search endpoints
  * Prevents abuse of search functionality
- * Allows 50 searches per 15 minutes per IP
  */
-export const searchRateLimit = rateLimit({
-	windowMs: 15 * 60 * 1000, // 15 minutes
-	limit: 50, // Limit each IP to 50 searches per 15 minutes
-	message: rateLimitHandler,
-	standardHeaders: true,
-	legacyHeaders: false,
-	skip: skipSuccessfulRequests,
-	keyGenerator: req => {
-		return req.ip || req.connection.remoteAddress || req.socket.remoteAddress
-	},
-})
+export const searchRateLimit = createLimiter('search', RATE_LIMITS.SEARCH)
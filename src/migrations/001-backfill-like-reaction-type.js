@@ -0,0 +1,16 @@
+import { Like } from '../models/index.js'
+
+/**
+ * Backfills the reaction type on likes created before dislikes existed
+ * @returns {Promise<string>} Summary of the changes
+ */
+const up = async () => {
+	const { modifiedCount } = await Like.updateMany(
+		{ type: { $exists: false } },
+		{ $set: { type: 'like' } }
+	)
+
+	return `Set type 'like' on ${modifiedCount} existing reactions.`
+}
+
+export default { name: '001-backfill-like-reaction-type', up }
@@ -0,0 +1,22 @@
+import { Playlist } from '../models/index.js'
+
+/**
+ * Replaces the isPublic flag of playlists with the visibility level
+ * @returns {Promise<string>} Summary of the changes
+ */
+const up = async () => {
+	const collection = Playlist.collection
+
+	const { modifiedCount: publicCount } = await collection.updateMany(
+		{ isPublic: true, visibility: { $exists: false } },
+		{ $set: { visibility: 'public' }, $unset: { isPublic: '' } }
+	)
+	const { modifiedCount: privateCount } = await collection.updateMany(
+		{ visibility: { $exists: false } },
+		{ $set: { visibility: 'private' }, $unset: { isPublic: '' } }
+	)
+
+	return `Set visibility on ${publicCount} public and ${privateCount} private playlists.`
+}
+
+export default { name: '002-playlist-visibility', up }
@@ -0,0 +1,28 @@
+import { Playlist } from '../models/index.js'
+
+/**
+ * Converts playlist video IDs into ordered entries with an addedAt date
+ * @desc The addedAt of existing entries is unknown, so the playlist creation date is used
+ * @returns {Promise<string>} Summary of the changes
+ */
+const up = async () => {
+	const { modifiedCount } = await Playlist.collection.updateMany(
+		{ 'videos.0': { $type: 'objectId' } },
+		[
+			{
+				$set: {
+					videos: {
+						$map: {
+							input: '$videos',
+							in: { video: '$$this', addedAt: '$createdAt' },
+						},
+					},
+				},
+			},
+		]
+	)
+
+	return `Converted the videos of ${modifiedCount} playlists into entries.`
+}
+
+export default { name: '003-playlist-entries', up }
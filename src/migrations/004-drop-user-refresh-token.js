@@ -0,0 +1,17 @@
+import { User } from '../models/index.js'
+
+/**
+ * Removes the single refresh token stored on users, refresh tokens now live in sessions
+ * @desc Users signed in before sessions existed have to log in again once their access token expires
+ * @returns {Promise<string>} Summary of the changes
+ */
+const up = async () => {
+	const { modifiedCount } = await User.collection.updateMany(
+		{ refreshToken: { $exists: true } },
+		{ $unset: { refreshToken: '' } }
+	)
+
+	return `Removed the legacy refresh token of ${modifiedCount} users.`
+}
+
+export default { name: '004-drop-user-refresh-token', up }
@@ -0,0 +1,17 @@
+import { User } from '../models/index.js'
+
+/**
+ * Marks accounts created before email verification existed as verified
+ * @desc These users could already upload videos, so they keep that ability without a new email
+ * @returns {Promise<string>} Summary of the changes
+ */
+const up = async () => {
+	const { modifiedCount } = await User.collection.updateMany(
+		{ isEmailVerified: { $exists: false } },
+		[{ $set: { isEmailVerified: true, emailVerifiedAt: '$createdAt' } }]
+	)
+
+	return `Marked ${modifiedCount} existing users as verified.`
+}
+
+export default { name: '005-grandfather-verified-emails', up }
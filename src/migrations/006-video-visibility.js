@@ -0,0 +1,27 @@
+import { Video } from '../models/index.js'
+
+/**
+ * Replaces the isPublished flag of existing videos with a visibility
+ * @desc Published videos become public and unpublished videos private, nothing becomes unlisted
+ * @returns {Promise<string>} Summary of the changes
+ */
+const up = async () => {
+	const { modifiedCount: publicCount } = await Video.collection.updateMany(
+		{ visibility: { $exists: false }, isPublished: true },
+		{ $set: { visibility: 'public' } }
+	)
+
+	const { modifiedCount: privateCount } = await Video.collection.updateMany(
+		{ visibility: { $exists: false } },
+		{ $set: { visibility: 'private' } }
+	)
+
+	await Video.collection.updateMany(
+		{ isPublished: { $exists: true } },
+		{ $unset: { isPublished: '' } }
+	)
+
+	return `Set ${publicCount} videos to public and ${privateCount} videos to private.`
+}
+
+export default { name: '006-video-visibility', up }
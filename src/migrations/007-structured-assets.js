@@ -0,0 +1,112 @@
+import path from 'path'
+import { User, Video } from '../models/index.js'
+import { LOCAL_STORAGE_BASE_URL } from '../constants.js'
+
+// Documents updated per bulk write
+const BATCH_SIZE = 500
+
+// e.g. http://res.cloudinary.com/<cloud>/video/upload/v1700000000/<public_id>.mp4
+const CLOUDINARY_URL_PATTERN =
+	/^https?:\/\/res\.cloudinary\.com\/[^/]+\/(?:image|video|raw)\/upload\/(?:v\d+\/)?(.+?)(?:\.([a-z0-9]+))?$/i
+
+const localBaseUrl = `${LOCAL_STORAGE_BASE_URL.replace(/\/+$/, '')}/`
+
+/**
+ * Builds an asset sub-document from a stored file URL
+ * @desc URLs issued by neither driver are kept as 'external' assets, which are never deleted
+ * @param {string} url - Stored file URL
+ * @param {string} resourceType - 'image' or 'video', known from the field holding the URL
+ * @returns {Object|null} Asset, or null for an empty URL
+ */
+const assetFromUrl = (url, resourceType) => {
+	if (!url) {
+		return null
+	}
+
+	const cloudinaryMatch = url.match(CLOUDINARY_URL_PATTERN)
+	if (cloudinaryMatch) {
+		const [, publicId, format] = cloudinaryMatch
+		return { provider: 'cloudinary', publicId, resourceType, url, ...(format && { format }) }
+	}
+
+	if (url.startsWith(localBaseUrl)) {
+		const publicId = url.slice(localBaseUrl.length)
+		const format = path.extname(publicId).slice(1)
+		return { provider: 'local', publicId, resourceType, url, ...(format && { format }) }
+	}
+
+	return { provider: 'external', resourceType, url }
+}
+
+/**
+ * Replaces the URL strings of a collection with asset sub-documents
+ * @param {Object} collection - Native MongoDB collection
+ * @param {Object} fields - Resource type of each field holding a URL
+ * @returns {Promise<Object>} Number of documents converted and of URLs kept as external assets
+ */
+const convertUrlFields = async (collection, fields) => {
+	const fieldNames = Object.keys(fields)
+	const cursor = collection.find(
+		{ $or: fieldNames.map(field => ({ [field]: { $type: 'string' } })) },
+		{ projection: Object.fromEntries(fieldNames.map(field => [field, 1])) }
+	)
+
+	let operations = []
+	let convertedCount = 0
+	let externalCount = 0
+
+	const flush = async () => {
+		if (operations.length) {
+			const { modifiedCount } = await collection.bulkWrite(operations, { ordered: false })
+			convertedCount += modifiedCount
+			operations = []
+		}
+	}
+
+	for await (const document of cursor) {
+		const $set = {}
+
+		for (const [field, resourceType] of Object.entries(fields)) {
+			if (typeof document[field] === 'string') {
+				$set[field] = assetFromUrl(document[field], resourceType)
+				if ($set[field]?.provider === 'external') {
+					externalCount++
+				}
+			}
+		}
+
+		operations.push({ updateOne: { filter: { _id: document._id }, update: { $set } } })
+		if (operations.length === BATCH_SIZE) {
+			await flush()
+		}
+	}
+
+	await flush()
+
+	return { convertedCount, externalCount }
+}
+
+/**
+ * Converts the file URLs of videos and users into asset sub-documents
+ * @desc Cloudinary uploads were never put in folders, so the public_id is the file name in the URL;
+ * local files are recognized by LOCAL_STORAGE_BASE_URL, so run this with the same value the
+ * files were stored with
+ * @returns {Promise<string>} Summary of the changes
+ */
+const up = async () => {
+	const videos = await convertUrlFields(Video.collection, {
+		videoFile: 'video',
+		thumbnail: 'image',
+	})
+	const users = await convertUrlFields(User.collection, {
+		avatar: 'image',
+		coverImage: 'image',
+	})
+
+	return (
+		`Converted the files of ${videos.convertedCount} videos and ${users.convertedCount} users, ` +
+		`${videos.externalCount + users.externalCount} URLs were not issued by a storage driver.`
+	)
+}
+
+export default { name: '007-structured-assets', up }
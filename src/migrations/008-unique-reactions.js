@@ -0,0 +1,51 @@
+import { Like } from '../models/index.js'
+
+// Reaction targets, each with its own unique index
+const TARGET_FIELDS = ['video', 'comment', 'tweet']
+
+/**
+ * Removes duplicate reactions and replaces the reaction lookup indexes with unique ones
+ * @desc Concurrent toggles could create several reactions of one user on the same target, the most
+ * recently updated one is kept as the user's latest choice
+ * @returns {Promise<string>} Summary of the changes
+ */
+const up = async () => {
+	let removedCount = 0
+
+	for (const field of TARGET_FIELDS) {
+		const duplicates = await Like.collection
+			.aggregate(
+				[
+					{ $match: { [field]: { $exists: true } } },
+					{ $sort: { updatedAt: -1, _id: -1 } },
+					{
+						$group: {
+							_id: { likedBy: '$likedBy', target: `$${field}` },
+							reactionIds: { $push: '$_id' },
+						},
+					},
+					{ $match: { 'reactionIds.1': { $exists: true } } },
+				],
+				{ allowDiskUse: true }
+			)
+			.toArray()
+
+		const duplicateIds = duplicates.flatMap(({ reactionIds }) => reactionIds.slice(1))
+		if (duplicateIds.length > 0) {
+			const { deletedCount } = await Like.collection.deleteMany({ _id: { $in: duplicateIds } })
+			removedCount += deletedCount
+		}
+
+		// The former non-unique index on the same keys would block the unique one
+		const indexName = `likedBy_1_${field}_1`
+		if (await Like.collection.indexExists(indexName)) {
+			await Like.collection.dropIndex(indexName)
+		}
+	}
+
+	await Like.createIndexes()
+
+	return `Removed ${removedCount} duplicate reactions and created the unique reaction indexes.`
+}
+
+export default { name: '008-unique-reactions', up }
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+
+/**
+ * Database migration runner
+ * Applies pending migrations in order and records them in the migrations collection
+ * Usage: npm run migrate
+ */
+
+import mongoose from 'mongoose'
+import connectDB from '../databases/index.js'
+import backfillLikeReactionType from './001-backfill-like-reaction-type.js'
+import playlistVisibility from './002-playlist-visibility.js'
+import playlistEntries from './003-playlist-entries.js'
+import dropUserRefreshToken from './004-drop-user-refresh-token.js'
+import grandfatherVerifiedEmails from './005-grandfather-verified-emails.js'
+import videoVisibility from './006-video-visibility.js'
+import structuredAssets from './007-structured-assets.js'
+import uniqueReactions from './008-unique-reactions.js'
+
+// Migrations in the order they must be applied
+const migrations = [
+	backfillLikeReactionType,
+	playlistVisibility,
+	playlistEntries,
+	dropUserRefreshToken,
+	grandfatherVerifiedEmails,
+	videoVisibility,
+	structuredAssets,
+	uniqueReactions,
+]
+
+const runMigrations = async () => {
+	await connectDB()
+
+	const appliedCollection = mongoose.connection.collection('migrations')
+	const applied = new Set(
+		(await appliedCollection.find({}, { projection: { name: 1 } }).toArray()).map(
+			migration => migration.name
+		)
+	)
+
+	for (const migration of migrations) {
+		if (applied.has(migration.name)) {
+			continue
+		}
+
+		console.log(`⏳ Applying ${migration.name}`)
+		const summary = await migration.up()
+		await appliedCollection.insertOne({ name: migration.name, appliedAt: new Date() })
+		console.log(`✅ ${migration.name}: ${summary}`)
+	}
+
+	await mongoose.connection.close()
+}
+
+runMigrations().catch(async error => {
+	console.error('❌ Migration FAILED:', error)
+	await mongoose.connection.close()
+	process.exit(1)
+})
@@ -0,0 +1,40 @@
+import { Schema, model } from 'mongoose'
+import { ACCOUNT_TOKEN_PURPOSES } from '../constants.js'
+
+// Tracks emailed tokens so each one can be used only once
+const accountTokenSchema = new Schema(
+	{
+		user: {
+			type: Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		purpose: {
+			type: String,
+			enum: Object.keys(ACCOUNT_TOKEN_PURPOSES),
+			required: true,
+		},
+		// JWT ID of the signed token
+		jti: {
+			type: String,
+			required: true,
+			unique: true,
+		},
+		expiresAt: {
+			type: Date,
+			required: true,
+		},
+		usedAt: {
+			type: Date,
+			default: null,
+		},
+	},
+	{ timestamps: true }
+)
+
+accountTokenSchema.index({ user: 1, purpose: 1, createdAt: -1 })
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+const AccountToken = model('AccountToken', accountTokenSchema)
+
+export { AccountToken }
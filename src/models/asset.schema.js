@@ -0,0 +1,40 @@
+import { Schema } from 'mongoose'
+
+// A file kept by a storage driver (see utils/storage.js), deleted through its provider and publicId
+const assetSchema = new Schema(
+	{
+		// Storage driver holding the file, 'external' for files no driver manages
+		provider: {
+			type: String,
+			required: true,
+		},
+		// Stable ID of the file within its provider
+		publicId: {
+			type: String,
+		},
+		resourceType: {
+			type: String,
+			enum: ['image', 'video'],
+			required: true,
+		},
+		url: {
+			type: String,
+			required: true,
+		},
+		bytes: {
+			type: Number,
+		},
+		width: {
+			type: Number,
+		},
+		height: {
+			type: Number,
+		},
+		format: {
+			type: String,
+		},
+	},
+	{ _id: false }
+)
+
+export { assetSchema }
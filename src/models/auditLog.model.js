@@ -0,0 +1,48 @@
+import { Schema, model } from 'mongoose'
+import { AUDIT_ACTIONS, AUDIT_TARGET_TYPES } from '../constants.js'
+
+// Append-only record of moderation and administration actions
+const auditLogSchema = new Schema(
+	{
+		// Moderator or admin who performed the action
+		actor: {
+			type: Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		action: {
+			type: String,
+			enum: AUDIT_ACTIONS,
+			required: true,
+		},
+		targetType: {
+			type: String,
+			enum: AUDIT_TARGET_TYPES,
+			required: true,
+		},
+		targetId: {
+			type: Schema.Types.ObjectId,
+			required: true,
+		},
+		reason: {
+			type: String,
+			trim: true,
+		},
+		// Action details, e.g. the previous role or a snapshot of removed content
+		metadata: {
+			type: Schema.Types.Mixed,
+		},
+		ip: {
+			type: String,
+		},
+	},
+	{ timestamps: true }
+)
+
+auditLogSchema.index({ createdAt: -1 })
+auditLogSchema.index({ actor: 1, createdAt: -1 })
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 })
+
+const AuditLog = model('AuditLog', auditLogSchema)
+
+export { AuditLog }
@@ -1,5 +1,8 @@
 import { Schema, model } from 'mongoose'
 
+// Content shown in place of a deleted comment that still has replies
+const DELETED_COMMENT_PLACEHOLDER = '[deleted]'
+
 const commentSchema = new Schema(
 	{
 		content: {
@@ -10,17 +13,111 @@ const commentSchema = new Schema(
 		owner: {
 			type: Schema.Types.ObjectId,
 			ref: 'User',
-			required: true,
+			// Placeholders of deleted comments no longer reference their author
+			required: function () {
+				return !this.isDeleted
+			},
 		},
+		// A comment targets either a video or a tweet
 		video: {
 			type: Schema.Types.ObjectId,
 			ref: 'Video',
-			required: true,
+			required: function () {
+				return !this.tweet
+			},
+		},
+		tweet: {
+			type: Schema.Types.ObjectId,
+			ref: 'Tweet',
+			required: function () {
+				return !this.video
+			},
+		},
+		// Top-level comment this comment replies to, null for top-level comments
+		parentComment: {
+			type: Schema.Types.ObjectId,
+			ref: 'Comment',
+			default: null,
+		},
+		isDeleted: {
+			type: Boolean,
+			default: false,
+		},
+		// Hidden by a moderator after a report, left out of listings
+		isHidden: {
+			type: Boolean,
+			default: false,
 		},
 	},
 	{ timestamps: true }
 )
 
+commentSchema.index({ video: 1, parentComment: 1, createdAt: -1 })
+commentSchema.index({ tweet: 1, parentComment: 1, createdAt: -1 })
+commentSchema.index({ parentComment: 1, createdAt: 1 })
+
+commentSchema.pre('validate', function (next) {
+	if (this.video && this.tweet) {
+		this.invalidate('tweet', 'A comment cannot target both a video and a tweet.')
+	}
+	next()
+})
+
+/**
+ * Deletes the comments matching a filter while keeping threads readable
+ * @desc Top-level comments with remaining replies become "[deleted]" placeholders
+ * @desc Placeholders are removed once their last reply is deleted
+ * @param {Object} filter - Filter selecting the comments to delete
+ * @returns {Promise<Object>} IDs of the deleted comments and of the new placeholders
+ */
+commentSchema.statics.deleteWithReplyPolicy = async function (filter) {
+	const comments = await this.find(filter).select('_id parentComment')
+	const commentIds = comments.map(comment => comment._id)
+
+	// Top-level comments whose replies are not all being deleted keep a placeholder
+	const remainingReplyParents = await this.find({
+		parentComment: { $in: commentIds },
+		_id: { $nin: commentIds },
+	}).distinct('parentComment')
+	const placeholderIds = remainingReplyParents.filter(parentId =>
+		commentIds.some(commentId => commentId.equals(parentId))
+	)
+
+	if (placeholderIds.length > 0) {
+		await this.updateMany(
+			{ _id: { $in: placeholderIds } },
+			{ $set: { content: DELETED_COMMENT_PLACEHOLDER, isDeleted: true }, $unset: { owner: 1 } }
+		)
+	}
+
+	const deletedIds = commentIds.filter(
+		commentId => !placeholderIds.some(placeholderId => placeholderId.equals(commentId))
+	)
+	await this.deleteMany({ _id: { $in: deletedIds } })
+
+	// Placeholders left without replies are removed as well
+	const affectedParentIds = comments
+		.filter(comment => comment.parentComment)
+		.map(comment => comment.parentComment)
+
+	if (affectedParentIds.length > 0) {
+		const parentsWithReplies = await this.find({
+			parentComment: { $in: affectedParentIds },
+		}).distinct('parentComment')
+		const emptyPlaceholderIds = await this.find({
+			_id: { $in: affectedParentIds, $nin: parentsWithReplies },
+			isDeleted: true,
+		}).distinct('_id')
+
+		if (emptyPlaceholderIds.length > 0) {
+			await this.deleteMany({ _id: { $in: emptyPlaceholderIds } })
+			deletedIds.push(...emptyPlaceholderIds)
+		}
+	}
+
+	return { deletedIds, placeholderIds }
+}
+
 const Comment = model('Comment', commentSchema)
 
 export { Comment }
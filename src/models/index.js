@@ -1,4 +1,12 @@
 import { Subscription } from './subscription.model.js'
+import { WatchHistory } from './watchHistory.model.js'
+import { Notification } from './notification.model.js'
+import { Session } from './session.model.js'
+import { AccountToken } from './accountToken.model.js'
+import { AuditLog } from './auditLog.model.js'
+import { Report } from './report.model.js'
+import { UploadSession } from './uploadSession.model.js'
+import { Job } from './job.model.js'
 import { Playlist } from './playlist.model.js'
 import { Comment } from './comment.model.js'
 import { Tweet } from './tweet.model.js'
@@ -6,4 +14,20 @@ import { Video } from './video.model.js'
 import { User } from './user.model.js'
 import { Like } from './like.model.js'
 
-export { User, Video, Subscription, Comment, Like, Tweet, Playlist }
+export {
+	User,
+	Video,
+	Subscription,
+	Comment,
+	Like,
+	Tweet,
+	Playlist,
+	WatchHistory,
+	Notification,
+	Session,
+	AccountToken,
+	AuditLog,
+	Report,
+	UploadSession,
+	Job,
+}
@@ -0,0 +1,76 @@
+import { Schema, model } from 'mongoose'
+import { JOB_STATUSES } from '../constants.js'
+
+// A background job, claimed and run by a worker (see utils/jobQueue.js)
+const jobSchema = new Schema(
+	{
+		// One of JOB_TYPES, selects the handler that runs the job
+		type: {
+			type: String,
+			required: true,
+		},
+		// Handler input, kept self-contained since the documents it refers to may be gone
+		payload: {
+			type: Schema.Types.Mixed,
+			default: {},
+		},
+		// User the job was started for, who can follow its status
+		owner: {
+			type: Schema.Types.ObjectId,
+			ref: 'User',
+		},
+		// SHA-256 of a token that lets anyone holding it follow the status, for jobs that outlive
+		// their owner such as account cleanups
+		statusTokenHash: {
+			type: String,
+			select: false,
+		},
+		status: {
+			type: String,
+			enum: JOB_STATUSES,
+			default: 'queued',
+		},
+		attempts: {
+			type: Number,
+			default: 0,
+		},
+		maxAttempts: {
+			type: Number,
+			required: true,
+		},
+		// Earliest time the next attempt may start, pushed back after every failure
+		runAt: {
+			type: Date,
+			default: Date.now,
+		},
+		// Start of the current attempt, a job running for too long is claimed again
+		lockedAt: {
+			type: Date,
+		},
+		lastError: {
+			type: String,
+		},
+		// Handler output of a completed job
+		result: {
+			type: Schema.Types.Mixed,
+		},
+		completedAt: {
+			type: Date,
+		},
+		// Set on completion, completed jobs are removed once it passes
+		expiresAt: {
+			type: Date,
+		},
+	},
+	{ timestamps: true }
+)
+
+// Lets workers find the next due job without scanning finished ones
+jobSchema.index({ status: 1, runAt: 1 })
+jobSchema.index({ owner: 1, createdAt: -1 })
+jobSchema.index({ statusTokenHash: 1 }, { sparse: true })
+jobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+const Job = model('Job', jobSchema)
+
+export { Job }
@@ -1,4 +1,5 @@
 import { Schema, model } from 'mongoose'
+import { REACTION_TYPES } from '../constants.js'
 
 const likeSchema = new Schema(
   {
@@ -7,6 +8,12 @@ const likeSchema = new Schema(
       ref: 'User',
       required: true,
     },
+    type: {
+      type: String,
+      enum: REACTION_TYPES,
+      default: 'like',
+      required: true,
+    },
     video: {
       type: Schema.Types.ObjectId,
       ref: 'Video',
@@ -23,6 +30,56 @@ const likeSchema = new Schema(
   { timestamps: true }
 )
 
+// One reaction per user and target, also used to look up a user's reaction on a target
+likeSchema.index(
+  { likedBy: 1, video: 1 },
+  {
+    name: 'unique_video_reaction',
+    unique: true,
+    partialFilterExpression: { video: { $exists: true } },
+  }
+)
+likeSchema.index(
+  { likedBy: 1, comment: 1 },
+  {
+    name: 'unique_comment_reaction',
+    unique: true,
+    partialFilterExpression: { comment: { $exists: true } },
+  }
+)
+likeSchema.index(
+  { likedBy: 1, tweet: 1 },
+  {
+    name: 'unique_tweet_reaction',
+    unique: true,
+    partialFilterExpression: { tweet: { $exists: true } },
+  }
+)
+
+// Reactions on a target, used by the reaction counts and the like state lookups of lists
+likeSchema.index({ video: 1, type: 1 })
+likeSchema.index({ comment: 1, type: 1 })
+likeSchema.index({ tweet: 1, type: 1 })
+
+/**
+ * Counts the reactions on a target per reaction type
+ * @param {Object} target - Target filter, e.g. { video: ObjectId }
+ * @returns {Promise<Object>} Count per reaction type, e.g. { like: 3, dislike: 1 }
+ */
+likeSchema.statics.countReactions = async function (target) {
+  const counts = await this.aggregate([
+    { $match: target },
+    { $group: { _id: '$type', count: { $sum: 1 } } },
+  ])
+
+  return Object.fromEntries(
+    REACTION_TYPES.map(reactionType => [
+      reactionType,
+      counts.find(count => count._id === reactionType)?.count || 0,
+    ])
+  )
+}
+
 const Like = model('Like', likeSchema)
 
 export { Like }
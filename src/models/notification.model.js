@@ -0,0 +1,55 @@
+import { Schema, model } from 'mongoose'
+import { NOTIFICATION_TYPES } from '../constants.js'
+
+const notificationSchema = new Schema(
+	{
+		recipient: {
+			type: Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		// User whose activity produced the notification
+		actor: {
+			type: Schema.Types.ObjectId,
+			ref: 'User',
+		},
+		type: {
+			type: String,
+			enum: NOTIFICATION_TYPES,
+			required: true,
+		},
+		video: {
+			type: Schema.Types.ObjectId,
+			ref: 'Video',
+		},
+		comment: {
+			type: Schema.Types.ObjectId,
+			ref: 'Comment',
+		},
+		tweet: {
+			type: Schema.Types.ObjectId,
+			ref: 'Tweet',
+		},
+		report: {
+			type: Schema.Types.ObjectId,
+			ref: 'Report',
+		},
+		isRead: {
+			type: Boolean,
+			default: false,
+		},
+	},
+	{ timestamps: true }
+)
+
+notificationSchema.index({ recipient: 1, createdAt: -1 })
+notificationSchema.index({ recipient: 1, isRead: 1 })
+// Notifications about a target, used when announcing a video once and when retracting or removing
+// the notifications of a target
+notificationSchema.index({ video: 1, type: 1 })
+notificationSchema.index({ comment: 1, type: 1 })
+notificationSchema.index({ tweet: 1, type: 1 })
+
+const Notification = model('Notification', notificationSchema)
+
+export { Notification }
@@ -1,4 +1,21 @@
 import { Schema, model } from 'mongoose'
+import { PLAYLIST_VISIBILITIES, SYSTEM_PLAYLISTS } from '../constants.js'
+
+// Playlist entries keep their order in the array and remember when they were added
+const playlistEntrySchema = new Schema(
+	{
+		video: {
+			type: Schema.Types.ObjectId,
+			ref: 'Video',
+			required: true,
+		},
+		addedAt: {
+			type: Date,
+			default: Date.now,
+		},
+	},
+	{ _id: false }
+)
 
 const playlistSchema = new Schema(
 	{
@@ -16,20 +33,35 @@ const playlistSchema = new Schema(
 			ref: 'User',
 			required: true,
 		},
-		isPublic: {
-			type: Boolean,
-			default: true,
+		visibility: {
+			type: String,
+			enum: PLAYLIST_VISIBILITIES,
+			default: 'private',
+		},
+		videos: [playlistEntrySchema],
+		// Set on built-in playlists, which cannot be deleted or renamed
+		systemType: {
+			type: String,
+			enum: Object.keys(SYSTEM_PLAYLISTS),
 		},
-		videos: [
-			{
-				type: Schema.Types.ObjectId,
-				ref: 'Video',
-			},
-		],
 	},
 	{ timestamps: true }
 )
 
+playlistSchema.index({ owner: 1, visibility: 1, createdAt: -1 })
+
+// At most one playlist of each system type per user
+playlistSchema.index(
+	{ owner: 1, systemType: 1 },
+	{ unique: true, partialFilterExpression: { systemType: { $type: 'string' } } }
+)
+
+// Full-text search index for playlist search
+playlistSchema.index(
+	{ name: 'text', description: 'text' },
+	{ name: 'playlist_text_search', weights: { name: 5, description: 1 } }
+)
+
 const Playlist = model('Playlist', playlistSchema)
 
 export { Playlist }
@@ -0,0 +1,72 @@
+import { Schema, model } from 'mongoose'
+import { REPORT_TARGET_TYPES, REPORT_REASONS, REPORT_ACTIONS } from '../constants.js'
+
+const reportSchema = new Schema(
+	{
+		reporter: {
+			type: Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		targetType: {
+			type: String,
+			enum: REPORT_TARGET_TYPES,
+			required: true,
+		},
+		// Reported video, comment or tweet, or the user of a reported channel
+		target: {
+			type: Schema.Types.ObjectId,
+			required: true,
+		},
+		// User responsible for the reported content, struck when the report is upheld
+		targetOwner: {
+			type: Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		reason: {
+			type: String,
+			enum: REPORT_REASONS,
+			required: true,
+		},
+		details: {
+			type: String,
+			trim: true,
+			maxlength: 1000,
+		},
+		status: {
+			type: String,
+			enum: ['open', 'resolved'],
+			default: 'open',
+		},
+		// Resolution, set once a moderator has reviewed the report
+		action: {
+			type: String,
+			enum: REPORT_ACTIONS,
+		},
+		resolutionNote: {
+			type: String,
+			trim: true,
+		},
+		resolvedBy: {
+			type: Schema.Types.ObjectId,
+			ref: 'User',
+		},
+		resolvedAt: {
+			type: Date,
+		},
+	},
+	{ timestamps: true }
+)
+
+// A user can have only one open report per target, repeat reports reuse it
+reportSchema.index(
+	{ reporter: 1, targetType: 1, target: 1 },
+	{ unique: true, partialFilterExpression: { status: 'open' } }
+)
+reportSchema.index({ status: 1, targetType: 1, target: 1 })
+reportSchema.index({ status: 1, createdAt: -1 })
+
+const Report = model('Report', reportSchema)
+
+export { Report }
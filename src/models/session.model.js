@@ -0,0 +1,75 @@
+import crypto from 'crypto'
+import { Schema, model } from 'mongoose'
+import { SESSION_REVOKE_REASONS } from '../constants.js'
+
+// A session is one signed-in device, its refresh tokens form a single rotation family
+const sessionSchema = new Schema(
+	{
+		user: {
+			type: Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		// SHA-256 hash of the only refresh token of the family that is still accepted
+		tokenHash: {
+			type: String,
+			required: true,
+		},
+		userAgent: {
+			type: String,
+			default: 'Unknown',
+		},
+		ip: {
+			type: String,
+		},
+		lastUsedAt: {
+			type: Date,
+			default: Date.now,
+		},
+		// Expiry of the current refresh token, the session is removed once it passes
+		expiresAt: {
+			type: Date,
+			required: true,
+		},
+		revokedAt: {
+			type: Date,
+			default: null,
+		},
+		revokedReason: {
+			type: String,
+			enum: SESSION_REVOKE_REASONS,
+		},
+	},
+	{ timestamps: true }
+)
+
+sessionSchema.index({ user: 1, revokedAt: 1 })
+// Revoked sessions are kept until expiry so replayed tokens are still recognized
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+/**
+ * Hashes a refresh token for storage and comparison
+ * @param {string} token - Refresh token
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+sessionSchema.statics.hashToken = function (token) {
+	return crypto.createHash('sha256').update(token).digest('hex')
+}
+
+/**
+ * Revokes the active sessions matching a filter
+ * @param {Object} filter - Session filter, e.g. { user: userId }
+ * @param {string} reason - One of SESSION_REVOKE_REASONS
+ * @returns {Promise<number>} Number of revoked sessions
+ */
+sessionSchema.statics.revokeMany = async function (filter, reason) {
+	const { modifiedCount } = await this.updateMany(
+		{ ...filter, revokedAt: null },
+		{ $set: { revokedAt: new Date(), revokedReason: reason } }
+	)
+	return modifiedCount
+}
+
+const Session = model('Session', sessionSchema)
+
+export { Session }
@@ -1,4 +1,5 @@
 import { Schema, model } from 'mongoose'
+import { SUBSCRIPTION_NOTIFICATION_PREFERENCES } from '../constants.js'
 
 const subscriptionSchema = new Schema(
   {
@@ -12,6 +13,12 @@ const subscriptionSchema = new Schema(
       ref: 'User',
       required: true,
     },
+    // Bell preference for upload notifications from this channel
+    notificationPreference: {
+      type: String,
+      enum: SUBSCRIPTION_NOTIFICATION_PREFERENCES,
+      default: 'all',
+    },
   },
   { timestamps: true }
 )
@@ -12,10 +12,18 @@ const tweetSchema = new Schema(
       ref: 'User',
       required: true,
     },
+    // Hidden by a moderator after a report, left out of listings
+    isHidden: {
+      type: Boolean,
+      default: false,
+    },
   },
   { timestamps: true }
 )
 
+// Full-text search index on tweet content
+tweetSchema.index({ content: 'text' }, { name: 'tweet_text_search' })
+
 const Tweet = model('Tweet', tweetSchema)
 
 export { Tweet }
@@ -0,0 +1,63 @@
+import { Schema, model } from 'mongoose'
+
+// A resumable video upload, its chunks are stored in public/temp/uploads/<uploadId>
+const uploadSessionSchema = new Schema(
+	{
+		owner: {
+			type: Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		fileName: {
+			type: String,
+			required: true,
+			trim: true,
+		},
+		mimeType: {
+			type: String,
+			required: true,
+		},
+		totalSize: {
+			type: Number,
+			required: true,
+		},
+		// Largest chunk the client may send
+		chunkSize: {
+			type: Number,
+			required: true,
+		},
+		// Bytes stored so far, the offset of the next chunk
+		receivedBytes: {
+			type: Number,
+			default: 0,
+		},
+		chunkCount: {
+			type: Number,
+			default: 0,
+		},
+		// Optional SHA-256 of the whole file, checked once the chunks are assembled
+		checksum: {
+			type: String,
+			lowercase: true,
+		},
+		// Video created from the upload, its chunks are kept until the finalize job has stored the file
+		video: {
+			type: Schema.Types.ObjectId,
+			ref: 'Video',
+		},
+		// Pushed back with every chunk, abandoned uploads are removed once it passes
+		expiresAt: {
+			type: Date,
+			required: true,
+		},
+	},
+	{ timestamps: true }
+)
+
+uploadSessionSchema.index({ owner: 1, expiresAt: 1 })
+// Chunk files left behind by expired sessions are removed by the upload cleanup
+uploadSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+const UploadSession = model('UploadSession', uploadSessionSchema)
+
+export { UploadSession }
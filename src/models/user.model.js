@@ -1,12 +1,18 @@
+import crypto from 'crypto'
 import { Schema, model } from 'mongoose'
 import bcrypt from 'bcrypt'
 import jwt from 'jsonwebtoken'
 import {
+	USER_ROLES,
+	ACCOUNT_STATUSES,
+	USERNAME_RULES,
+	CHANNEL_ABOUT_LIMITS,
 	ACCESS_TOKEN_EXPIRY,
 	ACCESS_TOKEN_SECRET,
 	REFRESH_TOKEN_EXPIRY,
 	REFRESH_TOKEN_SECRET,
 } from '../constants.js'
+import { assetSchema } from './asset.schema.js'
 
 const userSchema = new Schema(
 	{
@@ -17,7 +23,19 @@ const userSchema = new Schema(
 			lowercase: true,
 			trim: true,
 			index: true,
-			minlength: 5,
+			minlength: USERNAME_RULES.MIN_LENGTH,
+			maxlength: USERNAME_RULES.MAX_LENGTH,
+		},
+		// Previous usernames, each resolves to this channel for a grace period after the change
+		usernameHistory: [
+			{
+				_id: false,
+				username: { type: String },
+				changedAt: { type: Date },
+			},
+		],
+		usernameChangedAt: {
+			type: Date,
 		},
 		email: {
 			type: String,
@@ -33,28 +51,95 @@ const userSchema = new Schema(
 			minlength: [3, 'Full name must contain at least 3 characters'],
 		},
 		avatar: {
-			type: String,
+			type: assetSchema,
+			default: null,
 		},
 		coverImage: {
+			type: assetSchema,
+			default: null,
+		},
+		// Channel "About" section, the joined date is createdAt
+		about: {
+			description: {
+				type: String,
+				trim: true,
+				maxlength: CHANNEL_ABOUT_LIMITS.DESCRIPTION_MAX_LENGTH,
+			},
+			// ISO 3166-1 alpha-2 code, e.g. 'IN'
+			country: {
+				type: String,
+				uppercase: true,
+			},
+			links: [
+				{
+					_id: false,
+					title: { type: String, trim: true },
+					url: { type: String, trim: true },
+				},
+			],
+			// Public contact address, only shown to logged-in users unlike the account email
+			contactEmail: {
+				type: String,
+				lowercase: true,
+				trim: true,
+			},
+		},
+		isEmailVerified: {
+			type: Boolean,
+			default: false,
+		},
+		emailVerifiedAt: {
+			type: Date,
+		},
+		role: {
+			type: String,
+			enum: USER_ROLES,
+			default: 'user',
+		},
+		status: {
+			type: String,
+			enum: ACCOUNT_STATUSES,
+			default: 'active',
+		},
+		// End of a suspension, the account is usable again once it passes
+		suspendedUntil: {
+			type: Date,
+		},
+		// Moderator-provided reason of the current suspension or ban
+		statusReason: {
 			type: String,
 		},
-		watchHistory: [
+		// Upheld reports against the user's content, reaching MAX_STRIKES bans the account
+		strikes: [
 			{
-				type: Schema.Types.ObjectId,
-				ref: 'Video',
+				_id: false,
+				reason: { type: String },
+				report: { type: Schema.Types.ObjectId, ref: 'Report' },
+				issuedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+				issuedAt: { type: Date, default: Date.now },
 			},
 		],
+		isWatchHistoryPaused: {
+			type: Boolean,
+			default: false,
+		},
 		password: {
 			type: String,
 			required: [true, 'Password is required to create a user.'],
 		},
-		refreshToken: {
-			type: String,
-		},
 	},
 	{ timestamps: true }
 )
 
+// Resolves old handles to their channel
+userSchema.index({ 'usernameHistory.username': 1 })
+
+// Full-text search index for channel search
+userSchema.index(
+	{ username: 'text', fullName: 'text' },
+	{ name: 'user_text_search', weights: { username: 5, fullName: 3 } }
+)
+
 userSchema.pre('save', async function (next) {
 	if (this.isModified('password')) {
 		this.password = await bcrypt.hash(this.password, 12)
@@ -69,10 +154,32 @@ userSchema.methods.isPasswordCorrect = async function (password) {
 	return await bcrypt.compare(password, this.password)
 }
 
-userSchema.methods.generateAccessToken = function () {
+/**
+ * Describes why the account cannot be used right now
+ * @returns {string|null} Restriction message, or null when the account is usable
+ */
+userSchema.methods.getRestrictionMessage = function () {
+	if (this.status === 'banned') {
+		return 'This account has been banned.'
+	}
+
+	if (this.status === 'suspended' && this.suspendedUntil > new Date()) {
+		return `This account is suspended until ${this.suspendedUntil.toISOString()}.`
+	}
+
+	return null
+}
+
+/**
+ * Signs a short-lived access token bound to a session
+ * @param {Object} sessionId - ID of the session the token belongs to
+ * @returns {string} Signed JWT
+ */
+userSchema.methods.generateAccessToken = function (sessionId) {
 	return jwt.sign(
 		{
 			_id: this._id,
+			sessionId,
 			email: this.email,
 			username: this.username,
 			fullName: this.fullName,
@@ -84,17 +191,26 @@ userSchema.methods.generateAccessToken = function () {
 	)
 }
 
-userSchema.methods.generateRefreshToken = function () {
+/**
+ * Signs a refresh token of a session
+ * @desc The random jwtid makes every rotated token unique, even when issued within the same second
+ * @param {Object} sessionId - ID of the session the token belongs to
+ * @returns {string} Signed JWT
+ */
+userSchema.methods.generateRefreshToken = function (sessionId) {
 	return jwt.sign(
 		{
 			_id: this._id,
+			sessionId,
 		},
 		REFRESH_TOKEN_SECRET,
 		{
 			expiresIn: REFRESH_TOKEN_EXPIRY,
+			jwtid: crypto.randomUUID(),
 		}
 	)
 }
+
 const User = model('User', userSchema)
 
 export { User }
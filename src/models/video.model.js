@@ -1,13 +1,18 @@
 import { Schema, model, Types } from 'mongoose'
+import { VIDEO_VISIBILITIES, VIDEO_PROCESSING_STATUSES } from '../constants.js'
+import { assetSchema } from './asset.schema.js'
 
 const videoSchema = new Schema(
   {
+    // Missing while a resumable upload is being finalized by a background job
     videoFile: {
-      type: String,
-      required: true,
+      type: assetSchema,
+      required: function () {
+        return this.processingStatus === 'ready'
+      },
     },
     thumbnail: {
-      type: String,
+      type: assetSchema,
       required: true,
     },
     owner: {
@@ -31,14 +36,47 @@ const videoSchema = new Schema(
       type: Number,
       default: 0,
     },
-    isPublished: {
+    // Replaces the former isPublished flag, see utils/videoVisibility.js for the rules
+    visibility: {
+      type: String,
+      enum: VIDEO_VISIBILITIES,
+      default: 'private',
+    },
+    // Time the video becomes public, unset once published or when the schedule is cancelled
+    publishAt: {
+      type: Date,
+    },
+    // Set when a moderator force-unpublishes the video, the owner cannot make it visible again
+    isPublishLocked: {
       type: Boolean,
-      required: true,
+      default: false,
+    },
+    // Hidden by a moderator after a report, left out of listings
+    isHidden: {
+      type: Boolean,
+      default: false,
+    },
+    // Processing videos have no file yet and cannot leave private until they are ready
+    processingStatus: {
+      type: String,
+      enum: VIDEO_PROCESSING_STATUSES,
+      default: 'ready',
     },
   },
   { timestamps: true }
 )
 
+// Full-text search index, title matches rank higher than description matches
+videoSchema.index(
+  { title: 'text', description: 'text' },
+  { name: 'video_text_search', weights: { title: 10, description: 2 } }
+)
+
+videoSchema.index({ visibility: 1, createdAt: -1 })
+
+// Lets the publish scheduler find due videos without scanning unscheduled ones
+videoSchema.index({ publishAt: 1 }, { sparse: true })
+
 const Video = model('Video', videoSchema)
 
 export { Video }
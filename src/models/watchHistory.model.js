@@ -0,0 +1,38 @@
+import { Schema, model } from 'mongoose'
+
+const watchHistorySchema = new Schema(
+	{
+		user: {
+			type: Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		video: {
+			type: Schema.Types.ObjectId,
+			ref: 'Video',
+			required: true,
+		},
+		watchedAt: {
+			type: Date,
+			default: Date.now,
+		},
+		lastPosition: {
+			type: Number,
+			default: 0,
+			min: 0,
+		},
+		completed: {
+			type: Boolean,
+			default: false,
+		},
+	},
+	{ timestamps: true }
+)
+
+// One entry per user and video, repeat views only refresh the existing entry
+watchHistorySchema.index({ user: 1, video: 1 }, { unique: true })
+watchHistorySchema.index({ user: 1, watchedAt: -1 })
+
+const WatchHistory = model('WatchHistory', watchHistorySchema)
+
+export { WatchHistory }
@@ -0,0 +1,222 @@
+import { Router } from 'express'
+import { requireAuth, requireRole } from '../middlewares/index.js'
+import {
+	listUsers,
+	suspendUser,
+	banUser,
+	reinstateUser,
+	updateUserRole,
+	forceUnpublishVideo,
+	unlockVideo,
+	removeComment,
+	removeTweet,
+	getAuditLogs,
+	getReportQueue,
+	resolveReports,
+	getJobs,
+	retryJob,
+} from '../controllers/admin.controller.js'
+
+// Initialize admin router
+const adminRouter = Router()
+
+/**
+ * Admin Routes Configuration
+ *
+ * @description Moderation and administration of users and content, every action is audit logged
+ * @baseRoute /api/v1/admin
+ * @middleware requireAuth, requireRole('moderator', 'admin') - All routes require a moderator or admin
+ */
+
+// Apply authentication and role middlewares to all admin routes
+adminRouter.use(requireAuth, requireRole('moderator', 'admin'))
+
+/**
+ * List and search users
+ * @route GET /api/v1/admin/users
+ * @access Moderator, Admin
+ * @query {string} q - Partial match on username, email or full name (optional, max: 100 characters)
+ * @query {string} role - Filter by role: 'user', 'moderator' or 'admin' (optional)
+ * @query {string} status - Filter by status: 'active', 'suspended' or 'banned' (optional)
+ * @query {number} limit - Number of users per page (optional, default: 20, max: 100)
+ * @query {string} cursor - nextCursor of the previous page for keyset pagination (optional)
+ * @query {number} page - Page number when not using a cursor (optional)
+ * @returns {Object} Paginated users, newest first
+ * @controller listUsers
+ */
+adminRouter.route('/users').get(listUsers)
+
+/**
+ * Suspend a user account
+ * @route PATCH /api/v1/admin/users/:userId/suspend
+ * @access Moderator, Admin (only admins can act on moderators and admins)
+ * @params {string} userId - ID of the user (required)
+ * @body {number} days - Suspension length in days (required, 1-365)
+ * @body {string} reason - Reason for the suspension (required, max: 500 characters)
+ * @note Signs the user out on all devices
+ * @returns {Object} New status and end of the suspension
+ * @controller suspendUser
+ */
+adminRouter.route('/users/:userId/suspend').patch(suspendUser)
+
+/**
+ * Ban a user account
+ * @route PATCH /api/v1/admin/users/:userId/ban
+ * @access Moderator, Admin (only admins can act on moderators and admins)
+ * @params {string} userId - ID of the user (required)
+ * @body {string} reason - Reason for the ban (required, max: 500 characters)
+ * @note Signs the user out on all devices
+ * @returns {Object} New status
+ * @controller banUser
+ */
+adminRouter.route('/users/:userId/ban').patch(banUser)
+
+/**
+ * Lift a suspension or ban
+ * @route PATCH /api/v1/admin/users/:userId/reinstate
+ * @access Moderator, Admin (only admins can act on moderators and admins)
+ * @params {string} userId - ID of the user (required)
+ * @body {string} reason - Reason for reinstating (required, max: 500 characters)
+ * @returns {Object} New status
+ * @controller reinstateUser
+ */
+adminRouter.route('/users/:userId/reinstate').patch(reinstateUser)
+
+/**
+ * Change the role of a user
+ * @route PATCH /api/v1/admin/users/:userId/role
+ * @access Admin
+ * @middleware requireRole('admin')
+ * @params {string} userId - ID of the user (required)
+ * @body {string} role - 'user', 'moderator' or 'admin' (required)
+ * @body {string} reason - Reason for the change (required, max: 500 characters)
+ * @returns {Object} New and previous role
+ * @controller updateUserRole
+ */
+adminRouter.route('/users/:userId/role').patch(requireRole('admin'), updateUserRole)
+
+/**
+ * Force-unpublish a video
+ * @route PATCH /api/v1/admin/videos/:videoId/unpublish
+ * @access Moderator, Admin
+ * @params {string} videoId - ID of the video (required)
+ * @body {string} reason - Reason for unpublishing (required, max: 500 characters)
+ * @note The owner cannot publish the video again until it is unlocked
+ * @returns {Object} Video publish state
+ * @controller forceUnpublishVideo
+ */
+adminRouter.route('/videos/:videoId/unpublish').patch(forceUnpublishVideo)
+
+/**
+ * Let the owner publish a force-unpublished video again
+ * @route PATCH /api/v1/admin/videos/:videoId/unlock
+ * @access Moderator, Admin
+ * @params {string} videoId - ID of the video (required)
+ * @body {string} reason - Reason for unlocking (required, max: 500 characters)
+ * @returns {Object} Video lock state
+ * @controller unlockVideo
+ */
+adminRouter.route('/videos/:videoId/unlock').patch(unlockVideo)
+
+/**
+ * Remove a comment
+ * @route DELETE /api/v1/admin/comments/:commentId
+ * @access Moderator, Admin
+ * @params {string} commentId - ID of the comment (required)
+ * @body {string} reason - Reason for the removal (required, max: 500 characters)
+ * @note A top-level comment with replies is kept as a "[deleted]" placeholder
+ * @returns {Object} Removed comment ID and whether a placeholder was kept
+ * @controller removeComment
+ */
+adminRouter.route('/comments/:commentId').delete(removeComment)
+
+/**
+ * Remove a tweet with its comments and reactions
+ * @route DELETE /api/v1/admin/tweets/:tweetId
+ * @access Moderator, Admin
+ * @params {string} tweetId - ID of the tweet (required)
+ * @body {string} reason - Reason for the removal (required, max: 500 characters)
+ * @returns {Object} Removed tweet ID
+ * @controller removeTweet
+ */
+adminRouter.route('/tweets/:tweetId').delete(removeTweet)
+
+/**
+ * Get the moderation queue of reported content
+ * @route GET /api/v1/admin/reports
+ * @access Moderator, Admin
+ * @query {string} status - 'open' or 'resolved' (optional, default: 'open')
+ * @query {string} targetType - 'video', 'comment', 'tweet' or 'channel' (optional)
+ * @query {string} reason - Only reports with this reason, e.g. 'spam' (optional)
+ * @query {string} sortBy - 'createdAt' (latest report) or 'reportsCount' (optional, default: 'createdAt')
+ * @query {string} sortType - 'asc' or 'desc' (optional, default: 'desc')
+ * @query {number} limit - Number of targets per page (optional, default: 20, max: 100)
+ * @query {string} cursor - nextCursor of the previous page, only when sorting by createdAt (optional)
+ * @query {number} page - Page number when not using a cursor (optional)
+ * @note Reports are grouped by target with a count per reason, a content preview and the owner's strikes
+ * @returns {Object} Paginated reported targets
+ * @controller getReportQueue
+ */
+adminRouter.route('/reports').get(getReportQueue)
+
+/**
+ * Resolve the open reports of a target
+ * @route PATCH /api/v1/admin/reports/:targetType/:targetId/resolve
+ * @access Moderator, Admin (only admins can strike moderators and admins)
+ * @params {string} targetType - 'video', 'comment', 'tweet' or 'channel' (required)
+ * @params {string} targetId - ID of the reported video, comment, tweet or channel owner (required)
+ * @body {string} action - 'dismiss', 'hide' or 'strike' (required, channels cannot be hidden)
+ * @body {string} reason - Reason for the resolution (required, max: 500 characters)
+ * @note 'strike' also hides the content; the owner is banned automatically after 3 strikes
+ * @note Every reporter receives a 'report_resolved' notification
+ * @returns {Object} Resolution summary
+ * @controller resolveReports
+ */
+adminRouter.route('/reports/:targetType/:targetId/resolve').patch(resolveReports)
+
+/**
+ * Get the audit log
+ * @route GET /api/v1/admin/audit-logs
+ * @access Admin
+ * @middleware requireRole('admin')
+ * @query {string} actor - Only actions of this moderator or admin (optional)
+ * @query {string} action - Only this action, e.g. 'user.ban' (optional)
+ * @query {string} targetType - 'user', 'video', 'comment', 'tweet' or 'job' (optional)
+ * @query {string} targetId - Only actions on this document (optional)
+ * @query {number} limit - Number of entries per page (optional, default: 20, max: 100)
+ * @query {string} cursor - nextCursor of the previous page for keyset pagination (optional)
+ * @query {number} page - Page number when not using a cursor (optional)
+ * @returns {Object} Paginated audit log entries, newest first
+ * @controller getAuditLogs
+ */
+adminRouter.route('/audit-logs').get(requireRole('admin'), getAuditLogs)
+
+/**
+ * List background jobs
+ * @route GET /api/v1/admin/jobs
+ * @access Admin
+ * @middleware requireRole('admin')
+ * @query {string} status - 'queued', 'running', 'completed' or 'dead' (optional)
+ * @query {string} type - 'video.finalize_upload', 'video.cleanup' or 'user.cleanup' (optional)
+ * @query {string} owner - Only jobs started for this user (optional)
+ * @query {number} limit - Number of jobs per page (optional, default: 20, max: 100)
+ * @query {string} cursor - nextCursor of the previous page for keyset pagination (optional)
+ * @query {number} page - Page number when not using a cursor (optional)
+ * @returns {Object} Paginated jobs with their payload and last error, newest first
+ * @controller getJobs
+ */
+adminRouter.route('/jobs').get(requireRole('admin'), getJobs)
+
+/**
+ * Retry a dead-lettered job
+ * @route POST /api/v1/admin/jobs/:jobId/retry
+ * @access Admin
+ * @middleware requireRole('admin')
+ * @params {string} jobId - ID of a job with status 'dead' (required)
+ * @note The job gets a fresh set of attempts and runs on the next worker poll
+ * @returns {Object} Job ID, status and next run time
+ * @controller retryJob
+ */
+adminRouter.route('/jobs/:jobId/retry').post(requireRole('admin'), retryJob)
+
+export { adminRouter }
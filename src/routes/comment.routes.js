@@ -1,8 +1,12 @@
 import { Router } from 'express'
-import { requireAuth } from '../middlewares/index.js'
+import { requireAuth, authOptional, createRateLimit } from '../middlewares/index.js'
 import {
 	addComment,
+	addCommentReply,
 	deleteComment,
+	getCommentReplies,
+	getTweetComments,
+	addTweetComment,
 	getVideoComments,
 	updateComment,
 } from '../controllers/comment.controller.js'
@@ -18,13 +22,15 @@ const commentRouter = Router()
  */
 
 /**
- * Get all comments for a specific video
+ * Get top-level comments for a specific video
  * @route GET /api/v1/comments/:videoId
  * @access Public
+ * @middleware authOptional
  * @params {string} videoId - ID of the video to get comments for (required)
  * @query {number} page - Page number for pagination (optional)
  * @query {number} limit - Number of comments per page (optional)
- * @returns {Object} Paginated list of comments with user information
+ * @query {string} cursor - nextCursor of the previous page for keyset pagination (optional, createdAt sort only)
+ * @returns {Object} Paginated list of top-level comments with user information, reaction counts, reply counts and the viewer's reaction
  * @controller getVideoComments
  */
 
@@ -32,7 +38,7 @@ const commentRouter = Router()
  * Add a new comment to a video
  * @route POST /api/v1/comments/:videoId
  * @access Private (authenticated users only)
- * @middleware requireAuth
+ * @middleware requireAuth, createRateLimit
  * @params {string} videoId - ID of the video to comment on (required)
  * @body {string} content - Comment text content (required, max: 500 characters)
  * @returns {Object} Created comment object with user information
@@ -40,8 +46,36 @@ const commentRouter = Router()
  */
 commentRouter
 	.route('/:videoId')
-	.get(getVideoComments)
-	.post(requireAuth, addComment)
+	.get(authOptional, getVideoComments)
+	.post(requireAuth, createRateLimit, addComment)
+
+/**
+ * Get top-level comments for a specific tweet
+ * @route GET /api/v1/comments/tweet/:tweetId
+ * @access Public
+ * @middleware authOptional
+ * @params {string} tweetId - ID of the tweet to get comments for (required)
+ * @query {number} page - Page number for pagination (optional)
+ * @query {number} limit - Number of comments per page (optional)
+ * @query {string} cursor - nextCursor of the previous page for keyset pagination (optional, createdAt sort only)
+ * @returns {Object} Paginated list of top-level comments with user information, reaction counts, reply counts and the viewer's reaction
+ * @controller getTweetComments
+ */
+
+/**
+ * Add a new comment to a tweet
+ * @route POST /api/v1/comments/tweet/:tweetId
+ * @access Private (authenticated users only)
+ * @middleware requireAuth, createRateLimit
+ * @params {string} tweetId - ID of the tweet to comment on (required)
+ * @body {string} content - Comment text content (required, max: 1000 characters)
+ * @returns {Object} Created comment object with user information
+ * @controller addTweetComment
+ */
+commentRouter
+	.route('/tweet/:tweetId')
+	.get(authOptional, getTweetComments)
+	.post(requireAuth, createRateLimit, addTweetComment)
 
 /**
  * Update a specific comment
@@ -58,15 +92,48 @@ commentRouter
 /**
  * Delete a specific comment
  * @route DELETE /api/v1/comments/id/:commentId
- * @access Private (comment owner only)
+ * @access Private (comment owner or video/tweet owner)
  * @middleware requireAuth
  * @params {string} commentId - ID of the comment to delete (required)
- * @note Only comment owner can delete their comment
- * @returns {Object} Success message with deleted comment ID
+ * @note Only the comment owner or the owner of the commented video or tweet can delete a comment
+ * @note A top-level comment with replies is replaced by a "[deleted]" placeholder until its last reply is deleted
+ * @returns {Object} Success message with deleted comment ID and whether a placeholder was kept
  * @controller deleteComment
  */
 commentRouter
 	.route('/id/:commentId')
 	.patch(requireAuth, updateComment)
 	.delete(requireAuth, deleteComment)
+
+/**
+ * Get replies of a specific comment
+ * @route GET /api/v1/comments/id/:commentId/replies
+ * @access Public
+ * @middleware authOptional
+ * @params {string} commentId - ID of the top-level comment (required)
+ * @query {number} page - Page number for pagination (optional)
+ * @query {number} limit - Number of replies per page (optional)
+ * @query {string} sortType - 'asc' (oldest first) or 'desc' (optional, default: 'asc')
+ * @query {string} cursor - nextCursor of the previous page for keyset pagination (optional)
+ * @returns {Object} Paginated list of replies with user information, reaction counts and the viewer's reaction
+ * @controller getCommentReplies
+ */
+
+/**
+ * Reply to a specific comment
+ * @route POST /api/v1/comments/id/:commentId/replies
+ * @access Private (authenticated users only)
+ * @middleware requireAuth, createRateLimit
+ * @params {string} commentId - ID of the comment to reply to (required)
+ * @body {string} content - Reply text content (required, max: 1000 characters)
+ * @note Replies to a reply are attached to its top-level comment
+ * @note The replied-to author and the creator of the video or tweet are notified
+ * @returns {Object} Created reply with user information
+ * @controller addCommentReply
+ */
+commentRouter
+	.route('/id/:commentId/replies')
+	.get(authOptional, getCommentReplies)
+	.post(requireAuth, createRateLimit, addCommentReply)
+
 export { commentRouter }
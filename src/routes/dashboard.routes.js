@@ -34,8 +34,10 @@ dashboardRouter.route('/stats').get(getChannelStats)
  * @middleware requireAuth
  * @query {number} page - Page number for pagination (optional)
  * @query {number} limit - Number of videos per page (optional)
- * @query {string} sortBy - Sort field: 'createdAt', 'views', 'likes' (optional)
+ * @query {string} cursor - nextCursor of the previous page for keyset pagination (optional, createdAt sort only)
+ * @query {string} sortBy - Sort field: 'createdAt', 'views', 'likesCount', 'publishAt' (optional)
  * @query {string} sortType - Sort order: 'asc' or 'desc' (optional)
+ * @query {string} visibility - 'public', 'unlisted', 'private', 'scheduled' or 'all' (optional, default: public, unlisted and scheduled)
  * @description Get all videos owned by the authenticated user with detailed analytics
  * @returns {Object} Paginated list of user's videos with performance metrics
  * @controller getChannelVideos
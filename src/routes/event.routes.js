@@ -0,0 +1,29 @@
+import { Router } from 'express'
+import { requireAuth } from '../middlewares/index.js'
+import { streamEvents } from '../controllers/event.controller.js'
+
+// Initialize event router
+const eventRouter = Router()
+
+/**
+ * Event Stream Routes Configuration
+ *
+ * @description Server-Sent Events stream for notifications and live video counters
+ * @baseRoute /api/v1/events
+ */
+
+/**
+ * Open a Server-Sent Events stream for the authenticated user
+ * @route GET /api/v1/events
+ * @access Private (authenticated users only)
+ * @middleware requireAuth - Accepts the accessToken cookie or a Bearer token
+ * @query {string} videoIds - Comma-separated IDs of videos to receive counter updates for (optional, max: 50)
+ * @query {string} lastEventId - Fallback for the Last-Event-ID header when resuming a stream (optional)
+ * @note Events: 'ready', 'notification', 'counters' and 'resync'; a heartbeat comment is sent every 25 seconds
+ * @note Unknown videos and private videos of other users are silently ignored
+ * @returns {Stream} text/event-stream response that stays open until the client disconnects
+ * @controller streamEvents
+ */
+eventRouter.route('/').get(requireAuth, streamEvents)
+
+export { eventRouter }
@@ -0,0 +1,29 @@
+import { Router } from 'express'
+import { requireAuth } from '../middlewares/index.js'
+import { getSubscriptionFeed } from '../controllers/feed.controller.js'
+
+// Initialize feed router
+const feedRouter = Router()
+
+/**
+ * Feed Routes Configuration
+ *
+ * @description Personalized content feeds of the current user
+ * @baseRoute /api/v1/feed
+ */
+
+/**
+ * Get the subscription feed
+ * @route GET /api/v1/feed/subscriptions
+ * @access Private (authenticated users only)
+ * @middleware requireAuth
+ * @query {string} type - 'all', 'videos' or 'tweets' (optional, default: 'all')
+ * @query {number} limit - Number of items per page (optional, default: 20, max: 50)
+ * @query {string} cursor - nextCursor of the previous page for keyset pagination (optional)
+ * @query {number} page - Page number when not using a cursor (optional)
+ * @returns {Object} Newest-first videos and tweets from subscribed channels with owner info and the viewer's reaction
+ * @controller getSubscriptionFeed
+ */
+feedRouter.route('/subscriptions').get(requireAuth, getSubscriptionFeed)
+
+export { feedRouter }
@@ -0,0 +1,58 @@
+import { Router } from 'express'
+import { requireAuth } from '../middlewares/index.js'
+import { getMyJobs, getJobById, getJobStatusByToken } from '../controllers/job.controller.js'
+
+// Initialize job router
+const jobRouter = Router()
+
+/**
+ * Job Routes Configuration
+ *
+ * @description Status of background jobs, returned as jobId by requests that finish in the background
+ * @baseRoute /api/v1/jobs
+ * @middleware requireAuth - All routes except the status token lookup require authentication
+ * @note Jobs are retried with exponential backoff and dead-lettered ('dead') after 5 failed attempts
+ */
+
+/**
+ * Get the status of a background job with its status token
+ * @route GET /api/v1/jobs/:jobId/status
+ * @access Public (status token holder only)
+ * @params {string} jobId - ID returned by the request that started the job (required)
+ * @header {string} Job-Status-Token - statusToken returned with the jobId (required)
+ * @note Only jobs started with a statusToken, such as account cleanups, can be read this way
+ * @returns {Object} Job type, status, attempts, next attempt time (runAt) and result
+ * @controller getJobStatusByToken
+ */
+jobRouter.route('/:jobId/status').get(getJobStatusByToken)
+
+// Apply authentication middleware to the remaining job routes
+jobRouter.use(requireAuth)
+
+/**
+ * Get background jobs of the authenticated user
+ * @route GET /api/v1/jobs
+ * @access Private (authenticated users only)
+ * @middleware requireAuth
+ * @query {string} status - 'queued', 'running', 'completed' or 'dead' (optional)
+ * @query {number} limit - Number of jobs per page (optional, default: 20, max: 50)
+ * @query {string} cursor - nextCursor of the previous page for keyset pagination (optional)
+ * @query {number} page - Page number when not using a cursor (optional)
+ * @returns {Object} Paginated jobs, newest first
+ * @controller getMyJobs
+ */
+jobRouter.route('/').get(getMyJobs)
+
+/**
+ * Get the status of a background job
+ * @route GET /api/v1/jobs/:jobId
+ * @access Private (job owner only)
+ * @middleware requireAuth
+ * @params {string} jobId - ID returned by the request that started the job (required)
+ * @note Completed jobs are kept for 7 days
+ * @returns {Object} Job type, status, attempts, next attempt time (runAt) and result
+ * @controller getJobById
+ */
+jobRouter.route('/:jobId').get(getJobById)
+
+export { jobRouter }
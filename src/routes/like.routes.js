@@ -13,7 +13,7 @@ const likeRouter = Router()
 /**
  * Like Routes Configuration
  *
- * @description All routes require authentication and handle like/unlike operations
+ * @description All routes require authentication and handle like/dislike reactions
  * @baseRoute /api/v1/likes
  * @middleware requireAuth - Applied to all routes
  */
@@ -22,34 +22,40 @@ const likeRouter = Router()
 likeRouter.use(requireAuth)
 
 /**
- * Toggle like/unlike on a video
+ * Toggle like/dislike reaction on a video
  * @route POST /api/v1/likes/toggle/video/:videoId
  * @access Private (authenticated users only)
  * @middleware requireAuth
  * @params {string} videoId - ID of the video to like/unlike (required)
- * @returns {Object} Updated like status and count
+ * @body {string} type - Reaction type: 'like' or 'dislike' (optional, default: 'like')
+ * @note Same reaction again removes it, the other type replaces it
+ * @returns {Object} Current reaction of the user and per-type reaction counts
  * @controller toggleVideoLike
  */
 likeRouter.route('/toggle/video/:videoId').post(toggleVideoLike)
 
 /**
- * Toggle like/unlike on a comment
+ * Toggle like/dislike reaction on a comment
  * @route POST /api/v1/likes/toggle/comment/:commentId
  * @access Private (authenticated users only)
  * @middleware requireAuth
  * @params {string} commentId - ID of the comment to like/unlike (required)
- * @returns {Object} Updated like status and count
+ * @body {string} type - Reaction type: 'like' or 'dislike' (optional, default: 'like')
+ * @note Same reaction again removes it, the other type replaces it
+ * @returns {Object} Current reaction of the user and per-type reaction counts
  * @controller toggleCommentLike
  */
 likeRouter.route('/toggle/comment/:commentId').post(toggleCommentLike)
 
 /**
- * Toggle like/unlike on a tweet
+ * Toggle like/dislike reaction on a tweet
  * @route POST /api/v1/likes/toggle/tweet/:tweetId
  * @access Private (authenticated users only)
  * @middleware requireAuth
  * @params {string} tweetId - ID of the tweet to like/unlike (required)
- * @returns {Object} Updated like status and count
+ * @body {string} type - Reaction type: 'like' or 'dislike' (optional, default: 'like')
+ * @note Same reaction again removes it, the other type replaces it
+ * @returns {Object} Current reaction of the user and per-type reaction counts
  * @controller toggleTweetLike
  */
 likeRouter.route('/toggle/tweet/:tweetId').post(toggleTweetLike)
@@ -61,6 +67,7 @@ likeRouter.route('/toggle/tweet/:tweetId').post(toggleTweetLike)
  * @middleware requireAuth
  * @query {number} page - Page number for pagination (optional)
  * @query {number} limit - Number of videos per page (optional)
+ * @query {string} cursor - nextCursor of the previous page for keyset pagination (optional, createdAt sort only)
  * @returns {Object} Paginated list of videos liked by authenticated user
  * @controller getLikedVideos
  */
@@ -0,0 +1,69 @@
+import { Router } from 'express'
+import { requireAuth } from '../middlewares/index.js'
+import {
+	getNotifications,
+	getUnreadNotificationCount,
+	markNotificationRead,
+	markAllNotificationsRead,
+} from '../controllers/notification.controller.js'
+
+// Initialize notification router
+const notificationRouter = Router()
+
+/**
+ * Notification Routes Configuration
+ *
+ * @description Notifications about uploads, comments, replies, likes and new subscribers
+ * @baseRoute /api/v1/notifications
+ * @middleware requireAuth - All routes require authentication
+ */
+
+// Apply authentication middleware to all notification routes
+notificationRouter.use(requireAuth)
+
+/**
+ * Get notifications of the authenticated user
+ * @route GET /api/v1/notifications
+ * @access Private (authenticated users only)
+ * @middleware requireAuth
+ * @query {boolean} unread - Only return unread notifications when 'true' (optional)
+ * @query {number} limit - Number of notifications per page (optional, default: 20, max: 50)
+ * @query {string} cursor - nextCursor of the previous page for keyset pagination (optional)
+ * @query {number} page - Page number when not using a cursor (optional)
+ * @returns {Object} Paginated notifications, newest first, with actor, video, comment and tweet details
+ * @controller getNotifications
+ */
+notificationRouter.route('/').get(getNotifications)
+
+/**
+ * Get the unread notification count
+ * @route GET /api/v1/notifications/unread-count
+ * @access Private (authenticated users only)
+ * @middleware requireAuth
+ * @returns {Object} Number of unread notifications
+ * @controller getUnreadNotificationCount
+ */
+notificationRouter.route('/unread-count').get(getUnreadNotificationCount)
+
+/**
+ * Mark all notifications as read
+ * @route PATCH /api/v1/notifications/read-all
+ * @access Private (authenticated users only)
+ * @middleware requireAuth
+ * @returns {Object} Number of notifications marked as read
+ * @controller markAllNotificationsRead
+ */
+notificationRouter.route('/read-all').patch(markAllNotificationsRead)
+
+/**
+ * Mark a notification as read
+ * @route PATCH /api/v1/notifications/:notificationId/read
+ * @access Private (recipient only)
+ * @middleware requireAuth
+ * @params {string} notificationId - ID of the notification (required)
+ * @returns {Object} Updated notification
+ * @controller markNotificationRead
+ */
+notificationRouter.route('/:notificationId/read').patch(markNotificationRead)
+
+export { notificationRouter }
@@ -1,5 +1,5 @@
 import { Router } from 'express'
-import { requireAuth } from '../middlewares/index.js'
+import { requireAuth, authOptional } from '../middlewares/index.js'
 import {
 	createPlaylist,
 	getPlaylistVideosById,
@@ -7,6 +7,12 @@ import {
 	deletePlaylist,
 	addVideoToPlaylist,
 	removeVideoFromPlaylist,
+	moveVideoInPlaylist,
+	addVideosToPlaylist,
+	removeVideosFromPlaylist,
+	getSystemPlaylist,
+	addVideoToSystemPlaylist,
+	removeVideoFromSystemPlaylist,
 	getUserPlaylists,
 } from '../controllers/playlist.controller.js'
 
@@ -18,12 +24,9 @@ const playlistRouter = Router()
  *
  * @description All routes handle playlist-related operations
  * @baseRoute /api/v1/playlists
- * @middleware requireAuth - All routes require authentication
+ * @middleware requireAuth - All routes except reading playlists require authentication
  */
 
-// Apply authentication middleware to all playlist routes
-playlistRouter.use(requireAuth)
-
 /**
  * Create a new playlist
  * @route POST /api/v1/playlists
@@ -31,20 +34,21 @@ playlistRouter.use(requireAuth)
  * @middleware requireAuth
  * @body {string} name - Playlist name (required)
  * @body {string} description - Playlist description (optional)
- * @body {boolean} isPublic - Whether playlist is public (optional, default: false)
+ * @body {string} visibility - 'public', 'unlisted' or 'private' (optional, default: 'private')
+ * @body {boolean} isPublic - Legacy flag, true maps to 'public' and false to 'private' (optional)
  * @returns {Object} Created playlist object with generated ID
  * @controller createPlaylist
  */
-playlistRouter.route('/').post(createPlaylist)
+playlistRouter.route('/').post(requireAuth, createPlaylist)
 
 /**
  * Get videos from a specific playlist
  * @route GET /api/v1/playlists/:playlistId
- * @access Private (authenticated users only)
- * @middleware requireAuth
+ * @access Public (private playlists are owner only)
+ * @middleware authOptional
  * @params {string} playlistId - ID of the playlist to fetch (required)
- * @query {number} page - Page number for pagination (optional)
- * @query {number} limit - Number of items per page (optional)
+ * @note Public and unlisted playlists are readable by anyone with the link
+ * @note Deleted videos and other users' private or hidden videos are left out (hiddenVideosCount)
  * @returns {Object} Playlist details with video list
  * @controller getPlaylistVideosById
  */
@@ -57,7 +61,8 @@ playlistRouter.route('/').post(createPlaylist)
  * @params {string} playlistId - ID of the playlist to update (required)
  * @body {string} name - Updated playlist name (optional)
  * @body {string} description - Updated playlist description (optional)
- * @body {boolean} isPublic - Updated public status (optional)
+ * @body {string} visibility - 'public', 'unlisted' or 'private' (optional)
+ * @body {boolean} isPublic - Legacy flag, true maps to 'public' and false to 'private' (optional)
  * @note Only playlist owner can update
  * @returns {Object} Updated playlist object
  * @controller updatePlaylist
@@ -70,14 +75,15 @@ playlistRouter.route('/').post(createPlaylist)
  * @middleware requireAuth
  * @params {string} playlistId - ID of the playlist to delete (required)
  * @note Only playlist owner can delete, removes all video associations
+ * @note System playlists cannot be deleted
  * @returns {Object} Success message with deleted playlist ID
  * @controller deletePlaylist
  */
 playlistRouter
 	.route('/:playlistId')
-	.get(getPlaylistVideosById)
-	.patch(updatePlaylist)
-	.delete(deletePlaylist)
+	.get(authOptional, getPlaylistVideosById)
+	.patch(requireAuth, updatePlaylist)
+	.delete(requireAuth, deletePlaylist)
 
 /**
  * Add a video to playlist
@@ -86,12 +92,13 @@ playlistRouter
  * @middleware requireAuth
  * @params {string} videoId - ID of the video to add (required)
  * @params {string} playlistId - ID of the playlist (required)
+ * @body {string} onDuplicate - 'reject' (409), 'skip' or 'allow' when the video is already in the playlist (optional, default: 'reject')
  * @note Only playlist owner can add videos
  * @note Validates video exists and is accessible
  * @returns {Object} Updated playlist with added video
  * @controller addVideoToPlaylist
  */
-playlistRouter.route('/add/:videoId/:playlistId').patch(addVideoToPlaylist)
+playlistRouter.route('/add/:videoId/:playlistId').patch(requireAuth, addVideoToPlaylist)
 
 /**
  * Remove video from playlist
@@ -101,22 +108,104 @@ playlistRouter.route('/add/:videoId/:playlistId').patch(addVideoToPlaylist)
  * @params {string} videoId - ID of the video to remove (required)
  * @params {string} playlistId - ID of the playlist (required)
  * @note Only playlist owner can remove videos
+ * @note Every entry of the video is removed
  * @returns {Object} Updated playlist with video removed
  * @controller removeVideoFromPlaylist
  */
-playlistRouter.route('/remove/:videoId/:playlistId').patch(removeVideoFromPlaylist)
+playlistRouter.route('/remove/:videoId/:playlistId').patch(requireAuth, removeVideoFromPlaylist)
 
 /**
- * Get all playlists by user
- * @route GET /api/v1/playlists/user/:userId
+ * Move a video to a new position in a playlist
+ * @route PATCH /api/v1/playlists/:playlistId/move/:videoId
+ * @access Private (playlist owner only)
+ * @middleware requireAuth
+ * @params {string} playlistId - ID of the playlist (required)
+ * @params {string} videoId - ID of the video to move (required)
+ * @body {number} position - Zero-based target position, counting hidden entries (required)
+ * @returns {Object} Updated playlist with the new order
+ * @controller moveVideoInPlaylist
+ */
+playlistRouter.route('/:playlistId/move/:videoId').patch(requireAuth, moveVideoInPlaylist)
+
+/**
+ * Add many videos to a playlist
+ * @route PATCH /api/v1/playlists/:playlistId/videos/add
+ * @access Private (playlist owner only)
+ * @middleware requireAuth
+ * @params {string} playlistId - ID of the playlist (required)
+ * @body {string[]} videoIds - IDs of the videos to add, in order (required, max: 100)
+ * @body {string} onDuplicate - 'skip', 'reject' or 'allow' for videos already in the playlist (optional, default: 'skip')
+ * @body {number} position - Zero-based position to insert the videos at (optional, default: end of playlist)
+ * @returns {Object} Updated playlist, per-video results and a summary
+ * @controller addVideosToPlaylist
+ */
+playlistRouter.route('/:playlistId/videos/add').patch(requireAuth, addVideosToPlaylist)
+
+/**
+ * Remove many videos from a playlist
+ * @route PATCH /api/v1/playlists/:playlistId/videos/remove
+ * @access Private (playlist owner only)
+ * @middleware requireAuth
+ * @params {string} playlistId - ID of the playlist (required)
+ * @body {string[]} videoIds - IDs of the videos to remove (required, max: 100)
+ * @returns {Object} Updated playlist, per-video results and a summary
+ * @controller removeVideosFromPlaylist
+ */
+playlistRouter.route('/:playlistId/videos/remove').patch(requireAuth, removeVideosFromPlaylist)
+
+/**
+ * Get a system playlist of the current user
+ * @route GET /api/v1/playlists/system/:systemType
  * @access Private (authenticated users only)
  * @middleware requireAuth
+ * @params {string} systemType - 'watch-later' or 'liked-videos' (required)
+ * @note System playlists are created on first access, private by default and cannot be deleted
+ * @returns {Object} Playlist details with video list
+ * @controller getSystemPlaylist
+ */
+playlistRouter.route('/system/:systemType').get(requireAuth, getSystemPlaylist)
+
+/**
+ * Quickly add a video to a system playlist
+ * @route PATCH /api/v1/playlists/system/:systemType/add/:videoId
+ * @access Private (authenticated users only)
+ * @middleware requireAuth
+ * @params {string} systemType - 'watch-later' or 'liked-videos' (required)
+ * @params {string} videoId - ID of the video to add (required)
+ * @note Adding to 'liked-videos' likes the video
+ * @returns {Object} Playlist ID, system type and video ID
+ * @controller addVideoToSystemPlaylist
+ */
+playlistRouter
+	.route('/system/:systemType/add/:videoId')
+	.patch(requireAuth, addVideoToSystemPlaylist)
+
+/**
+ * Quickly remove a video from a system playlist
+ * @route PATCH /api/v1/playlists/system/:systemType/remove/:videoId
+ * @access Private (authenticated users only)
+ * @middleware requireAuth
+ * @params {string} systemType - 'watch-later' or 'liked-videos' (required)
+ * @params {string} videoId - ID of the video to remove (required)
+ * @note Removing from 'liked-videos' removes the like
+ * @returns {Object} Playlist ID, system type and video ID
+ * @controller removeVideoFromSystemPlaylist
+ */
+playlistRouter
+	.route('/system/:systemType/remove/:videoId')
+	.patch(requireAuth, removeVideoFromSystemPlaylist)
+
+/**
+ * Get all playlists by user
+ * @route GET /api/v1/playlists/user/:userId
+ * @access Public
+ * @middleware authOptional
  * @params {string} userId - ID of the user whose playlists to fetch (required)
- * @query {number} page - Page number for pagination (optional)
- * @query {number} limit - Number of items per page (optional)
- * @returns {Object} List of playlists (public playlists or own playlists if owner)
+ * @note Unlisted and private playlists are only listed for their owner
+ * @note The owner's system playlists are created on first access and listed first
+ * @returns {Object} List of playlists with video count and preview thumbnail (public playlists or all own playlists if owner)
  * @controller getUserPlaylists
  */
-playlistRouter.route('/user/:userId').get(getUserPlaylists)
+playlistRouter.route('/user/:userId').get(authOptional, getUserPlaylists)
 
 export { playlistRouter }
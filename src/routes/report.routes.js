@@ -0,0 +1,31 @@
+import { Router } from 'express'
+import { requireAuth, createRateLimit } from '../middlewares/index.js'
+import { fileReport } from '../controllers/report.controller.js'
+
+// Initialize report router
+const reportRouter = Router()
+
+/**
+ * Report Routes Configuration
+ *
+ * @description Reporting videos, comments, tweets and channels to the moderators
+ * @baseRoute /api/v1/reports
+ * @note Reports are reviewed through the moderation queue at /api/v1/admin/reports
+ */
+
+/**
+ * Report content to the moderators
+ * @route POST /api/v1/reports
+ * @access Private (authenticated users only)
+ * @middleware requireAuth, createRateLimit
+ * @body {string} targetType - 'video', 'comment', 'tweet' or 'channel' (required)
+ * @body {string} targetId - ID of the video, comment, tweet or channel owner (required)
+ * @body {string} reason - 'spam', 'harassment', 'hate_speech', 'violence', 'sexual_content', 'copyright', 'misinformation' or 'other' (required)
+ * @body {string} details - Additional context for the moderators (optional, max: 1000 characters)
+ * @note Reporting the same target again while the report is open returns the existing report with status 200
+ * @returns {Object} Report and whether it was a duplicate
+ * @controller fileReport
+ */
+reportRouter.route('/').post(requireAuth, createRateLimit, fileReport)
+
+export { reportRouter }
@@ -0,0 +1,36 @@
+import { Router } from 'express'
+import { searchRateLimit } from '../middlewares/index.js'
+import { search } from '../controllers/search.controller.js'
+
+// Initialize search router
+const searchRouter = Router()
+
+/**
+ * Search Routes Configuration
+ *
+ * @description Full-text search across videos, channels, tweets and public playlists
+ * @baseRoute /api/v1/search
+ */
+
+/**
+ * Search videos, channels, tweets and public playlists ranked by relevance
+ * @route GET /api/v1/search
+ * @access Public
+ * @middleware searchRateLimit
+ * @query {string} q - Search text (required, max: 100 characters)
+ * @query {string} type - 'all', 'videos', 'channels', 'tweets' or 'playlists' (optional, default: 'all')
+ * @query {string} sortBy - 'relevance', 'views' or 'date' (optional, default: 'relevance')
+ * @query {string} duration - Video duration bucket: 'short' (< 4 min), 'medium' (4-20 min), 'long' (> 20 min) (optional)
+ * @query {string} owner - Only return videos, tweets and playlists of this user ID (optional)
+ * @query {string} uploadedAfter - Only return content created on or after this ISO date (optional)
+ * @query {string} uploadedBefore - Only return content created on or before this ISO date (optional)
+ * @query {number} page - Page number for pagination (optional, default: 1)
+ * @query {number} limit - Number of results per type per page (optional, default: 10, max: 50)
+ * @note Channels are skipped when filtering by owner, tweets and playlists are skipped when filtering by duration
+ * @note Unlisted and private playlists never appear in search results
+ * @returns {Object} Paginated results for each requested type
+ * @controller search
+ */
+searchRouter.route('/').get(searchRateLimit, search)
+
+export { searchRouter }
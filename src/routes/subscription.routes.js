@@ -5,6 +5,7 @@ import {
 	getSubscriberCount,
 	getUserChannelSubscribers,
 	toggleSubscription,
+	updateNotificationPreference,
 } from '../controllers/subscription.controller.js'
 
 // Initialize subscription router
@@ -24,7 +25,8 @@ const subscriptionRouter = Router()
  * @middleware requireAuth
  * @query {number} page - Page number for pagination (optional, default: 1)
  * @query {number} limit - Number of channels per page (optional, default: 10, max: 100)
- * @returns {Object} Paginated list of subscribed channels with pagination metadata
+ * @query {string} cursor - nextCursor of the previous page for keyset pagination (optional, createdAt sort only)
+ * @returns {Object} Paginated list of subscribed channels with their bell preference and pagination metadata
  * @controller getSubscribedChannels
  */
 subscriptionRouter.route('/').get(requireAuth, getSubscribedChannels)
@@ -45,7 +47,8 @@ subscriptionRouter.route('/').get(requireAuth, getSubscribedChannels)
  * @middleware requireAuth
  * @params {string} channelId - The unique identifier of the channel to toggle subscription (required)
  * @note Users cannot subscribe to their own channel
- * @returns {Object} Updated subscription status
+ * @note The channel owner is notified about new subscribers
+ * @returns {Object} Updated subscription status and bell preference
  * @controller toggleSubscription
  */
 subscriptionRouter
@@ -53,6 +56,21 @@ subscriptionRouter
 	.get(getSubscriberCount)
 	.post(requireAuth, toggleSubscription)
 
+/**
+ * Update the bell preference for a subscribed channel
+ * @route PATCH /api/v1/subscriptions/channel/:channelId/notifications
+ * @access Private (subscribers only)
+ * @middleware requireAuth
+ * @params {string} channelId - The unique identifier of the subscribed channel (required)
+ * @body {string} preference - 'all', 'personalized' or 'none' (required)
+ * @note 'personalized' only notifies about uploads when the subscriber watched the channel in the last 30 days
+ * @returns {Object} Channel ID and updated bell preference
+ * @controller updateNotificationPreference
+ */
+subscriptionRouter
+	.route('/channel/:channelId/notifications')
+	.patch(requireAuth, updateNotificationPreference)
+
 /**
  * Get all subscribers for a specific channel
  * @route GET /api/v1/subscriptions/subscribers/:channelId
@@ -61,6 +79,7 @@ subscriptionRouter
  * @params {string} channelId - The unique identifier of the channel whose subscribers to fetch (required)
  * @query {number} page - Page number for pagination (optional, default: 1)
  * @query {number} limit - Number of subscribers per page (optional, default: 10, max: 100)
+ * @query {string} cursor - nextCursor of the previous page for keyset pagination (optional, createdAt sort only)
  * @note Only the channel owner can access their subscriber list
  * @returns {Object} Paginated list of channel subscribers with pagination metadata
  * @controller getUserChannelSubscribers
@@ -1,5 +1,5 @@
 import { Router } from 'express'
-import { requireAuth } from '../middlewares/index.js'
+import { requireAuth, authOptional, createRateLimit } from '../middlewares/index.js'
 import {
 	createTweet,
 	deleteTweet,
@@ -21,24 +21,26 @@ const tweetRouter = Router()
  * Create a new tweet
  * @route POST /api/v1/tweets
  * @access Private (authenticated users only)
- * @middleware requireAuth
+ * @middleware requireAuth, createRateLimit
  * @body {string} content - Tweet text content (required, max: 280 characters)
  * @returns {Object} Created tweet object with user information
  * @controller createTweet
  */
-tweetRouter.route('/').post(requireAuth, createTweet)
+tweetRouter.route('/').post(requireAuth, createRateLimit, createTweet)
 
 /**
  * Get all tweets for a specific user
  * @route GET /api/v1/tweets/user/:userId
  * @access Public
+ * @middleware authOptional
  * @params {string} userId - ID of the user whose tweets to fetch (required)
  * @query {number} page - Page number for pagination (optional)
  * @query {number} limit - Number of tweets per page (optional)
- * @returns {Object} Paginated list of tweets by the user
+ * @query {string} cursor - nextCursor of the previous page for keyset pagination (optional, createdAt sort only)
+ * @returns {Object} Paginated list of tweets by the user with reaction and comment counts and the viewer's reaction
  * @controller getUserTweets
  */
-tweetRouter.route('/user/:userId').get(getUserTweets)
+tweetRouter.route('/user/:userId').get(authOptional, getUserTweets)
 
 /**
  * Update a specific tweet
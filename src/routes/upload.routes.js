@@ -0,0 +1,86 @@
+import express, { Router } from 'express'
+import { requireAuth, requireVerifiedEmail, createRateLimit } from '../middlewares/index.js'
+import {
+	initUpload,
+	getUploadStatus,
+	uploadChunk,
+	cancelUpload,
+} from '../controllers/upload.controller.js'
+import { RESUMABLE_UPLOAD } from '../constants.js'
+
+// Initialize upload router
+const uploadRouter = Router()
+
+// Chunks are sent as raw bytes, bodies larger than a chunk are rejected with 413
+const parseChunk = express.raw({
+	type: ['application/offset+octet-stream', 'application/octet-stream'],
+	limit: RESUMABLE_UPLOAD.CHUNK_SIZE,
+})
+
+/**
+ * Resumable Upload Routes Configuration
+ *
+ * @description Uploading large videos in chunks that survive dropped connections
+ * @baseRoute /api/v1/uploads
+ * @middleware requireAuth - Applied to all routes
+ * @note Once the upload is complete, pass its uploadId to POST /api/v1/videos instead of a videoFile
+ * @note Uploads without a new chunk for 24 hours are removed
+ */
+
+// Apply authentication middleware to all routes
+uploadRouter.use(requireAuth)
+
+/**
+ * Start a resumable video upload
+ * @route POST /api/v1/uploads
+ * @access Private (authenticated users only)
+ * @middleware requireVerifiedEmail, createRateLimit
+ * @body {string} fileName - Original file name (required, max: 255 characters)
+ * @body {string} mimeType - 'video/mp4' (required)
+ * @body {number} totalSize - File size in bytes (required, max: 100MB)
+ * @body {string} checksum - Hex encoded SHA-256 of the whole file, checked on assembly (optional)
+ * @note Users can have at most 3 unfinished uploads (429)
+ * @returns {Object} Upload ID, chunk size and offset 0
+ * @controller initUpload
+ */
+uploadRouter.route('/').post(requireVerifiedEmail, createRateLimit, initUpload)
+
+/**
+ * Get the offset to resume an upload from
+ * @route GET /api/v1/uploads/:uploadId
+ * @access Private (upload owner only)
+ * @params {string} uploadId - ID returned when the upload was started (required)
+ * @note HEAD returns the same Upload-Offset header without a body
+ * @returns {Object} Upload details with the current offset
+ * @controller getUploadStatus
+ */
+
+/**
+ * Append a chunk to an upload
+ * @route PATCH /api/v1/uploads/:uploadId
+ * @access Private (upload owner only)
+ * @middleware parseChunk
+ * @params {string} uploadId - ID returned when the upload was started (required)
+ * @header {number} Upload-Offset - Offset the chunk starts at, must match the upload (required)
+ * @header {string} Upload-Checksum - 'sha256 <base64 digest>' of the chunk (required)
+ * @body {Buffer} chunk - Raw bytes as application/offset+octet-stream (required, max: 5MB)
+ * @note A wrong offset responds 409 and a checksum mismatch 400, the chunk is not stored in either case
+ * @returns {Object} Upload details with the new offset and whether the upload is complete
+ * @controller uploadChunk
+ */
+
+/**
+ * Cancel an upload and remove its chunks
+ * @route DELETE /api/v1/uploads/:uploadId
+ * @access Private (upload owner only)
+ * @params {string} uploadId - ID returned when the upload was started (required)
+ * @returns {Object} ID of the cancelled upload
+ * @controller cancelUpload
+ */
+uploadRouter
+	.route('/:uploadId')
+	.get(getUploadStatus)
+	.patch(parseChunk, uploadChunk)
+	.delete(cancelUpload)
+
+export { uploadRouter }
@@ -2,6 +2,8 @@ import { Router } from 'express'
 import {
 	requireAuth,
 	requireGuest,
+	authOptional,
+	authRateLimit,
 	uploadImages,
 	autoCleanupTemp,
 	handleMulterError,
@@ -11,13 +13,26 @@ import {
 	userLogin,
 	userLogout,
 	refreshAccessToken,
+	getUserSessions,
+	revokeSession,
+	userLogoutAll,
+	requestEmailVerification,
+	confirmEmailVerification,
+	requestPasswordReset,
+	confirmPasswordReset,
 	changeCurrentPassword,
 	getCurrentUser,
 	updateAccountDetails,
+	updateUsername,
+	updateChannelAbout,
 	updateUserAvatar,
 	updateUserCoverImage,
 	getUserChannelProfile,
 	getUserWatchHistory,
+	updateWatchProgress,
+	removeWatchHistoryEntry,
+	clearWatchHistory,
+	toggleWatchHistoryPause,
 	deleteUserAccount,
 } from '../controllers/user.controller.js'
 
@@ -35,10 +50,10 @@ const userRouter = Router()
  * Register a new user account
  * @route POST /api/v1/users/register
  * @access Public (guest users only)
- * @middleware requireGuest, uploadImages, autoCleanupTemp
+ * @middleware requireGuest, authRateLimit, uploadImages, autoCleanupTemp
  * @files {File} avatar - User avatar image (optional, max: 2MB, formats: JPEG, PNG, GIF, WebP)
  * @files {File} coverImage - User cover image (optional, max: 2MB, formats: JPEG, PNG, GIF, WebP)
- * @body {string} username - Unique username (required, 3-20 characters)
+ * @body {string} username - Unique username (required, 5-20 characters: letters, numbers, underscores; stored lowercase; reserved names rejected)
  * @body {string} email - Valid email address (required)
  * @body {string} fullName - User's full name (required)
  * @body {string} password - Strong password (required, min: 6 characters)
@@ -47,6 +62,7 @@ const userRouter = Router()
  */
 userRouter.route('/register').post(
 	requireGuest,
+	authRateLimit,
 	uploadImages.fields([
 		{ name: 'avatar', maxCount: 1 },
 		{ name: 'coverImage', maxCount: 1 },
@@ -60,20 +76,20 @@ userRouter.route('/register').post(
  * User login
  * @route POST /api/v1/users/login
  * @access Public (guest users only)
- * @middleware requireGuest
+ * @middleware requireGuest, authRateLimit
  * @body {string} email - User email or username (required)
  * @body {string} password - User password (required)
  * @returns {Object} User object with access and refresh tokens
  * @controller userLogin
  */
-userRouter.route('/login').post(requireGuest, userLogin)
+userRouter.route('/login').post(requireGuest, authRateLimit, userLogin)
 
 /**
  * User logout
  * @route DELETE /api/v1/users/logout
  * @access Private (authenticated users only)
  * @middleware requireAuth
- * @note Clears refresh token from database and cookies
+ * @note Revokes the session of this device and clears cookies, other devices stay signed in
  * @returns {Object} Success message
  * @controller userLogout
  */
@@ -85,11 +101,91 @@ userRouter.route('/logout').delete(requireAuth, userLogout)
  * @access Public (guest users only)
  * @middleware requireGuest
  * @body {string} refreshToken - Valid refresh token (required, can be from cookies or body)
+ * @note Refresh tokens rotate on every use, reusing an old token revokes the whole session
  * @returns {Object} New access and refresh tokens
  * @controller refreshAccessToken
  */
 userRouter.route('/refresh-access-token').post(requireGuest, refreshAccessToken)
 
+/**
+ * Log out on every device
+ * @route DELETE /api/v1/users/logout-all
+ * @access Private (authenticated users only)
+ * @middleware requireAuth
+ * @note Revokes all sessions of the user and clears cookies
+ * @returns {Object} Number of revoked sessions
+ * @controller userLogoutAll
+ */
+userRouter.route('/logout-all').delete(requireAuth, userLogoutAll)
+
+/**
+ * List the signed-in devices of the current user
+ * @route GET /api/v1/users/sessions
+ * @access Private (authenticated users only)
+ * @middleware requireAuth
+ * @returns {Array} Active sessions with user agent, IP, last used time and an isCurrent flag
+ * @controller getUserSessions
+ */
+userRouter.route('/sessions').get(requireAuth, getUserSessions)
+
+/**
+ * Sign out a single device
+ * @route DELETE /api/v1/users/sessions/:sessionId
+ * @access Private (session owner only)
+ * @middleware requireAuth
+ * @params {string} sessionId - ID of the session to revoke (required)
+ * @note Revoking the current session also clears cookies
+ * @returns {Object} Revoked session ID and whether it was the current session
+ * @controller revokeSession
+ */
+userRouter.route('/sessions/:sessionId').delete(requireAuth, revokeSession)
+
+/**
+ * Send a new email verification link
+ * @route POST /api/v1/users/verify-email/request
+ * @access Private (authenticated users only)
+ * @middleware requireAuth
+ * @note A link is also sent on registration, new requests are limited to one per minute
+ * @returns {Object} Email address the link was sent to
+ * @controller requestEmailVerification
+ */
+userRouter.route('/verify-email/request').post(requireAuth, requestEmailVerification)
+
+/**
+ * Verify the email address with the emailed token
+ * @route POST /api/v1/users/verify-email/confirm
+ * @access Public
+ * @body {string} token - Token from the verification link (required, single-use, valid for 24 hours)
+ * @returns {Object} Verified email address
+ * @controller confirmEmailVerification
+ */
+userRouter.route('/verify-email/confirm').post(confirmEmailVerification)
+
+/**
+ * Request a password reset link
+ * @route POST /api/v1/users/password-reset/request
+ * @access Public
+ * @middleware authRateLimit
+ * @body {string} email - Email address of the account (required)
+ * @note Responds the same way whether or not the email is registered
+ * @returns {Object} Success message
+ * @controller requestPasswordReset
+ */
+userRouter.route('/password-reset/request').post(authRateLimit, requestPasswordReset)
+
+/**
+ * Set a new password with the emailed token
+ * @route POST /api/v1/users/password-reset/confirm
+ * @access Public
+ * @middleware authRateLimit
+ * @body {string} token - Token from the reset link (required, single-use, valid for 1 hour)
+ * @body {string} newPassword - New password (required, min: 6 characters)
+ * @note Signs the user out on all devices
+ * @returns {Object} Number of revoked sessions
+ * @controller confirmPasswordReset
+ */
+userRouter.route('/password-reset/confirm').post(authRateLimit, confirmPasswordReset)
+
 /**
  * Change current user password
  * @route PATCH /api/v1/users/change-current-password
@@ -97,7 +193,8 @@ userRouter.route('/refresh-access-token').post(requireGuest, refreshAccessToken)
  * @middleware requireAuth
  * @body {string} oldPassword - Current password (required)
  * @body {string} newPassword - New password (required, min: 6 characters)
- * @returns {Object} Success message
+ * @note Signs out all other devices
+ * @returns {Object} Number of revoked sessions
  * @controller changeCurrentPassword
  */
 
@@ -115,13 +212,37 @@ userRouter.route('/refresh-access-token').post(requireGuest, refreshAccessToken)
  * @route PATCH /api/v1/users/update-account-details
  * @access Private (authenticated users only)
  * @middleware requireAuth
- * @body {string} fullName - Updated full name (optional)
- * @body {string} email - Updated email address (optional)
- * @note Username cannot be changed after registration
+ * @body {string} fullName - Updated full name (required)
+ * @note Usernames are changed with PATCH /api/v1/users/username
  * @returns {Object} Updated user object
  * @controller updateAccountDetails
  */
 
+/**
+ * Change the username (channel handle) of the current user
+ * @route PATCH /api/v1/users/username
+ * @access Private (authenticated users only)
+ * @middleware requireAuth
+ * @body {string} username - New username (required, 5-20 characters: letters, numbers, underscores; stored lowercase; reserved names rejected)
+ * @note Allowed once every 30 days; the old username redirects to the channel and stays reserved for 14 days
+ * @returns {Object} New and previous username, end of the redirect and next allowed change
+ * @controller updateUsername
+ */
+
+/**
+ * Update the "About" section of the current user's channel
+ * @route PATCH /api/v1/users/channel-about
+ * @access Private (authenticated users only)
+ * @middleware requireAuth
+ * @body {string} description - Channel description (optional, max: 1000 characters)
+ * @body {string} country - ISO 3166-1 alpha-2 country code, e.g. 'IN' (optional)
+ * @body {Array} links - External links as { title, url } (optional, max: 5 links, http(s) URLs only)
+ * @body {string} contactEmail - Public contact email, shown to logged-in users only (optional)
+ * @note Omitted fields are kept, null or an empty value clears a field
+ * @returns {Object} Updated About section
+ * @controller updateChannelAbout
+ */
+
 /**
  * Update user avatar image
  * @route PATCH /api/v1/users/update-user-avatar
@@ -147,6 +268,8 @@ userRouter.route('/refresh-access-token').post(requireGuest, refreshAccessToken)
 userRouter.route('/change-current-password').patch(requireAuth, changeCurrentPassword)
 userRouter.route('/get-current-user').get(requireAuth, getCurrentUser)
 userRouter.route('/update-account-details').patch(requireAuth, updateAccountDetails)
+userRouter.route('/username').patch(requireAuth, updateUsername)
+userRouter.route('/channel-about').patch(requireAuth, updateChannelAbout)
 userRouter
 	.route('/update-user-avatar')
 	.patch(
@@ -170,11 +293,25 @@ userRouter
  * Get user channel profile (public)
  * @route GET /api/v1/users/channel/:username
  * @access Public
- * @params {string} username - Username of the channel to fetch (required)
- * @returns {Object} Public channel information including subscriber count, videos, playlists
+ * @middleware authOptional - Logged-in users also get isSubscribed and the contact email
+ * @params {string} username - Username of the channel to fetch, case-insensitive (required)
+ * @note A previous username resolves to the channel for 14 days after the change, with handleRedirect in the response
+ * @returns {Object} Public channel information with subscriber, video and view counts and the About section
  * @controller getUserChannelProfile
  */
-userRouter.route('/channel/:username').get(getUserChannelProfile)
+userRouter.route('/channel/:username').get(authOptional, getUserChannelProfile)
+
+/**
+ * Get user channel profile by ID (public)
+ * @route GET /api/v1/users/channel/id/:userId
+ * @access Public
+ * @middleware authOptional - Logged-in users also get isSubscribed and the contact email
+ * @params {string} userId - ID of the channel owner (required)
+ * @note Stable address that keeps working when the username changes
+ * @returns {Object} Public channel information with subscriber, video and view counts and the About section
+ * @controller getUserChannelProfile
+ */
+userRouter.route('/channel/id/:userId').get(authOptional, getUserChannelProfile)
 
 /**
  * Get user watch history
@@ -183,11 +320,56 @@ userRouter.route('/channel/:username').get(getUserChannelProfile)
  * @middleware requireAuth
  * @query {number} page - Page number for pagination (optional)
  * @query {number} limit - Number of items per page (optional)
- * @returns {Object} List of videos watched by the user with pagination
+ * @returns {Object} List of watched videos with last position and completed flag, newest first
  * @controller getUserWatchHistory
  */
 userRouter.route('/get-user-watch-history').get(requireAuth, getUserWatchHistory)
 
+/**
+ * Clear the entire watch history
+ * @route DELETE /api/v1/users/watch-history
+ * @access Private (authenticated users only)
+ * @middleware requireAuth
+ * @returns {Object} Number of removed history entries
+ * @controller clearWatchHistory
+ */
+userRouter.route('/watch-history').delete(requireAuth, clearWatchHistory)
+
+/**
+ * Pause or resume watch history recording
+ * @route PATCH /api/v1/users/watch-history/toggle-pause
+ * @access Private (authenticated users only)
+ * @middleware requireAuth
+ * @note While paused, viewed videos are not added to the watch history
+ * @returns {Object} Current paused state
+ * @controller toggleWatchHistoryPause
+ */
+userRouter.route('/watch-history/toggle-pause').patch(requireAuth, toggleWatchHistoryPause)
+
+/**
+ * Report playback progress for a video
+ * @route PATCH /api/v1/users/watch-history/progress/:videoId
+ * @access Private (authenticated users only)
+ * @middleware requireAuth
+ * @params {string} videoId - ID of the video being watched (required)
+ * @body {number} position - Last playback position in seconds (required)
+ * @body {boolean} completed - Whether the video was watched to the end (optional)
+ * @returns {Object} Updated watch history entry
+ * @controller updateWatchProgress
+ */
+userRouter.route('/watch-history/progress/:videoId').patch(requireAuth, updateWatchProgress)
+
+/**
+ * Remove a single video from watch history
+ * @route DELETE /api/v1/users/watch-history/:videoId
+ * @access Private (authenticated users only)
+ * @middleware requireAuth
+ * @params {string} videoId - ID of the video to remove from history (required)
+ * @returns {Object} Removed video ID
+ * @controller removeWatchHistoryEntry
+ */
+userRouter.route('/watch-history/:videoId').delete(requireAuth, removeWatchHistoryEntry)
+
 /**
  * Delete user account and all associated data
  * @route DELETE /api/v1/users/delete-account
@@ -202,8 +384,13 @@ userRouter.route('/get-user-watch-history').get(requireAuth, getUserWatchHistory
  * - All playlists created by the user
  * - All likes given by the user
  * - All subscriptions (as subscriber and channel)
+ * - Watch history of the user and of the user's videos
+ * - Sessions on all devices
+ * - Reports filed by or against the user
  * - All associated files from cloud storage
- * @returns {Object} Success message confirming account deletion
+ * @note Responds 202: the account and its sessions are deleted and its content is hidden right
+ * away, everything else is removed by a background job
+ * @returns {Object} jobId of the cleanup and a statusToken for GET /api/v1/jobs/:jobId/status
  * @controller deleteUserAccount
  */
 userRouter.route('/delete-account').delete(requireAuth, deleteUserAccount)
@@ -2,6 +2,8 @@ import { Router } from 'express'
 import {
 	requireAuth,
 	authOptional,
+	requireVerifiedEmail,
+	uploadRateLimit,
 	uploadImages,
 	uploadVideoWithThumbnail,
 	validateFieldSpecificSizes,
@@ -15,6 +17,7 @@ import {
 	updateVideo,
 	deleteVideo,
 	togglePublishStatus,
+	updateVideoVisibility,
 } from '../controllers/video.controller.js'
 
 // Initialize video router
@@ -28,11 +31,12 @@ const videoRouter = Router()
  */
 
 /**
- * Get all published videos with pagination and filtering
+ * Get all public videos with pagination and filtering
  * @route GET /api/v1/videos
  * @access Public
  * @query {number} page - Page number for pagination (optional, default: 1)
  * @query {number} limit - Number of videos per page (optional, default: 10, max: 100)
+ * @query {string} cursor - nextCursor of the previous page for keyset pagination (optional, createdAt sort only)
  * @query {string} keyword - Search keyword for title/description (optional)
  * @query {string} sortBy - Sort field: 'createdAt', 'views', 'likesCount' (optional, default: 'createdAt')
  * @query {string} sortType - Sort order: 'asc' or 'desc' (optional, default: 'desc')
@@ -45,12 +49,19 @@ const videoRouter = Router()
  * Upload and publish a new video
  * @route POST /api/v1/videos
  * @access Private (authenticated users only)
- * @middleware requireAuth, uploadVideoWithThumbnail, autoCleanupTemp, validateFieldSpecificSizes
- * @files {File} videoFile - Video file (required, max: 100MB, formats: MP4, AVI, MKV, MOV, WMV)
+ * @middleware requireAuth, uploadRateLimit, requireVerifiedEmail, uploadVideoWithThumbnail, autoCleanupTemp, validateFieldSpecificSizes
+ * @files {File} videoFile - Video file (required unless uploadId is sent, max: 100MB, formats: MP4, AVI, MKV, MOV, WMV)
  * @files {File} thumbnail - Video thumbnail (required, max: 2MB, formats: JPEG, PNG, GIF, WebP)
  * @body {string} title - Video title (required, max: 100 characters)
  * @body {string} description - Video description (required, max: 1000 characters)
- * @returns {Object} Created video object with upload details
+ * @body {string} uploadId - ID of a complete resumable upload from /api/v1/uploads, replaces videoFile (optional)
+ * @body {string} publishAt - ISO 8601 date at which the video becomes public (optional, must be in the future)
+ * @note New videos are private until their visibility is changed or publishAt is reached
+ * @note Accounts with an unverified email address get 403
+ * @note With an uploadId the response is 202: the video is created with processingStatus 'processing'
+ * and a background job stores its file, follow it with GET /api/v1/jobs/:jobId
+ * @note Processing videos cannot be made public or unlisted (409), a scheduled publishAt waits for them
+ * @returns {Object} Created video object with upload details, or the processing video and its jobId
  * @controller publishAVideo
  */
 videoRouter
@@ -58,6 +69,8 @@ videoRouter
 	.get(getAllVideos)
 	.post(
 		requireAuth,
+		uploadRateLimit,
+		requireVerifiedEmail,
 		uploadVideoWithThumbnail.fields([
 			{
 				name: 'videoFile',
@@ -80,7 +93,7 @@ videoRouter
  * @access Public
  * @params {string} videoId - ID of the video to fetch (required)
  * @note Increments view count for non-owners
- * @note Owners can view their own unpublished videos
+ * @note Unlisted videos are watchable by anyone with the link, owners can also view their private videos
  * @returns {Object} Video details with owner information and like status
  * @controller getVideoById
  */
@@ -94,7 +107,9 @@ videoRouter
  * @files {File} thumbnail - New thumbnail image (optional, max: 2MB, formats: JPEG, PNG, GIF, WebP)
  * @body {string} title - Updated video title (optional, max: 100 characters)
  * @body {string} description - Updated video description (optional, max: 1000 characters)
+ * @body {string} publishAt - ISO 8601 date at which the video becomes public, empty or 'null' cancels the schedule (optional, must be in the future)
  * @note Only video owner can update
+ * @note Public videos and videos unpublished by a moderator cannot be scheduled
  * @returns {Object} Updated video object
  * @controller updateVideo
  */
@@ -106,9 +121,9 @@ videoRouter
  * @middleware requireAuth
  * @params {string} videoId - ID of the video to delete (required)
  * @note Only video owner can delete
- * @note Deletes video files from cloud storage
- * @note Removes associated data (likes, comments may be handled separately)
- * @returns {Object} Success message with deleted video ID
+ * @note Responds 202: files, likes, comments, watch history entries and notifications are removed by
+ * a background job
+ * @returns {Object} Deleted video ID and the jobId of the cleanup
  * @controller deleteVideo
  */
 videoRouter
@@ -130,9 +145,25 @@ videoRouter
  * @middleware requireAuth
  * @params {string} videoId - ID of the video to toggle publish status (required)
  * @note Only video owner can toggle publish status
- * @returns {Object} Updated video with previous and current publish status
+ * @note Private videos become public, public and unlisted videos become private
+ * @note Publishing by hand cancels a pending publishAt
+ * @returns {Object} Updated video with previous and current visibility
  * @controller togglePublishStatus
  */
 videoRouter.route('/toggle/publish/:videoId').patch(requireAuth, togglePublishStatus)
 
+/**
+ * Set video visibility
+ * @route PATCH /api/v1/videos/:videoId/visibility
+ * @access Private (video owner only)
+ * @middleware requireAuth
+ * @params {string} videoId - ID of the video (required)
+ * @body {string} visibility - 'public', 'unlisted' or 'private' (required)
+ * @note Public videos are listed everywhere, unlisted videos are only reachable by direct link or playlist
+ * @note Videos unpublished by a moderator can only be private (403)
+ * @returns {Object} Updated video with previous and current visibility
+ * @controller updateVideoVisibility
+ */
+videoRouter.route('/:videoId/visibility').patch(requireAuth, updateVideoVisibility)
+
 export { videoRouter }
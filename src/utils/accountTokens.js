@@ -0,0 +1,85 @@
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+import { AccountToken } from '../models/index.js'
+import { ACCOUNT_TOKEN_SECRET, ACCOUNT_TOKEN_PURPOSES } from '../constants.js'
+import { ApiError } from './ApiError.js'
+
+/**
+ * Issues a signed, expiring, single-use token for an emailed link
+ * @desc Issuing a new token invalidates the unused tokens of the same purpose
+ * @param {Object} user - User document
+ * @param {string} purpose - One of ACCOUNT_TOKEN_PURPOSES
+ * @returns {Promise<string>} Signed token
+ * @throws {ApiError} When a token of the same purpose was requested too recently
+ */
+const issueAccountToken = async (user, purpose) => {
+	const { expiresIn, cooldownMs } = ACCOUNT_TOKEN_PURPOSES[purpose]
+
+	const recentlyIssued = await AccountToken.exists({
+		user: user._id,
+		purpose,
+		createdAt: { $gt: new Date(Date.now() - cooldownMs) },
+	})
+
+	if (recentlyIssued) {
+		throw new ApiError(429, 'An email was sent recently. Please wait a minute before trying again.')
+	}
+
+	const jti = crypto.randomUUID()
+	const token = jwt.sign({ _id: user._id, purpose }, ACCOUNT_TOKEN_SECRET, {
+		expiresIn,
+		jwtid: jti,
+	})
+
+	await AccountToken.updateMany(
+		{ user: user._id, purpose, usedAt: null },
+		{ $set: { usedAt: new Date() } }
+	)
+	await AccountToken.create({
+		user: user._id,
+		purpose,
+		jti,
+		expiresAt: new Date(jwt.decode(token).exp * 1000),
+	})
+
+	return token
+}
+
+/**
+ * Verifies a token issued by issueAccountToken and marks it as used
+ * @param {string} token - Signed token from the emailed link
+ * @param {string} purpose - Purpose the token must have been issued for
+ * @returns {Promise<string>} ID of the user the token was issued to
+ * @throws {ApiError} When the token is invalid, expired or already used
+ */
+const consumeAccountToken = async (token, purpose) => {
+	let decodedToken
+
+	try {
+		decodedToken = jwt.verify(token, ACCOUNT_TOKEN_SECRET)
+	} catch (error) {
+		if (error.name === 'TokenExpiredError') {
+			throw new ApiError(400, 'This link has expired. Please request a new one.')
+		}
+		throw new ApiError(400, 'Invalid or malformed token.')
+	}
+
+	// A verification token must never work as a reset token and vice versa
+	if (decodedToken.purpose !== purpose || !decodedToken.jti) {
+		throw new ApiError(400, 'Invalid or malformed token.')
+	}
+
+	// Marking the token as used in the same query makes concurrent confirmations fail
+	const accountToken = await AccountToken.findOneAndUpdate(
+		{ jti: decodedToken.jti, user: decodedToken._id, purpose, usedAt: null },
+		{ $set: { usedAt: new Date() } }
+	)
+
+	if (!accountToken) {
+		throw new ApiError(400, 'This link has already been used or was replaced by a newer one.')
+	}
+
+	return decodedToken._id
+}
+
+export { issueAccountToken, consumeAccountToken }
@@ -0,0 +1,27 @@
+import { AuditLog } from '../models/index.js'
+
+/**
+ * Records a moderation or administration action in the audit log
+ * @desc Unlike notifications, failures are not swallowed: an action must not go unrecorded silently
+ * @param {Object} req - Express request of the acting moderator or admin
+ * @param {Object} entry - Audit entry
+ * @param {string} entry.action - One of AUDIT_ACTIONS
+ * @param {string} entry.targetType - 'user', 'video', 'comment', 'tweet' or 'job'
+ * @param {Object} entry.targetId - ID of the affected document
+ * @param {string} entry.reason - Reason given for the action (optional)
+ * @param {Object} entry.metadata - Action details (optional)
+ * @returns {Promise<Object>} Created audit log entry
+ */
+const recordAuditLog = async (req, { action, targetType, targetId, reason, metadata }) => {
+	return await AuditLog.create({
+		actor: req.user._id,
+		action,
+		targetType,
+		targetId,
+		reason,
+		metadata,
+		ip: req.ip,
+	})
+}
+
+export { recordAuditLog }
@@ -1,20 +1,19 @@
 import fs from 'fs'
-import { v2 as cloudinary } from 'cloudinary'
-import { CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET, CLOUDINARY_CLOUD_NAME } from '../constants.js'
+import { getStorage, deleteStoredAsset } from './storage.js'
 
-// Configure Cloudinary with credentials
-cloudinary.config({
-	cloud_name: CLOUDINARY_CLOUD_NAME,
-	api_key: CLOUDINARY_API_KEY,
-	api_secret: CLOUDINARY_API_SECRET,
-})
+/**
+ * @fileoverview File uploads and deletions through the configured storage driver
+ * @description Kept under its original name, the files go to Cloudinary or the local disk
+ * depending on STORAGE_DRIVER (see utils/storage.js)
+ */
 
 /**
- * Uploads a file to Cloudinary
+ * Uploads a file to the configured storage
  * @param {string} filePath - The local file path to upload
- * @returns {Object|null} - Cloudinary response object or null if failed
+ * @param {string} resourceType - 'image', 'video' or 'auto' to detect it (default: 'auto')
+ * @returns {Object|null} - Stored asset with its publicId and url, or null if failed
  */
-const uploadOnCloudinary = async filePath => {
+const uploadOnCloudinary = async (filePath, resourceType = 'auto') => {
 	try {
 		// Validate input parameters
 		if (!filePath || typeof filePath !== 'string') {
@@ -28,20 +27,9 @@ const uploadOnCloudinary = async filePath => {
 			return null
 		}
 
-		// Upload file to Cloudinary with auto resource type detection
-		const response = await cloudinary.uploader.upload(filePath, {
-			resource_type: 'auto',
-		})
-
-		// console.log('File uploaded successfully to Cloudinary:', {
-		// 	public_id: response.public_id,
-		// 	secure_url: response.secure_url,
-		// 	resource_type: response.resource_type,
-		// })
-
-		return response
+		return await getStorage().upload(filePath, resourceType)
 	} catch (error) {
-		console.error('Failed to upload file to Cloudinary:', {
+		console.error('Failed to upload file to storage:', {
 			filePath,
 			error: error.message,
 			stack: error.stack,
@@ -51,102 +39,19 @@ const uploadOnCloudinary = async filePath => {
 }
 
 /**
- * Extracts public_id from Cloudinary URL
- * @param {string} url - Cloudinary URL
- * @returns {string|null} - Extracted public_id or null if invalid
- */
-const extractPublicIdFromUrl = url => {
-	try {
-		if (!url || typeof url !== 'string') return null
-
-		// Handle different Cloudinary URL formats
-		const urlParts = url.split('/')
-		const fileNameWithExtension = urlParts.at(-1)
-
-		if (!fileNameWithExtension) return null
-
-		// Remove file extension to get public_id
-		const publicId = fileNameWithExtension.split('.')[0]
-		return publicId || null
-	} catch (error) {
-		console.error('Failed to extract public_id from URL:', error.message)
-		return null
-	}
-}
-
-/**
- * Deletes a video from Cloudinary
- * @param {string} url - Cloudinary URL of the video to delete
- * @returns {Object|null} - Cloudinary response object or null if failed
- */
-const deleteVideoFromCloudinary = async url => {
-	try {
-		// Validate input
-		if (!url || typeof url !== 'string') {
-			console.error('Invalid URL provided for video deletion')
-			return null
-		}
-
-		// Extract public_id from URL
-		const publicId = extractPublicIdFromUrl(url)
-		if (!publicId) {
-			console.error('Could not extract public_id from video URL:', url)
-			return null
-		}
-
-		// Delete video with explicit resource type
-		const response = await cloudinary.uploader.destroy(publicId, {
-			resource_type: 'video',
-		})
-
-		// console.log('Video deleted successfully from Cloudinary:', {
-		// 	public_id: publicId,
-		// 	result: response.result,
-		// })
-
-		return response
-	} catch (error) {
-		console.error('Failed to delete video from Cloudinary:', {
-			url,
-			error: error.message,
-			stack: error.stack,
-		})
-		return null
-	}
-}
-
-/**
- * Deletes an image from Cloudinary
- * @param {string} url - Cloudinary URL of the image to delete
- * @returns {Object|null} - Cloudinary response object or null if failed
+ * Deletes a stored asset through the driver that stored it
+ * @desc Failures are logged instead of thrown, background jobs that must retry them use
+ * deleteStoredAsset from utils/storage.js
+ * @param {Object} asset - Asset sub-document with provider, publicId and resourceType
+ * @returns {Object|null} - Driver response object, or null if failed or the asset is not managed
+ * by a storage driver
  */
-const deleteImageFromCloudinary = async url => {
+const deleteAsset = async asset => {
 	try {
-		// Validate input
-		if (!url || typeof url !== 'string') {
-			console.error('Invalid URL provided for image deletion')
-			return null
-		}
-
-		// Extract public_id from URL
-		const publicId = extractPublicIdFromUrl(url)
-		if (!publicId) {
-			console.error('Could not extract public_id from image URL:', url)
-			return null
-		}
-
-		// Delete image (default resource type)
-		const response = await cloudinary.uploader.destroy(publicId)
-
-		// console.log('Image deleted successfully from Cloudinary:', {
-		// 	public_id: publicId,
-		// 	result: response.result,
-		// })
-
-		return response
+		return await deleteStoredAsset(asset)
 	} catch (error) {
-		console.error('Failed to delete image from Cloudinary:', {
-			url,
+		console.error(`Failed to delete ${asset?.resourceType} from storage:`, {
+			publicId: asset?.publicId,
 			error: error.message,
 			stack: error.stack,
 		})
@@ -154,4 +59,4 @@ const deleteImageFromCloudinary = async url => {
 	}
 }
 
-export { uploadOnCloudinary, deleteVideoFromCloudinary, deleteImageFromCloudinary }
+export { uploadOnCloudinary, deleteAsset }
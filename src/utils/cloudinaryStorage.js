@@ -0,0 +1,55 @@
+import { v2 as cloudinary } from 'cloudinary'
+import { CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET, CLOUDINARY_CLOUD_NAME } from '../constants.js'
+
+/**
+ * Storage driver keeping uploaded files on Cloudinary
+ * @desc Assets are identified by their Cloudinary public_id
+ */
+class CloudinaryStorage {
+	constructor() {
+		this.name = 'cloudinary'
+
+		// Configure Cloudinary with credentials
+		cloudinary.config({
+			cloud_name: CLOUDINARY_CLOUD_NAME,
+			api_key: CLOUDINARY_API_KEY,
+			api_secret: CLOUDINARY_API_SECRET,
+		})
+	}
+
+	/**
+	 * Uploads a local file
+	 * @param {string} filePath - Local file path
+	 * @param {string} resourceType - 'image', 'video' or 'auto' to detect it
+	 * @returns {Promise<Object>} Stored asset
+	 */
+	async upload(filePath, resourceType = 'auto') {
+		const response = await cloudinary.uploader.upload(filePath, {
+			resource_type: resourceType,
+		})
+
+		return {
+			provider: this.name,
+			publicId: response.public_id,
+			resourceType: response.resource_type,
+			url: response.url,
+			bytes: response.bytes,
+			width: response.width,
+			height: response.height,
+			format: response.format,
+			duration: response.duration,
+		}
+	}
+
+	/**
+	 * Deletes a stored asset
+	 * @param {string} publicId - Cloudinary public_id
+	 * @param {string} resourceType - 'image' or 'video', Cloudinary needs it to find the asset
+	 * @returns {Promise<Object>} Cloudinary response
+	 */
+	async delete(publicId, resourceType = 'image') {
+		return cloudinary.uploader.destroy(publicId, { resource_type: resourceType })
+	}
+}
+
+export { CloudinaryStorage }
@@ -0,0 +1,143 @@
+import { EventEmitter } from 'events'
+import { EVENT_STREAM } from '../constants.js'
+
+/**
+ * In-process publish/subscribe bus backing the real-time event stream
+ * @desc Events are published to channels such as `user:<userId>` and `video:<videoId>`
+ * @desc Recent events are buffered so reconnecting clients can replay what they missed
+ * @desc Only reaches clients connected to this process; a multi-instance deployment can swap in
+ * a shared implementation (e.g. Redis pub/sub) with setEventBus as long as it keeps this interface
+ */
+class InMemoryEventBus {
+	constructor({
+		bufferSize = EVENT_STREAM.REPLAY_BUFFER_SIZE,
+		windowMs = EVENT_STREAM.REPLAY_WINDOW_MS,
+	} = {}) {
+		this.emitter = new EventEmitter()
+		// Every open stream listens on its own channels, so the default limit of 10 is too low
+		this.emitter.setMaxListeners(0)
+		this.buffer = []
+		this.bufferSize = bufferSize
+		this.windowMs = windowMs
+		this.sequence = 0
+	}
+
+	/**
+	 * Publishes an event to a channel
+	 * @param {string} channel - Channel name, e.g. 'user:<userId>'
+	 * @param {string} type - Event type sent as the SSE event name
+	 * @param {Object} data - JSON-serializable payload
+	 * @returns {Object} Published event with its ID
+	 */
+	publish(channel, type, data) {
+		// Timestamped IDs stay unique across restarts, so stale Last-Event-IDs are never mistaken for new ones
+		const event = {
+			id: `${Date.now()}-${++this.sequence}`,
+			channel,
+			type,
+			data,
+			createdAt: Date.now(),
+		}
+
+		this.buffer.push(event)
+		if (this.buffer.length > this.bufferSize) {
+			this.buffer.shift()
+		}
+
+		this.emitter.emit(channel, event)
+		return event
+	}
+
+	/**
+	 * Subscribes a listener to one or more channels
+	 * @param {Array} channels - Channel names
+	 * @param {Function} listener - Called with each published event
+	 * @returns {Function} Unsubscribe function
+	 */
+	subscribe(channels, listener) {
+		channels.forEach(channel => this.emitter.on(channel, listener))
+		return () => channels.forEach(channel => this.emitter.off(channel, listener))
+	}
+
+	/**
+	 * Returns the buffered events of the given channels published after an event ID
+	 * @param {Array} channels - Channel names
+	 * @param {string} lastEventId - ID of the last event the client received
+	 * @returns {Array|null} Missed events, or null when the ID is outside the replay window
+	 */
+	replaySince(channels, lastEventId) {
+		const cutoff = Date.now() - this.windowMs
+		const index = this.buffer.findIndex(event => event.id === lastEventId)
+
+		if (index === -1 || this.buffer[index].createdAt < cutoff) {
+			return null
+		}
+
+		return this.buffer
+			.slice(index + 1)
+			.filter(event => event.createdAt >= cutoff && channels.includes(event.channel))
+	}
+}
+
+let eventBus = new InMemoryEventBus()
+
+/**
+ * Returns the active event bus
+ * @returns {Object} Event bus exposing publish, subscribe and replaySince
+ */
+const getEventBus = () => eventBus
+
+/**
+ * Replaces the active event bus, e.g. with a shared implementation for multiple instances
+ * @param {Object} bus - Event bus exposing publish, subscribe and replaySince
+ */
+const setEventBus = bus => {
+	eventBus = bus
+}
+
+/**
+ * Publishes an event without ever failing the originating request
+ * @param {string} channel - Channel name, e.g. 'video:<videoId>'
+ * @param {string} type - Event type
+ * @param {Object} data - JSON-serializable payload
+ */
+const publishEvent = (channel, type, data) => {
+	try {
+		eventBus.publish(channel, type, data)
+	} catch (error) {
+		console.warn(`Failed to publish ${type} event to ${channel}:`, error)
+	}
+}
+
+/**
+ * Channel carrying the personal events of a user, such as new notifications
+ * @param {Object} userId - User ID
+ * @returns {string} Channel name
+ */
+const userChannel = userId => `user:${userId}`
+
+/**
+ * Channel carrying live counter updates of a video
+ * @param {Object} videoId - Video ID
+ * @returns {string} Channel name
+ */
+const videoChannel = videoId => `video:${videoId}`
+
+/**
+ * Announces changed counters of a video to the clients watching it
+ * @param {Object} videoId - Video ID
+ * @param {Object} counters - Changed counters, e.g. { likesCount, dislikesCount }
+ */
+const publishVideoCounters = (videoId, counters) => {
+	publishEvent(videoChannel(videoId), 'counters', { videoId, ...counters })
+}
+
+export {
+	InMemoryEventBus,
+	getEventBus,
+	setEventBus,
+	publishEvent,
+	publishVideoCounters,
+	userChannel,
+	videoChannel,
+}
@@ -1,15 +1,119 @@
 import { ApiError } from './ApiError.js'
 import { ApiResponse } from './ApiResponse.js'
 import { asyncHandler } from './asyncHandler.js'
-import { paginateArray } from './paginateArray.js'
-import { uploadOnCloudinary, deleteImageFromCloudinary, deleteVideoFromCloudinary } from './cloudinary.js'
+import { paginateAggregate } from './paginateAggregate.js'
+import {
+	buildReactionStages,
+	buildMixedReactionStages,
+	buildLikeCountStages,
+} from './reactionStages.js'
+import {
+	notifyUsers,
+	notifyChannelSubscribers,
+	announcePublishedVideo,
+	retractNotifications,
+} from './notifications.js'
+import {
+	getEventBus,
+	setEventBus,
+	publishEvent,
+	publishVideoCounters,
+	userChannel,
+	videoChannel,
+} from './eventBus.js'
+import { sendMail, setMailTransport } from './mailer.js'
+import { issueAccountToken, consumeAccountToken } from './accountTokens.js'
+import { recordAuditLog } from './auditLog.js'
+import { createRateLimitStore, setRateLimitStoreFactory } from './rateLimitStore.js'
+import { normalizeUsername, validateUsername, isUsernameTaken } from './username.js'
+import {
+	buildListedVideoMatch,
+	buildWatchableVideoMatch,
+	buildWatchableVideoFilterStages,
+	canWatchVideo,
+} from './videoVisibility.js'
+import {
+	publishDueVideos,
+	startPublishScheduler,
+	stopPublishScheduler,
+} from './publishScheduler.js'
+import {
+	storeChunk,
+	assembleUpload,
+	discardUpload,
+	cleanupAbandonedUploads,
+	startUploadCleanup,
+	stopUploadCleanup,
+} from './resumableUpload.js'
+import { getStorage, setStorage, deleteStoredAsset } from './storage.js'
+import { uploadOnCloudinary, deleteAsset } from './cloudinary.js'
+import {
+	PermanentJobError,
+	registerJobHandler,
+	createJobStatusToken,
+	enqueueJob,
+	buildJobStatusTokenFilter,
+	cancelJob,
+	processJobs,
+	retryDeadJob,
+	startJobWorker,
+	stopJobWorker,
+} from './jobQueue.js'
 
 export {
 	ApiError,
 	ApiResponse,
 	asyncHandler,
-	paginateArray,
+	paginateAggregate,
+	buildReactionStages,
+	buildMixedReactionStages,
+	buildLikeCountStages,
+	notifyUsers,
+	notifyChannelSubscribers,
+	announcePublishedVideo,
+	retractNotifications,
+	getEventBus,
+	setEventBus,
+	publishEvent,
+	publishVideoCounters,
+	userChannel,
+	videoChannel,
+	sendMail,
+	setMailTransport,
+	issueAccountToken,
+	consumeAccountToken,
+	recordAuditLog,
+	createRateLimitStore,
+	setRateLimitStoreFactory,
+	normalizeUsername,
+	validateUsername,
+	isUsernameTaken,
+	buildListedVideoMatch,
+	buildWatchableVideoMatch,
+	buildWatchableVideoFilterStages,
+	canWatchVideo,
+	publishDueVideos,
+	startPublishScheduler,
+	stopPublishScheduler,
+	storeChunk,
+	assembleUpload,
+	discardUpload,
+	cleanupAbandonedUploads,
+	startUploadCleanup,
+	stopUploadCleanup,
+	getStorage,
+	setStorage,
+	deleteStoredAsset,
 	uploadOnCloudinary,
-	deleteImageFromCloudinary,
-	deleteVideoFromCloudinary,
+	deleteAsset,
+	PermanentJobError,
+	registerJobHandler,
+	createJobStatusToken,
+	enqueueJob,
+	buildJobStatusTokenFilter,
+	cancelJob,
+	processJobs,
+	retryDeadJob,
+	startJobWorker,
+	stopJobWorker,
 }
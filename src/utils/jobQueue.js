@@ -0,0 +1,276 @@
+import crypto from 'crypto'
+import { Job } from '../models/index.js'
+import { JOB_QUEUE, JOB_POLL_INTERVAL_SECONDS } from '../constants.js'
+
+// Handlers by job type, registered by the processes that run jobs (see src/jobs)
+const jobHandlers = {}
+
+let workerTimer = null
+let currentRun = null
+
+/**
+ * Thrown by a job handler when retrying cannot help, the job is dead-lettered right away
+ */
+class PermanentJobError extends Error {
+	constructor(message) {
+		super(message)
+		this.name = 'PermanentJobError'
+	}
+}
+
+/**
+ * Registers the handler of a job type
+ * @param {string} type - One of JOB_TYPES
+ * @param {Function} handler - Async function called with the payload and the job, what it returns
+ * is stored as the job result; it may run more than once, so it must be safe to repeat
+ * @param {Object} options
+ * @param {Function} options.onDeadLetter - Called with the payload once the job is dead-lettered,
+ * e.g. to mark the affected document as failed (optional)
+ */
+const registerJobHandler = (type, handler, { onDeadLetter } = {}) => {
+	jobHandlers[type] = { handler, onDeadLetter }
+}
+
+/**
+ * Hashes a job status token, only the hash is stored
+ * @param {string} statusToken - Token returned by createJobStatusToken
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+const hashStatusToken = statusToken => crypto.createHash('sha256').update(statusToken).digest('hex')
+
+/**
+ * Creates a random token for following a job without signing in, see enqueueJob
+ * @returns {string} Hex encoded token
+ */
+const createJobStatusToken = () => crypto.randomBytes(32).toString('hex')
+
+/**
+ * Queues a background job
+ * @param {string} type - One of JOB_TYPES
+ * @param {Object} payload - Handler input
+ * @param {Object} options
+ * @param {Object} options.owner - ID of the user who can follow the job (optional)
+ * @param {string} options.statusToken - Token from createJobStatusToken that lets its holder
+ * follow the job, e.g. when the owner is deleted by the job's request (optional)
+ * @param {number} options.maxAttempts - Runs before the job is dead-lettered (optional)
+ * @returns {Promise<Object>} Job document, run once a worker picks it up
+ */
+const enqueueJob = (
+	type,
+	payload,
+	{ owner, statusToken, maxAttempts = JOB_QUEUE.MAX_ATTEMPTS } = {}
+) =>
+	Job.create({
+		type,
+		payload,
+		owner,
+		maxAttempts,
+		...(statusToken && { statusTokenHash: hashStatusToken(statusToken) }),
+	})
+
+/**
+ * Builds a filter matching a job only when the status token belongs to it
+ * @param {string} jobId - ID of the job
+ * @param {string} statusToken - Token given to enqueueJob
+ * @returns {Object} Job filter
+ */
+const buildJobStatusTokenFilter = (jobId, statusToken) => ({
+	_id: jobId,
+	statusTokenHash: hashStatusToken(statusToken),
+})
+
+/**
+ * Removes a job that is no longer wanted, e.g. when the change it follows up on failed
+ * @desc A running attempt finishes, but its outcome is not recorded
+ * @param {string} jobId - ID of the job
+ * @returns {Promise<void>}
+ */
+const cancelJob = async jobId => {
+	await Job.deleteOne({ _id: jobId })
+}
+
+/**
+ * Returns the wait before the next attempt, doubled after every failure
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = attempts =>
+	Math.min(JOB_QUEUE.BACKOFF_BASE_MS * 2 ** (attempts - 1), JOB_QUEUE.BACKOFF_MAX_MS)
+
+/**
+ * Claims the next due job
+ * @desc Each job is claimed with an atomic update, so several workers never run the same attempt
+ * @desc Running jobs whose lock timed out are claimed again, their worker stopped while running them
+ * @returns {Promise<Object|null>} Claimed job, or null when no job is due
+ */
+const claimNextJob = () => {
+	const now = new Date()
+
+	return Job.findOneAndUpdate(
+		{
+			$or: [
+				{ status: 'queued', runAt: { $lte: now } },
+				{
+					status: 'running',
+					lockedAt: { $lte: new Date(now.getTime() - JOB_QUEUE.LOCK_TIMEOUT_MS) },
+				},
+			],
+		},
+		{ $set: { status: 'running', lockedAt: now }, $inc: { attempts: 1 } },
+		{ new: true, sort: { runAt: 1 } }
+	)
+}
+
+/**
+ * Runs a claimed job and records the outcome
+ * @desc A failed job is queued again with exponential backoff until it runs out of attempts, then it
+ * is dead-lettered; outcomes are only recorded while the job is still locked by this attempt
+ * @param {Object} job - Job claimed by claimNextJob
+ * @returns {Promise<void>}
+ */
+const runJob = async job => {
+	const { handler, onDeadLetter } = jobHandlers[job.type] || {}
+	const lockFilter = { _id: job._id, status: 'running', lockedAt: job.lockedAt }
+
+	try {
+		if (!handler) {
+			throw new PermanentJobError(`No handler is registered for job type '${job.type}'.`)
+		}
+
+		// Attempts also count runs that were lost with their worker
+		if (job.attempts > job.maxAttempts) {
+			throw new PermanentJobError('The job stopped before finishing on every attempt.')
+		}
+
+		const result = await handler(job.payload, job)
+		const completedAt = new Date()
+
+		await Job.updateOne(lockFilter, {
+			$set: {
+				status: 'completed',
+				result,
+				completedAt,
+				expiresAt: new Date(completedAt.getTime() + JOB_QUEUE.RETENTION_MS),
+			},
+			$unset: { lockedAt: '' },
+		})
+	} catch (error) {
+		const isDead = error instanceof PermanentJobError || job.attempts >= job.maxAttempts
+
+		if (!isDead) {
+			await Job.updateOne(lockFilter, {
+				$set: {
+					status: 'queued',
+					runAt: new Date(Date.now() + getRetryDelay(job.attempts)),
+					lastError: error.message,
+				},
+				$unset: { lockedAt: '' },
+			})
+			return
+		}
+
+		console.error(`Job ${job._id} (${job.type}) was dead-lettered:`, error)
+
+		const { modifiedCount } = await Job.updateOne(lockFilter, {
+			$set: { status: 'dead', lastError: error.message },
+			$unset: { lockedAt: '' },
+		})
+
+		if (modifiedCount && onDeadLetter) {
+			try {
+				await onDeadLetter(job.payload, job)
+			} catch (deadLetterError) {
+				console.error(`Failed to handle dead-lettered job ${job._id}:`, deadLetterError)
+			}
+		}
+	}
+}
+
+/**
+ * Runs due jobs one at a time until none are left
+ * @param {Function} shouldContinue - Checked before claiming each job, stops the run when false
+ * @returns {Promise<number>} Number of jobs run
+ */
+const processJobs = async (shouldContinue = () => true) => {
+	let processedCount = 0
+
+	while (shouldContinue()) {
+		const job = await claimNextJob()
+
+		if (!job) {
+			break
+		}
+
+		await runJob(job)
+		processedCount++
+	}
+
+	return processedCount
+}
+
+/**
+ * Queues a dead-lettered job again with a fresh set of attempts
+ * @param {string} jobId - ID of the job
+ * @returns {Promise<Object|null>} Queued job, or null when no dead job has this ID
+ */
+const retryDeadJob = jobId =>
+	Job.findOneAndUpdate(
+		{ _id: jobId, status: 'dead' },
+		{ $set: { status: 'queued', attempts: 0, runAt: new Date() } },
+		{ new: true }
+	)
+
+/**
+ * Runs processJobs unless the previous run is still in progress
+ */
+const runDueJobs = () => {
+	if (currentRun) {
+		return
+	}
+
+	// Stops claiming jobs once the worker is stopped
+	currentRun = processJobs(() => workerTimer !== null)
+		.catch(error => console.error('Failed to run background jobs:', error))
+		.finally(() => {
+			currentRun = null
+		})
+}
+
+/**
+ * Starts running due jobs every JOB_POLL_INTERVAL_SECONDS
+ * @desc Runs once immediately, so jobs queued or interrupted while no worker was up are picked up
+ * @desc Must be called after the database connection is established and the handlers are registered
+ */
+const startJobWorker = () => {
+	if (workerTimer) {
+		return
+	}
+
+	workerTimer = setInterval(runDueJobs, JOB_POLL_INTERVAL_SECONDS * 1000)
+	// The worker alone should not keep the API process alive
+	workerTimer.unref()
+	runDueJobs()
+}
+
+/**
+ * Stops the job worker
+ * @returns {Promise<void>} Resolves once the job being run, if any, has finished
+ */
+const stopJobWorker = async () => {
+	clearInterval(workerTimer)
+	workerTimer = null
+	await currentRun
+}
+
+export {
+	PermanentJobError,
+	registerJobHandler,
+	createJobStatusToken,
+	enqueueJob,
+	buildJobStatusTokenFilter,
+	cancelJob,
+	processJobs,
+	retryDeadJob,
+	startJobWorker,
+	stopJobWorker,
+}
@@ -0,0 +1,74 @@
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { LOCAL_STORAGE_DIR, LOCAL_STORAGE_BASE_URL } from '../constants.js'
+
+const VIDEO_EXTENSIONS = ['.mp4', '.avi', '.mkv', '.mov', '.wmv', '.webm']
+
+// Asset IDs are generated here, anything else could point outside the storage directory
+const PUBLIC_ID_PATTERN = /^(image|video)\/[0-9a-f-]{36}(\.[a-z0-9]+)?$/
+
+/**
+ * Storage driver keeping uploaded files on the local disk, served by Express under /media
+ * @desc Meant for development and tests without a Cloudinary account; files are only reachable
+ * through the instance that stored them
+ * @desc Assets are identified by '<resourceType>/<uuid><extension>', their path below the
+ * storage directory
+ */
+class LocalDiskStorage {
+	constructor({ rootDir = LOCAL_STORAGE_DIR, baseUrl = LOCAL_STORAGE_BASE_URL } = {}) {
+		this.name = 'local'
+		this.rootDir = rootDir
+		this.baseUrl = baseUrl.replace(/\/+$/, '')
+	}
+
+	/**
+	 * Copies a local file into the storage directory
+	 * @desc The file is copied, so the caller's temp file cleanup keeps working
+	 * @param {string} filePath - Local file path
+	 * @param {string} resourceType - 'image', 'video' or 'auto' to detect it from the extension
+	 * @returns {Promise<Object>} Stored asset
+	 */
+	async upload(filePath, resourceType = 'auto') {
+		const extension = path
+			.extname(filePath)
+			.toLowerCase()
+			.replace(/[^a-z0-9.]/g, '')
+		let detectedType = resourceType
+		if (resourceType === 'auto') {
+			detectedType = VIDEO_EXTENSIONS.includes(extension) ? 'video' : 'image'
+		}
+
+		const publicId = `${detectedType}/${crypto.randomUUID()}${extension}`
+		const destination = path.join(this.rootDir, publicId)
+
+		await fs.promises.mkdir(path.dirname(destination), { recursive: true })
+		await fs.promises.copyFile(filePath, destination)
+		const { size } = await fs.promises.stat(destination)
+
+		return {
+			provider: this.name,
+			publicId,
+			resourceType: detectedType,
+			url: `${this.baseUrl}/${publicId}`,
+			bytes: size,
+			format: extension.slice(1) || undefined,
+		}
+	}
+
+	/**
+	 * Deletes a stored asset
+	 * @param {string} publicId - Asset ID returned by upload
+	 * @returns {Promise<Object>} Deletion result
+	 */
+	async delete(publicId) {
+		if (!PUBLIC_ID_PATTERN.test(publicId)) {
+			throw new Error(`Invalid local asset ID: ${publicId}`)
+		}
+
+		await fs.promises.rm(path.join(this.rootDir, publicId), { force: true })
+		return { result: 'ok' }
+	}
+}
+
+export { LocalDiskStorage }
@@ -0,0 +1,65 @@
+import fs from 'fs'
+import path from 'path'
+import { MAIL_TRANSPORT, MAIL_FROM, MAIL_OUTBOX_DIR } from '../constants.js'
+
+/**
+ * Transport that prints emails to the console, for local development
+ */
+const consoleTransport = {
+	name: 'console',
+	send: async mail => {
+		console.log(
+			`📧 Email to ${mail.to}\nFrom: ${mail.from}\nSubject: ${mail.subject}\n\n${mail.text}\n`
+		)
+	},
+}
+
+/**
+ * Creates a transport that writes each email as an .eml file, for local development and inspection
+ * @param {string} outboxDir - Directory receiving the files
+ * @returns {Object} Mail transport
+ */
+const createFileTransport = outboxDir => ({
+	name: 'file',
+	send: async mail => {
+		await fs.promises.mkdir(outboxDir, { recursive: true })
+
+		const fileName = `${mail.date.getTime()}-${mail.to.replace(/[^a-zA-Z0-9.@_-]/g, '_')}.eml`
+		const content = [
+			`From: ${mail.from}`,
+			`To: ${mail.to}`,
+			`Subject: ${mail.subject}`,
+			`Date: ${mail.date.toUTCString()}`,
+			'Content-Type: text/plain; charset=utf-8',
+			'',
+			mail.text,
+		].join('\r\n')
+
+		await fs.promises.writeFile(path.join(outboxDir, fileName), content)
+	},
+})
+
+let mailTransport =
+	MAIL_TRANSPORT === 'file' ? createFileTransport(MAIL_OUTBOX_DIR) : consoleTransport
+
+/**
+ * Replaces the active mail transport, e.g. with an SMTP or email API transport
+ * @param {Object} transport - Object with an async send(mail) method
+ */
+const setMailTransport = transport => {
+	mailTransport = transport
+}
+
+/**
+ * Sends an email through the active transport
+ * @param {Object} options - Email details
+ * @param {string} options.to - Recipient address
+ * @param {string} options.subject - Subject line
+ * @param {string} options.text - Plain text body
+ * @returns {Promise<void>}
+ */
+const sendMail = async ({ to, subject, text }) => {
+	await mailTransport.send({ from: MAIL_FROM, to, subject, text, date: new Date() })
+}
+
+export { sendMail, setMailTransport, createFileTransport, consoleTransport }
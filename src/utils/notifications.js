@@ -0,0 +1,132 @@
+import { Notification, Subscription, Video, WatchHistory } from '../models/index.js'
+import { publishEvent, userChannel } from './eventBus.js'
+
+// Personalized subscribers are notified when they watched the channel within this window
+const PERSONALIZED_WINDOW_MS = 30 * 24 * 60 * 60 * 1000
+
+/**
+ * Creates a notification for each recipient of an activity
+ * @desc The actor is never notified about their own activity and duplicate recipients are ignored
+ * @desc Failures are logged and swallowed so notifications never break the originating request
+ * @desc Connected recipients also receive each notification on their event stream
+ * @param {Object} options - Notification details
+ * @param {Array} options.recipients - IDs of the users to notify
+ * @param {Object} options.actor - ID of the user who performed the activity
+ * @param {string} options.type - One of NOTIFICATION_TYPES
+ * @param {Object} options.video - Related video ID (optional, likewise comment and tweet)
+ * @returns {Promise<number>} Number of notifications created
+ */
+const notifyUsers = async ({ recipients, actor, type, ...refs }) => {
+	const recipientIds = [
+		...new Set(
+			recipients
+				.filter(Boolean)
+				.map(recipient => recipient.toString())
+				.filter(recipient => recipient !== actor?.toString())
+		),
+	]
+
+	if (recipientIds.length === 0) {
+		return 0
+	}
+
+	try {
+		const notifications = await Notification.insertMany(
+			recipientIds.map(recipient => ({ recipient, actor, type, ...refs }))
+		)
+		notifications.forEach(notification =>
+			publishEvent(userChannel(notification.recipient), 'notification', notification.toJSON())
+		)
+		return notifications.length
+	} catch (error) {
+		console.warn(`Failed to create ${type} notifications:`, error)
+		return 0
+	}
+}
+
+/**
+ * Notifies the subscribers of a channel according to their bell preference
+ * @desc 'all' is always notified, 'personalized' only after watching the channel recently, 'none' never
+ * @param {Object} options - Notification details
+ * @param {Object} options.channel - ID of the channel, used as the actor
+ * @param {string} options.type - One of NOTIFICATION_TYPES
+ * @param {Object} options.video - Related video ID (optional)
+ * @returns {Promise<number>} Number of notifications created
+ */
+const notifyChannelSubscribers = async ({ channel, type, ...refs }) => {
+	try {
+		const subscriptions = await Subscription.find({
+			channel,
+			notificationPreference: { $ne: 'none' },
+		}).select('subscriber notificationPreference')
+
+		// Subscriptions created before bell preferences existed behave like 'all'
+		const alwaysNotified = subscriptions
+			.filter(subscription => subscription.notificationPreference !== 'personalized')
+			.map(subscription => subscription.subscriber)
+		const personalized = subscriptions
+			.filter(subscription => subscription.notificationPreference === 'personalized')
+			.map(subscription => subscription.subscriber)
+
+		let engaged = []
+
+		if (personalized.length > 0) {
+			const channelVideoIds = await Video.find({ owner: channel }).distinct('_id')
+			engaged = await WatchHistory.find({
+				user: { $in: personalized },
+				video: { $in: channelVideoIds },
+				watchedAt: { $gte: new Date(Date.now() - PERSONALIZED_WINDOW_MS) },
+			}).distinct('user')
+		}
+
+		return await notifyUsers({
+			recipients: [...alwaysNotified, ...engaged],
+			actor: channel,
+			type,
+			...refs,
+		})
+	} catch (error) {
+		console.warn(`Failed to notify subscribers of channel ${channel}:`, error)
+		return 0
+	}
+}
+
+/**
+ * Notifies the channel's subscribers the first time a video is made public
+ * @desc Unlisted and private videos are not announced, making a video public again does not notify again
+ * @param {Object} video - Video document
+ * @returns {Promise<void>}
+ */
+const announcePublishedVideo = async video => {
+	if (video.visibility !== 'public' || video.isHidden) {
+		return
+	}
+
+	try {
+		const alreadyAnnounced = await Notification.exists({ type: 'video_upload', video: video._id })
+		if (!alreadyAnnounced) {
+			await notifyChannelSubscribers({
+				channel: video.owner._id || video.owner,
+				type: 'video_upload',
+				video: video._id,
+			})
+		}
+	} catch (error) {
+		console.warn(`Failed to announce video ${video._id}:`, error)
+	}
+}
+
+/**
+ * Removes notifications about an activity that was undone, such as an unlike
+ * @param {Object} filter - Notification filter, e.g. { type: 'like', actor, video }
+ * @returns {Promise<void>}
+ */
+const retractNotifications = async filter => {
+	try {
+		await Notification.deleteMany(filter)
+	} catch (error) {
+		console.warn(`Failed to retract ${filter.type} notifications:`, error)
+	}
+}
+
+export { notifyUsers, notifyChannelSubscribers, announcePublishedVideo, retractNotifications }
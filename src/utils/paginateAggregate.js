@@ -0,0 +1,129 @@
+import mongoose from 'mongoose'
+import { ApiError } from './ApiError.js'
+
+/**
+ * Encodes the sort keys of a document into an opaque cursor string
+ * @param {Object} doc - Document containing createdAt and _id
+ * @returns {string} Base64url encoded cursor
+ */
+const encodeCursor = doc => {
+	return Buffer.from(
+		JSON.stringify({ createdAt: doc.createdAt, _id: doc._id.toString() })
+	).toString('base64url')
+}
+
+/**
+ * Decodes a cursor produced by encodeCursor
+ * @param {string} cursor - Base64url encoded cursor
+ * @returns {Object} Object containing createdAt (Date) and _id (ObjectId)
+ * @throws {ApiError} When the cursor is malformed
+ */
+const decodeCursor = cursor => {
+	try {
+		const { createdAt, _id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'))
+		const createdAtDate = new Date(createdAt)
+
+		if (isNaN(createdAtDate.getTime()) || !mongoose.Types.ObjectId.isValid(_id)) {
+			throw new Error('Invalid cursor payload')
+		}
+
+		return { createdAt: createdAtDate, _id: new mongoose.Types.ObjectId(_id) }
+	} catch (error) {
+		throw new ApiError(400, 'Invalid pagination cursor.')
+	}
+}
+
+/**
+ * Paginates an aggregation pipeline inside the database using $facet/$skip/$limit
+ * Supports offset pagination (page) and keyset pagination (cursor) on createdAt/_id
+ * In cursor mode the cursor filter runs before the sort and the total is not counted, so a page
+ * only reads the documents after the cursor; totalDocs and totalPages are null
+ * @param {Object} model - Mongoose model to aggregate on
+ * @param {Array} pipeline - Stages producing the documents to paginate (filters, fields used for sorting)
+ * @param {Object} options - Pagination options
+ * @param {number} options.page - Page number, ignored when a cursor is given (default: 1)
+ * @param {number} options.limit - Documents per page (default: 10)
+ * @param {string} options.sortBy - Field to sort by (default: 'createdAt')
+ * @param {string} options.sortType - 'asc' or 'desc' (default: 'desc')
+ * @param {string} options.cursor - Cursor returned as nextCursor by a previous page (optional)
+ * @param {string} options.label - Key of the documents array in the result (default: 'docs')
+ * @param {Array} options.pagePipeline - Stages applied only to the documents of the page, e.g. lookups
+ * @returns {Promise<Object>} Paginated result with the documents and pagination metadata
+ * @throws {ApiError} When the cursor is invalid or used with a sort field other than createdAt
+ */
+const paginateAggregate = async (
+	model,
+	pipeline = [],
+	{
+		page = 1,
+		limit = 10,
+		sortBy = 'createdAt',
+		sortType = 'desc',
+		cursor,
+		label = 'docs',
+		pagePipeline = [],
+	} = {}
+) => {
+	const sortDirection = sortType === 'asc' ? 1 : -1
+	const isCursorMode = Boolean(cursor)
+	const supportsCursor = sortBy === 'createdAt'
+
+	if (isCursorMode && !supportsCursor) {
+		throw new ApiError(400, 'Cursor pagination is only supported when sorting by createdAt.')
+	}
+
+	// Documents after the cursor, filtered before sorting so earlier pages are never sorted again
+	const cursorStages = []
+	if (isCursorMode) {
+		const { createdAt, _id } = decodeCursor(cursor)
+		const comparison = sortDirection === -1 ? '$lt' : '$gt'
+		cursorStages.push({
+			$match: {
+				$or: [
+					{ createdAt: { [comparison]: createdAt } },
+					{ createdAt, _id: { [comparison]: _id } },
+				],
+			},
+		})
+	}
+
+	// Cursor pages only need one extra document, offset pages are counted over the whole set
+	const windowStages = isCursorMode ? [] : [{ $skip: (page - 1) * limit }]
+
+	const [result] = await model.aggregate([
+		...pipeline,
+		...cursorStages,
+		// _id as tie-breaker keeps the order stable between pages
+		{ $sort: { [sortBy]: sortDirection, _id: sortDirection } },
+		...(isCursorMode ? [{ $limit: limit + 1 }] : []),
+		{
+			$facet: {
+				docs: [...windowStages, { $limit: limit }, ...pagePipeline],
+				// One extra key reveals whether another page exists
+				keys: [...windowStages, { $limit: limit + 1 }, { $project: { _id: 1, createdAt: 1 } }],
+				...(isCursorMode ? {} : { totalCount: [{ $count: 'count' }] }),
+			},
+		},
+	])
+
+	const totalDocs = isCursorMode ? null : result?.totalCount[0]?.count || 0
+	const totalPages = isCursorMode ? null : Math.ceil(totalDocs / limit)
+	const keys = result?.keys || []
+	const hasNextPage = keys.length > limit
+	const hasPrevPage = isCursorMode || page > 1
+
+	return {
+		[label]: result?.docs || [],
+		totalDocs,
+		limit,
+		page: isCursorMode ? null : page,
+		totalPages,
+		hasPrevPage,
+		hasNextPage,
+		prevPage: !isCursorMode && hasPrevPage ? page - 1 : null,
+		nextPage: !isCursorMode && hasNextPage ? page + 1 : null,
+		nextCursor: supportsCursor && hasNextPage ? encodeCursor(keys[limit - 1]) : null,
+	}
+}
+
+export { paginateAggregate }
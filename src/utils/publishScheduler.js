@@ -0,0 +1,83 @@
+import { Video } from '../models/index.js'
+import { PUBLISH_SCHEDULER_INTERVAL_SECONDS } from '../constants.js'
+import { announcePublishedVideo } from './notifications.js'
+
+let schedulerTimer = null
+let isRunning = false
+
+/**
+ * Makes every video whose publishAt has passed public and notifies the channel's subscribers
+ * @desc The schedule lives on the video documents, so videos that came due while the server was
+ * down are published on the next run after a restart
+ * @desc Each video is claimed with an atomic update, so several instances never publish it twice
+ * @desc Videos force-unpublished by a moderator are never published by the scheduler, videos still
+ * processing are published on the first run after they are ready
+ * @returns {Promise<number>} Number of videos published
+ */
+const publishDueVideos = async () => {
+	let publishedCount = 0
+
+	while (true) {
+		const video = await Video.findOneAndUpdate(
+			{
+				publishAt: { $lte: new Date() },
+				isPublishLocked: { $ne: true },
+				processingStatus: { $nin: ['processing', 'failed'] },
+			},
+			{ $set: { visibility: 'public' }, $unset: { publishAt: '' } },
+			{ new: true, sort: { publishAt: 1 } }
+		)
+
+		if (!video) {
+			return publishedCount
+		}
+
+		publishedCount++
+		await announcePublishedVideo(video)
+	}
+}
+
+/**
+ * Runs publishDueVideos unless the previous run is still in progress
+ * @returns {Promise<void>}
+ */
+const runScheduledPublishing = async () => {
+	if (isRunning) {
+		return
+	}
+
+	isRunning = true
+	try {
+		await publishDueVideos()
+	} catch (error) {
+		console.error('Failed to publish scheduled videos:', error)
+	} finally {
+		isRunning = false
+	}
+}
+
+/**
+ * Starts checking for scheduled videos every PUBLISH_SCHEDULER_INTERVAL_SECONDS
+ * @desc Runs once immediately to catch up on videos that came due during a restart
+ * @desc Must be called after the database connection is established
+ */
+const startPublishScheduler = () => {
+	if (schedulerTimer) {
+		return
+	}
+
+	schedulerTimer = setInterval(runScheduledPublishing, PUBLISH_SCHEDULER_INTERVAL_SECONDS * 1000)
+	// The scheduler alone should not keep the process alive
+	schedulerTimer.unref()
+	runScheduledPublishing()
+}
+
+/**
+ * Stops the publish scheduler
+ */
+const stopPublishScheduler = () => {
+	clearInterval(schedulerTimer)
+	schedulerTimer = null
+}
+
+export { publishDueVideos, startPublishScheduler, stopPublishScheduler }
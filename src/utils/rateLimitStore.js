@@ -0,0 +1,82 @@
+import { MemoryStore } from 'express-rate-limit'
+
+/**
+ * Creates the backing store of a rate limiter, in memory by default
+ * @param {string} name - Rate limiter name, e.g. 'auth'
+ * @returns {Object} Store implementing the express-rate-limit Store interface
+ */
+let storeFactory = () => new MemoryStore()
+
+/**
+ * Rate limit store that forwards to a store created by the active factory
+ * @desc Limiters are created when their module is imported, so the backing store is only created on
+ * first use; this lets setRateLimitStoreFactory swap in a shared store (e.g. Redis) at startup
+ * @desc Counters in memory are per process, a multi-instance deployment needs a shared store
+ */
+class ConfigurableRateLimitStore {
+	constructor(name) {
+		this.name = name
+		// Prepended to every key, keeps the counters of different limiters apart in a shared store
+		this.prefix = `${name}:`
+		this.options = null
+		this.backingStore = null
+	}
+
+	/**
+	 * Returns the backing store, creating it on first use
+	 * @returns {Object} Backing store
+	 */
+	getStore() {
+		if (!this.backingStore) {
+			this.backingStore = storeFactory(this.name)
+			this.backingStore.init?.(this.options)
+		}
+		return this.backingStore
+	}
+
+	init(options) {
+		this.options = options
+	}
+
+	async get(key) {
+		return this.getStore().get?.(this.prefix + key)
+	}
+
+	async increment(key) {
+		return this.getStore().increment(this.prefix + key)
+	}
+
+	async decrement(key) {
+		return this.getStore().decrement(this.prefix + key)
+	}
+
+	async resetKey(key) {
+		return this.getStore().resetKey(this.prefix + key)
+	}
+
+	async resetAll() {
+		return this.backingStore?.resetAll?.()
+	}
+
+	async shutdown() {
+		return this.backingStore?.shutdown?.()
+	}
+}
+
+/**
+ * Replaces the factory creating rate limit stores, e.g. with one backed by a shared database
+ * @desc Must be called before the first request, stores that are already in use are not replaced
+ * @param {Function} factory - Receives the limiter name and returns a new store instance
+ */
+const setRateLimitStoreFactory = factory => {
+	storeFactory = factory
+}
+
+/**
+ * Creates the store of one rate limiter
+ * @param {string} name - Rate limiter name, unique per limiter
+ * @returns {Object} Store to pass to express-rate-limit
+ */
+const createRateLimitStore = name => new ConfigurableRateLimitStore(name)
+
+export { createRateLimitStore, setRateLimitStoreFactory }
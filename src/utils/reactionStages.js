@@ -0,0 +1,138 @@
+import { REACTION_TYPES } from '../constants.js'
+
+/**
+ * Builds the stages that turn looked-up reactions into counts and the viewer's reaction
+ * @param {Object} viewerId - ObjectId of the current user (optional)
+ * @returns {Array} Aggregation stages
+ */
+const summarizeReactionStages = viewerId => [
+	{
+		$addFields: {
+			reactionCounts: {
+				$arrayToObject: {
+					$map: {
+						input: REACTION_TYPES,
+						as: 'reactionType',
+						in: {
+							k: '$$reactionType',
+							v: {
+								$size: {
+									$filter: {
+										input: '$reactions',
+										cond: { $eq: ['$$this.type', '$$reactionType'] },
+									},
+								},
+							},
+						},
+					},
+				},
+			},
+			userReaction: viewerId
+				? {
+						$ifNull: [
+							{
+								$first: {
+									$map: {
+										input: {
+											$filter: {
+												input: '$reactions',
+												cond: { $eq: ['$$this.likedBy', viewerId] },
+											},
+										},
+										in: '$$this.type',
+									},
+								},
+							},
+							null,
+						],
+				  }
+				: null,
+		},
+	},
+	{ $project: { reactions: 0 } },
+]
+
+/**
+ * Builds aggregation stages that attach reaction counts and the viewer's reaction
+ * Adds reactionCounts ({ like, dislike }) and userReaction ('like', 'dislike' or null)
+ * @param {string} foreignField - Field of the Like document referencing the target ('video', 'comment' or 'tweet')
+ * @param {Object} viewerId - ObjectId of the current user (optional)
+ * @returns {Array} Aggregation stages
+ */
+const buildReactionStages = (foreignField, viewerId) => [
+	{
+		$lookup: {
+			from: 'likes',
+			localField: '_id',
+			foreignField,
+			as: 'reactions',
+			pipeline: [{ $project: { type: 1, likedBy: 1 } }],
+		},
+	},
+	...summarizeReactionStages(viewerId),
+]
+
+// Like fields that may reference a document of mixed kinds
+const MIXED_REACTION_KINDS = ['video', 'tweet', 'comment']
+
+/**
+ * Builds reaction stages for documents of mixed kinds, such as a feed of videos and tweets
+ * Each document names the Like field that references it in kindField, e.g. kind: 'video'
+ * @desc Looks up each kind on its own Like field, so every lookup can use the target index, and
+ * keeps the reactions of the document's kind
+ * @param {string} kindField - Document field holding the Like reference field name
+ * @param {Object} viewerId - ObjectId of the current user (optional)
+ * @returns {Array} Aggregation stages
+ */
+const buildMixedReactionStages = (kindField, viewerId) => [
+	...MIXED_REACTION_KINDS.map(kind => ({
+		$lookup: {
+			from: 'likes',
+			localField: '_id',
+			foreignField: kind,
+			as: `${kind}Reactions`,
+			pipeline: [{ $project: { type: 1, likedBy: 1 } }],
+		},
+	})),
+	{
+		$addFields: {
+			reactions: {
+				$switch: {
+					branches: MIXED_REACTION_KINDS.map(kind => ({
+						case: { $eq: [`$${kindField}`, kind] },
+						then: `$${kind}Reactions`,
+					})),
+					default: [],
+				},
+			},
+		},
+	},
+	{ $project: Object.fromEntries(MIXED_REACTION_KINDS.map(kind => [`${kind}Reactions`, 0])) },
+	...summarizeReactionStages(viewerId),
+]
+
+/**
+ * Builds aggregation stages that count only the likes of a target
+ * Cheaper than buildReactionStages when likes are needed for sorting before pagination
+ * @param {string} foreignField - Field of the Like document referencing the target
+ * @param {string} as - Name of the resulting count field
+ * @returns {Array} Aggregation stages
+ */
+const buildLikeCountStages = (foreignField, as) => [
+	{
+		$lookup: {
+			from: 'likes',
+			localField: '_id',
+			foreignField,
+			as,
+			pipeline: [{ $match: { type: 'like' } }, { $count: 'count' }],
+		},
+	},
+	{
+		$addFields: {
+			[as]: { $ifNull: [{ $arrayElemAt: [`$${as}.count`, 0] }, 0] },
+		},
+	},
+]
+
+export { buildReactionStages, buildMixedReactionStages, buildLikeCountStages }
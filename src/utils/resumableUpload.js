@@ -0,0 +1,213 @@
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { isValidObjectId } from 'mongoose'
+import { UploadSession } from '../models/index.js'
+import { RESUMABLE_UPLOAD } from '../constants.js'
+import { ApiError } from './ApiError.js'
+
+// Chunks of each upload are kept in their own directory until the video is created
+const tempDir = './public/temp'
+const uploadsDir = path.join(tempDir, 'uploads')
+
+let cleanupTimer = null
+
+/**
+ * Returns the directory holding the chunks of an upload
+ * @param {Object} uploadId - Upload session ID
+ * @returns {string} Directory path
+ */
+const getChunkDir = uploadId => path.join(uploadsDir, uploadId.toString())
+
+/**
+ * Returns the path of one chunk, zero-padded so the chunks sort in upload order
+ * @param {Object} uploadId - Upload session ID
+ * @param {number} index - Zero-based chunk index
+ * @returns {string} File path
+ */
+const getChunkPath = (uploadId, index) =>
+	path.join(getChunkDir(uploadId), `${String(index).padStart(6, '0')}.chunk`)
+
+/**
+ * Stores the next chunk of an upload
+ * @desc The chunk is written to a temporary file first and only kept when the session still
+ * expects it, so concurrent retries of the same chunk cannot advance the offset twice
+ * @desc When the chunk cannot be moved into place the offset is moved back, so the session never
+ * counts bytes that have no chunk file
+ * @param {Object} session - Upload session document
+ * @param {number} offset - Offset the client sent the chunk for
+ * @param {Buffer} data - Chunk contents, already verified against its checksum
+ * @returns {Promise<Object|null>} Updated session, or null when the offset is no longer current
+ */
+const storeChunk = async (session, offset, data) => {
+	const chunkDir = getChunkDir(session._id)
+	await fs.promises.mkdir(chunkDir, { recursive: true })
+
+	const partialPath = path.join(chunkDir, `${crypto.randomUUID()}.part`)
+	await fs.promises.writeFile(partialPath, data)
+
+	try {
+		const updatedSession = await UploadSession.findOneAndUpdate(
+			{ _id: session._id, receivedBytes: offset },
+			{
+				$inc: { receivedBytes: data.length, chunkCount: 1 },
+				$set: { expiresAt: new Date(Date.now() + RESUMABLE_UPLOAD.EXPIRY_MS) },
+			},
+			{ new: true }
+		)
+
+		if (!updatedSession) {
+			return null
+		}
+
+		try {
+			await fs.promises.rename(
+				partialPath,
+				getChunkPath(session._id, updatedSession.chunkCount - 1)
+			)
+		} catch (error) {
+			await UploadSession.updateOne(
+				{
+					_id: session._id,
+					receivedBytes: updatedSession.receivedBytes,
+					chunkCount: updatedSession.chunkCount,
+				},
+				{ $inc: { receivedBytes: -data.length, chunkCount: -1 } }
+			)
+			throw error
+		}
+
+		return updatedSession
+	} finally {
+		await fs.promises.rm(partialPath, { force: true })
+	}
+}
+
+/**
+ * Joins the chunks of a finished upload into a single file in public/temp
+ * @desc The chunks are kept, so the upload can be used again if the cloud upload fails
+ * @param {Object} session - Upload session document with all bytes received
+ * @returns {Promise<string>} Path of the assembled file, removed by the caller
+ * @throws {ApiError} When chunks are missing or the file does not match its checksum
+ */
+const assembleUpload = async session => {
+	const extension = path.extname(session.fileName).replace(/[^a-zA-Z0-9.]/g, '')
+	const outputPath = path.join(tempDir, `${session._id}-${Date.now()}${extension}`)
+	const hash = crypto.createHash('sha256')
+	let output
+
+	try {
+		output = await fs.promises.open(outputPath, 'w')
+
+		for (let index = 0; index < session.chunkCount; index++) {
+			const data = await fs.promises.readFile(getChunkPath(session._id, index))
+			hash.update(data)
+			await output.write(data)
+		}
+
+		const { size } = await output.stat()
+		if (size !== session.totalSize) {
+			throw new ApiError(422, 'Uploaded file is incomplete. Please start a new upload.')
+		}
+	} catch (error) {
+		await output?.close()
+		await fs.promises.rm(outputPath, { force: true })
+
+		if (error instanceof ApiError) throw error
+		throw new ApiError(422, 'Uploaded file is incomplete. Please start a new upload.')
+	}
+
+	await output.close()
+
+	if (session.checksum && hash.digest('hex') !== session.checksum) {
+		await fs.promises.rm(outputPath, { force: true })
+		throw new ApiError(422, 'Uploaded file does not match its checksum. Please start a new upload.')
+	}
+
+	return outputPath
+}
+
+/**
+ * Removes an upload session and its chunks
+ * @param {Object} uploadId - Upload session ID
+ * @returns {Promise<void>}
+ */
+const discardUpload = async uploadId => {
+	await fs.promises.rm(getChunkDir(uploadId), { recursive: true, force: true })
+	await UploadSession.deleteOne({ _id: uploadId })
+}
+
+/**
+ * Removes the chunks of abandoned uploads from disk
+ * @desc Sessions expire in the database on their own, this removes chunk directories whose session
+ * has expired or no longer exists, including ones left behind by a crash
+ * @returns {Promise<number>} Number of uploads removed
+ */
+const cleanupAbandonedUploads = async () => {
+	let entries = []
+
+	try {
+		entries = await fs.promises.readdir(uploadsDir, { withFileTypes: true })
+	} catch (error) {
+		// Nothing was ever uploaded in chunks
+		if (error.code === 'ENOENT') return 0
+		throw error
+	}
+
+	let removedCount = 0
+
+	for (const entry of entries) {
+		const isActive =
+			entry.isDirectory() &&
+			isValidObjectId(entry.name) &&
+			(await UploadSession.exists({ _id: entry.name, expiresAt: { $gt: new Date() } }))
+
+		if (!isActive) {
+			await fs.promises.rm(path.join(uploadsDir, entry.name), { recursive: true, force: true })
+			if (isValidObjectId(entry.name)) {
+				await UploadSession.deleteOne({ _id: entry.name })
+			}
+			removedCount++
+		}
+	}
+
+	return removedCount
+}
+
+/**
+ * Starts removing abandoned uploads every RESUMABLE_UPLOAD.CLEANUP_INTERVAL_MS
+ * @desc Runs once immediately to clear uploads abandoned while the server was down
+ * @desc Must be called after the database connection is established
+ */
+const startUploadCleanup = () => {
+	if (cleanupTimer) {
+		return
+	}
+
+	const runCleanup = () =>
+		cleanupAbandonedUploads().catch(error =>
+			console.error('Failed to clean up abandoned uploads:', error)
+		)
+
+	cleanupTimer = setInterval(runCleanup, RESUMABLE_UPLOAD.CLEANUP_INTERVAL_MS)
+	// The cleanup alone should not keep the process alive
+	cleanupTimer.unref()
+	runCleanup()
+}
+
+/**
+ * Stops the upload cleanup
+ */
+const stopUploadCleanup = () => {
+	clearInterval(cleanupTimer)
+	cleanupTimer = null
+}
+
+export {
+	storeChunk,
+	assembleUpload,
+	discardUpload,
+	cleanupAbandonedUploads,
+	startUploadCleanup,
+	stopUploadCleanup,
+}
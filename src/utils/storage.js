@@ -0,0 +1,66 @@
+import { STORAGE_DRIVER } from '../constants.js'
+import { CloudinaryStorage } from './cloudinaryStorage.js'
+import { LocalDiskStorage } from './localDiskStorage.js'
+
+// Drivers selectable with STORAGE_DRIVER
+const storageDrivers = {
+	cloudinary: () => new CloudinaryStorage(),
+	local: () => new LocalDiskStorage(),
+}
+
+// Drivers created so far, by name; stored assets keep the name of the driver holding them
+const storages = {}
+let activeDriver = STORAGE_DRIVER
+
+/**
+ * Returns a storage driver, created on first use
+ * @desc A driver exposes upload(filePath, resourceType) and delete(publicId, resourceType);
+ * upload resolves to an asset with provider, publicId, resourceType, url, bytes, width, height,
+ * format and duration
+ * @param {string} name - Driver name, defaults to the active driver new files are stored with
+ * @returns {Object} Storage driver
+ * @throws {Error} When the name matches no known driver
+ */
+const getStorage = (name = activeDriver) => {
+	if (!storages[name]) {
+		const createDriver = storageDrivers[name]
+		if (!createDriver) {
+			throw new Error(
+				`Unknown storage driver '${name}', expected one of: ${Object.keys(storageDrivers).join(
+					', '
+				)}`
+			)
+		}
+		storages[name] = createDriver()
+	}
+
+	return storages[name]
+}
+
+/**
+ * Replaces the active storage driver, e.g. with an S3 driver or an in-memory one in tests
+ * @desc Assets already stored by another driver are still deleted through that driver
+ * @param {Object} driver - Storage driver exposing the same interface and a unique name
+ */
+const setStorage = driver => {
+	storages[driver.name] = driver
+	activeDriver = driver.name
+}
+
+/**
+ * Deletes a stored asset through the driver that stored it
+ * @desc Assets recorded by URL only ('external') were never uploaded by this application and are
+ * left alone
+ * @param {Object} asset - Asset sub-document with provider, publicId and resourceType
+ * @returns {Promise<Object|null>} Driver response, or null when there is nothing to delete
+ * @throws {Error} When the driver fails to delete the asset
+ */
+const deleteStoredAsset = async asset => {
+	if (!asset?.publicId || asset.provider === 'external') {
+		return null
+	}
+
+	return getStorage(asset.provider).delete(asset.publicId, asset.resourceType)
+}
+
+export { getStorage, setStorage, deleteStoredAsset }
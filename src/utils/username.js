@@ -0,0 +1,60 @@
+import { User } from '../models/index.js'
+import { USERNAME_RULES, RESERVED_USERNAMES } from '../constants.js'
+import { ApiError } from './ApiError.js'
+
+/**
+ * Case-folds a username the way it is stored
+ * @param {string} username - Username as typed by the user
+ * @returns {string} Trimmed, lowercase username
+ */
+const normalizeUsername = username =>
+	String(username ?? '')
+		.trim()
+		.toLowerCase()
+
+/**
+ * Validates a new username against the length, charset and reserved name rules
+ * @param {string} username - Username as typed by the user
+ * @returns {string} Normalized username
+ * @throws {ApiError} When the username breaks a rule
+ */
+const validateUsername = username => {
+	const normalized = normalizeUsername(username)
+	const { MIN_LENGTH, MAX_LENGTH, PATTERN } = USERNAME_RULES
+
+	if (normalized.length < MIN_LENGTH || normalized.length > MAX_LENGTH) {
+		throw new ApiError(400, `Username must be between ${MIN_LENGTH} and ${MAX_LENGTH} characters.`)
+	}
+
+	if (!PATTERN.test(normalized)) {
+		throw new ApiError(400, 'Username can only contain letters, numbers, and underscores.')
+	}
+
+	if (RESERVED_USERNAMES.includes(normalized)) {
+		throw new ApiError(400, 'This username is reserved.')
+	}
+
+	return normalized
+}
+
+/**
+ * Checks whether a username is in use, including handles that still redirect to another channel
+ * @param {string} username - Normalized username
+ * @param {Object} exceptUserId - User whose own current and old handles are ignored (optional)
+ * @returns {Promise<boolean>} True when the username cannot be taken
+ */
+const isUsernameTaken = async (username, exceptUserId) => {
+	const graceStart = new Date(Date.now() - USERNAME_RULES.REDIRECT_GRACE_MS)
+
+	const holder = await User.exists({
+		...(exceptUserId && { _id: { $ne: exceptUserId } }),
+		$or: [
+			{ username },
+			{ usernameHistory: { $elemMatch: { username, changedAt: { $gte: graceStart } } } },
+		],
+	})
+
+	return Boolean(holder)
+}
+
+export { normalizeUsername, validateUsername, isUsernameTaken }
@@ -0,0 +1,78 @@
+/**
+ * Video visibility rules shared by every query that returns videos
+ * - public: listed in getAllVideos, search, feeds and channel pages, and watchable by anyone
+ * - unlisted: not listed, but watchable by anyone with the link, including through playlists
+ * - private: owner only
+ * Videos hidden by moderators are treated as private, force-unpublished videos are private
+ */
+
+/**
+ * Builds a $match filter for videos that may be listed to everyone
+ * @returns {Object} Match conditions
+ */
+const buildListedVideoMatch = () => ({
+	visibility: 'public',
+	isHidden: { $ne: true },
+})
+
+/**
+ * Builds a $match filter for videos a viewer may watch
+ * @param {Object} viewerId - ObjectId of the current user, whose own videos are always watchable (optional)
+ * @returns {Object} Match conditions
+ */
+const buildWatchableVideoMatch = viewerId => ({
+	$or: [
+		{ visibility: { $in: ['public', 'unlisted'] }, isHidden: { $ne: true } },
+		...(viewerId ? [{ owner: viewerId }] : []),
+	],
+})
+
+/**
+ * Builds stages keeping only the documents whose referenced video a viewer may watch
+ * @desc Meant to run before pagination, so totals do not count entries the viewer can no longer
+ * see; this costs one _id lookup per document, which only reads the fields the rules need, so the
+ * video details should be joined in the page pipeline
+ * @param {string} localField - Field holding the video ID
+ * @param {Object} viewerId - ObjectId of the current user, whose own videos are always watchable (optional)
+ * @returns {Array} Aggregation stages
+ */
+const buildWatchableVideoFilterStages = (localField, viewerId) => [
+	{
+		$lookup: {
+			from: 'videos',
+			localField,
+			foreignField: '_id',
+			as: 'watchableVideo',
+			pipeline: [{ $match: buildWatchableVideoMatch(viewerId) }, { $project: { _id: 1 } }],
+		},
+	},
+	// Drops entries whose video has been deleted or is no longer watchable
+	{ $match: { 'watchableVideo.0': { $exists: true } } },
+	{ $project: { watchableVideo: 0 } },
+]
+
+/**
+ * Checks whether a viewer may watch a video
+ * @param {Object} video - Video document with visibility, isHidden and owner
+ * @param {Object} viewerId - ID of the current user (optional)
+ * @returns {boolean} True if the video is watchable
+ */
+const canWatchVideo = (video, viewerId) => {
+	if (!video) {
+		return false
+	}
+
+	const ownerId = video.owner?._id || video.owner
+	if (viewerId && ownerId?.toString() === viewerId.toString()) {
+		return true
+	}
+
+	return video.visibility !== 'private' && !video.isHidden
+}
+
+export {
+	buildListedVideoMatch,
+	buildWatchableVideoMatch,
+	buildWatchableVideoFilterStages,
+	canWatchVideo,
+}
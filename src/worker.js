@@ -0,0 +1,41 @@
+import mongoose from 'mongoose'
+import connectDB from './databases/index.js'
+import { registerJobHandlers } from './jobs/index.js'
+import { startJobWorker, stopJobWorker } from './utils/index.js'
+
+/**
+ * Background job worker
+ * Runs queued jobs (upload finalization, video and account cleanup) outside the API process
+ * Usage: npm run worker, several workers can run side by side
+ */
+
+/**
+ * Finishes the job being run before exiting, so deploys do not leave jobs to the lock timeout
+ * @param {string} signal - Signal that stopped the worker
+ */
+const shutdown = async signal => {
+	console.log(`${signal} received, stopping the job worker`)
+
+	try {
+		await stopJobWorker()
+		await mongoose.connection.close()
+		process.exit(0)
+	} catch (error) {
+		console.error('Failed to stop the job worker:', error)
+		process.exit(1)
+	}
+}
+
+connectDB()
+	.then(() => {
+		registerJobHandlers()
+		startJobWorker()
+
+		// The worker's timer does not keep the process alive, the open database connection does
+		process.once('SIGINT', shutdown)
+		process.once('SIGTERM', shutdown)
+	})
+	.catch(error => {
+		console.error('MongoDB Connection Failed:', error)
+		process.exit(1)
+	})
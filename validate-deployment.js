@@ -56,6 +56,7 @@ const requiredEnvVars = [
 	'CORS_ORIGIN',
 	'ACCESS_TOKEN_SECRET',
 	'REFRESH_TOKEN_SECRET',
+	'ACCOUNT_TOKEN_SECRET',
 	'CLOUDINARY_CLOUD_NAME',
 	'CLOUDINARY_API_KEY',
 	'CLOUDINARY_API_SECRET',